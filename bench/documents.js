@@ -0,0 +1,94 @@
+/*
+	Benchmark Documents
+	Generates the representative documents used by the benchmark suite.
+	Content is derived from element indexes (no randomness), so every run
+	parses exactly the same text.
+
+	Usage:
+		var documents = require('./documents.js');
+		var text = documents.records.generate( 1 );   // scale factor
+
+	Released under the MIT License
+*/
+
+const words = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet'];
+
+function sentence(idx, count) {
+    // build text of count words, starting at word idx
+    const list = [];
+    for (let offset = 0; offset < count; offset += 1) {
+        list.push(words[(idx + offset) % words.length]);
+    }
+    return list.join(' ');
+}
+
+function repeat(count, build) {
+    // join output of build(idx) for each index
+    const parts = [];
+    for (let idx = 0; idx < count; idx += 1) {
+        parts.push(build(idx));
+    }
+    return parts.join('\n');
+}
+
+module.exports = {
+    config: {
+        description: 'Small configuration file, parsed many times',
+        generate: (scale) => '<?xml version="1.0" encoding="UTF-8"?>\n<Config>\n' + repeat(Math.ceil(40 * scale), idx =>
+            '\t<Setting name="option' + idx + '" type="string">' + sentence(idx, 3) + '</Setting>\n' +
+            '\t<Server host="host' + idx + '.example.com" port="' + (8000 + idx) + '" secure="' + (idx % 2 ? 'true' : 'false') + '"/>'
+        ) + '\n</Config>\n'
+    },
+
+    records: {
+        description: 'Data export: flat list of records with attributes and child elements',
+        generate: (scale) => '<?xml version="1.0"?>\n<Export>\n' + repeat(Math.ceil(20000 * scale), idx =>
+            '\t<Record id="' + idx + '" status="' + (idx % 3 ? 'active' : 'closed') + '">' +
+            '<Name>' + sentence(idx, 2) + '</Name>' +
+            '<Amount>' + (idx * 1.25).toFixed(2) + '</Amount>' +
+            '<Created>2024-01-' + String(1 + idx % 28).padStart(2, '0') + 'T10:00:00Z</Created>' +
+            '<Tags><Tag>' + words[idx % 10] + '</Tag><Tag>' + words[(idx + 3) % 10] + '</Tag></Tags>' +
+            '</Record>'
+        ) + '\n</Export>\n'
+    },
+
+    attributes: {
+        description: 'Attribute-heavy elements, some values containing ">" and entities',
+        generate: (scale) => '<Items>\n' + repeat(Math.ceil(10000 * scale), idx =>
+            '\t<Item a="' + idx + '" b="' + words[idx % 10] + '" c="x &gt; y" d=\'' + sentence(idx, 4) + '\' e="' + (idx % 7) + '"' +
+            ' f="path/to/' + idx + '" g="a > b" h="&quot;quoted&quot;" i="' + idx * 3 + '" j="last"/>'
+        ) + '\n</Items>\n'
+    },
+
+    nested: {
+        description: 'Deeply nested elements',
+        generate: (scale) => '<Root>' + repeat(Math.ceil(200 * scale), idx =>
+            '<Level>'.repeat(100) + '<Leaf n="' + idx + '">' + words[idx % 10] + '</Leaf>' + '</Level>'.repeat(100)
+        ) + '</Root>'
+    },
+
+    text: {
+        description: 'Document markup: long mixed text with entities and inline elements',
+        generate: (scale) => '<Book>\n' + repeat(Math.ceil(2000 * scale), idx =>
+            '\t<Para id="p' + idx + '">' + sentence(idx, 40) + ' &amp; ' + sentence(idx + 1, 20) +
+            ' <Em>' + sentence(idx + 2, 3) + '</Em> ' + sentence(idx + 3, 30) + ' &lt;tail&gt;</Para>'
+        ) + '\n</Book>\n'
+    },
+
+    cdata: {
+        description: 'Large CDATA sections full of markup characters',
+        generate: (scale) => '<Scripts>\n' + repeat(Math.ceil(8 * scale), idx =>
+            '\t<Script name="s' + idx + '"><![CDATA[' + repeat(1000, line =>
+                'if (a > ' + line + ' && b < c) { html += "<td>" + ' + words[line % 10] + ' + "</td>"; }'
+            ) + ']]></Script>'
+        ) + '\n</Scripts>\n'
+    },
+
+    comments: {
+        description: 'Large comments containing ">" characters',
+        generate: (scale) => '<Doc>\n' + repeat(Math.ceil(8 * scale), idx =>
+            '\t<!-- ' + repeat(1000, line => '<old value="' + line + '"> ' + sentence(line, 3) + ' </old>') + ' -->\n' +
+            '\t<Value n="' + idx + '">' + words[idx % 10] + '</Value>'
+        ) + '\n</Doc>\n'
+    }
+};
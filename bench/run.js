@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/*
+	Benchmark Suite
+	Times parsing of representative documents (see documents.js) and measures the
+	memory retained by each parsed tree.  Pass --baseline to compare against another
+	copy of the library, e.g. an earlier checkout or the published package.
+
+	Usage:
+		node --expose-gc bench/run.js [options]
+		npm run bench -- --baseline /path/to/old/pixl-xml
+
+	Options:
+		--baseline <path>     Also benchmark the library at path (or installed module name)
+		--docs <a,b,...>      Only run these documents (default all)
+		--scale <n>           Multiply document sizes by n (default 1)
+		--time <ms>           Minimum time spent timing each parser (default 1000)
+
+	If xml2js is installed it is included for reference.  Memory figures need
+	the --expose-gc flag (the npm script passes it).
+
+	Released under the MIT License
+*/
+
+const path = require('path');
+const documents = require('./documents.js');
+
+const MIN_RUNS = 3;
+const MAX_RUNS = 1000;
+
+function getArgs(argv) {
+    // parse command-line options into hash
+    const args = { baseline: null, docs: null, scale: 1, time: 1000 };
+    for (let idx = 0; idx < argv.length; idx += 1) {
+        const arg = argv[idx];
+        if (arg === '--baseline') {
+            args.baseline = argv[++idx];
+        } else if (arg === '--docs') {
+            args.docs = argv[++idx].split(',');
+        } else if (arg === '--scale') {
+            args.scale = parseFloat(argv[++idx]);
+        } else if (arg === '--time') {
+            args.time = parseInt(argv[++idx], 10);
+        } else {
+            throw new Error("Unknown option: " + arg);
+        }
+    }
+    return args;
+}
+
+function loadLibrary(spec) {
+    // require library by path (relative to current directory) or installed module name
+    const resolved = (spec.startsWith('.') || path.isAbsolute(spec)) ? path.resolve(spec) : spec;
+    return require(resolved);
+}
+
+function getParsers(args) {
+    // build list of { name, parse } to compare
+    const parsers = [{ name: 'current', parse: text => require('../xml.js').parse(text) }];
+    if (args.baseline) {
+        const baseline = loadLibrary(args.baseline);
+        parsers.push({ name: 'baseline', parse: text => baseline.parse(text) });
+    }
+    try {
+        const xml2js = require('xml2js');
+        parsers.push({
+            name: 'xml2js',
+            parse: (text) => {
+                // xml2js calls back synchronously for string input
+                let result = null;
+                xml2js.parseString(text, { async: false }, (err, tree) => {
+                    if (err) {
+                        throw err;
+                    }
+                    result = tree;
+                });
+                return result;
+            }
+        });
+    } catch (err) {
+        // not installed, so not compared
+    }
+    return parsers;
+}
+
+function timeParser(parser, text, minTime) {
+    // parse repeatedly for at least minTime ms (after warm-up), returning median ms per parse
+    parser.parse(text);
+    const times = [];
+    let total = 0;
+    while ((times.length < MIN_RUNS || total < minTime) && times.length < MAX_RUNS) {
+        const start = process.hrtime.bigint();
+        parser.parse(text);
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+        times.push(elapsed);
+        total += elapsed;
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+function measureMemory(parser, text) {
+    // get heap bytes retained by parsed tree, or null without --expose-gc
+    if (!global.gc) {
+        return null;
+    }
+    global.gc();
+    const before = process.memoryUsage().heapUsed;
+    let tree = parser.parse(text);
+    global.gc();
+    const after = process.memoryUsage().heapUsed;
+    tree = null;
+    return Math.max(0, after - before);
+}
+
+function formatBytes(bytes) {
+    // format byte count as KB or MB
+    if (bytes === null) {
+        return 'n/a';
+    }
+    return (bytes >= 1048576) ? (bytes / 1048576).toFixed(1) + ' MB' : (bytes / 1024).toFixed(1) + ' KB';
+}
+
+function printTable(rows) {
+    // print rows (arrays of strings) as aligned columns, first row being the header
+    const widths = rows[0].map((cell, col) => Math.max(...rows.map(row => row[col].length)));
+    for (const row of rows) {
+        console.log(row.map((cell, col) => (col ? cell.padStart(widths[col]) : cell.padEnd(widths[col]))).join('  '));
+    }
+}
+
+function main() {
+    // run each document through each parser and print results
+    const args = getArgs(process.argv.slice(2));
+    const parsers = getParsers(args);
+    const names = args.docs || Object.keys(documents);
+    const rows = [['document', 'size', 'parser', 'median', 'MB/s', 'retained', 'vs current']];
+
+    if (!global.gc) {
+        console.error("Note: run with node --expose-gc to measure memory");
+    }
+    for (const name of names) {
+        if (!documents[name]) {
+            throw new Error("Unknown document: " + name);
+        }
+        const text = documents[name].generate(args.scale);
+        const size = Buffer.byteLength(text);
+        let baseTime = 0;
+
+        for (const parser of parsers) {
+            let time = 0;
+            let memory = null;
+            try {
+                time = timeParser(parser, text, args.time);
+                memory = measureMemory(parser, text);
+            } catch (err) {
+                // e.g. older versions cannot parse ">" in attribute values
+                rows.push([name, formatBytes(size), parser.name, 'failed: ' + (err.code || err.message), '', '', '']);
+                continue;
+            }
+            if (!baseTime) {
+                baseTime = time;
+            }
+            rows.push([
+                name,
+                formatBytes(size),
+                parser.name,
+                time.toFixed(2) + ' ms',
+                (size / 1048576 / (time / 1000)).toFixed(1),
+                formatBytes(memory),
+                (time / baseTime).toFixed(2) + 'x'
+            ]);
+        }
+    }
+    printTable(rows);
+}
+
+main();
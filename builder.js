@@ -0,0 +1,380 @@
+/*
+	Fluent Builder
+	Generates XML by chaining calls, keeping elements in the order they were added.
+	Names are checked as they are added, so an invalid name is an error instead of
+	being silently skipped.  With the "stream" option, each node is written as soon
+	as it is complete, so large documents never have to fit in memory.
+
+	Usage:
+		var xml = XML.builder( 'Feed', { version: 2 } )
+			.ele( 'Item', { id: 1 } ).txt( 'First' ).up()
+			.comment( 'more to come' )
+			.end( { indentString: '  ' } );
+
+		var feed = XML.builder( 'Feed', null, { stream: fs.createWriteStream('feed.xml') } );
+		for (var item of items) {
+			feed.ele( 'Item', { id: item.id } ).txt( item.title ).up();
+			await feed.drain();
+		}
+		await feed.end();
+
+	Released under the MIT License
+*/
+
+const { stringify, encodeAttribEntities } = require('./xml.js');
+const { Node, Element } = require('./dom.js');
+const { composeNodes } = require('./fidelity.js');
+const { composeDeclaration, composePI, composeDoctype } = require('./prolog.js');
+
+const re_name = /^[A-Za-z_][\w\-.]*(?::[A-Za-z_][\w\-.]*)?$/;
+
+// composing options for streamed output (the same defaults as XML.stringify)
+const stream_defaults = {
+    indentString: "\t",
+    eol: '\n',
+    declaration: true,
+    processingInstructions: null,
+    doctype: null,
+    escapeNonASCII: false,
+    escapeControl: false
+};
+
+class Builder {
+    constructor(name, attributes, opts = {}) {
+        // class constructor for builder, positioned in the document element
+        // pass in document element name, its attributes, and composing options (plus `stream`)
+        this.opts = opts;
+        this.stream = opts.stream || null;
+        this.frame = null;
+        this.root = null;
+        this.ended = false;
+        this.needsDrain = false;
+        this.error = null;
+
+        if (this.stream) {
+            // remember stream errors, which are reported by the next call (or drain and end promises)
+            this.stream.on('error', (err) => {
+                this.error = err;
+            });
+            this.opts = Object.assign({}, stream_defaults);
+            for (const key in opts) {
+                if (opts[key] !== undefined) {
+                    this.opts[key] = opts[key];
+                }
+            }
+            this.writeProlog();
+        }
+        this.ele(name, attributes);
+        this.root = this.frame;
+    }
+
+    ele(name, attributes, text) {
+        // add child element (with optional attributes and text), and move into it
+        this.checkOpen();
+        checkName(name, 'element');
+        const parent = this.frame;
+        const frame = { name, attributes: {}, parent, depth: parent ? parent.depth + 1 : 0, scope: parent ? parent.scope : new Set(), elem: null, started: false, hasChildren: false, mixed: false };
+        if (!this.stream) {
+            frame.elem = new Element(name);
+        }
+
+        // attributes may declare the element's own namespace prefix
+        for (const key in attributes) {
+            if (attributes[key] !== undefined && attributes[key] !== null) {
+                setAttribute(frame, key, attributes[key]);
+            }
+        }
+        checkPrefix(name, frame.scope, false);
+        for (const key in frame.attributes) {
+            checkPrefix(key, frame.scope, true);
+        }
+
+        // when streaming, the start tag is written once its content starts (or it closes)
+        if (parent && !this.stream) {
+            parent.elem.append(frame.elem);
+        }
+        this.frame = frame;
+
+        if (text !== undefined && text !== null) {
+            this.txt(text);
+        }
+        return this;
+    }
+
+    att(name, value) {
+        // set attribute on current element, or several at once from a hash
+        this.checkOpen();
+        if (name && typeof name === 'object') {
+            for (const key in name) {
+                this.att(key, name[key]);
+            }
+            return this;
+        }
+        if (this.frame.started) {
+            throw new Error("Cannot add attribute after element content was written: " + name);
+        }
+        setAttribute(this.frame, name, value);
+        checkPrefix(name, this.frame.scope, true);
+        return this;
+    }
+
+    txt(text) {
+        // add text to current element
+        this.checkOpen();
+        if (text !== undefined && text !== null && text !== '') {
+            this.addNode(new Node('text', text));
+        }
+        return this;
+    }
+
+    cdata(text) {
+        // add CDATA section to current element ("]]>" is split across two sections when composed)
+        this.checkOpen();
+        this.addNode(new Node('cdata', String(text)));
+        return this;
+    }
+
+    comment(text) {
+        // add comment to current element
+        this.checkOpen();
+        text = String(text);
+        if (text.includes('--') || text.endsWith('-')) {
+            throw new Error("Comment cannot contain \"--\" or end with \"-\"");
+        }
+        this.addNode(new Node('comment', text));
+        return this;
+    }
+
+    pi(target, body = '') {
+        // add processing instruction to current element
+        this.checkOpen();
+        checkName(target, 'processing instruction target');
+        if (target.toLowerCase() === 'xml') {
+            throw new Error("Use the declaration option for the XML declaration");
+        }
+        if (String(body).includes('?>')) {
+            throw new Error("Processing instruction cannot contain \"?>\"");
+        }
+        this.addNode(new Node('pi', body, target));
+        return this;
+    }
+
+    raw(xml) {
+        // add markup to current element as is (it is not checked)
+        this.checkOpen();
+        this.addNode(new Node('raw', xml));
+        return this;
+    }
+
+    up() {
+        // close current element and move to its parent
+        this.checkOpen();
+        if (this.frame === this.root) {
+            throw new Error("Cannot move up from the document element");
+        }
+        if (this.stream) {
+            this.closeFrame(this.frame);
+        }
+        this.frame = this.frame.parent;
+        return this;
+    }
+
+    end(opts) {
+        // close all open elements and finish document
+        // returns the XML, or when streaming, a promise which resolves once it is all written
+        if (this.stream && this.error && !this.ended) {
+            return Promise.reject(this.error);
+        }
+        this.checkOpen();
+        if (this.stream) {
+            while (this.frame) {
+                this.closeFrame(this.frame);
+                this.frame = this.frame.parent;
+            }
+            this.ended = true;
+            const stream = this.stream;
+            return new Promise((resolve, reject) => {
+                stream.once('error', reject);
+                stream.end(resolve);
+            });
+        }
+        this.ended = true;
+        return stringify(this.root.elem, Object.assign({}, this.opts, opts));
+    }
+
+    drain() {
+        // get promise which resolves when the stream is ready for more output (or rejects if it failed)
+        if (this.error) {
+            return Promise.reject(this.error);
+        }
+        if (!this.needsDrain) {
+            return Promise.resolve();
+        }
+        const stream = this.stream;
+        return new Promise((resolve, reject) => {
+            const onDrain = () => {
+                stream.off('error', onError);
+                resolve();
+            };
+            const onError = (err) => {
+                stream.off('drain', onDrain);
+                reject(err);
+            };
+            stream.once('drain', onDrain);
+            stream.once('error', onError);
+        });
+    }
+
+    toElement() {
+        // get document element as XML.Element (not available when streaming)
+        if (this.stream) {
+            throw new Error("Elements are not kept when streaming");
+        }
+        return this.root.elem;
+    }
+
+    checkOpen() {
+        // make sure builder can still be used, and its stream has not failed
+        if (this.ended) {
+            throw new Error("Builder has already ended");
+        }
+        if (this.error) {
+            throw this.error;
+        }
+    }
+
+    addNode(node) {
+        // add text, CDATA, comment, PI or raw node to current element (or write it out)
+        const frame = this.frame;
+        if (!this.stream) {
+            frame.elem.append(node);
+            return;
+        }
+        this.beginChild(frame, node.type === 'text' || node.type === 'cdata');
+        const fidelity = (node.type === 'pi') ? { type: 'pi', name: node.name, body: node.value } : { type: node.type, value: node.value };
+        this.write(composeNodes(fidelity, this.opts));
+    }
+
+    //
+    // Streaming:
+    //
+
+    writeProlog() {
+        // write XML declaration, processing instructions and DOCTYPE
+        const opts = this.opts;
+        const prolog = [composeDeclaration(opts.declaration)];
+        if (opts.processingInstructions) {
+            opts.processingInstructions.forEach(pi => prolog.push(composePI(pi)));
+        }
+        if (opts.doctype) {
+            prolog.push(composeDoctype(opts.doctype));
+        }
+        const xml = prolog.filter(Boolean).join(opts.eol);
+        if (xml) {
+            this.write(xml + opts.eol);
+        }
+    }
+
+    beginChild(frame, isText) {
+        // write start tag of element (and its ancestors) if needed, then indentation for a new child
+        // once an element has text, the rest of its children are not indented (as with mixed content)
+        if (!frame.started) {
+            if (frame.parent) {
+                this.beginChild(frame.parent, false);
+            }
+            this.write(this.composeStartTag(frame, false));
+            frame.started = true;
+        }
+        if (isText) {
+            frame.mixed = true;
+        } else if (!frame.mixed) {
+            this.write(this.getIndent(frame.depth + 1));
+        }
+        frame.hasChildren = true;
+    }
+
+    closeFrame(frame) {
+        // write end of element, or the whole element if it has no children
+        if (!frame.started) {
+            if (frame.parent) {
+                this.beginChild(frame.parent, false);
+            }
+            this.write(this.composeStartTag(frame, true));
+            return;
+        }
+        if (frame.hasChildren && !frame.mixed) {
+            this.write(this.getIndent(frame.depth));
+        }
+        this.write('</' + frame.name + '>');
+    }
+
+    composeStartTag(frame, selfClosing) {
+        // compose start tag of element in frame
+        let xml = '<' + frame.name;
+        for (const key in frame.attributes) {
+            xml += ' ' + key + '="' + encodeAttribEntities(frame.attributes[key], this.opts) + '"';
+        }
+        return xml + (selfClosing ? '/>' : '>');
+    }
+
+    getIndent(depth) {
+        // get line break and indentation for depth
+        return this.opts.eol + this.opts.indentString.repeat(depth);
+    }
+
+    write(chunk) {
+        // write chunk to stream, noting when it asks us to wait until it drains
+        // the flag is cleared by the stream's drain event itself, which may come before drain() is called
+        if (!this.stream.write(chunk) && !this.needsDrain) {
+            this.needsDrain = true;
+            this.stream.once('drain', () => {
+                this.needsDrain = false;
+            });
+        }
+    }
+}
+
+function setAttribute(frame, name, value) {
+    // record attribute on element in frame, tracking namespace declarations
+    checkName(name, 'attribute');
+    if (name.startsWith('xmlns:')) {
+        if (frame.parent && frame.scope === frame.parent.scope) {
+            frame.scope = new Set(frame.scope);
+        }
+        frame.scope.add(name.substring(6));
+    }
+    Object.defineProperty(frame.attributes, name, { value: String(value), writable: true, enumerable: true, configurable: true });
+    if (frame.elem) {
+        frame.elem.setAttribute(name, value);
+    }
+}
+
+function checkName(name, kind) {
+    // throw if name is not a valid XML name
+    if (typeof name !== 'string' || !re_name.test(name)) {
+        throw new Error("Invalid " + kind + " name: " + name);
+    }
+}
+
+function checkPrefix(name, scope, isAttrib) {
+    // throw if name has a namespace prefix which was not declared on this element or an ancestor
+    const colon = name.indexOf(':');
+    if (colon === -1) {
+        return;
+    }
+    const prefix = name.substring(0, colon);
+    if (prefix === 'xml' || (isAttrib && prefix === 'xmlns') || scope.has(prefix)) {
+        return;
+    }
+    throw new Error("Undeclared namespace prefix: " + name);
+}
+
+function builder(name, attributes, opts) {
+    // create builder for document with given document element
+    return new Builder(name, attributes, opts);
+}
+
+module.exports = {
+    Builder,
+    builder
+};
@@ -0,0 +1,271 @@
+/*
+	Canonical XML
+	Serializes documents following W3C Canonical XML 1.0 and Exclusive XML
+	Canonicalization 1.0, with or without comments, so that documents which are
+	logically equivalent produce identical output (for comparison, hashing and signing).
+
+	Usage:
+		var text = XML.canonicalize( xml_string );
+		var text = XML.canonicalize( xml_string, { exclusive: true, comments: true } );
+		var hash = XML.digest( xml_string, { algorithm: "sha256", encoding: "base64" } );
+
+	Input may be XML text (or bytes), or a full fidelity document or element node.
+	Only whole documents and element subtrees are supported (no XPath node-sets),
+	and DTD attribute defaults are not applied.
+
+	Released under the MIT License
+*/
+
+const { parse, decodeEntities } = require('./xml.js');
+const { decodeXML } = require('./encoding.js');
+const { htmlEntities } = require('./entities.js');
+const { hasOwn } = require('./limits.js');
+
+const xml_namespace = 'http://www.w3.org/XML/1998/namespace';
+const re_line_endings = /\r\n?/g;
+const re_attrib_whitespace = /[\t\n\r]/g;
+const re_pi_markup = /^<\?\s*[\w\-:]+\s*([^]*?)\?>$/;
+
+// algorithm identifiers used by XML Signature
+const c14n_methods = {
+    'http://www.w3.org/TR/2001/REC-xml-c14n-20010315': { exclusive: false, comments: false },
+    'http://www.w3.org/TR/2001/REC-xml-c14n-20010315#WithComments': { exclusive: false, comments: true },
+    'http://www.w3.org/2001/10/xml-exc-c14n#': { exclusive: true, comments: false },
+    'http://www.w3.org/2001/10/xml-exc-c14n#WithComments': { exclusive: true, comments: true }
+};
+
+function canonicalize(source, opts = {}) {
+    // produce canonical form of XML text, bytes, document node or element node
+    // opts: exclusive, comments, inclusivePrefixes (exclusive only), namespaces (in scope above an element), method
+    if (opts.method) {
+        if (!hasOwn(c14n_methods, opts.method)) {
+            throw new Error("Unsupported canonicalization method: " + opts.method);
+        }
+        opts = Object.assign({}, opts, c14n_methods[opts.method]);
+    }
+
+    let node = source;
+    if (typeof source === 'string' || source instanceof Uint8Array) {
+        // line endings are normalized before parsing, as an XML processor would
+        let text = (typeof source === 'string') ? source : decodeXML(source, opts.encoding).text;
+        text = text.replace(re_line_endings, '\n');
+        node = parse(text, { fullFidelity: true, htmlEntities: opts.htmlEntities, entities: opts.entities });
+    }
+
+    const ctx = {
+        exclusive: !!opts.exclusive,
+        comments: !!opts.comments,
+        inclusivePrefixes: new Set((opts.inclusivePrefixes || []).map(prefix => (prefix === '#default') ? '' : prefix)),
+        entities: Object.assign({}, opts.htmlEntities ? htmlEntities : null, opts.entities)
+    };
+    const scope = Object.assign(Object.create(null), opts.namespaces);
+
+    if (node.type === 'document') {
+        return canonicalizeDocument(node, ctx, scope);
+    }
+    return canonicalizeTree(node, ctx, scope, Object.create(null));
+}
+
+function digest(source, opts = {}) {
+    // get SHA digest of canonical form (default SHA-256 in hex)
+    const crypto = require('crypto');
+    return crypto.createHash(opts.algorithm || 'sha256')
+        .update(canonicalize(source, opts), 'utf8')
+        .digest(opts.encoding || 'hex');
+}
+
+function canonicalizeDocument(doc, ctx, scope) {
+    // compose document element, plus comments and PIs outside it on their own lines
+    let xml = '';
+    let afterRoot = false;
+
+    for (const node of doc.children) {
+        if (node.type === 'element') {
+            xml += canonicalizeTree(node, ctx, scope, Object.create(null));
+            afterRoot = true;
+        } else if ((node.type === 'pi' && node.name !== 'xml') || (node.type === 'comment' && ctx.comments)) {
+            // the XML declaration is not a PI, so it is dropped
+            const text = canonicalizeTree(node, ctx, scope, null);
+            xml += afterRoot ? '\n' + text : text + '\n';
+        }
+    }
+    return xml;
+}
+
+function canonicalizeTree(node, ctx, scope, rendered) {
+    // compose node and its descendants in canonical form
+    // pending nodes and end tags are kept on a stack (no recursion), so deep trees cannot overflow
+    const parts = [];
+    const stack = [{ node, scope, rendered }];
+    while (stack.length) {
+        const item = stack.pop();
+        parts.push((typeof item === 'string') ? item : canonicalizeNode(item, ctx, stack));
+    }
+    return parts.join('');
+}
+
+function canonicalizeNode(item, ctx, stack) {
+    // compose single node in canonical form (elements push their children and end tag onto the stack)
+    const { node, scope, rendered } = item;
+    switch (node.type) {
+        case 'element':
+            return canonicalizeElement(node, ctx, scope, rendered, stack);
+
+        case 'text':
+        case 'cdata':
+            return escapeText(node.value);
+
+        case 'comment':
+            return ctx.comments ? '<!--' + node.value + '-->' : '';
+
+        case 'pi':
+            return '<?' + node.name + getPIBody(node) + '?>';
+    }
+    // DOCTYPE is not part of the canonical form
+    return '';
+}
+
+function canonicalizeElement(node, ctx, scope, rendered, stack) {
+    // compose start tag of element with its namespace declarations and sorted attributes
+    const attribs = node.attributes || {};
+    const inner_scope = Object.assign(Object.create(null), scope);
+    const names = [];
+
+    for (const key in attribs) {
+        if (key === 'xmlns') {
+            inner_scope[''] = attribs[key];
+        } else if (key.startsWith('xmlns:')) {
+            inner_scope[key.substring(6)] = attribs[key];
+        } else {
+            names.push(key);
+        }
+    }
+
+    // choose namespace declarations to render
+    let prefixes = null;
+    if (ctx.exclusive) {
+        // only those visibly utilized by the element or its attributes, plus the inclusive list
+        prefixes = new Set([getPrefix(node.name)]);
+        for (const key of names) {
+            const prefix = getPrefix(key);
+            if (prefix) {
+                prefixes.add(prefix);
+            }
+        }
+        for (const prefix of ctx.inclusivePrefixes) {
+            if (prefix in inner_scope) {
+                prefixes.add(prefix);
+            }
+        }
+    } else {
+        prefixes = new Set(Object.keys(inner_scope));
+        prefixes.add('');
+    }
+
+    const inner_rendered = Object.assign(Object.create(null), rendered);
+    const declarations = [];
+    for (const prefix of [...prefixes].sort(compareStrings)) {
+        if (prefix === 'xml') {
+            continue;
+        }
+        const uri = inner_scope[prefix] || '';
+        const current = rendered[prefix] || '';
+        if (prefix === '' ? uri !== current : (uri && rendered[prefix] !== uri)) {
+            declarations.push(' ' + (prefix ? 'xmlns:' + prefix : 'xmlns') + '="' + escapeAttrib(uri) + '"');
+            inner_rendered[prefix] = uri;
+        }
+    }
+
+    // attributes sort by namespace URI, then local name (unqualified attributes first)
+    const sorted = names.map(key => {
+        const prefix = getPrefix(key);
+        const uri = !prefix ? '' : (prefix === 'xml' ? xml_namespace : (inner_scope[prefix] || ''));
+        return { key, uri, local: prefix ? key.substring(prefix.length + 1) : key };
+    }).sort((a, b) => compareStrings(a.uri, b.uri) || compareStrings(a.local, b.local));
+
+    let xml = '<' + node.name + declarations.join('');
+    for (const { key } of sorted) {
+        xml += ' ' + key + '="' + escapeAttrib(getAttribValue(node, key, ctx)) + '"';
+    }
+    xml += '>';
+
+    stack.push('</' + node.name + '>');
+    const children = node.children || [];
+    for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+        stack.push({ node: children[idx], scope: inner_scope, rendered: inner_rendered });
+    }
+    return xml;
+}
+
+function getAttribValue(node, key, ctx) {
+    // get attribute value with whitespace normalized as an XML processor would
+    // literal tabs and line breaks become spaces, but character references are kept
+    const value = String(node.attributes[key]);
+    const format = (node.raw && node.raw.name === node.name && node.raw.attributes) ? node.raw.attributes[key] : null;
+
+    if (format && format.value === node.attributes[key]) {
+        const decoded = decodeEntities(format.text.replace(re_attrib_whitespace, ' '), ctx.entities);
+        if (decoded.replace(re_attrib_whitespace, ' ') === value.replace(re_attrib_whitespace, ' ')) {
+            return decoded;
+        }
+    }
+    return value.replace(re_attrib_whitespace, ' ');
+}
+
+function getPIBody(node) {
+    // get PI data with a single leading space, keeping trailing whitespace from the source
+    const raw = node.raw;
+    if (raw && raw.name === node.name && raw.body === node.body) {
+        const matches = raw.markup.match(re_pi_markup);
+        if (matches) {
+            return matches[1] ? ' ' + matches[1] : '';
+        }
+    }
+    return node.body ? ' ' + node.body : '';
+}
+
+function getPrefix(name) {
+    // get namespace prefix of qualified name, or empty string
+    const idx = name.indexOf(':');
+    return (idx > -1) ? name.substring(0, idx) : '';
+}
+
+function compareStrings(a, b) {
+    // compare strings by code point, as C14N requires (not locale order)
+    // the < and > operators compare UTF-16 code units, which misorder characters beyond U+FFFF
+    for (let idx = 0, len = Math.min(a.length, b.length); idx < len; idx += 1) {
+        const diff = a.codePointAt(idx) - b.codePointAt(idx);
+        if (diff) {
+            return (diff < 0) ? -1 : 1;
+        }
+        if (a.codePointAt(idx) > 0xFFFF) {
+            idx += 1;
+        }
+    }
+    return (a.length < b.length) ? -1 : ((a.length > b.length) ? 1 : 0);
+}
+
+function escapeText(text) {
+    // escape text node content
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\r/g, '&#xD;');
+}
+
+function escapeAttrib(text) {
+    // escape attribute value
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\t/g, '&#x9;')
+        .replace(/\n/g, '&#xA;')
+        .replace(/\r/g, '&#xD;');
+}
+
+module.exports = {
+    canonicalize,
+    digest
+};
@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+
+/*
+	Command-Line Tool
+	Converts, formats, queries and validates XML files (or stdin).
+
+	Usage:
+		pixl-xml convert [options] [file ...]          XML to JSON, or JSON to XML
+		pixl-xml format [options] [file ...]           pretty-print or minify XML
+		pixl-xml query [options] <path> [file ...]     run path query, print matches
+		pixl-xml validate [options] [file ...]         check well-formedness (or XSD with --schema)
+		pixl-xml infer [options] [file ...]            infer types from samples (--to typescript, xsd, etc.)
+
+	Exit codes: 0 success, 1 invalid input (or no query matches), 2 usage error.
+
+	Released under the MIT License
+*/
+
+const fs = require('fs');
+const path = require('path');
+const XML = require('./xml.js');
+const { formatNodes } = require('./fidelity.js');
+const { decodeXML } = require('./encoding.js');
+
+const EXIT_OK = 0;
+const EXIT_INVALID = 1;
+const EXIT_USAGE = 2;
+
+const usage = `Usage: pixl-xml <command> [options] [file ...]
+
+Commands:
+  convert              Convert XML to JSON, or JSON to XML (detected from input)
+  format               Pretty-print XML, keeping document order and comments
+  query <path>         Print nodes matching a path query, e.g. "Items/Item/Price"
+  validate             Check files are well-formed, or valid against --schema
+  infer                Infer types from sample files, as TypeScript, XSD, JSON Schema
+                       or parse schema (the shape follows the parse options)
+
+Reads stdin when no files are given (or for "-").
+
+Parse options:
+  --preserve-attributes      Keep attributes in _Attribs sub-objects
+  --preserve-document-node   Keep the document element in the tree
+  --preserve-whitespace      Keep whitespace around text
+  --lowercase                Convert element and attribute names to lower-case
+  --force-arrays             Wrap all elements in arrays
+  --namespaces               Resolve namespace prefixes
+  --html-entities            Decode HTML named entities
+  --recover                  Repair malformed documents where possible
+  --html                     Parse HTML or "tag soup" leniently (convert, query and
+                             validate without --schema, not with --convention)
+  --xinclude                 Expand XInclude elements (files relative to the input)
+  --external-entities        Load external DTDs and external entities
+  --resource-root <dir>      Directory included files must be in (default: input's)
+  --convention <name>        Use badgerfish, parker, jsonml or gdata mapping
+  --attribs-key <key>        Attributes key (default _Attribs)
+  --data-key <key>           Text key (default _Data)
+
+Output options:
+  --to <json|xml>            Conversion direction (convert)
+  --to <format>              typescript (default), xsd, json-schema or schema (infer)
+  --type-name <name>         Name of the document type (infer, typescript)
+  --root <name>              Document element name for JSON to XML (convert), needed
+                             unless the JSON has the document element as its only key
+  --indent <n|tab>           Indent with n spaces or a tab (default tab)
+  --minify, --compact        No indentation or line breaks
+  --no-declaration           Omit the XML declaration
+  --no-sort                  Keep key order instead of sorting (convert)
+  --json                     Print query matches as one JSON array (query)
+  --schema <file.xsd>        Validate against XSD schema (validate)
+  --quiet                    Do not print OK lines (validate)
+  --output <file>            Write output to file instead of stdout
+  --help, --version
+`;
+
+// boolean flags mapped to parser options
+const parse_flags = {
+    'preserve-attributes': 'preserveAttributes',
+    'preserve-document-node': 'preserveDocumentNode',
+    'preserve-whitespace': 'preserveWhitespace',
+    'lowercase': 'lowerCase',
+    'force-arrays': 'forceArrays',
+    'namespaces': 'namespaces',
+    'html-entities': 'htmlEntities',
+    'recover': 'recover',
+    'html': 'html',
+    'xinclude': 'xinclude',
+    'external-entities': 'externalEntities'
+};
+
+// options taking a value, mapped to parser options
+const parse_values = {
+    'convention': 'convention',
+    'attribs-key': 'attribsKey',
+    'data-key': 'dataKey',
+    'resource-root': 'resourceRoot'
+};
+
+const output_flags = ['minify', 'compact', 'no-declaration', 'no-sort', 'json', 'quiet', 'help', 'version'];
+const output_values = ['to', 'root', 'indent', 'schema', 'output', 'type-name'];
+
+const infer_formats = ['typescript', 'xsd', 'json-schema', 'schema'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    // split command line into { command, args, parseOpts, opts }
+    const result = { command: null, args: [], parseOpts: {}, opts: {} };
+
+    for (let idx = 0; idx < argv.length; idx += 1) {
+        const arg = argv[idx];
+        if (!arg.startsWith('--')) {
+            if (result.command === null && !result.opts.help && !result.opts.version) {
+                result.command = arg;
+            } else {
+                result.args.push(arg);
+            }
+            continue;
+        }
+
+        const name = arg.substring(2);
+        if (parse_flags[name]) {
+            result.parseOpts[parse_flags[name]] = true;
+        } else if (output_flags.includes(name)) {
+            result.opts[name] = true;
+        } else if (parse_values[name] || output_values.includes(name)) {
+            if (idx + 1 >= argv.length) {
+                throw new UsageError("Missing value for option: " + arg);
+            }
+            idx += 1;
+            if (parse_values[name]) {
+                result.parseOpts[parse_values[name]] = argv[idx];
+            } else {
+                result.opts[name] = argv[idx];
+            }
+        } else {
+            throw new UsageError("Unknown option: " + arg);
+        }
+    }
+    return result;
+}
+
+function checkParseFlags(command, parseOpts, opts) {
+    // reject flags the command would otherwise ignore, as the documents are parsed into nodes
+    // (format, infer, validate --schema and conventions), which the html and namespaces modes do not support
+    let where = null;
+    if (command === 'format' || command === 'infer') {
+        where = command;
+    } else if (command === 'validate' && opts.schema) {
+        where = 'validate --schema';
+    } else if (parseOpts.convention) {
+        where = '--convention';
+    }
+    if (where && parseOpts.html) {
+        throw new UsageError("The --html option is not supported with " + where + " (documents must be well-formed XML)");
+    }
+    if (where === '--convention' && parseOpts.namespaces) {
+        throw new UsageError("The --namespaces option is not supported with --convention");
+    }
+}
+
+function getComposeOptions(opts, parseOpts) {
+    // build composing options for stringify() from command line options
+    let indentString = "\t";
+    if (opts.indent !== undefined && opts.indent !== 'tab') {
+        const spaces = parseInt(opts.indent, 10);
+        if (!(spaces >= 0)) {
+            throw new UsageError("Invalid indent: " + opts.indent);
+        }
+        indentString = ' '.repeat(spaces);
+    }
+    const minify = !!(opts.minify || opts.compact);
+
+    return {
+        indentString: minify ? '' : indentString,
+        eol: minify ? '' : '\n',
+        declaration: !opts['no-declaration'],
+        sort: !opts['no-sort'],
+        convention: parseOpts.convention,
+        attribsKey: parseOpts.attribsKey,
+        dataKey: parseOpts.dataKey
+    };
+}
+
+function readInputs(files) {
+    // read each file (or stdin) as bytes, returns array of { name, bytes, baseURI }
+    if (!files.length) {
+        files = ['-'];
+    }
+    return files.map(file => ({
+        name: (file === '-') ? '<stdin>' : file,
+        bytes: fs.readFileSync((file === '-') ? 0 : file),
+        baseURI: (file === '-') ? null : path.resolve(file)
+    }));
+}
+
+function getResourceOptions(input, parseOpts) {
+    // get XInclude and external entity options, resolving relative to the input file
+    return {
+        xinclude: parseOpts.xinclude,
+        externalEntities: parseOpts.externalEntities,
+        resourceRoot: parseOpts.resourceRoot,
+        baseURI: input.baseURI
+    };
+}
+
+function getError(error) {
+    // format error in the parser's getError() format
+    if (error.name === 'XMLParseError' || error.type) {
+        return XML.Parser.prototype.getError(error);
+    }
+    if (error instanceof SyntaxError) {
+        return XML.Parser.prototype.getError({ type: 'JSON', key: error.message });
+    }
+    return XML.Parser.prototype.getError({ key: error.message });
+}
+
+function isJSON(input) {
+    // determine if input holds JSON, from file extension or first character
+    if (path.extname(input.name).toLowerCase() === '.json') {
+        return true;
+    }
+    const text = decodeXML(input.bytes).text.trimStart();
+    return text.startsWith('{') || text.startsWith('[');
+}
+
+//
+// Commands:
+//
+
+function convert(inputs, parseOpts, opts, output) {
+    // convert XML to JSON or JSON to XML
+    const compose = getComposeOptions(opts, parseOpts);
+    if (opts.to && opts.to !== 'json' && opts.to !== 'xml') {
+        throw new UsageError("Invalid conversion target: " + opts.to);
+    }
+    let status = EXIT_OK;
+
+    for (const input of inputs) {
+        try {
+            const to = opts.to || (isJSON(input) ? 'xml' : 'json');
+            if (to === 'json') {
+                const tree = XML.parse(input.bytes, Object.assign({}, parseOpts, getResourceOptions(input, parseOpts)));
+                output.push(JSON.stringify(tree, null, compose.indentString) + '\n');
+            } else {
+                const data = JSON.parse(decodeXML(input.bytes).text);
+                if (!opts.root && !parseOpts.convention) {
+                    checkDocumentNode(data, parseOpts);
+                }
+                const xml = XML.stringify(data, opts.root || null, compose);
+                output.push(compose.eol ? xml : xml + '\n');
+            }
+        } catch (err) {
+            if (err instanceof UsageError) {
+                throw err;
+            }
+            status = reportError(input, err);
+        }
+    }
+    return status;
+}
+
+function checkDocumentNode(data, parseOpts) {
+    // make sure JSON holds only the document element, as its one key, when --root is not given
+    // otherwise the other keys would be lost, so this is a usage error
+    const attribsKey = parseOpts.attribsKey || '_Attribs';
+    const dataKey = parseOpts.dataKey || '_Data';
+    const keys = XML.isaHash(data) ? Object.keys(data) : [];
+    if (keys.length !== 1 || keys[0] === attribsKey || keys[0] === dataKey) {
+        throw new UsageError("JSON input must have the document element as its only key, or pass --root to name it (convert XML with --preserve-document-node to keep it)");
+    }
+}
+
+function format(inputs, parseOpts, opts, output) {
+    // pretty-print or minify XML, keeping document order, comments and PIs
+    const compose = getComposeOptions(opts, parseOpts);
+    let status = EXIT_OK;
+
+    for (const input of inputs) {
+        try {
+            const doc = XML.parse(input.bytes, Object.assign({
+                fullFidelity: true,
+                htmlEntities: parseOpts.htmlEntities,
+                recover: parseOpts.recover
+            }, getResourceOptions(input, parseOpts)));
+            if (!compose.declaration) {
+                doc.children = doc.children.filter(node => !(node.type === 'pi' && node.name === 'xml'));
+            }
+            output.push(formatNodes(doc, compose) + '\n');
+        } catch (err) {
+            status = reportError(input, err);
+        }
+    }
+    return status;
+}
+
+function query(inputs, parseOpts, opts, output, queryPath) {
+    // print nodes matching path, one per line (or all as JSON with --json)
+    const compose = getComposeOptions(opts, parseOpts);
+    const matches = [];
+    let status = EXIT_OK;
+
+    for (const input of inputs) {
+        try {
+            const parser = new XML.Parser(input.bytes, Object.assign({}, parseOpts, getResourceOptions(input, parseOpts)));
+            for (const node of parser.select(queryPath)) {
+                matches.push({ name: input.name, node });
+            }
+        } catch (err) {
+            status = reportError(input, err);
+        }
+    }
+
+    if (opts.json) {
+        output.push(JSON.stringify(matches.map(match => match.node), null, compose.indentString) + '\n');
+    } else {
+        for (const match of matches) {
+            const text = (typeof match.node === 'string') ? match.node : JSON.stringify(match.node, null, compose.indentString);
+            output.push((inputs.length > 1 ? match.name + ': ' : '') + text + '\n');
+        }
+    }
+    return (status === EXIT_OK && !matches.length) ? EXIT_INVALID : status;
+}
+
+function validate(inputs, parseOpts, opts, output) {
+    // check documents are well-formed, or valid against XSD schema
+    const schema = opts.schema ? XML.loadSchema(decodeXML(fs.readFileSync(opts.schema)).text) : null;
+    let status = EXIT_OK;
+
+    for (const input of inputs) {
+        let errors = [];
+        try {
+            if (schema && (parseOpts.xinclude || parseOpts.externalEntities)) {
+                // validate the expanded document
+                errors = schema.validate(XML.parse(input.bytes, Object.assign({ fullFidelity: true }, getResourceOptions(input, parseOpts))));
+            } else if (schema) {
+                errors = schema.validate(decodeXML(input.bytes).text);
+            } else {
+                errors = new XML.Parser(input.bytes, Object.assign({}, parseOpts, getResourceOptions(input, parseOpts), { recover: true })).errors;
+            }
+        } catch (err) {
+            // limits stop parsing even in recover mode
+            errors = [err];
+        }
+
+        if (errors.length) {
+            for (const error of errors) {
+                process.stderr.write(input.name + ': ' + getError(error) + '\n');
+            }
+            status = EXIT_INVALID;
+        } else if (!opts.quiet) {
+            output.push(input.name + ': OK\n');
+        }
+    }
+    return status;
+}
+
+function infer(inputs, parseOpts, opts, output) {
+    // infer schema from all inputs as samples, and print in requested format
+    const compose = getComposeOptions(opts, parseOpts);
+    const to = opts.to || 'typescript';
+    if (!infer_formats.includes(to)) {
+        throw new UsageError("Invalid inference format: " + to);
+    }
+
+    const samples = [];
+    for (const input of inputs) {
+        try {
+            samples.push(XML.parse(input.bytes, Object.assign({
+                fullFidelity: true,
+                htmlEntities: parseOpts.htmlEntities,
+                recover: parseOpts.recover
+            }, getResourceOptions(input, parseOpts))));
+        } catch (err) {
+            return reportError(input, err);
+        }
+    }
+
+    const inferred = XML.inferSchema(samples, parseOpts);
+    if (to === 'typescript') {
+        output.push(inferred.toTypeScript({ typeName: opts['type-name'] }));
+    } else if (to === 'xsd') {
+        output.push(inferred.toXSD({ indentString: compose.indentString, eol: compose.eol || '\n' }));
+    } else {
+        const result = (to === 'schema') ? inferred.toSchema() : inferred.toJSONSchema();
+        output.push(JSON.stringify(result, null, compose.indentString) + '\n');
+    }
+    return EXIT_OK;
+}
+
+function reportError(input, err) {
+    // print error for input file, returns exit code
+    process.stderr.write(input.name + ': ' + getError(err) + '\n');
+    return EXIT_INVALID;
+}
+
+const commands = { convert, format, query, validate, infer };
+
+function main(argv) {
+    // run command line, returns exit code
+    let status = EXIT_OK;
+    try {
+        const { command, args, parseOpts, opts } = parseArgs(argv);
+        if (opts.version) {
+            process.stdout.write(require('./package.json').version + '\n');
+            return EXIT_OK;
+        }
+        if (opts.help || command === 'help') {
+            process.stdout.write(usage);
+            return EXIT_OK;
+        }
+        if (!command) {
+            throw new UsageError("No command given");
+        }
+        if (!commands[command]) {
+            throw new UsageError("Unknown command: " + command);
+        }
+
+        checkParseFlags(command, parseOpts, opts);
+
+        let queryPath = null;
+        if (command === 'query') {
+            queryPath = args.shift();
+            if (!queryPath) {
+                throw new UsageError("No query path given");
+            }
+        }
+
+        const output = [];
+        status = commands[command](readInputs(args), parseOpts, opts, output, queryPath);
+
+        if (opts.output) {
+            fs.writeFileSync(opts.output, output.join(''));
+        } else {
+            process.stdout.write(output.join(''));
+        }
+    } catch (err) {
+        if (err instanceof UsageError) {
+            process.stderr.write("pixl-xml: " + err.message + "\n\n" + usage);
+            return EXIT_USAGE;
+        }
+        process.stderr.write("pixl-xml: " + err.message + "\n");
+        return (err.code === 'ENOENT' || err.code === 'EISDIR' || err.code === 'EACCES') ? EXIT_USAGE : EXIT_INVALID;
+    }
+    return status;
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,498 @@
+/*
+	XML/JSON Mapping Conventions
+	Alternative object mappings selected with the "convention" option, in place
+	of the built-in _Attribs / _Data mapping.  Documents are parsed into ordered
+	nodes (see fidelity.js) which each convention converts, and conventions compose
+	back into nodes, so any mapping can preserve as much ordering as it wants.
+
+	Built-in:
+		badgerfish    { "a": { "@href": "x", "$": "text", "b": [ {...}, {...} ] } }
+		parker        { "b": [ 1, 2 ] }  (root absorbed, attributes dropped, values typed)
+		jsonml        [ "a", { "href": "x" }, "text", [ "b", "1" ] ]
+		gdata         { "version": "1.0", "encoding": "UTF-8", "a": { "href": "x", "$t": "text" } }
+
+	Usage:
+		var doc = XML.parse( text, { convention: "badgerfish" } );
+		var xml = XML.stringify( doc, { convention: "badgerfish" } );
+
+		XML.registerConvention( "mine", {
+			parse: function(doc, opts) { ... return value; },
+			compose: function(value, name, opts) { ... return node; }
+		} );
+
+	Released under the MIT License
+*/
+
+const { isaHash } = require('./xml.js');
+const { formatNodes } = require('./fidelity.js');
+const { hasOwn, setKey } = require('./limits.js');
+
+const re_parker_number = /^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/;
+const re_decl_version = /\bversion\s*=\s*(["'])([^"']*)\1/;
+const re_decl_encoding = /\bencoding\s*=\s*(["'])([^"']*)\1/;
+
+const conventions = Object.create(null);
+
+function registerConvention(name, convention) {
+    // add named convention, which must provide parse(doc, opts) and compose(value, name, opts)
+    if (!convention || typeof convention.parse !== 'function' || typeof convention.compose !== 'function') {
+        throw new Error("Convention must provide parse() and compose() functions: " + name);
+    }
+    conventions[String(name).toLowerCase()] = convention;
+    return convention;
+}
+
+function getConvention(convention) {
+    // look up convention by name (convention objects pass through)
+    if (typeof convention === 'object') {
+        return convention;
+    }
+    const name = String(convention).toLowerCase();
+    if (!conventions[name]) {
+        throw new Error("Unknown XML convention: " + convention);
+    }
+    return conventions[name];
+}
+
+function parseConvention(doc, opts) {
+    // convert parsed document node using convention from options
+    return getConvention(opts.convention).parse(doc, opts);
+}
+
+function composeConvention(value, name, opts) {
+    // compose value into XML using convention from options (the declaration is added by the caller)
+    const result = getConvention(opts.convention).compose(value, name, opts);
+    let nodes = (result.type === 'document') ? result.children : [].concat(result);
+
+    if (opts.declaration === false && isDeclaration(nodes[0])) {
+        nodes = nodes.slice(1);
+    }
+    return formatNodes(nodes, opts) + opts.eol;
+}
+
+function isDeclaration(node) {
+    // determine if node is the XML declaration PI
+    return !!node && node.type === 'pi' && node.name === 'xml';
+}
+
+//
+// Node Helpers:
+//
+
+function getRootElement(doc) {
+    // find document element, or null
+    return doc.children.find(node => node.type === 'element') || null;
+}
+
+function getContent(elem, opts, trim = true) {
+    // get child elements and text of element in order, skipping comments and PIs
+    // adjacent text and CDATA are merged, and unless whitespace is preserved, text is
+    // trimmed (or if trim is false, only whitespace-only text is dropped)
+    const content = [];
+    for (const child of elem.children) {
+        if (child.type === 'element') {
+            content.push(child);
+        } else if (child.type === 'text' || child.type === 'cdata') {
+            if (typeof content[content.length - 1] === 'string') {
+                content[content.length - 1] += child.value;
+            } else {
+                content.push(child.value);
+            }
+        }
+    }
+    if (opts.preserveWhitespace) {
+        return content;
+    }
+    return content
+        .map(item => (typeof item === 'string' && (trim || !item.trim())) ? item.trim() : item)
+        .filter(item => item !== '');
+}
+
+function addChild(hash, key, value) {
+    // add value to hash, converting to array for repeated keys
+    if (!hasOwn(hash, key)) {
+        setKey(hash, key, value);
+    } else if (Array.isArray(hash[key])) {
+        hash[key].push(value);
+    } else {
+        hash[key] = [hash[key], value];
+    }
+}
+
+function appendText(text, value) {
+    // join text runs with a space, as the default parser does
+    return (text === undefined) ? value : text + ' ' + value;
+}
+
+function isaObject(value) {
+    // determine if value is a hash of keys (dates are written as text)
+    return isaHash(value) && !(value instanceof Date);
+}
+
+function elementNode(name, attributes = {}, children = []) {
+    // create element node for composing
+    return { type: 'element', name, attributes, children, selfClosing: !children.length };
+}
+
+function textNode(value) {
+    // create text node for composing
+    return { type: 'text', value: (value instanceof Date) ? value.toISOString() : String(value) };
+}
+
+function createElements(name, value, stack) {
+    // create element node for value (or one per item of an array), to be filled in from the stack
+    // conventions fill nodes from a stack rather than recursing, so deep values cannot overflow
+    const nodes = [];
+    for (const item of [value].flat(Infinity)) {
+        const elem = elementNode(name);
+        stack.push([elem, item]);
+        nodes.push(elem);
+    }
+    return nodes;
+}
+
+//
+// BadgerFish: attributes as "@name", text as "$", namespace declarations in "@xmlns"
+//
+
+function badgerfishElement(root, opts) {
+    // convert element node into BadgerFish object
+    // child objects are added empty, then filled in from the stack
+    const result = {};
+    const stack = [[root, result]];
+
+    while (stack.length) {
+        const [elem, obj] = stack.pop();
+        for (const key in elem.attributes) {
+            const value = elem.attributes[key];
+            if (key === 'xmlns' || key.startsWith('xmlns:')) {
+                const namespaces = obj['@xmlns'] || (obj['@xmlns'] = {});
+                setKey(namespaces, (key === 'xmlns') ? '$' : key.substring(6), value);
+            } else {
+                setKey(obj, '@' + key, value);
+            }
+        }
+        for (const child of getContent(elem, opts)) {
+            if (typeof child === 'string') {
+                obj.$ = appendText(obj.$, child);
+            } else {
+                const value = {};
+                addChild(obj, child.name, value);
+                stack.push([child, value]);
+            }
+        }
+    }
+    return result;
+}
+
+function badgerfishNodes(name, value) {
+    // convert BadgerFish value into element nodes (arrays are repeated elements)
+    const stack = [];
+    const nodes = createElements(name, value, stack);
+
+    while (stack.length) {
+        const [elem, item] = stack.pop();
+        if (!isaObject(item)) {
+            if (item != null) {
+                elem.children.push(textNode(item));
+            }
+        } else {
+            for (const key in item) {
+                if (key === '@xmlns' && isaObject(item[key])) {
+                    for (const prefix in item[key]) {
+                        setKey(elem.attributes, (prefix === '$') ? 'xmlns' : 'xmlns:' + prefix, item[key][prefix]);
+                    }
+                } else if (key.charAt(0) === '@') {
+                    setKey(elem.attributes, key.substring(1), item[key]);
+                } else if (key === '$') {
+                    elem.children.push(textNode(item[key]));
+                } else {
+                    elem.children.push(...createElements(key, item[key], stack));
+                }
+            }
+        }
+        elem.selfClosing = !elem.children.length;
+    }
+    return nodes;
+}
+
+registerConvention('badgerfish', {
+    parse(doc, opts) {
+        // document becomes { rootName: {...} }
+        const root = getRootElement(doc);
+        const result = {};
+        if (root) {
+            setKey(result, root.name, badgerfishElement(root, opts));
+        }
+        return result;
+    },
+    compose(value, name, opts) {
+        // name (if given) wraps value as the document element
+        if (name) {
+            value = { [name]: value };
+        }
+        const key = Object.keys(value)[0];
+        return key ? badgerfishNodes(key, value[key]) : [];
+    }
+});
+
+//
+// Parker: document element absorbed, attributes dropped, text typed as number / boolean
+//
+
+function parkerValue(root, opts) {
+    // convert element node into Parker value
+    // child objects are added empty, then filled in from the stack
+    const stack = [];
+    const result = parkerContent(getContent(root, opts), stack);
+
+    while (stack.length) {
+        const [obj, elements] = stack.pop();
+        for (const child of elements) {
+            addChild(obj, child.name, parkerContent(getContent(child, opts), stack));
+        }
+    }
+    return result;
+}
+
+function parkerContent(content, stack) {
+    // convert element content into typed value, or an object to be filled in from the stack
+    const elements = content.filter(item => typeof item !== 'string');
+    if (!elements.length) {
+        return content.length ? parkerScalar(content.join(' ')) : null;
+    }
+
+    const obj = {};
+    stack.push([obj, elements]);
+    return obj;
+}
+
+function parkerScalar(text) {
+    // convert numeric and boolean text to typed values
+    if (re_parker_number.test(text)) {
+        return Number(text);
+    }
+    if (text === 'true' || text === 'false') {
+        return text === 'true';
+    }
+    return text;
+}
+
+function parkerElement(name, value) {
+    // convert Parker value into element node
+    const root = elementNode(name);
+    const stack = [[root, value]];
+
+    while (stack.length) {
+        const [elem, item] = stack.pop();
+        if (isaObject(item)) {
+            for (const key of Object.keys(item)) {
+                elem.children.push(...createElements(key, item[key], stack));
+            }
+        } else if (item != null) {
+            elem.children.push(textNode(item));
+        }
+        elem.selfClosing = !elem.children.length;
+    }
+    return root;
+}
+
+registerConvention('parker', {
+    parse(doc, opts) {
+        // document becomes the value of its document element
+        const root = getRootElement(doc);
+        return root ? parkerValue(root, opts) : null;
+    },
+    compose(value, name, opts) {
+        // document element name is not part of the value, so use name or rootName option
+        return parkerElement(name || opts.rootName || 'root', value);
+    }
+});
+
+//
+// JsonML: [ "name", { attributes }, ...children ] with text as strings, in document order
+// (text is not trimmed, as it may sit between elements)
+//
+
+function jsonmlElement(root, opts) {
+    // convert element node into JsonML array
+    // child arrays are added with just the name, then filled in from the stack
+    const result = [root.name];
+    const stack = [[root, result]];
+
+    while (stack.length) {
+        const [elem, list] = stack.pop();
+        const keys = Object.keys(elem.attributes);
+        if (keys.length) {
+            const attributes = {};
+            for (const key of keys) {
+                setKey(attributes, key, elem.attributes[key]);
+            }
+            list.push(attributes);
+        }
+        for (const child of getContent(elem, opts, false)) {
+            if (typeof child === 'string') {
+                list.push(child);
+            } else {
+                const item = [child.name];
+                list.push(item);
+                stack.push([child, item]);
+            }
+        }
+    }
+    return result;
+}
+
+function jsonmlNode(value) {
+    // convert JsonML array (element) or string (text) into node
+    const stack = [];
+    const node = jsonmlChild(value, stack);
+
+    while (stack.length) {
+        const [elem, list] = stack.pop();
+        let idx = 1;
+        if (isaObject(list[1])) {
+            elem.attributes = Object.assign({}, list[1]);
+            idx = 2;
+        }
+        for (const item of list.slice(idx)) {
+            if (item != null) {
+                elem.children.push(jsonmlChild(item, stack));
+            }
+        }
+        elem.selfClosing = !elem.children.length;
+    }
+    return node;
+}
+
+function jsonmlChild(value, stack) {
+    // convert string into text node, or array into element node to be filled in from the stack
+    if (!Array.isArray(value)) {
+        return textNode(value);
+    }
+    if (typeof value[0] !== 'string') {
+        throw new Error("Invalid JsonML element: expected tag name as first item");
+    }
+
+    const elem = elementNode(value[0]);
+    stack.push([elem, value]);
+    return elem;
+}
+
+registerConvention('jsonml', {
+    parse(doc, opts) {
+        // document becomes its document element array
+        const root = getRootElement(doc);
+        return root ? jsonmlElement(root, opts) : null;
+    },
+    compose(value, name, opts) {
+        // element name is always the first array item
+        return jsonmlNode(value);
+    }
+});
+
+//
+// GData: attributes as plain properties, text as "$t", ":" in names written as "$"
+//
+
+function gdataName(name) {
+    // convert XML name to GData key
+    return name.replace(/:/g, '$');
+}
+
+function xmlName(key) {
+    // convert GData key to XML name
+    return key.replace(/\$/g, ':');
+}
+
+function gdataElement(root, opts) {
+    // convert element node into GData object
+    // child objects are added empty, then filled in from the stack
+    const result = {};
+    const stack = [[root, result]];
+
+    while (stack.length) {
+        const [elem, obj] = stack.pop();
+        for (const key in elem.attributes) {
+            setKey(obj, gdataName(key), elem.attributes[key]);
+        }
+        for (const child of getContent(elem, opts)) {
+            if (typeof child === 'string') {
+                obj.$t = appendText(obj.$t, child);
+            } else {
+                const value = {};
+                addChild(obj, gdataName(child.name), value);
+                stack.push([child, value]);
+            }
+        }
+    }
+    return result;
+}
+
+function gdataNodes(name, value) {
+    // convert GData object into element nodes (arrays are repeated elements)
+    const stack = [];
+    const nodes = createElements(xmlName(name), value, stack);
+
+    while (stack.length) {
+        const [elem, item] = stack.pop();
+        if (!isaObject(item)) {
+            if (item != null) {
+                elem.children.push(textNode(item));
+            }
+        } else {
+            for (const key in item) {
+                const child = item[key];
+                if (key === '$t') {
+                    elem.children.push(textNode(child));
+                } else if (isaObject(child) || Array.isArray(child)) {
+                    elem.children.push(...createElements(xmlName(key), child, stack));
+                } else {
+                    setKey(elem.attributes, xmlName(key), child);
+                }
+            }
+        }
+        elem.selfClosing = !elem.children.length;
+    }
+    return nodes;
+}
+
+registerConvention('gdata', {
+    parse(doc, opts) {
+        // document becomes { version, encoding, rootName: {...} }
+        const decl = doc.children.find(isDeclaration);
+        const result = {
+            version: (decl && decl.body.match(re_decl_version)?.[2]) || '1.0',
+            encoding: (decl && decl.body.match(re_decl_encoding)?.[2]) || 'UTF-8'
+        };
+        const root = getRootElement(doc);
+        if (root) {
+            setKey(result, gdataName(root.name), gdataElement(root, opts));
+        }
+        return result;
+    },
+    compose(value, name, opts) {
+        // plain properties at the top level describe the XML declaration
+        if (name) {
+            value = { [name]: value };
+        }
+        const doc = { type: 'document', children: [] };
+        for (const key in value) {
+            if (isaObject(value[key])) {
+                doc.children.push(...gdataNodes(key, value[key]));
+            }
+        }
+        if (value.version != null || value.encoding != null) {
+            const body = 'version="' + (value.version || '1.0') + '"' + (value.encoding ? ' encoding="' + value.encoding + '"' : '');
+            doc.children.unshift({ type: 'pi', name: 'xml', body });
+        }
+        return doc;
+    }
+});
+
+module.exports = {
+    registerConvention,
+    getConvention,
+    parseConvention,
+    composeConvention
+};
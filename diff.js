@@ -0,0 +1,561 @@
+/*
+	Structural Diff and Patch
+	Compares two simplified trees (or XML strings) and reports added, removed and
+	changed elements, attributes and text by path.  Repeated siblings are aligned
+	as lists whether or not they were collapsed to a single value, so one extra
+	sibling is reported as a single addition.
+
+	Usage:
+		var changes = XML.diff( old_xml, new_xml );
+		// [ { op: "replace", path: "/Config/Server[2]/@port", value: "8080", oldValue: "80" }, ... ]
+
+		var tree = XML.patch( old_tree, changes );
+		var xml_patch = XML.diff( old_xml, new_xml, { format: "rfc5261" } );
+
+	Paths use the same syntax as XML.query(): Name[n] (1-based, when there are
+	several siblings of that name), @attribute and text().  Operations are applied
+	in order, and each path refers to the tree as left by the previous operation.
+
+	Released under the MIT License
+*/
+
+const { parse, stringify, encodeEntities, encodeAttribEntities, isaHash } = require('./xml.js');
+const { hasOwn, setKey } = require('./limits.js');
+
+const re_path_step = /^([\w\-:.]+)(?:\[(\d+)\])?$/;
+const max_edit_distance = 2000;
+
+function getContext(opts = {}) {
+    // resolve tree keys and options used by diff and patch
+    return {
+        attribsKey: opts.attribsKey || '_Attribs',
+        dataKey: opts.dataKey || '_Data',
+        namespacesKey: opts.namespacesKey || '_Namespaces',
+        forceArrays: !!opts.forceArrays,
+        documentNodeName: opts.documentNodeName || ''
+    };
+}
+
+function loadTree(source, opts) {
+    // parse XML text (or bytes) keeping attributes and the document node, so paths are complete
+    if (typeof source === 'string' || source instanceof Uint8Array) {
+        return parse(source, Object.assign({}, opts, { preserveAttributes: true, preserveDocumentNode: true }));
+    }
+    return source;
+}
+
+function diff(a, b, opts = {}) {
+    // compare two trees (or XML strings), returns array of changes
+    // or XML Patch (RFC 5261) document with { format: "rfc5261" }
+    const ctx = getContext(opts);
+    const left = loadTree(a, opts);
+    const right = loadTree(b, opts);
+    const changes = [];
+
+    diffTree(left, right, ctx.documentNodeName ? '/' + ctx.documentNodeName : '', changes, ctx);
+
+    if (opts.format === 'rfc5261') {
+        return composeXMLPatch(changes, left, ctx, opts);
+    }
+    return changes;
+}
+
+function diffTree(a, b, path, changes, ctx) {
+    // compare two element values and all their descendants
+    // pending comparisons are kept on a stack (no recursion), so deep trees cannot overflow
+    const stack = [{ a, b, path }];
+    while (stack.length) {
+        const item = stack.pop();
+        if (item.op) {
+            changes.push(item);
+            continue;
+        }
+        const tasks = diffElement(item.a, item.b, item.path, changes, ctx);
+        for (let idx = tasks.length - 1; idx >= 0; idx -= 1) {
+            stack.push(tasks[idx]);
+        }
+    }
+}
+
+function diffElement(a, b, path, changes, ctx) {
+    // compare attributes and text of two element values
+    // returns list of child changes and child comparisons { a, b, path } to follow, in order
+    const left = expandElement(a, ctx);
+    const right = expandElement(b, ctx);
+
+    for (const name in left.attribs) {
+        if (!hasOwn(right.attribs, name)) {
+            changes.push({ op: 'remove', path: path + '/@' + name, oldValue: left.attribs[name] });
+        } else if (String(left.attribs[name]) !== String(right.attribs[name])) {
+            changes.push({ op: 'replace', path: path + '/@' + name, value: right.attribs[name], oldValue: left.attribs[name] });
+        }
+    }
+    for (const name in right.attribs) {
+        if (!hasOwn(left.attribs, name)) {
+            changes.push({ op: 'add', path: path + '/@' + name, value: right.attribs[name] });
+        }
+    }
+
+    if (left.text === undefined && right.text !== undefined) {
+        changes.push({ op: 'add', path: path + '/text()', value: right.text });
+    } else if (left.text !== undefined && right.text === undefined) {
+        changes.push({ op: 'remove', path: path + '/text()', oldValue: left.text });
+    } else if (left.text !== undefined && String(left.text) !== String(right.text)) {
+        changes.push({ op: 'replace', path: path + '/text()', value: right.text, oldValue: left.text });
+    }
+
+    const names = Object.keys(left.children);
+    for (const name in right.children) {
+        if (!hasOwn(left.children, name)) {
+            names.push(name);
+        }
+    }
+    const tasks = [];
+    for (const name of names) {
+        diffList(left.children[name] || [], right.children[name] || [], path, name, tasks);
+    }
+    return tasks;
+}
+
+function diffList(a, b, path, name, tasks) {
+    // compare sibling lists of the same name, aligning equal elements (longest common subsequence)
+    const indexed = Math.max(a.length, b.length) > 1;
+    const step = (pos) => path + '/' + name + (indexed ? '[' + pos + ']' : '');
+    let pos = 1;
+
+    for (const [removed, added, same] of alignLists(a, b)) {
+        // pair up removed and added elements in each gap as changes
+        const paired = Math.min(removed.length, added.length);
+        for (let idx = 0; idx < paired; idx += 1) {
+            tasks.push({ a: removed[idx], b: added[idx], path: step(pos) });
+            pos += 1;
+        }
+        for (let idx = paired; idx < removed.length; idx += 1) {
+            tasks.push({ op: 'remove', path: step(pos), oldValue: removed[idx] });
+        }
+        for (let idx = paired; idx < added.length; idx += 1) {
+            tasks.push({ op: 'add', path: step(pos), value: added[idx] });
+            pos += 1;
+        }
+        pos += same;
+    }
+}
+
+function alignLists(a, b) {
+    // split two lists into runs of [ removed, added, count of equal items which follow ]
+    if (Math.min(a.length, b.length) === 0 || Math.max(a.length, b.length) === 1) {
+        // nothing to align, and single elements are compared anyway (equal ones yield no changes)
+        return [[a, b, 0]];
+    }
+    const keys_a = a.map(serialize);
+    const keys_b = b.map(serialize);
+    const runs = [];
+    let run = [[], [], 0];
+
+    for (const [type, idx] of editScript(keys_a, keys_b)) {
+        if (type === 0) {
+            run[2] += 1;
+            continue;
+        }
+        if (run[2]) {
+            runs.push(run);
+            run = [[], [], 0];
+        }
+        if (type < 0) {
+            run[0].push(a[idx]);
+        } else {
+            run[1].push(b[idx]);
+        }
+    }
+    runs.push(run);
+    return runs;
+}
+
+function editScript(a, b) {
+    // shortest edit script between two lists of keys (Myers' algorithm)
+    // returns list of [ 0, idx ] (equal), [ -1, idx in a ] (removed) or [ 1, idx in b ] (added)
+    const n = a.length;
+    const m = b.length;
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = [];
+    let found = false;
+
+    for (let d = 0; d <= n + m && d <= max_edit_distance; d += 1) {
+        // remember diagonals -d-1..d+1 from before this round, for backtracking
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x += 1;
+                y += 1;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+        if (found) {
+            break;
+        }
+    }
+
+    if (!found) {
+        // too many differences to align, so compare items in order
+        const script = [];
+        for (let idx = 0; idx < n; idx += 1) {
+            script.push([-1, idx]);
+        }
+        for (let idx = 0; idx < m; idx += 1) {
+            script.push([1, idx]);
+        }
+        return script;
+    }
+
+    const script = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d -= 1) {
+        const prev = trace[d];
+        const at = (k) => prev[k + d + 1];
+        const k = x - y;
+        const prev_k = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prev_x = at(prev_k);
+        const prev_y = prev_x - prev_k;
+
+        while (x > prev_x && y > prev_y) {
+            x -= 1;
+            y -= 1;
+            script.push([0, x]);
+        }
+        if (d > 0) {
+            script.push((x === prev_x) ? [1, prev_y] : [-1, prev_x]);
+        }
+        x = prev_x;
+        y = prev_y;
+    }
+    return script.reverse();
+}
+
+function serialize(value) {
+    // stable string form of value for equality tests (hash keys sorted)
+    // pending values and punctuation are kept on a stack (no recursion), so deep trees cannot overflow
+    const parts = [];
+    const stack = [{ value }];
+    while (stack.length) {
+        const item = stack.pop();
+        if (typeof item === 'string') {
+            parts.push(item);
+            continue;
+        }
+
+        const value = item.value;
+        if (Array.isArray(value)) {
+            parts.push('[');
+            stack.push(']');
+            for (let idx = value.length - 1; idx >= 0; idx -= 1) {
+                stack.push({ value: value[idx] });
+                if (idx) {
+                    stack.push(',');
+                }
+            }
+        } else if (isaHash(value) && !(value instanceof Date)) {
+            const keys = Object.keys(value).sort();
+            parts.push('{');
+            stack.push('}');
+            for (let idx = keys.length - 1; idx >= 0; idx -= 1) {
+                stack.push({ value: value[keys[idx]] });
+                stack.push((idx ? ',' : '') + JSON.stringify(keys[idx]) + ':');
+            }
+        } else {
+            parts.push(JSON.stringify(value == null ? '' : String(value)));
+        }
+    }
+    return parts.join('');
+}
+
+function expandElement(value, ctx) {
+    // split element value (hash or compressed text) into attributes, text and child lists
+    const result = { attribs: {}, text: undefined, children: {} };
+    if (!isaHash(value) || value instanceof Date) {
+        if (value != null && value !== '') {
+            result.text = value;
+        }
+        return result;
+    }
+
+    for (const key in value) {
+        if (key === ctx.attribsKey) {
+            result.attribs = value[key] || {};
+        } else if (key === ctx.dataKey) {
+            result.text = value[key];
+        } else if (key !== ctx.namespacesKey) {
+            setKey(result.children, key, Array.isArray(value[key]) ? value[key] : [value[key]]);
+        }
+    }
+    return result;
+}
+
+//
+// Patch:
+//
+
+function patch(tree, changes, opts = {}) {
+    // apply changes from diff() to copy of tree (or XML string), returns new tree
+    const ctx = getContext(opts);
+    const root = { value: cloneValue(loadTree(tree, opts)) };
+
+    for (const change of changes) {
+        applyChange(root, change, ctx);
+    }
+    return root.value;
+}
+
+function applyChange(root, change, ctx) {
+    // apply single change, throws if its path does not exist
+    const steps = parsePath(change.path, ctx);
+    const last = steps.pop();
+    const ref = resolvePath(root, steps, ctx, change.path);
+
+    if (last.attrib || last.text) {
+        const elem = expandRef(ref, ctx);
+        if (last.attrib) {
+            const attribs = elem[ctx.attribsKey] || (elem[ctx.attribsKey] = {});
+            if (change.op === 'remove') {
+                delete attribs[last.attrib];
+                if (!Object.keys(attribs).length) {
+                    delete elem[ctx.attribsKey];
+                }
+            } else {
+                setKey(attribs, last.attrib, change.value);
+            }
+        } else if (change.op === 'remove') {
+            delete elem[ctx.dataKey];
+        } else {
+            elem[ctx.dataKey] = change.value;
+        }
+        ref.set(compressValue(elem, ctx));
+        return;
+    }
+
+    // element operation within list of same-named siblings
+    const parent = expandRef(ref, ctx);
+    const list = getList(parent, last.name);
+    const idx = last.index - 1;
+    if (change.op === 'add' ? idx > list.length : idx >= list.length) {
+        throw new Error("Patch path not found: " + change.path);
+    }
+
+    if (change.op === 'add') {
+        list.splice(idx, 0, cloneValue(change.value));
+    } else if (change.op === 'remove') {
+        list.splice(idx, 1);
+    } else if (change.op === 'replace') {
+        list[idx] = cloneValue(change.value);
+    } else {
+        throw new Error("Unknown patch operation: " + change.op);
+    }
+    setList(parent, last.name, list, ctx);
+    ref.set(compressValue(parent, ctx));
+}
+
+function resolvePath(root, steps, ctx, path) {
+    // follow element steps from root, returns reference { get, set } to the element value
+    let ref = { get: () => root.value, set: (value) => { root.value = value; } };
+    for (const step of steps) {
+        const parent = expandRef(ref, ctx);
+        const idx = step.index - 1;
+        if (idx >= getList(parent, step.name).length) {
+            throw new Error("Patch path not found: " + path);
+        }
+        ref = {
+            get: () => getList(parent, step.name)[idx],
+            set: (value) => {
+                const list = getList(parent, step.name);
+                list[idx] = value;
+                setList(parent, step.name, list, ctx);
+            }
+        };
+    }
+    return ref;
+}
+
+function parsePath(path, ctx) {
+    // split change path into steps: { name, index } then optional { attrib } or { text }
+    const segments = String(path).split('/');
+    if (segments[0] !== '') {
+        throw new Error("Invalid patch path: " + path);
+    }
+    segments.shift();
+    if (ctx.documentNodeName) {
+        // document node is omitted from the tree
+        if (segments[0] !== ctx.documentNodeName) {
+            throw new Error("Patch path not found: " + path);
+        }
+        segments.shift();
+    }
+
+    return segments.map((segment, idx) => {
+        const final = (idx === segments.length - 1);
+        if (final && segment.startsWith('@')) {
+            return { attrib: segment.substring(1) };
+        }
+        if (final && segment === 'text()') {
+            return { text: true };
+        }
+        const matches = segment.match(re_path_step);
+        if (!matches) {
+            throw new Error("Invalid patch path: " + path);
+        }
+        return { name: matches[1], index: matches[2] ? parseInt(matches[2], 10) : 1 };
+    });
+}
+
+function expandRef(ref, ctx) {
+    // make sure referenced element is a hash (text-only elements become { _Data })
+    let value = ref.get();
+    if (!isaHash(value) || value instanceof Date) {
+        value = (value == null || value === '') ? {} : { [ctx.dataKey]: value };
+        ref.set(value);
+    }
+    return value;
+}
+
+function compressValue(value, ctx) {
+    // collapse element with only text back into a string, as the parser does
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === ctx.dataKey) {
+        return value[ctx.dataKey];
+    }
+    return value;
+}
+
+function getList(parent, name) {
+    // get copy of sibling list for name
+    if (!hasOwn(parent, name)) {
+        return [];
+    }
+    return Array.isArray(parent[name]) ? parent[name].slice() : [parent[name]];
+}
+
+function setList(parent, name, list, ctx) {
+    // store sibling list, collapsing single elements unless forceArrays is set
+    if (!list.length) {
+        delete parent[name];
+    } else if (list.length === 1 && !ctx.forceArrays) {
+        setKey(parent, name, list[0]);
+    } else {
+        setKey(parent, name, list);
+    }
+}
+
+function cloneValue(value) {
+    // deep copy of tree value
+    // arrays and hashes are created empty, then filled in from a stack (no recursion)
+    const stack = [];
+    const result = cloneShallow(value, stack);
+    while (stack.length) {
+        const [copy, source] = stack.pop();
+        if (Array.isArray(source)) {
+            for (const item of source) {
+                copy.push(cloneShallow(item, stack));
+            }
+        } else {
+            for (const key in source) {
+                setKey(copy, key, cloneShallow(source[key], stack));
+            }
+        }
+    }
+    return result;
+}
+
+function cloneShallow(value, stack) {
+    // copy dates and simple values, or create empty array or hash to be filled in from the stack
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (Array.isArray(value) || isaHash(value)) {
+        const copy = Array.isArray(value) ? [] : {};
+        stack.push([copy, value]);
+        return copy;
+    }
+    return value;
+}
+
+//
+// XML Patch (RFC 5261) output:
+//
+
+function composeXMLPatch(changes, tree, ctx, opts) {
+    // convert changes into XML Patch document, following along on a copy of the tree
+    // so that insertions can be placed relative to their siblings
+    const eol = (opts.eol !== undefined) ? opts.eol : '\n';
+    const indent = (opts.indentString !== undefined) ? opts.indentString : "\t";
+    const root = { value: cloneValue(tree) };
+    const lines = [];
+
+    for (const change of changes) {
+        const slash = change.path.lastIndexOf('/');
+        const parent_path = change.path.substring(0, slash);
+        const target = change.path.substring(slash + 1);
+        let line = '';
+
+        if (target.startsWith('@')) {
+            line = (change.op === 'add') ?
+                directive('add', parent_path, ' type="' + target + '"', encodeEntities(String(change.value))) :
+                directive(change.op, change.path, '', change.op === 'remove' ? null : encodeEntities(String(change.value)));
+        } else if (target === 'text()') {
+            line = (change.op === 'add') ?
+                directive('add', parent_path, '', encodeEntities(String(change.value))) :
+                directive(change.op, change.path, '', change.op === 'remove' ? null : encodeEntities(String(change.value)));
+        } else if (change.op === 'add') {
+            const { name, index } = parsePath('/' + target, getContext()).pop();
+            const xml = composeElement(change.value, name, ctx);
+            if (index > 1) {
+                line = directive('add', parent_path + '/' + name + '[' + (index - 1) + ']', ' pos="after"', xml);
+            } else if (siblingCount(root, parent_path, name, ctx)) {
+                line = directive('add', parent_path + '/' + name + '[1]', ' pos="before"', xml);
+            } else {
+                line = directive('add', parent_path, '', xml);
+            }
+        } else {
+            line = directive(change.op, change.path, '', change.op === 'remove' ? null : composeElement(change.value, target.replace(/\[\d+\]$/, ''), ctx));
+        }
+
+        lines.push(indent + line);
+        applyChange(root, change, ctx);
+    }
+
+    return '<?xml version="1.0"?>' + eol + '<diff>' + eol + lines.map(line => line + eol).join('') + '</diff>' + eol;
+}
+
+function directive(op, sel, extra, content) {
+    // compose single XML Patch directive
+    const start = '<' + op + ' sel="' + encodeAttribEntities(sel) + '"' + extra;
+    return (content === null) ? start + '/>' : start + '>' + content + '</' + op + '>';
+}
+
+function composeElement(value, name, ctx) {
+    // compose element value as compact XML
+    return stringify(value, name, {
+        declaration: false,
+        indentString: '',
+        eol: '',
+        attribsKey: ctx.attribsKey,
+        dataKey: ctx.dataKey,
+        namespacesKey: ctx.namespacesKey
+    });
+}
+
+function siblingCount(root, parent_path, name, ctx) {
+    // count elements named name under parent path in tree
+    const parent = resolvePath(root, parent_path ? parsePath(parent_path, ctx) : [], ctx, parent_path).get();
+    return (isaHash(parent) && hasOwn(parent, name)) ? getList(parent, name).length : 0;
+}
+
+module.exports = {
+    diff,
+    patch
+};
@@ -0,0 +1,409 @@
+/*
+	Element Object Model
+	A lightweight alternative to the simplified tree, selected with the "dom" option.
+	Elements keep their children in document order (including text), know their
+	parent, and can be searched, edited and composed back into XML.
+
+	Usage:
+		var root = XML.parse( text, { dom: true } );
+		var item = root.querySelector( "Items > Item[sku='x']" );
+		item.setAttribute( "qty", 2 );
+		item.append( new XML.Element( "Note", {}, [ "Gift wrap" ] ) );
+		console.log( root.toString() );
+
+	Selectors support element names (or *), #id, .class, [attr], [attr=value]
+	(also ~= ^= $= *=), descendant (space) and child (>) combinators, and
+	comma-separated lists.  As in CSS, a dot starts a class name, so match
+	element names containing dots with [attr]-style steps on a parent instead.
+
+	Released under the MIT License
+*/
+
+const { parse } = require('./xml.js');
+const { composeNodes, formatNodes } = require('./fidelity.js');
+
+const re_selector_token = /(?:\s*(,)\s*|\s*(>)\s*|(\*|[\w\-:]+)|#([\w\-:.]+)|\.([\w\-]+)|\[\s*([\w\-:.]+)\s*(?:([~^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]|(\s+))/y;
+
+class Node {
+    constructor(type, value, name) {
+        // class constructor for text, CDATA, comment and PI nodes (see Element for elements)
+        this.type = type;
+        if (name !== undefined) {
+            this.name = name;
+        }
+        if (value !== undefined) {
+            this.value = String(value);
+        }
+        this.parent = null;
+    }
+
+    get textContent() {
+        // text of text and CDATA nodes (empty for comments and PIs)
+        return (this.type === 'text' || this.type === 'cdata') ? this.value : '';
+    }
+
+    set textContent(text) {
+        this.value = String(text);
+    }
+
+    get previousSibling() {
+        // node before this one in parent, or null
+        return this.parent ? this.parent.children[this.parent.children.indexOf(this) - 1] || null : null;
+    }
+
+    get nextSibling() {
+        // node after this one in parent, or null
+        return this.parent ? this.parent.children[this.parent.children.indexOf(this) + 1] || null : null;
+    }
+
+    remove() {
+        // detach node from its parent
+        if (this.parent) {
+            this.parent.children.splice(this.parent.children.indexOf(this), 1);
+            this.parent = null;
+        }
+        return this;
+    }
+
+    replaceWith(...nodes) {
+        // replace node in its parent with other nodes (strings become text nodes)
+        const parent = this.parent;
+        if (!parent) {
+            throw new Error("Cannot replace node which has no parent");
+        }
+        const adopted = adoptNodes(nodes, parent);
+        parent.children.splice(parent.children.indexOf(this), 1, ...adopted);
+        this.parent = null;
+        return this;
+    }
+
+    toString(opts = {}) {
+        // compose node as XML, compact unless indentString or eol are given
+        const node = toFidelityNode(this);
+        return (opts.indentString || opts.eol) ? formatNodes(node, Object.assign({ indentString: '', eol: '' }, opts)) : composeNodes(node, opts);
+    }
+}
+
+class Element extends Node {
+    constructor(name, attributes = {}, children = []) {
+        // class constructor for element, children may include strings for text
+        super('element', undefined, name);
+        this.attributes = Object.assign({}, attributes);
+        this.children = [];
+        this.append(...children);
+    }
+
+    get textContent() {
+        // concatenated text of all descendants, in document order (without recursion)
+        const parts = [];
+        const stack = [this];
+        while (stack.length) {
+            const node = stack.pop();
+            if (node instanceof Element) {
+                for (let idx = node.children.length - 1; idx >= 0; idx -= 1) {
+                    stack.push(node.children[idx]);
+                }
+            } else {
+                parts.push(node.textContent);
+            }
+        }
+        return parts.join('');
+    }
+
+    set textContent(text) {
+        // replace all children with single text node
+        for (const child of this.children) {
+            child.parent = null;
+        }
+        this.children = [];
+        if (text !== '' && text != null) {
+            this.append(String(text));
+        }
+    }
+
+    get elements() {
+        // child elements only (no text, comments or PIs)
+        return this.children.filter(child => child instanceof Element);
+    }
+
+    getAttribute(name) {
+        // get attribute value, or null if not set
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    setAttribute(name, value) {
+        // set attribute value (stored as string)
+        Object.defineProperty(this.attributes, name, { value: String(value), writable: true, enumerable: true, configurable: true });
+        return this;
+    }
+
+    hasAttribute(name) {
+        // determine if attribute is set
+        return Object.prototype.hasOwnProperty.call(this.attributes, name);
+    }
+
+    removeAttribute(name) {
+        // remove attribute if set
+        delete this.attributes[name];
+        return this;
+    }
+
+    append(...nodes) {
+        // add nodes (or strings, as text) to end of children
+        this.children.push(...adoptNodes(nodes, this));
+        return this;
+    }
+
+    prepend(...nodes) {
+        // add nodes (or strings, as text) to start of children
+        this.children.unshift(...adoptNodes(nodes, this));
+        return this;
+    }
+
+    getElementsByTagName(name) {
+        // find all descendant elements with name ("*" for all), in document order
+        return this.descendants().filter(elem => name === '*' || elem.name === name);
+    }
+
+    querySelectorAll(selector) {
+        // find all descendant elements matching selector, in document order
+        const groups = compileSelector(selector);
+        return this.descendants().filter(elem => groups.some(group => matchSelector(elem, group, group.length - 1)));
+    }
+
+    querySelector(selector) {
+        // find first descendant element matching selector, or null
+        const groups = compileSelector(selector);
+        return this.descendants().find(elem => groups.some(group => matchSelector(elem, group, group.length - 1))) || null;
+    }
+
+    descendants() {
+        // list all descendant elements in document order (without recursion)
+        const result = [];
+        const stack = [this.children];
+        const positions = [0];
+        while (stack.length) {
+            const list = stack[stack.length - 1];
+            const idx = positions[positions.length - 1];
+            if (idx >= list.length) {
+                stack.pop();
+                positions.pop();
+                continue;
+            }
+            positions[positions.length - 1] += 1;
+            if (list[idx] instanceof Element) {
+                result.push(list[idx]);
+                stack.push(list[idx].children);
+                positions.push(0);
+            }
+        }
+        return result;
+    }
+
+    toObject(opts = {}) {
+        // convert element into the simplified tree format, using the regular parse options
+        return parse(this.toString(), Object.assign({}, opts, { dom: false }));
+    }
+}
+
+function adoptNodes(nodes, parent) {
+    // convert strings to text nodes and detach nodes from previous parents
+    return nodes.flat().filter(node => node != null).map(node => {
+        if (!(node instanceof Node)) {
+            node = new Node('text', String(node));
+        }
+        for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+            if (ancestor === node) {
+                throw new Error("Cannot add element inside itself");
+            }
+        }
+        node.remove();
+        node.parent = parent;
+        return node;
+    });
+}
+
+function fromFidelityNode(node, opts) {
+    // convert full fidelity node into Element (or Node), returns null for skipped nodes
+    // descendants are converted from a stack of pending elements (no recursion), so deep documents cannot overflow
+    const root = convertNode(node, opts);
+    const stack = (root instanceof Element) ? [[node, root]] : [];
+    while (stack.length) {
+        const [source, elem] = stack.pop();
+        for (const child of source.children) {
+            const converted = convertNode(child, opts);
+            if (converted) {
+                converted.parent = elem;
+                elem.children.push(converted);
+                if (converted instanceof Element) {
+                    stack.push([child, converted]);
+                }
+            }
+        }
+    }
+    return root;
+}
+
+function convertNode(node, opts) {
+    // convert single full fidelity node into Element (without children) or Node, or null to skip it
+    switch (node.type) {
+        case 'element':
+            return new Element(node.name, node.attributes);
+
+        case 'text':
+            // whitespace between elements is dropped unless preserved
+            return (opts.preserveWhitespace || node.value.trim()) ? new Node('text', node.value) : null;
+
+        case 'cdata':
+        case 'comment':
+            return new Node(node.type, node.value);
+
+        case 'pi':
+            return new Node('pi', node.body, node.name);
+    }
+    return null;
+}
+
+function toFidelityNode(node) {
+    // convert Element (or Node) into full fidelity node for composing (without recursion)
+    const root = toFidelityLeaf(node);
+    const stack = (node instanceof Element) ? [[node, root]] : [];
+    while (stack.length) {
+        const [elem, target] = stack.pop();
+        for (const child of elem.children) {
+            const converted = toFidelityLeaf(child);
+            target.children.push(converted);
+            if (child instanceof Element) {
+                stack.push([child, converted]);
+            }
+        }
+    }
+    return root;
+}
+
+function toFidelityLeaf(node) {
+    // convert single Element (without children) or Node into full fidelity node
+    if (node instanceof Element) {
+        return { type: 'element', name: node.name, attributes: node.attributes, children: [], selfClosing: !node.children.length };
+    }
+    if (node.type === 'pi') {
+        return { type: 'pi', name: node.name, body: node.value };
+    }
+    return { type: node.type, value: node.value };
+}
+
+function buildDocument(doc, opts) {
+    // convert parsed full fidelity document into its document Element
+    const root = doc.children.find(node => node.type === 'element');
+    return root ? fromFidelityNode(root, opts) : null;
+}
+
+//
+// Selectors:
+//
+
+function compileSelector(selector) {
+    // parse selector into groups (comma separated) of compound steps with combinators
+    const groups = [];
+    let steps = [];
+    let step = null;
+    let combinator = ' ';
+    let matches = null;
+
+    const current = () => {
+        if (!step) {
+            step = { combinator, name: '*', tests: [] };
+            steps.push(step);
+            combinator = ' ';
+        }
+        return step;
+    };
+
+    selector = String(selector).trim();
+    re_selector_token.lastIndex = 0;
+    while (re_selector_token.lastIndex < selector.length && (matches = re_selector_token.exec(selector))) {
+        const [, comma, child, name, id, className, attrib, op, dq, sq, bare, space] = matches;
+        if (comma) {
+            if (!steps.length || !step) {
+                throw new Error("Invalid selector: " + selector);
+            }
+            groups.push(steps);
+            steps = [];
+            step = null;
+            combinator = ' ';
+        } else if (child) {
+            if (!step) {
+                throw new Error("Invalid selector: " + selector);
+            }
+            step = null;
+            combinator = '>';
+        } else if (space !== undefined) {
+            step = null;
+        } else if (name) {
+            if (step) {
+                throw new Error("Invalid selector: " + selector);
+            }
+            current().name = name;
+        } else if (id !== undefined) {
+            current().tests.push({ attrib: 'id', op: '=', value: id });
+        } else if (className !== undefined) {
+            current().tests.push({ attrib: 'class', op: '~=', value: className });
+        } else {
+            const value = (dq !== undefined) ? dq : ((sq !== undefined) ? sq : bare);
+            current().tests.push({ attrib, op, value });
+        }
+    }
+    if (re_selector_token.lastIndex < selector.length || !step) {
+        throw new Error("Invalid selector: " + selector);
+    }
+    groups.push(steps);
+    return groups;
+}
+
+function matchSelector(elem, steps, idx) {
+    // match element against steps[idx], then earlier steps against its ancestors
+    if (!matchStep(elem, steps[idx])) {
+        return false;
+    }
+    if (idx === 0) {
+        return true;
+    }
+    let ancestor = elem.parent;
+    while (ancestor) {
+        if (matchSelector(ancestor, steps, idx - 1)) {
+            return true;
+        }
+        if (steps[idx].combinator === '>') {
+            return false;
+        }
+        ancestor = ancestor.parent;
+    }
+    return false;
+}
+
+function matchStep(elem, step) {
+    // match element against compound step (name plus attribute tests)
+    if (step.name !== '*' && elem.name !== step.name) {
+        return false;
+    }
+    return step.tests.every(test => {
+        const actual = elem.getAttribute(test.attrib);
+        if (actual === null) {
+            return false;
+        }
+        switch (test.op) {
+            case '=': return actual === test.value;
+            case '~=': return actual.split(/\s+/).includes(test.value);
+            case '^=': return actual.startsWith(test.value);
+            case '$=': return actual.endsWith(test.value);
+            case '*=': return actual.includes(test.value);
+        }
+        return true;
+    });
+}
+
+module.exports = {
+    Node,
+    Element,
+    buildDocument
+};
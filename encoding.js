@@ -0,0 +1,214 @@
+/*
+	Character Encoding Support
+	Detects the encoding of XML bytes (from the BOM or the XML declaration),
+	decodes them to text, and encodes composed XML back into bytes.
+
+	Supported: UTF-8, UTF-16LE, UTF-16BE, ISO-8859-1 (Latin-1), plus any other
+	label understood by TextDecoder (decoding only).
+
+	Released under the MIT License
+*/
+
+const { hasOwn } = require('./limits.js');
+
+const re_xml_decl = /^<\?xml\s[^?]*?encoding\s*=\s*(["'])([A-Za-z][\w.\-]*)\1/;
+const re_decl_encoding = /(<\?xml\s[^?]*?encoding\s*=\s*)(["'])[^"']*\2/;
+const re_decl_start = /^\s*<\?xml\b/;
+const re_decl_version = /^\s*<\?xml\s+version\s*=\s*(["'])[^"']*\1/;
+const re_above_latin1 = /[\u0100-\u{10FFFF}]/gu;
+
+const encoding_aliases = {
+    'utf8': 'utf-8',
+    'utf-8': 'utf-8',
+    'utf16': 'utf-16',
+    'utf-16': 'utf-16',
+    'utf16le': 'utf-16le',
+    'utf-16le': 'utf-16le',
+    'ucs-2': 'utf-16le',
+    'ucs2': 'utf-16le',
+    'utf16be': 'utf-16be',
+    'utf-16be': 'utf-16be',
+    'latin1': 'iso-8859-1',
+    'latin-1': 'iso-8859-1',
+    'iso-8859-1': 'iso-8859-1',
+    'iso8859-1': 'iso-8859-1',
+    'iso_8859-1': 'iso-8859-1',
+    'binary': 'iso-8859-1',
+    'us-ascii': 'iso-8859-1',
+    'ascii': 'iso-8859-1'
+};
+
+const declaration_names = {
+    'utf-8': 'UTF-8',
+    'utf-16le': 'UTF-16',
+    'utf-16be': 'UTF-16',
+    'iso-8859-1': 'ISO-8859-1'
+};
+
+function normalizeEncoding(label) {
+    // convert encoding label to canonical lower-case name
+    label = String(label).trim().toLowerCase();
+    return hasOwn(encoding_aliases, label) ? encoding_aliases[label] : label;
+}
+
+function detectEncoding(bytes) {
+    // detect encoding of XML bytes, returns { encoding, bom } where bom is the BOM length
+    // order of precedence: byte order mark, UTF-16 byte pattern, XML declaration, UTF-8 default
+    const [b0, b1, b2, b3] = bytes;
+
+    if (b0 === 0xEF && b1 === 0xBB && b2 === 0xBF) {
+        return { encoding: 'utf-8', bom: 3 };
+    }
+    if (b0 === 0xFE && b1 === 0xFF) {
+        return { encoding: 'utf-16be', bom: 2 };
+    }
+    if (b0 === 0xFF && b1 === 0xFE) {
+        return { encoding: 'utf-16le', bom: 2 };
+    }
+    if (b0 === 0x00 && b1 === 0x3C && b2 === 0x00 && b3 === 0x3F) {
+        return { encoding: 'utf-16be', bom: 0 };
+    }
+    if (b0 === 0x3C && b1 === 0x00 && b2 === 0x3F && b3 === 0x00) {
+        return { encoding: 'utf-16le', bom: 0 };
+    }
+
+    // declaration is plain ASCII in all other supported encodings
+    let head = '';
+    for (let idx = 0, len = Math.min(bytes.length, 256); idx < len; idx += 1) {
+        head += String.fromCharCode(bytes[idx]);
+    }
+    const matches = head.match(re_xml_decl);
+    if (matches) {
+        const encoding = normalizeEncoding(matches[2]);
+        // UTF-16 without BOM or byte pattern cannot be read here, so the label is wrong
+        return { encoding: encoding === 'utf-16' ? 'utf-8' : encoding, bom: 0 };
+    }
+    return { encoding: 'utf-8', bom: 0 };
+}
+
+function canDetectEncoding(bytes) {
+    // check if enough leading bytes are in to detect encoding, for streams fed in small chunks
+    // needs the first 4 bytes, plus the whole XML declaration (if any) up to the 256 bytes read for it
+    if (bytes.length < 4) {
+        return false;
+    }
+    if (bytes[0] !== 0x3C || bytes[1] !== 0x3F || bytes[2] !== 0x78 || bytes[3] !== 0x6D) {
+        // BOM, UTF-16 byte pattern or no declaration at all
+        return true;
+    }
+    return (bytes.length >= 256) || (bytes.indexOf(0x3E, 4) > -1);
+}
+
+function createDecoder(encoding) {
+    // create streaming decoder with TextDecoder interface for encoding
+    encoding = normalizeEncoding(encoding);
+    if (encoding === 'iso-8859-1') {
+        // TextDecoder treats latin1 as windows-1252, so map bytes directly
+        return {
+            decode(bytes = new Uint8Array(0)) {
+                let text = '';
+                for (let idx = 0, len = bytes.length; idx < len; idx += 8192) {
+                    text += String.fromCharCode.apply(null, bytes.subarray(idx, idx + 8192));
+                }
+                return text;
+            }
+        };
+    }
+    try {
+        return new TextDecoder(encoding === 'utf-16' ? 'utf-16le' : encoding);
+    } catch (err) {
+        throw new Error("Unsupported XML encoding: " + encoding);
+    }
+}
+
+function decodeXML(bytes, encoding) {
+    // decode XML bytes to text, detecting encoding unless one is given
+    // returns { text, encoding }
+    const detected = detectEncoding(bytes);
+    encoding = encoding ? normalizeEncoding(encoding) : detected.encoding;
+    if (encoding === 'utf-16') {
+        // byte order comes from the BOM (or byte pattern)
+        encoding = detected.encoding.startsWith('utf-16') ? detected.encoding : 'utf-16le';
+    }
+
+    // only skip a BOM which belongs to the encoding in use
+    const bom = (encoding === detected.encoding) ? detected.bom : 0;
+    const text = createDecoder(encoding).decode(bytes.subarray(bom));
+    return { text: stripBOM(text), encoding };
+}
+
+function hasBOM(source) {
+    // determine if XML text or bytes begin with a byte order mark
+    if (typeof source === 'string') {
+        return source.charCodeAt(0) === 0xFEFF;
+    }
+    return detectEncoding(source).bom > 0;
+}
+
+function stripBOM(text) {
+    // remove leading byte order mark from text
+    return text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+}
+
+function encodeXML(text, encoding = 'utf-8', bom = false) {
+    // encode composed XML text into bytes, optionally with BOM
+    encoding = normalizeEncoding(encoding);
+    if (encoding === 'utf-16') {
+        encoding = 'utf-16le';
+    }
+    if (bom && encoding !== 'iso-8859-1') {
+        text = '\uFEFF' + text;
+    }
+
+    if (encoding === 'utf-8') {
+        return new TextEncoder().encode(text);
+    }
+    if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+        const bytes = new Uint8Array(text.length * 2);
+        const little = (encoding === 'utf-16le');
+        for (let idx = 0, len = text.length; idx < len; idx += 1) {
+            const code = text.charCodeAt(idx);
+            bytes[idx * 2 + (little ? 0 : 1)] = code & 0xFF;
+            bytes[idx * 2 + (little ? 1 : 0)] = code >> 8;
+        }
+        return bytes;
+    }
+    if (encoding === 'iso-8859-1') {
+        // characters outside Latin-1 become character references
+        text = text.replace(re_above_latin1, chr => '&#x' + chr.codePointAt(0).toString(16).toUpperCase() + ';');
+        const bytes = new Uint8Array(text.length);
+        for (let idx = 0, len = text.length; idx < len; idx += 1) {
+            bytes[idx] = text.charCodeAt(idx);
+        }
+        return bytes;
+    }
+    throw new Error("Unsupported XML encoding for writing: " + encoding);
+}
+
+function setDeclarationEncoding(xml, encoding) {
+    // set encoding in XML declaration, adding a declaration if there is none
+    const name = declaration_names[normalizeEncoding(encoding)] || encoding.toUpperCase();
+    if (re_decl_encoding.test(xml)) {
+        return xml.replace(re_decl_encoding, (match, prefix, quote) => prefix + quote + name + quote);
+    }
+    if (re_decl_version.test(xml)) {
+        // encoding must come before any standalone declaration
+        return xml.replace(re_decl_version, (match) => match + ' encoding="' + name + '"');
+    }
+    if (re_decl_start.test(xml)) {
+        return xml.replace(/\s*\?>/, ' encoding="' + name + '"?>');
+    }
+    return '<?xml version="1.0" encoding="' + name + '"?>\n' + xml;
+}
+
+module.exports = {
+    normalizeEncoding,
+    detectEncoding,
+    canDetectEncoding,
+    createDecoder,
+    decodeXML,
+    hasBOM,
+    stripBOM,
+    encodeXML,
+    setDeclarationEncoding
+};
@@ -0,0 +1,167 @@
+/*
+	Parse Errors
+	Stable error codes, the XMLParseError class thrown by the parsers, and
+	helpers for locating a position (line, column, byte offset) in source text.
+
+	Released under the MIT License
+*/
+
+const error_codes = {
+    MALFORMED_TAG: 'MALFORMED_TAG',
+    MALFORMED_SPECIAL_TAG: 'MALFORMED_SPECIAL_TAG',
+    MALFORMED_PI: 'MALFORMED_PI',
+    MALFORMED_DTD: 'MALFORMED_DTD',
+    MALFORMED_CDATA: 'MALFORMED_CDATA',
+    UNCLOSED_COMMENT: 'UNCLOSED_COMMENT',
+    UNCLOSED_CDATA: 'UNCLOSED_CDATA',
+    UNCLOSED_DTD: 'UNCLOSED_DTD',
+    UNCLOSED_ELEMENT: 'UNCLOSED_ELEMENT',
+    MISMATCHED_TAG: 'MISMATCHED_TAG',
+    DUPLICATE_ROOT: 'DUPLICATE_ROOT',
+    UNDECLARED_PREFIX: 'UNDECLARED_PREFIX',
+    WRITE_AFTER_END: 'WRITE_AFTER_END',
+    LIMIT_DEPTH: 'LIMIT_DEPTH',
+    LIMIT_SIZE: 'LIMIT_SIZE',
+    LIMIT_ATTRIBUTES: 'LIMIT_ATTRIBUTES',
+    LIMIT_TEXT_LENGTH: 'LIMIT_TEXT_LENGTH',
+    LIMIT_NODES: 'LIMIT_NODES',
+    LIMIT_ENTITY: 'LIMIT_ENTITY',
+    LIMIT_RESOURCES: 'LIMIT_RESOURCES',
+    DOCTYPE_NOT_ALLOWED: 'DOCTYPE_NOT_ALLOWED',
+    RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
+    RESOURCE_FAILED: 'RESOURCE_FAILED',
+    RESOURCE_LOOP: 'RESOURCE_LOOP',
+    MALFORMED_INCLUDE: 'MALFORMED_INCLUDE'
+};
+
+// characters between entries in a line index, besides the start of each line
+const index_interval = 1024;
+
+// errors which stop parsing even in recover mode
+const fatal_codes = new Set([
+    error_codes.LIMIT_DEPTH,
+    error_codes.LIMIT_SIZE,
+    error_codes.LIMIT_ATTRIBUTES,
+    error_codes.LIMIT_TEXT_LENGTH,
+    error_codes.LIMIT_NODES,
+    error_codes.LIMIT_ENTITY,
+    error_codes.LIMIT_RESOURCES,
+    error_codes.DOCTYPE_NOT_ALLOWED
+]);
+
+class XMLParseError extends Error {
+    constructor(entry, message) {
+        // class constructor for parse error
+        // pass in error entry (as logged in parser.errors) and formatted message
+        super(message);
+        this.name = 'XMLParseError';
+        this.type = entry.type;
+        this.code = entry.code;
+        this.key = entry.key;
+        this.text = entry.text;
+        this.line = entry.line;
+        this.column = entry.column;
+        this.offset = entry.offset;
+    }
+}
+
+function getLineIndex(text) {
+    // index where each line begins (and every few thousand characters along long lines),
+    // recording the line, column and byte offset there, so any position is quick to locate
+    const index = { starts: [], lines: [], columns: [], offsets: [] };
+    let offset = 0;
+    for (let line = 1, start = 0; ; line += 1) {
+        const next = text.indexOf('\n', start);
+        const end = (next === -1) ? text.length : next + 1;
+        let column = 1;
+        for (let pos = start; pos < end || pos === start; pos += index_interval) {
+            const stop = Math.min(pos + index_interval, end);
+            index.starts.push(pos);
+            index.lines.push(line);
+            index.columns.push(column);
+            index.offsets.push(offset);
+            column += countChars(text, pos, stop);
+            offset += utf8Length(text, pos, stop);
+        }
+        if (next === -1) {
+            return index;
+        }
+        start = end;
+    }
+}
+
+function locate(text, pos, index) {
+    // convert character index into { line, column, offset } (1-based line and column, byte offset)
+    // pass in index from getLineIndex()
+    const starts = index.starts;
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (starts[mid] <= pos) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return {
+        line: index.lines[low],
+        column: index.columns[low] + countChars(text, starts[low], pos),
+        offset: index.offsets[low] + utf8Length(text, starts[low], pos)
+    };
+}
+
+function countChars(text, start, end) {
+    // count code points in text range (surrogate pairs count once)
+    let count = 0;
+    for (let idx = start; idx < end; idx += 1) {
+        const code = text.charCodeAt(idx);
+        if (code < 0xDC00 || code > 0xDFFF) {
+            count += 1;
+        }
+    }
+    return count;
+}
+
+function utf8Length(text, start = 0, end = text.length) {
+    // count UTF-8 bytes in text range
+    let bytes = 0;
+    for (let idx = start; idx < end; idx += 1) {
+        const code = text.charCodeAt(idx);
+        if (code < 0x80) {
+            bytes += 1;
+        } else if (code < 0x800) {
+            bytes += 2;
+        } else if (isHighSurrogate(code) && isLowSurrogate(text.charCodeAt(idx + 1))) {
+            // surrogate pair encodes to 4 bytes total
+            bytes += 4;
+            idx += 1;
+        } else if (idx === start && isLowSurrogate(code) && idx > 0 && isHighSurrogate(text.charCodeAt(idx - 1))) {
+            // range starts inside a pair, which was counted with its first half
+            continue;
+        } else {
+            bytes += 3;
+        }
+    }
+    return bytes;
+}
+
+function isHighSurrogate(code) {
+    // determine if UTF-16 code unit starts a surrogate pair
+    return code >= 0xD800 && code <= 0xDBFF;
+}
+
+function isLowSurrogate(code) {
+    // determine if UTF-16 code unit ends a surrogate pair
+    return code >= 0xDC00 && code <= 0xDFFF;
+}
+
+module.exports = {
+    error_codes,
+    fatal_codes,
+    XMLParseError,
+    getLineIndex,
+    locate,
+    countChars,
+    utf8Length
+};
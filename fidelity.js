@@ -0,0 +1,257 @@
+/*
+	Full Fidelity Mode
+	Parses XML into an ordered list of nodes (elements, text, CDATA, comments,
+	PIs and DOCTYPE) in document order, and composes them back.  Each node
+	remembers its source formatting, so an unchanged document is written back
+	byte-for-byte identical (including a leading byte order mark).
+
+	Usage:
+		var doc = XML.parse( text, { fullFidelity: true } );
+		doc.children[0].attributes.id = "new";
+		var xml = XML.stringify( doc, { fullFidelity: true } );
+
+	Released under the MIT License
+*/
+
+const { encodeEntities, encodeAttribEntities } = require('./xml.js');
+const { SAXParser } = require('./sax.js');
+const { limit_defaults, setKey } = require('./limits.js');
+const { hasBOM } = require('./encoding.js');
+
+const re_attrib_format = /([^]*?)([\w\-:.]+)(\s*=\s*)(["'])([^]*?)\4/g;
+const re_self_closing = /\/\s*$/;
+const re_tag_name = /^\s*\/?[\w\-:.]+/;
+
+function attachNodeBuilder(parser) {
+    // listen to SAX parser events and build document node from them
+    const doc = { type: 'document', children: [] };
+    const stack = [doc];
+    const append = (node) => stack[stack.length - 1].children.push(node);
+
+    parser.on('text', (value, raw) => {
+        append({ type: 'text', value, raw: { text: raw, value } });
+    });
+    parser.on('cdata', (value) => {
+        append({ type: 'cdata', value });
+    });
+    parser.on('comment', (value) => {
+        append({ type: 'comment', value, raw: { value } });
+    });
+    parser.on('processinginstruction', (pi) => {
+        append({ type: 'pi', name: pi.name, body: pi.body, raw: { markup: '<' + pi.raw + '>', name: pi.name, body: pi.body } });
+    });
+    parser.on('doctype', (raw) => {
+        const value = raw.replace(/^\s*!DOCTYPE\s+/, '');
+        append({ type: 'doctype', value, raw: { markup: '<' + raw + '>', value } });
+    });
+    parser.on('opentag', (node) => {
+        const elem = {
+            type: 'element',
+            name: node.name,
+            attributes: node.attributes,
+            children: [],
+            selfClosing: node.selfClosing,
+            raw: parseTagFormat(node)
+        };
+        append(elem);
+        stack.push(elem);
+    });
+    parser.on('closetag', (name, raw) => {
+        const elem = stack.pop();
+        if (raw) {
+            elem.raw.close = raw.replace(re_tag_name, '');
+        }
+    });
+
+    return doc;
+}
+
+function parseTagFormat(node) {
+    // record original attribute quoting and whitespace of opening tag
+    const attribsRaw = node.raw.replace(re_tag_name, '');
+    const format = { name: node.name, attributes: {}, end: '', close: '' };
+    let matches = null;
+    let lastIndex = 0;
+
+    re_attrib_format.lastIndex = 0;
+    while (matches = re_attrib_format.exec(attribsRaw)) {
+        const [, before, key, eq, quote, text] = matches;
+        setKey(format.attributes, key, { before, eq, quote, text, value: node.attributes[key] });
+        lastIndex = re_attrib_format.lastIndex;
+    }
+    format.end = attribsRaw.substring(lastIndex);
+
+    return format;
+}
+
+function parseNodes(text, opts = {}) {
+    // parse text into document node, throws on error
+    const parser = new SAXParser(getNodeOptions(opts));
+    const doc = attachNodeBuilder(parser);
+    parser.end(text);
+    if (hasBOM(text)) {
+        doc.bom = true;
+    }
+    return doc;
+}
+
+function getNodeOptions(opts) {
+    // get SAX parser options for building document nodes: entities, recover mode, lowerCase and all limits
+    const saxOpts = {};
+    for (const key of ['htmlEntities', 'entities', 'recover', 'lowerCase', ...Object.keys(limit_defaults)]) {
+        if (opts[key] !== undefined) {
+            saxOpts[key] = opts[key];
+        }
+    }
+    return saxOpts;
+}
+
+function composeNodes(node, opts) {
+    // compose document, node or array of nodes back into XML
+    // pending nodes and end tags are kept on a stack (no recursion), so deep documents cannot overflow
+    const parts = [];
+    const stack = [node];
+    while (stack.length) {
+        const item = stack.pop();
+        if (typeof item === 'string') {
+            parts.push(item);
+        } else if (Array.isArray(item)) {
+            for (let idx = item.length - 1; idx >= 0; idx -= 1) {
+                stack.push(item[idx]);
+            }
+        } else if (item.type === 'document') {
+            if (item.bom) {
+                parts.push('\uFEFF');
+            }
+            stack.push(item.children);
+        } else if (item.type === 'element') {
+            parts.push(composeElement(item, stack, opts));
+        } else {
+            parts.push(composeLeaf(item, opts));
+        }
+    }
+    return parts.join('');
+}
+
+function composeLeaf(node, opts) {
+    // compose text, CDATA, comment, PI, DOCTYPE or raw node
+    const raw = node.raw;
+    switch (node.type) {
+        case 'text':
+            if (raw && raw.value === node.value) {
+                return raw.text;
+            }
+            return encodeEntities(node.value, opts);
+
+        case 'cdata':
+            // "]]>" is split across two sections
+            return '<![CDATA[' + String(node.value).replace(/]]>/g, ']]]]><![CDATA[>') + ']]>';
+
+        case 'comment':
+            // comments from the source are written as they were, but edited ones must be well-formed
+            if (!(raw && raw.value === node.value) && (String(node.value).includes('--') || String(node.value).endsWith('-'))) {
+                throw new Error("Comment cannot contain \"--\" or end with \"-\"");
+            }
+            return '<!--' + node.value + '-->';
+
+        case 'pi':
+            if (raw && raw.name === node.name && raw.body === node.body) {
+                return raw.markup;
+            }
+            return '<?' + node.name + (node.body ? ' ' + node.body : '') + '?>';
+
+        case 'doctype':
+            if (raw && raw.value === node.value) {
+                return raw.markup;
+            }
+            return '<!DOCTYPE ' + node.value + '>';
+        case 'raw':
+            // markup fragment added by the builder, written as is
+            return node.value;
+    }
+    return '';
+}
+
+function composeElement(node, stack, opts) {
+    // compose start tag using original formatting where values are unchanged
+    // the end tag and children are pushed onto the stack, to be composed next
+    const format = node.raw && node.raw.name === node.name ? node.raw : null;
+    const attribs = node.attributes || {};
+    const children = node.children || [];
+    let xml = '<' + node.name;
+
+    for (const key in attribs) {
+        const value = attribs[key];
+        const attrib = format ? format.attributes[key] : null;
+        if (attrib && attrib.value === value) {
+            xml += attrib.before + key + attrib.eq + attrib.quote + attrib.text + attrib.quote;
+        } else {
+            xml += ' ' + key + '="' + encodeAttribEntities(value, opts) + '"';
+        }
+    }
+
+    let end = format ? format.end : '';
+    if (node.selfClosing && !children.length) {
+        return xml + (end.match(re_self_closing) ? end : end + '/') + '>';
+    }
+
+    end = end.replace(re_self_closing, '');
+    stack.push('</' + node.name + (format ? format.close : '') + '>', children);
+    return xml + end + '>';
+}
+
+function formatNodes(node, opts) {
+    // compose document, node or array of nodes with fresh indentation
+    // whitespace between elements is replaced, while elements containing text are left alone
+    const nodes = (node.type === 'document') ? node.children : [].concat(node);
+    return nodes
+        .filter(child => !isWhitespace(child))
+        .map(child => composeNodes(indentNode(child, opts, 0), opts))
+        .join(opts.eol);
+}
+
+function indentNode(node, opts, depth) {
+    // copy element, replacing whitespace between its children with indentation
+    // descendants are copied from a stack of pending nodes, rather than by recursion
+    const indent = !!(opts.indentString || opts.eol);
+    const result = [node];
+    const stack = [{ node, depth, list: result, idx: 0 }];
+
+    while (stack.length) {
+        const item = stack.pop();
+        const current = item.node;
+        if (current.type !== 'element' || !current.children || !current.children.length) {
+            continue;
+        }
+        if (current.children.some(child => (child.type === 'text' || child.type === 'cdata') && !isWhitespace(child))) {
+            continue;
+        }
+
+        const copy = Object.assign({}, current, { children: [] });
+        for (const child of current.children.filter(child => !isWhitespace(child))) {
+            if (indent) {
+                copy.children.push({ type: 'text', value: opts.eol + opts.indentString.repeat(item.depth + 1) });
+            }
+            copy.children.push(child);
+            stack.push({ node: child, depth: item.depth + 1, list: copy.children, idx: copy.children.length - 1 });
+        }
+        if (indent && copy.children.length) {
+            copy.children.push({ type: 'text', value: opts.eol + opts.indentString.repeat(item.depth) });
+        }
+        item.list[item.idx] = copy;
+    }
+    return result[0];
+}
+
+function isWhitespace(node) {
+    // determine if node is text containing only whitespace
+    return node.type === 'text' && !node.value.trim();
+}
+
+module.exports = {
+    attachNodeBuilder,
+    parseNodes,
+    getNodeOptions,
+    composeNodes,
+    formatNodes
+};
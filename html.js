@@ -0,0 +1,67 @@
+/*
+	HTML Parsing Rules
+	Element tables for the parser's "html" mode, which reads HTML and messy
+	"tag soup" XML into the usual tree: void elements, implied end tags and
+	raw text elements.  Names are compared in lower-case.
+
+	Usage:
+		var doc = XML.parse( html_string, { html: true } );
+
+	Released under the MIT License
+*/
+
+// elements which never have content or a closing tag
+const void_elements = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'keygen',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// elements whose content is text up to their closing tag (not parsed, no entities)
+const raw_text_elements = new Set(['script', 'style']);
+
+// start tags which close an open <p>
+const p_closers = [
+    'address', 'article', 'aside', 'blockquote', 'center', 'details', 'dialog', 'dir',
+    'div', 'dl', 'dd', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'li', 'listing',
+    'main', 'menu', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+];
+
+// open element mapped to start tags which imply its end tag
+const implied_end_tags = {
+    p: new Set(p_closers),
+    li: new Set(['li']),
+    dt: new Set(['dt', 'dd']),
+    dd: new Set(['dt', 'dd']),
+    option: new Set(['option', 'optgroup']),
+    optgroup: new Set(['optgroup']),
+    tr: new Set(['tr', 'tbody', 'thead', 'tfoot']),
+    td: new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']),
+    th: new Set(['td', 'th', 'tr', 'tbody', 'thead', 'tfoot']),
+    thead: new Set(['tbody', 'tfoot']),
+    tbody: new Set(['tbody', 'tfoot']),
+    rt: new Set(['rt', 'rp']),
+    rp: new Set(['rt', 'rp'])
+};
+
+function isVoidElement(name) {
+    // determine if element has no content or closing tag
+    return void_elements.has(name.toLowerCase());
+}
+
+function isRawTextElement(name) {
+    // determine if element content is raw text
+    return raw_text_elements.has(name.toLowerCase());
+}
+
+function impliesEndTag(openName, startName) {
+    // determine if start tag implies the end of currently open element
+    const closers = implied_end_tags[openName.toLowerCase()];
+    return !!closers && closers.has(startName.toLowerCase());
+}
+
+module.exports = {
+    isVoidElement,
+    isRawTextElement,
+    impliesEndTag
+};
@@ -0,0 +1,629 @@
+/*
+	Schema Inference
+	Reads one or more sample documents and infers each element's cardinality,
+	optionality, attributes and value types.  The result can be written as an
+	XSD, a JSON Schema or TypeScript interfaces, and also works as the "schema"
+	parse option, so the parsed tree has the inferred shape and types.
+
+	Usage:
+		var inferred = XML.inferSchema( [ sample1, sample2 ], { preserveAttributes: true } );
+		var xsd = inferred.toXSD();
+		var json_schema = inferred.toJSONSchema();
+		var ts = inferred.toTypeScript();
+		var doc = XML.parse( text, { preserveAttributes: true, schema: inferred } );
+
+	The JSON Schema and TypeScript output describe the tree returned by parse()
+	with the same options (preserveAttributes, forceArrays, lowerCase,
+	preserveDocumentNode, attribsKey, dataKey) plus the inferred schema.
+
+	Released under the MIT License
+*/
+
+const { parse } = require('./xml.js');
+
+const re_integer = /^[-+]?(0|[1-9]\d{0,14})$/;
+const re_number = /^[-+]?(0|[1-9]\d*)?(\.\d+)?$/;
+const re_leading_zero = /^[-+]?0\d/;
+const re_boolean = /^(true|false)$/i;
+const re_date = /^\d{4}-\d{2}-\d{2}$/;
+const re_date_time = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/;
+const re_identifier = /^[A-Za-z_$][\w$]*$/;
+
+// inferred type names mapped to parse schema types, XSD types and TypeScript types
+const type_map = {
+    string: { schema: null, xsd: 'xs:string', ts: 'string', json: { type: 'string' } },
+    integer: { schema: 'integer', xsd: 'xs:integer', ts: 'number', json: { type: 'integer' } },
+    number: { schema: 'number', xsd: 'xs:decimal', ts: 'number', json: { type: 'number' } },
+    boolean: { schema: 'boolean', xsd: 'xs:boolean', ts: 'boolean', json: { type: 'boolean' } },
+    date: { schema: 'date', xsd: 'xs:date', ts: 'Date', json: { type: 'string', format: 'date' } },
+    dateTime: { schema: 'date', xsd: 'xs:dateTime', ts: 'Date', json: { type: 'string', format: 'date-time' } }
+};
+
+class InferredElement {
+    constructor(name, path) {
+        // class constructor for statistics gathered about one element path
+        this.name = name;
+        this.path = path;
+        this.count = 0;
+        this.emptyCount = 0;
+        this.textOnlyCount = 0;
+        this.textInObjects = 0;
+        this.attribInstances = 0;
+        this.textType = null;
+        this.attributes = new Map();
+        this.children = new Map();
+        this.parents = 0;
+        this.maxPerParent = 0;
+        this.ordered = true;
+    }
+
+    get objectCount() {
+        // instances which parse into objects (including empty ones)
+        return this.count - this.textOnlyCount;
+    }
+
+    get isArray() {
+        // element appeared more than once in the same parent
+        return this.maxPerParent > 1;
+    }
+}
+
+class InferredSchema {
+    constructor(root, opts) {
+        // class constructor for inferred schema, see inferSchema()
+        this.root = root;
+        this.opts = opts;
+    }
+
+    toSchema() {
+        // get rules for the "schema" parse option: arrays for repeated elements, plus value types
+        const def = {};
+        walkElements(this.root, (elem) => {
+            const rule = {};
+            const type = type_map[getTextType(elem)].schema;
+            if (type) {
+                rule.type = type;
+            }
+            if (elem.isArray && elem !== this.root && !this.opts.forceArrays) {
+                rule.array = true;
+            }
+            if (rule.array) {
+                def[elem.path] = rule;
+            } else if (rule.type) {
+                def[elem.path] = rule.type;
+            }
+            for (const [name, attrib] of elem.attributes) {
+                const type = type_map[attrib.type].schema;
+                if (type) {
+                    def[elem.path + '/@' + name] = type;
+                }
+            }
+        });
+        return def;
+    }
+
+    toXSD(opts = {}) {
+        // compose XSD document describing the samples (names without namespace prefixes)
+        const indentString = (opts.indentString !== undefined) ? opts.indentString : "\t";
+        const eol = (opts.eol !== undefined) ? opts.eol : "\n";
+        const lines = [
+            [0, '<?xml version="1.0" encoding="UTF-8"?>'],
+            [0, '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" elementFormDefault="qualified">'],
+            ...composeXSD(this.root),
+            [0, '</xs:schema>']
+        ];
+        return lines.map(([depth, line]) => indentString.repeat(depth) + line).join(eol) + eol;
+    }
+
+    toJSONSchema() {
+        // get JSON Schema (draft 2020-12) for the tree returned by parse()
+        const { preserveDocumentNode } = this.opts;
+        const root = getJSONType(this.root, this.opts);
+        const schema = { $schema: 'https://json-schema.org/draft/2020-12/schema', title: this.root.name };
+        if (preserveDocumentNode) {
+            return Object.assign(schema, {
+                type: 'object',
+                properties: { [this.root.name]: root },
+                required: [this.root.name]
+            });
+        }
+        return Object.assign(schema, root);
+    }
+
+    toTypeScript(opts = {}) {
+        // get TypeScript interfaces for the tree returned by parse(), root type first
+        const ctx = { opts: this.opts, names: new Map(), interfaces: new Map(), used: new Set(), suffixes: new Map(), output: [] };
+        const typeName = opts.typeName || getTypeName(this.root.name);
+        let root = getTSType(this.root, ctx, typeName);
+
+        // interfaces are listed parents first
+        walkElements(this.root, (elem) => {
+            if (ctx.interfaces.has(elem)) {
+                ctx.output.push(ctx.interfaces.get(elem));
+            }
+        });
+
+        if (this.opts.preserveDocumentNode) {
+            const name = uniqueName(typeName + 'Document', ctx);
+            ctx.output.unshift('export interface ' + name + ' {\n\t' + quoteKey(this.root.name) + ': ' + root + ';\n}\n');
+            root = name;
+        } else if (!ctx.names.has(this.root)) {
+            // document element has no attributes or children, so alias its value type
+            ctx.output.unshift('export type ' + uniqueName(typeName, ctx) + ' = ' + root + ';\n');
+        }
+        return ctx.output.join('\n');
+    }
+}
+
+function inferSchema(samples, opts = {}) {
+    // infer schema from one or more sample documents (strings, bytes or fullFidelity document nodes)
+    // opts: parse options to describe (preserveAttributes, forceArrays, lowerCase, etc.)
+    opts = Object.assign({ attribsKey: '_Attribs', dataKey: '_Data' }, opts);
+    if (opts.lowerCase) {
+        opts.attribsKey = opts.attribsKey.toLowerCase();
+        opts.dataKey = opts.dataKey.toLowerCase();
+    }
+
+    let root = null;
+    for (const sample of [].concat(samples)) {
+        const doc = (sample && sample.type === 'document') ? sample : parse(sample, {
+            fullFidelity: true,
+            htmlEntities: opts.htmlEntities,
+            entities: opts.entities,
+            recover: opts.recover,
+            encoding: opts.encoding
+        });
+        const elem = doc.children.find(node => node.type === 'element');
+        if (!elem) {
+            throw new Error("Sample has no document element");
+        }
+
+        const name = getName(elem.name, opts);
+        if (!root) {
+            root = new InferredElement(name, name);
+        } else if (root.name !== name) {
+            throw new Error("Samples have different document elements: " + root.name + ", " + name);
+        }
+        root.parents += 1;
+        root.maxPerParent = 1;
+        addInstance(root, elem, opts);
+    }
+    if (!root) {
+        throw new Error("No samples given");
+    }
+    return new InferredSchema(root, opts);
+}
+
+function addInstance(root, rootElem, opts) {
+    // add statistics for one element and its descendants
+    // instances are visited in document order from a stack (no recursion), so deep samples cannot overflow
+    const stack = [[root, rootElem]];
+    while (stack.length) {
+        const [info, elem] = stack.pop();
+        const children = addElementStats(info, elem, opts);
+        for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+            stack.push(children[idx]);
+        }
+    }
+}
+
+function addElementStats(info, elem, opts) {
+    // add statistics for one element, returns list of [ info, elem ] for its child elements
+    info.count += 1;
+
+    const attribs = Object.keys(elem.attributes || {});
+    for (const key of attribs) {
+        const name = getName(key, opts);
+        const value = elem.attributes[key];
+        const attrib = info.attributes.get(name) || { count: 0, type: null };
+        attrib.count += 1;
+        attrib.type = mergeTypes(attrib.type, value.trim() ? getValueType(value.trim()) : 'string');
+        info.attributes.set(name, attrib);
+    }
+    if (attribs.length) {
+        info.attribInstances += 1;
+    }
+
+    // text and CDATA runs are joined, as the parser does
+    const text = elem.children
+        .filter(node => (node.type === 'text' || node.type === 'cdata') && node.value.trim())
+        .map(node => node.value.trim())
+        .join(' ');
+    if (text) {
+        info.textType = mergeTypes(info.textType, getValueType(text));
+    }
+
+    // count children per name, noting whether names always appear in the same order
+    const counts = new Map();
+    const children = [];
+    let lastIndex = -1;
+    let lastName = null;
+    for (const node of elem.children) {
+        if (node.type !== 'element') {
+            continue;
+        }
+        const name = getName(node.name, opts);
+        let child = info.children.get(name);
+        if (!child) {
+            child = new InferredElement(name, info.path + '/' + name);
+            info.children.set(name, child);
+        }
+        if (name !== lastName) {
+            const index = [...info.children.keys()].indexOf(name);
+            if (index < lastIndex || counts.has(name)) {
+                info.ordered = false;
+            }
+            lastIndex = index;
+            lastName = name;
+        }
+        counts.set(name, (counts.get(name) || 0) + 1);
+        children.push([child, node]);
+    }
+    for (const [name, count] of counts) {
+        const child = info.children.get(name);
+        child.parents += 1;
+        child.maxPerParent = Math.max(child.maxPerParent, count);
+    }
+
+    if (!attribs.length && !counts.size) {
+        if (text) {
+            info.textOnlyCount += 1;
+        } else {
+            info.emptyCount += 1;
+        }
+    } else if (text) {
+        info.textInObjects += 1;
+    }
+    return children;
+}
+
+function getValueType(value) {
+    // infer type of trimmed, non-empty value
+    if (re_boolean.test(value)) {
+        return 'boolean';
+    }
+    if (!re_leading_zero.test(value)) {
+        // leading zeros (e.g. postal codes) would be lost as numbers
+        if (re_integer.test(value)) {
+            return 'integer';
+        }
+        if (re_number.test(value) && /\d/.test(value)) {
+            return 'number';
+        }
+    }
+    if (re_date.test(value)) {
+        return 'date';
+    }
+    if (re_date_time.test(value)) {
+        return 'dateTime';
+    }
+    return 'string';
+}
+
+function mergeTypes(a, b) {
+    // combine two inferred types into the narrowest type allowing both
+    if (!a || a === b) {
+        return b;
+    }
+    if (!b) {
+        return a;
+    }
+    const pair = [a, b].sort().join(',');
+    if (pair === 'integer,number') {
+        return 'number';
+    }
+    if (pair === 'date,dateTime') {
+        return 'dateTime';
+    }
+    return 'string';
+}
+
+function getTextType(elem) {
+    // get type of element text, or string if it has none
+    return elem.textType || 'string';
+}
+
+function getName(name, opts) {
+    // apply lower-casing to element or attribute name
+    return opts.lowerCase ? name.toLowerCase() : name;
+}
+
+function walkElements(root, callback) {
+    // call function for element and all its descendants, parents first (without recursion)
+    const stack = [root];
+    while (stack.length) {
+        const elem = stack.pop();
+        callback(elem);
+        const children = [...elem.children.values()];
+        for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+            stack.push(children[idx]);
+        }
+    }
+}
+
+//
+// XSD:
+//
+
+function composeXSD(root) {
+    // compose element declarations as array of [ depth, line ]
+    // pending elements and closing lines are kept on a stack (no recursion), so deep schemas cannot overflow
+    const lines = [];
+    const stack = [{ elem: root, occurs: '', depth: 1 }];
+    while (stack.length) {
+        const item = stack.pop();
+        if (Array.isArray(item)) {
+            lines.push(item);
+        } else {
+            lines.push(...composeXSDElement(item.elem, item.occurs, item.depth, stack));
+        }
+    }
+    return lines;
+}
+
+function composeXSDElement(elem, occurs, depth, stack) {
+    // compose element declaration up to its children, as array of [ depth, line ]
+    // child declarations and the closing lines which follow them are pushed onto the stack
+    const head = '<xs:element name="' + localName(elem.name) + '"';
+    const attribs = [...elem.attributes].filter(([name]) => name !== 'xmlns' && !name.startsWith('xmlns:'));
+    let type = getTextType(elem);
+    if (elem.emptyCount && elem.textType) {
+        // empty elements would not be valid numbers, dates, etc.
+        type = 'string';
+    }
+
+    if (!attribs.length && !elem.children.size) {
+        if (elem.textType) {
+            return [[depth, head + ' type="' + type_map[type].xsd + '"' + occurs + '/>']];
+        }
+        return [[depth, head + occurs + '>'], [depth + 1, '<xs:complexType/>'], [depth, '</xs:element>']];
+    }
+
+    const lines = [[depth, head + occurs + '>']];
+    const tail = [];
+    const tasks = [];
+    const attrib_lines = attribs.map(([name, attrib]) => {
+        const use = (attrib.count === elem.count) ? ' use="required"' : '';
+        return '<xs:attribute name="' + localName(name) + '" type="' + type_map[attrib.type].xsd + '"' + use + '/>';
+    });
+
+    if (!elem.children.size && elem.textType) {
+        // text with attributes
+        lines.push(
+            [depth + 1, '<xs:complexType>'],
+            [depth + 2, '<xs:simpleContent>'],
+            [depth + 3, '<xs:extension base="' + type_map[type].xsd + '">'],
+            ...attrib_lines.map(line => [depth + 4, line]),
+            [depth + 3, '</xs:extension>'],
+            [depth + 2, '</xs:simpleContent>'],
+            [depth + 1, '</xs:complexType>']
+        );
+    } else {
+        lines.push([depth + 1, '<xs:complexType' + (elem.textType ? ' mixed="true"' : '') + '>']);
+        if (elem.children.size) {
+            // children in a fixed order form a sequence, otherwise a repeating choice
+            const group = elem.ordered ? 'xs:sequence' : 'xs:choice';
+            lines.push([depth + 2, elem.ordered ? '<xs:sequence>' : '<xs:choice minOccurs="0" maxOccurs="unbounded">']);
+            for (const child of elem.children.values()) {
+                tasks.push({ elem: child, occurs: elem.ordered ? getOccurs(child, elem) : '', depth: depth + 3 });
+            }
+            tail.push([depth + 2, '</' + group + '>']);
+        }
+        tail.push(...attrib_lines.map(line => [depth + 2, line]), [depth + 1, '</xs:complexType>']);
+    }
+    tail.push([depth, '</xs:element>']);
+
+    for (let idx = tail.length - 1; idx >= 0; idx -= 1) {
+        stack.push(tail[idx]);
+    }
+    for (let idx = tasks.length - 1; idx >= 0; idx -= 1) {
+        stack.push(tasks[idx]);
+    }
+    return lines;
+}
+
+function getOccurs(child, parent) {
+    // get minOccurs / maxOccurs attributes for child element in sequence
+    let occurs = '';
+    if (child.parents < parent.count) {
+        occurs += ' minOccurs="0"';
+    }
+    if (child.isArray) {
+        occurs += ' maxOccurs="unbounded"';
+    }
+    return occurs;
+}
+
+function localName(name) {
+    // strip namespace prefix from name
+    return name.substring(name.indexOf(':') + 1);
+}
+
+//
+// JSON Schema:
+//
+
+function getJSONType(root, opts) {
+    // get JSON Schema for element value as parsed
+    // child schemas are added empty, then filled in from a stack (no recursion)
+    const result = {};
+    const stack = [[root, result]];
+    const childType = (child) => {
+        const schema = {};
+        stack.push([child, schema]);
+        return schema;
+    };
+
+    while (stack.length) {
+        const [elem, schema] = stack.pop();
+        const types = [];
+        if (elem.textOnlyCount) {
+            types.push(Object.assign({}, type_map[getTextType(elem)].json));
+        }
+        if (elem.objectCount) {
+            const { properties, required } = getFields(elem, opts, childType, (type) => type_map[type].json);
+            const object = { type: 'object', properties: {} };
+            for (const [key, value] of properties) {
+                object.properties[key] = composeJSONType(value);
+            }
+            if (!properties.size) {
+                object.maxProperties = 0;
+            }
+            if (required.length) {
+                object.required = required;
+            }
+            types.push(object);
+        }
+        Object.assign(schema, (types.length > 1) ? { anyOf: types } : types[0]);
+    }
+    return result;
+}
+
+function composeJSONType(type) {
+    // convert field type (schema, array or attributes hash) into JSON Schema
+    if (type.array !== undefined) {
+        return { type: 'array', items: type.array };
+    }
+    if (type.attributes !== undefined) {
+        const object = { type: 'object', properties: Object.fromEntries(type.attributes) };
+        if (type.required.length) {
+            object.required = type.required;
+        }
+        return object;
+    }
+    return type;
+}
+
+function getFields(elem, opts, childType, valueType) {
+    // list object keys for element (attributes, text and children) with their types
+    // returns { properties: Map, required: [] }, where types come from the given functions
+    const properties = new Map();
+    const required = [];
+    const objects = elem.objectCount;
+    const add = (key, type, count) => {
+        properties.set(key, type);
+        if (count >= objects) {
+            required.push(key);
+        }
+    };
+
+    if (elem.attributes.size) {
+        if (opts.preserveAttributes) {
+            const attribs = new Map();
+            const attribs_required = [];
+            for (const [name, attrib] of elem.attributes) {
+                attribs.set(name, valueType(attrib.type));
+                if (attrib.count >= elem.attribInstances) {
+                    attribs_required.push(name);
+                }
+            }
+            add(opts.attribsKey, { attributes: attribs, required: attribs_required }, elem.attribInstances);
+        } else {
+            for (const [name, attrib] of elem.attributes) {
+                add(name, valueType(attrib.type), attrib.count);
+            }
+        }
+    }
+    if (elem.textInObjects) {
+        add(opts.dataKey, valueType(getTextType(elem)), elem.textInObjects);
+    }
+    for (const [name, child] of elem.children) {
+        const type = childType(child);
+        add(name, (child.isArray || opts.forceArrays) ? { array: type } : type, child.parents);
+    }
+    return { properties, required };
+}
+
+//
+// TypeScript:
+//
+
+function getTSType(root, ctx, preferredName) {
+    // get TypeScript type for element value as parsed, adding an interface for object values
+    // children are typed before their parents (so they claim names first), using a stack instead of recursion
+    const types = new Map();
+    const stack = [[root, false]];
+    while (stack.length) {
+        const [elem, ready] = stack.pop();
+        if (!ready) {
+            stack.push([elem, true]);
+            const children = [...elem.children.values()];
+            for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+                stack.push([children[idx], false]);
+            }
+            continue;
+        }
+
+        const alternatives = [];
+        if (elem.textOnlyCount) {
+            alternatives.push(type_map[getTextType(elem)].ts);
+        }
+        if (elem.objectCount) {
+            const fields = getFields(elem, ctx.opts, (child) => types.get(child), (type) => type_map[type].ts);
+            if (!fields.properties.size) {
+                alternatives.push('Record<string, never>');
+            } else {
+                alternatives.push(addInterface(elem, fields, ctx, (elem === root) ? preferredName : null));
+            }
+        }
+        types.set(elem, alternatives.join(' | '));
+    }
+    return types.get(root);
+}
+
+function addInterface(elem, fields, ctx, preferredName) {
+    // add interface for element, returns its name
+    const name = uniqueName(preferredName || getTypeName(elem.name), ctx);
+    ctx.names.set(elem, name);
+
+    const lines = ['export interface ' + name + ' {'];
+    for (const [key, type] of fields.properties) {
+        lines.push('\t' + quoteKey(key) + (fields.required.includes(key) ? '' : '?') + ': ' + composeTSType(type) + ';');
+    }
+    lines.push('}');
+    ctx.interfaces.set(elem, lines.join('\n') + '\n');
+    return name;
+}
+
+function composeTSType(type) {
+    // compose field type (type name, array or attributes hash)
+    if (typeof type === 'string') {
+        return type;
+    }
+    if (type.array !== undefined) {
+        return type.array.includes(' | ') ? '(' + type.array + ')[]' : type.array + '[]';
+    }
+    const fields = [...type.attributes].map(([key, value]) => quoteKey(key) + (type.required.includes(key) ? '' : '?') + ': ' + value);
+    return '{ ' + fields.join('; ') + ' }';
+}
+
+function getTypeName(name) {
+    // convert element name into PascalCase type name
+    const words = localName(name).split(/[^A-Za-z0-9]+/).filter(word => word);
+    const result = words.map(word => word.charAt(0).toUpperCase() + word.substring(1)).join('');
+    return /^[A-Za-z]/.test(result) ? result : 'Element' + result;
+}
+
+function uniqueName(name, ctx) {
+    // add numeric suffix to type name if already used
+    // suffixes below the last one tried for this name are all taken, so start from there
+    let result = name;
+    let idx = ctx.suffixes.get(name) || 2;
+    while (ctx.used.has(result)) {
+        result = name + idx;
+        idx += 1;
+    }
+    ctx.suffixes.set(name, idx);
+    ctx.used.add(result);
+    return result;
+}
+
+function quoteKey(key) {
+    // quote object key if it is not a valid identifier
+    return re_identifier.test(key) ? key : JSON.stringify(key);
+}
+
+module.exports = {
+    InferredSchema,
+    inferSchema
+};
@@ -0,0 +1,40 @@
+/*
+	Hardening for Untrusted Input
+	Default parser limits, and property helpers which never invoke inherited
+	accessors, so names like "__proto__" from a document cannot touch prototypes.
+
+	Released under the MIT License
+*/
+
+const limit_defaults = {
+    maxDepth: Infinity,
+    maxSize: Infinity,
+    maxAttributes: Infinity,
+    maxTextLength: Infinity,
+    maxNodes: Infinity,
+    maxEntityLength: 1000000,
+    maxEntityExpansion: 10000000,
+    maxResources: 1000,
+    rejectDoctype: false
+};
+
+function hasOwn(hash, key) {
+    // determine if hash has own property (ignoring inherited ones like "constructor")
+    return Object.prototype.hasOwnProperty.call(hash, key);
+}
+
+function setKey(hash, key, value) {
+    // assign property, defining "__proto__" as a plain own property instead of setting the prototype
+    if (key === '__proto__') {
+        Object.defineProperty(hash, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+        hash[key] = value;
+    }
+    return value;
+}
+
+module.exports = {
+    limit_defaults,
+    hasOwn,
+    setKey
+};
@@ -0,0 +1,116 @@
+/*
+	Source Locations
+	In "locations" mode the parser records where each element, attribute and
+	text value came from.  Locations live in a side table keyed by the objects
+	and arrays in the tree, so the tree itself (and its JSON / XML output) is unchanged.
+
+	Usage:
+		var doc = XML.parse( text, { locations: true } );
+		var loc = XML.locate( doc, doc.Server );          // element
+		var loc = XML.locate( doc.Server, "port" );       // attribute, text or child element
+		var loc = XML.locate( doc.Server.Alias, 1 );      // repeated element
+		// { start: { line, column, offset }, end: { line, column, offset } }
+
+	Character positions are stored while parsing, and converted to line, column
+	and byte offset when looked up.
+
+	Released under the MIT License
+*/
+
+const { getLineIndex, locate: locatePosition } = require('./errors.js');
+
+const location_table = new WeakMap();
+
+class LocationSource {
+    constructor(text) {
+        // class constructor for source text shared by all locations from one parse
+        this.text = text;
+        this.lineIndex = null;
+    }
+
+    resolve(range) {
+        // convert raw { start, end, text } character range into line, column and offset
+        if (!this.lineIndex) {
+            this.lineIndex = getLineIndex(this.text);
+        }
+        const loc = {
+            start: locatePosition(this.text, range.start, this.lineIndex),
+            end: locatePosition(this.text, range.end, this.lineIndex)
+        };
+        if (range.text) {
+            loc.text = this.resolve(range.text);
+        }
+        return loc;
+    }
+}
+
+function getEntry(node, source) {
+    // get (or create) side table entry for object or array in tree
+    let entry = location_table.get(node);
+    if (!entry) {
+        entry = { source, range: null, keys: Object.create(null) };
+        location_table.set(node, entry);
+    }
+    return entry;
+}
+
+function recordNode(node, range, source) {
+    // record location of element which parsed into object or array
+    if (isNode(node)) {
+        getEntry(node, source).range = range;
+    }
+}
+
+function recordKey(node, key, range, source) {
+    // record location of attribute, text or child element under key of object (or index of array)
+    if (isNode(node)) {
+        getEntry(node, source).keys[key] = range;
+    }
+}
+
+function getKeyRange(node, key) {
+    // get raw range recorded for key of object or array, or null
+    const entry = location_table.get(node);
+    return (entry && entry.keys[key]) || null;
+}
+
+function locate(node, key, index) {
+    // get location of object in tree, or of a key in an object (or index in an array)
+    // call as locate(node), locate(tree, node), locate(parent, key) or locate(parent, key, index)
+    if (isNode(key)) {
+        return locate(key);
+    }
+    if (!isNode(node)) {
+        return null;
+    }
+    if (key === undefined) {
+        const entry = location_table.get(node);
+        return (entry && entry.range) ? entry.source.resolve(entry.range) : null;
+    }
+
+    const value = node[key];
+    if (Array.isArray(value) && !Array.isArray(node)) {
+        // repeated elements are recorded on the array
+        if (index !== undefined) {
+            return locate(value, index);
+        }
+        return value.map((item, idx) => locate(value, idx));
+    }
+
+    const entry = location_table.get(node);
+    const range = entry ? entry.keys[key] : null;
+    return range ? entry.source.resolve(range) : null;
+}
+
+function isNode(node) {
+    // determine if value can have a location (objects and arrays in the tree)
+    return node !== null && typeof node === 'object' && !(node instanceof Date);
+}
+
+module.exports = {
+    LocationSource,
+    recordNode,
+    recordKey,
+    getKeyRange,
+    locate
+};
@@ -0,0 +1,429 @@
+/*
+	Layered Configuration
+	Merges a base document with any number of overlay documents, e.g. environment
+	and site specific settings.  Overlay elements merge into the matching base
+	elements (by position, or by a key attribute), and merge="replace|append|remove"
+	attributes change how each one is applied.  The merged tree records which layer
+	supplied each value, which XML.locate() reports.
+
+	Usage:
+		var config = XML.merge( base_xml, production_xml, { keys: ["Server[@id]"] } );
+		var config = XML.mergeFilesSync( ["conf/base.xml", "conf/production.xml"], { env: process.env } );
+
+		XML.locate( config.Database, "Host" );
+		// { start: { line, column, offset }, end: { ... }, layer: 1, name: "conf/production.xml" }
+
+	Released under the MIT License
+*/
+
+const { XML, encodeEntities, encodeAttribEntities, isaHash } = require('./xml.js');
+const { SAXParser } = require('./sax.js');
+const { LocationSource } = require('./locations.js');
+const { XMLParseError } = require('./errors.js');
+const { decodeXML, stripBOM } = require('./encoding.js');
+const { limit_defaults, hasOwn, setKey } = require('./limits.js');
+const { expandResources } = require('./resources.js');
+
+const merge_modes = ['merge', 'replace', 'append', 'remove'];
+const merge_attrib = 'merge';
+const merge_key_attrib = 'merge-key';
+
+// options used by merging, which are not passed on to the parser
+const merge_defaults = {
+    keys: null,
+    env: null,
+    names: null,
+    ignoreMissing: false
+};
+
+const re_key_rule = /^(\/?)([\w\-:.]+(?:\/[\w\-:.]+)*)\[@([\w\-:.]+)\]$/;
+const re_variable = /\$(\$?)\{([A-Za-z_][\w.]*)(?::-([^}]*))?\}/g;
+
+class MergeSource extends LocationSource {
+    constructor(text, segments) {
+        // class constructor for merged document text
+        // pass in sorted list of { start, origin }, mapping positions in text to the layer which supplied them
+        super(text);
+        this.segments = segments;
+    }
+
+    resolve(range) {
+        // get location in the layer which supplied the value at range, plus the layer index and name
+        const origin = this.getOrigin(range.start);
+        const layer = origin.layer;
+        const loc = layer.source.resolve(origin);
+        loc.layer = layer.index;
+        loc.name = layer.name;
+        if (range.text) {
+            loc.text = this.resolve(range.text);
+        }
+        return loc;
+    }
+
+    getOrigin(pos) {
+        // binary search for last segment starting at or before pos
+        const segments = this.segments;
+        let low = 0;
+        let high = segments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (segments[mid].start <= pos) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return segments[low].origin;
+    }
+}
+
+function merge(...args) {
+    // merge base document with overlays (XML strings or buffers), returns parsed tree
+    // the last argument may be an options hash (parse options plus merge options)
+    const last = args[args.length - 1];
+    const opts = (isaHash(last) && !(last instanceof Uint8Array)) ? args.pop() : {};
+    const names = opts.names || [];
+    const layers = args.map((text, idx) => ({ text, name: (idx < names.length) ? names[idx] : null, baseURI: null }));
+    return mergeLayers(layers, opts);
+}
+
+function mergeFilesSync(files, opts = {}) {
+    // load and merge files, the first being the base, returns parsed tree
+    const fs = require('fs');
+    const layers = [];
+    for (const file of files) {
+        if (opts.ignoreMissing && layers.length && !fs.existsSync(file)) {
+            continue;
+        }
+        layers.push(getFileLayer(file, fs.readFileSync(file)));
+    }
+    return mergeLayers(layers, opts);
+}
+
+async function mergeFiles(files, opts = {}) {
+    // load and merge files asynchronously, returns promise resolving to tree
+    const fs = require('fs');
+    const layers = [];
+    for (const file of files) {
+        let bytes = null;
+        try {
+            bytes = await fs.promises.readFile(file);
+        } catch (err) {
+            if (opts.ignoreMissing && layers.length && err.code === 'ENOENT') {
+                continue;
+            }
+            throw err;
+        }
+        layers.push(getFileLayer(file, bytes));
+    }
+    return mergeLayers(layers, opts);
+}
+
+function getFileLayer(file, bytes) {
+    // build layer for file, named by its path
+    const path = require('path');
+    return { text: bytes, name: file, baseURI: path.resolve(file) };
+}
+
+function mergeLayers(layers, opts) {
+    // parse each layer, merge overlays into base in order, and parse the result with the given options
+    if (!layers.length) {
+        throw new Error("No documents to merge");
+    }
+    const parseOpts = {};
+    for (const key in opts) {
+        if (!hasOwn(merge_defaults, key)) {
+            parseOpts[key] = opts[key];
+        }
+    }
+    const ctx = {
+        rules: (opts.keys || []).map(parseKeyRule),
+        env: (opts.env === true) ? process.env : opts.env
+    };
+
+    const docs = layers.map((layer, idx) => parseLayer(Object.assign(layer, { index: idx }), parseOpts));
+    const base = docs[0];
+    for (const doc of docs.slice(1)) {
+        if (doc.name !== base.name) {
+            throw new Error("Cannot merge document element " + doc.name + " into " + base.name + getLayerSuffix(doc.origin.layer));
+        }
+        if (doc.mode === 'replace') {
+            docs[0] = doc;
+        } else if (doc.mode === 'merge') {
+            mergeElement(docs[0], doc, { name: doc.name, parent: null, depth: 1 }, ctx);
+        } else {
+            throw new Error("Invalid merge directive for document element: " + doc.mode + getLayerSuffix(doc.origin.layer));
+        }
+    }
+
+    const segments = [];
+    const text = composeElement(docs[0], { text: '', segments }, ctx);
+    const parser = new XML(text, Object.assign(parseOpts, { locations: new MergeSource(text, segments) }));
+    return parser.getTree();
+}
+
+function parseLayer(layer, opts) {
+    // parse layer into document element node, recording where each node came from
+    // element nodes are { name, attributes: { name: {value, origin} }, children, mode, key, origin }
+    let text = layer.text;
+    if (text instanceof Uint8Array) {
+        text = decodeXML(text, opts.encoding).text;
+    } else {
+        text = stripBOM(String(text));
+    }
+    if ((opts.xinclude || opts.externalEntities) && !opts.html) {
+        text = expandResources(text, new XML('', Object.assign({}, opts, { baseURI: layer.baseURI })));
+    }
+    layer.text = text;
+    layer.source = new LocationSource(text);
+
+    // limits apply to each layer as it is parsed, as well as to the merged result
+    const saxOpts = { htmlEntities: opts.htmlEntities, entities: opts.entities, recover: opts.recover };
+    for (const key in limit_defaults) {
+        if (opts[key] !== undefined) {
+            saxOpts[key] = opts[key];
+        }
+    }
+    const sax = new SAXParser(saxOpts);
+    const doc = { children: [] };
+    const stack = [doc];
+    const getOrigin = length => ({ layer, start: sax.offset + sax.pos, end: sax.offset + sax.pos + length });
+    const append = node => stack[stack.length - 1].children.push(node);
+
+    sax.on('opentag', (node) => {
+        const elem = { name: node.name, attributes: {}, children: [], mode: 'merge', key: null, origin: getOrigin(node.raw.length + 2) };
+        for (const key in node.attributes) {
+            if (key === merge_attrib) {
+                elem.mode = node.attributes[key];
+            } else if (key === merge_key_attrib) {
+                elem.key = node.attributes[key];
+            } else {
+                setKey(elem.attributes, key, { value: node.attributes[key], origin: elem.origin });
+            }
+        }
+        append(elem);
+        stack.push(elem);
+    });
+    sax.on('closetag', () => {
+        stack.pop();
+    });
+    sax.on('text', (value, raw) => {
+        append({ text: value, origin: getOrigin(raw.length) });
+    });
+    sax.on('cdata', (value) => {
+        append({ text: value, cdata: true, origin: getOrigin(value.length + 12) });
+    });
+
+    try {
+        sax.end(text);
+    } catch (err) {
+        if (!(err instanceof XMLParseError) || !layer.name) {
+            throw err;
+        }
+        const entry = Object.assign({}, sax.errors[sax.errors.length - 1]);
+        entry.key += " (in " + layer.name + ")";
+        throw new XMLParseError(entry, XML.prototype.getError(entry));
+    }
+
+    const root = doc.children.find(node => node.name !== undefined);
+    if (!root) {
+        throw new Error("Document has no document element" + getLayerSuffix(layer));
+    }
+    return root;
+}
+
+function mergeElement(target, overlay, path, ctx) {
+    // merge overlay element into target element: attributes override, and child elements
+    // merge into matching children, while text content replaces the target's content
+    // elements being merged are kept on a stack (no recursion), so deep documents cannot overflow
+    // path is a chain of { name, parent, depth } from the element up to the document element
+    const stack = [];
+    const first = startMerge(target, overlay, path);
+    if (first) {
+        stack.push(first);
+    }
+
+    while (stack.length) {
+        const frame = stack[stack.length - 1];
+        if (frame.idx >= frame.overlay.children.length) {
+            stack.pop();
+            continue;
+        }
+
+        const child = frame.overlay.children[frame.idx];
+        frame.idx += 1;
+        if (child.name === undefined) {
+            continue;
+        }
+        if (!merge_modes.includes(child.mode)) {
+            throw new Error("Invalid merge directive: " + child.mode + getLayerSuffix(child.origin.layer));
+        }
+        const childPath = { name: child.name, parent: frame.path, depth: frame.path.depth + 1 };
+        const match = (child.mode === 'append') ? null : findMatch(frame.siblings[child.name] || [], child, getKey(child, childPath, ctx), frame.positions);
+        const children = frame.target.children;
+
+        if (child.mode === 'remove') {
+            if (match) {
+                children.splice(children.indexOf(match), 1);
+            }
+        } else if (!match) {
+            insertChild(frame.target, child);
+        } else if (child.mode === 'replace') {
+            children[children.indexOf(match)] = child;
+        } else {
+            const inner = startMerge(match, child, childPath);
+            if (inner) {
+                stack.push(inner);
+            }
+        }
+    }
+}
+
+function startMerge(target, overlay, path) {
+    // apply overlay attributes and text to target element
+    // returns state for merging the overlay's child elements, or null if there are none to merge
+    target.origin = overlay.origin;
+    for (const key in overlay.attributes) {
+        setKey(target.attributes, key, overlay.attributes[key]);
+    }
+
+    if (overlay.children.some(node => node.text !== undefined && (node.cdata || node.text.trim()))) {
+        target.children = overlay.children;
+        return null;
+    }
+
+    // match against the target's children as they were before this overlay
+    const siblings = Object.create(null);
+    for (const child of target.children) {
+        if (child.name !== undefined) {
+            (siblings[child.name] || (siblings[child.name] = [])).push(child);
+        }
+    }
+    return { target, overlay, path, siblings, positions: Object.create(null), idx: 0 };
+}
+
+function getKey(elem, path, ctx) {
+    // get key attribute for matching element, from its merge-key attribute or a key rule
+    if (elem.key) {
+        return elem.key;
+    }
+    const rule = ctx.rules.find(rule => matchesPath(rule, path));
+    return rule ? rule.attrib : null;
+}
+
+function findMatch(siblings, elem, key, positions) {
+    // find target sibling matching overlay element by key attribute value, or else by position
+    if (key && hasOwn(elem.attributes, key)) {
+        const value = elem.attributes[key].value;
+        return siblings.find(sibling => hasOwn(sibling.attributes, key) && sibling.attributes[key].value === value) || null;
+    }
+    const idx = positions[elem.name] || 0;
+    positions[elem.name] = idx + 1;
+    return siblings[idx] || null;
+}
+
+function insertChild(target, child) {
+    // add element after the last sibling of the same name, or at the end
+    const children = target.children;
+    for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+        if (children[idx].name === child.name) {
+            children.splice(idx + 1, 0, child);
+            return;
+        }
+    }
+    children.push(child);
+}
+
+function parseKeyRule(rule) {
+    // parse key rule such as "Server[@id]" or "/Config/Servers/Server[@name]" into { anchored, path, attrib }
+    const matches = rule.match(re_key_rule);
+    if (!matches) {
+        throw new Error("Invalid merge key rule: " + rule);
+    }
+    return { anchored: !!matches[1], path: matches[2].split('/'), attrib: matches[3] };
+}
+
+function matchesPath(rule, path) {
+    // determine if element path (from document element) ends with rule path (or equals it, if anchored)
+    const offset = path.depth - rule.path.length;
+    if (offset < 0 || (rule.anchored && offset)) {
+        return false;
+    }
+    for (let idx = rule.path.length - 1; idx >= 0; idx -= 1) {
+        if (path.name !== rule.path[idx]) {
+            return false;
+        }
+        path = path.parent;
+    }
+    return true;
+}
+
+function composeElement(root, out, ctx) {
+    // compose merged element into out.text, recording the origin of each part in out.segments
+    // pending nodes and end tags are kept on a stack (no recursion), so deep documents cannot overflow
+    const stack = [root];
+    while (stack.length) {
+        const node = stack.pop();
+        if (typeof node === 'string') {
+            out.text += node;
+            continue;
+        }
+        if (node.name === undefined) {
+            addSegment(out, node.origin);
+            const text = interpolate(node.text, node.origin, ctx);
+            out.text += node.cdata ? '<![CDATA[' + text.replace(/]]>/g, ']]]]><![CDATA[>') + ']]>' : encodeEntities(text);
+            continue;
+        }
+
+        addSegment(out, node.origin);
+        out.text += '<' + node.name;
+        for (const key in node.attributes) {
+            const attrib = node.attributes[key];
+            addSegment(out, attrib.origin);
+            out.text += ' ' + key + '="' + encodeAttribEntities(interpolate(attrib.value, attrib.origin, ctx)) + '"';
+        }
+        out.text += '>';
+
+        stack.push('</' + node.name + '>');
+        for (let idx = node.children.length - 1; idx >= 0; idx -= 1) {
+            stack.push(node.children[idx]);
+        }
+    }
+    return out.text;
+}
+
+function addSegment(out, origin) {
+    // record that text composed from the current position on came from origin
+    out.segments.push({ start: out.text.length, origin });
+}
+
+function interpolate(value, origin, ctx) {
+    // replace ${NAME} and ${NAME:-default} with variables from env option ("$${" is a literal "${")
+    if (!ctx.env || value.indexOf('${') === -1) {
+        return value;
+    }
+    return value.replace(re_variable, (match, escaped, name, fallback) => {
+        if (escaped) {
+            return match.substring(1);
+        }
+        if (hasOwn(ctx.env, name) && ctx.env[name] !== undefined) {
+            return String(ctx.env[name]);
+        }
+        if (fallback !== undefined) {
+            return fallback;
+        }
+        const loc = origin.layer.source.resolve(origin).start;
+        throw new Error("Undefined variable: " + name + getLayerSuffix(origin.layer) + " on line " + loc.line + ", column " + loc.column);
+    });
+}
+
+function getLayerSuffix(layer) {
+    // describe layer for error messages
+    return layer.name ? " (in " + layer.name + ")" : " (in layer " + layer.index + ")";
+}
+
+module.exports = {
+    merge,
+    mergeFiles,
+    mergeFilesSync
+};
@@ -0,0 +1,147 @@
+/*
+	XML Namespace Resolution
+	Tracks in-scope xmlns declarations while parsing, and maps each namespace
+	URI to a single output prefix (optionally chosen by the caller), so the
+	resulting tree can be described by one prefix-to-URI table.
+
+	Released under the MIT License
+*/
+
+const { setKey } = require('./limits.js');
+
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+class NamespaceResolver {
+    constructor(opts = {}) {
+        // class constructor for namespace resolver
+        // opts.namespacePrefixes maps URIs to fixed output prefixes ('' strips the prefix)
+        // in-scope prefixes are one flat map, and each element records what it changed,
+        // so lookups and scope changes cost the same at any depth
+        this.prefixMap = opts.namespacePrefixes || {};
+        this.scope = Object.create(null);
+        this.scope.xml = XML_NS;
+        this.undo = [];
+        this.namespaces = {};
+        this.uriPrefixes = new Map();
+        this.reserved = new Set(['xml', 'xmlns']);
+        this.counter = 0;
+
+        for (const uri in this.prefixMap) {
+            this.reserved.add(this.prefixMap[uri]);
+        }
+    }
+
+    push(attribs) {
+        // open new element scope, consuming xmlns declarations from raw attribute hash
+        let changes = null;
+
+        for (const key in attribs) {
+            if (key === 'xmlns' || key.startsWith('xmlns:')) {
+                const prefix = (key === 'xmlns') ? '' : key.substring(6);
+                (changes || (changes = [])).push([prefix, this.scope[prefix]]);
+                this.scope[prefix] = attribs[key];
+                delete attribs[key];
+            }
+        }
+
+        this.undo.push(changes);
+    }
+
+    pop() {
+        // close current element scope, restoring the prefixes it declared
+        const changes = this.undo.pop();
+        if (!changes) {
+            return;
+        }
+        for (let idx = changes.length - 1; idx >= 0; idx -= 1) {
+            const [prefix, uri] = changes[idx];
+            if (uri === undefined) {
+                delete this.scope[prefix];
+            } else {
+                this.scope[prefix] = uri;
+            }
+        }
+    }
+
+    resolve(qname, isAttrib) {
+        // resolve qualified name against current scope
+        // returns { uri, local, prefix, name } or null if prefix is undeclared
+        const idx = qname.indexOf(':');
+        const prefix = idx > -1 ? qname.substring(0, idx) : '';
+        const local = idx > -1 ? qname.substring(idx + 1) : qname;
+
+        // unprefixed attributes are never in a namespace
+        if (!prefix && isAttrib) {
+            return { uri: null, local, prefix: '', name: local };
+        }
+
+        const uri = this.scope[prefix];
+        if (!uri) {
+            if (prefix) {
+                return null;
+            }
+            return { uri: null, local, prefix: '', name: local };
+        }
+
+        const output = this.getOutputPrefix(uri, prefix);
+        return { uri, local, prefix: output, name: output ? output + ':' + local : local };
+    }
+
+    getOutputPrefix(uri, prefix) {
+        // get output prefix for URI, assigning one on first use
+        if (uri === XML_NS) {
+            return 'xml';
+        }
+        if (this.uriPrefixes.has(uri)) {
+            return this.uriPrefixes.get(uri);
+        }
+
+        let output = prefix;
+        if (uri in this.prefixMap) {
+            output = this.prefixMap[uri];
+        } else if (this.reserved.has(output) || (output in this.namespaces)) {
+            do {
+                this.counter += 1;
+                output = 'ns' + this.counter;
+            } while (this.reserved.has(output) || (output in this.namespaces));
+        }
+
+        this.uriPrefixes.set(uri, output);
+        if (output || !(uri in this.prefixMap)) {
+            setKey(this.namespaces, output, uri);
+        } else {
+            // stripped namespace, still keep the default prefix from being reused
+            this.reserved.add('');
+        }
+        return output;
+    }
+}
+
+function resolveName(qname, namespaces, isAttrib) {
+    // resolve output name from parsed tree using its prefix-to-URI table
+    // returns { uri, local, prefix }
+    const idx = qname.indexOf(':');
+    const prefix = idx > -1 ? qname.substring(0, idx) : '';
+    const local = idx > -1 ? qname.substring(idx + 1) : qname;
+
+    if (prefix === 'xml') {
+        return { uri: XML_NS, local, prefix };
+    }
+    if (prefix === 'xmlns' || (!prefix && local === 'xmlns')) {
+        return { uri: XMLNS_NS, local, prefix };
+    }
+    if (!prefix && isAttrib) {
+        return { uri: null, local, prefix };
+    }
+
+    const uri = namespaces && Object.prototype.hasOwnProperty.call(namespaces, prefix) ? namespaces[prefix] : null;
+    return { uri, local, prefix };
+}
+
+module.exports = {
+    XML_NS,
+    XMLNS_NS,
+    NamespaceResolver,
+    resolveName
+};
@@ -0,0 +1,314 @@
+/*
+	Prolog Objects
+	Parses the XML declaration, processing instructions and DOCTYPE into plain
+	objects, and composes them back into markup.  Objects remember the markup they
+	were parsed from, which is written back verbatim while they are unchanged.
+
+	Usage:
+		var parser = new XML.Parser( text );
+		parser.declaration;              // { version: "1.0", encoding: "UTF-8", standalone: true }
+		parser.processingInstructions;   // [ { target: "xml-stylesheet", data: "...", attributes: { type, href } } ]
+		parser.doctype;                  // { name, publicId, systemId, declarations: [ { type: "ENTITY", ... } ] }
+
+	Raw markup is passed in as stored by the parser, without the angle brackets,
+	e.g. '?xml version="1.0"?' or '!DOCTYPE Root SYSTEM "root.dtd"'.
+
+	Released under the MIT License
+*/
+
+const xml_header = '<?xml version="1.0"?>';
+
+const re_pseudo_attribs = /^(?:\s*[\w\-:.]+\s*=\s*(?:"[^"]*"|'[^']*'))*\s*$/;
+const re_pseudo_attrib = /([\w\-:.]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const re_pi = /^\s*\?\s*([\w\-:.]+)\s*([^]*?)\s*\??$/;
+const re_doctype = /^\s*!DOCTYPE\s+([^\s\[>]+)(?:\s+(?:PUBLIC\s+("[^"]*"|'[^']*')(?:\s+("[^"]*"|'[^']*'))?|SYSTEM\s+("[^"]*"|'[^']*')))?\s*(?:\[([^]*)\])?\s*$/i;
+const re_subset_token = /\s+|<!--([^]*?)-->|<\?\s*([\w\-:.]+)\s*([^]*?)\s*\?>|%([\w\-:.]+);|<!(ELEMENT|ATTLIST|ENTITY|NOTATION)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<%\s]+|[^]/y;
+const re_attdef = /\s*([^\s]+)\s+(NOTATION\s*\([^)]*\)|\([^)]*\)|[^\s]+)\s+(#REQUIRED|#IMPLIED|(?:#FIXED\s+)?(?:"[^"]*"|'[^']*'))/y;
+const re_entity_decl = /^\s*(%\s+)?([^\s]+)\s+(?:("[^"]*"|'[^']*')|(?:PUBLIC\s+("[^"]*"|'[^']*')\s+("[^"]*"|'[^']*')|SYSTEM\s+("[^"]*"|'[^']*'))(?:\s+NDATA\s+([^\s]+))?)\s*$/;
+const re_notation_decl = /^\s*([^\s]+)\s+(?:PUBLIC\s+("[^"]*"|'[^']*')(?:\s+("[^"]*"|'[^']*'))?|SYSTEM\s+("[^"]*"|'[^']*'))\s*$/;
+
+function parseDeclaration(raw) {
+    // parse XML declaration into { version, encoding, standalone }
+    const attribs = parsePseudoAttribs(raw.replace(/^\s*\?\s*xml/, '').replace(/\?$/, '')) || {};
+    const declaration = { version: attribs.version || '1.0' };
+    if (attribs.encoding !== undefined) {
+        declaration.encoding = attribs.encoding;
+    }
+    if (attribs.standalone !== undefined) {
+        declaration.standalone = (attribs.standalone === 'yes');
+    }
+    return remember(declaration, '<' + raw + '>', composeDeclaration);
+}
+
+function composeDeclaration(declaration) {
+    // build XML declaration from true (default), false (none) or { version, encoding, standalone }
+    if (declaration === false) {
+        return '';
+    }
+    if (declaration === null || typeof declaration !== 'object') {
+        return xml_header;
+    }
+    return composeRemembered(declaration, () => {
+        let xml = '<?xml version="' + (declaration.version || '1.0') + '"';
+        if (declaration.encoding) {
+            xml += ' encoding="' + declaration.encoding + '"';
+        }
+        if (declaration.standalone !== undefined) {
+            xml += ' standalone="' + ((declaration.standalone === true || declaration.standalone === 'yes') ? 'yes' : 'no') + '"';
+        }
+        return xml + '?>';
+    });
+}
+
+function parsePI(raw) {
+    // parse processing instruction into { target, data, attributes }
+    // attributes holds the pseudo-attributes (e.g. of xml-stylesheet), or null if data is not in that form
+    const matches = raw.match(re_pi);
+    const pi = { target: matches ? matches[1] : '', data: matches ? matches[2] : '' };
+    pi.attributes = parsePseudoAttribs(pi.data);
+    remember(pi, '<' + raw + '>', composePI);
+    pi.raw.data = pi.data;
+    return pi;
+}
+
+function composePI(pi) {
+    // compose processing instruction, from its attributes if it has them, otherwise its data
+    // data which was changed since parsing takes precedence over the attributes
+    const original = pi.raw ? pi.raw.data : undefined;
+    return composeRemembered(pi, () => {
+        const edited = (original !== undefined && pi.data !== original);
+        const data = (pi.attributes && !edited) ? composePseudoAttribs(pi.attributes) : (pi.data || '');
+        return '<?' + pi.target + (data ? ' ' + data : '') + '?>';
+    });
+}
+
+function parseDoctype(raw) {
+    // parse DOCTYPE into { name, publicId, systemId, declarations }
+    const matches = raw.match(re_doctype) || [];
+    const doctype = {
+        name: matches[1] || null,
+        publicId: unquote(matches[2]),
+        systemId: unquote(matches[3] || matches[4]),
+        declarations: (matches[5] !== undefined) ? parseSubset(matches[5]) : null
+    };
+    return remember(doctype, '<' + raw + '>', composeDoctype);
+}
+
+function composeDoctype(doctype) {
+    // compose DOCTYPE, with internal subset declarations one per line
+    return composeRemembered(doctype, () => {
+        let xml = '<!DOCTYPE ' + doctype.name;
+        if (doctype.publicId != null) {
+            xml += ' PUBLIC ' + quote(doctype.publicId) + (doctype.systemId != null ? ' ' + quote(doctype.systemId) : '');
+        } else if (doctype.systemId != null) {
+            xml += ' SYSTEM ' + quote(doctype.systemId);
+        }
+        if (doctype.declarations) {
+            xml += ' [' + doctype.declarations.map(decl => '\n' + composeMarkupDecl(decl)).join('') + (doctype.declarations.length ? '\n' : '') + ']';
+        }
+        return xml + '>';
+    });
+}
+
+function parseSubset(text) {
+    // parse DOCTYPE internal subset into list of declaration objects
+    // types: ELEMENT, ATTLIST, ENTITY, NOTATION, comment, pi, reference (%name;) and text (anything else)
+    const list = [];
+    let matches = null;
+
+    re_subset_token.lastIndex = 0;
+    while (re_subset_token.lastIndex < text.length && (matches = re_subset_token.exec(text))) {
+        const [markup, comment, target, data, reference, keyword, body] = matches;
+        let decl = null;
+        if (comment !== undefined) {
+            decl = { type: 'comment', value: comment };
+        } else if (target !== undefined) {
+            decl = { type: 'pi', target, data };
+        } else if (reference !== undefined) {
+            decl = { type: 'reference', name: reference };
+        } else if (keyword !== undefined) {
+            decl = parseMarkupDecl(keyword, body);
+        } else {
+            // unrecognized text is kept, joined with any text that follows
+            const last = list.length ? list[list.length - 1].decl : null;
+            if (last && last.type === 'text') {
+                last.value += markup;
+            } else if (markup.trim()) {
+                list.push({ decl: { type: 'text', value: markup }, markup: null });
+            }
+            continue;
+        }
+        list.push({ decl, markup });
+    }
+
+    return list.map(({ decl, markup }) => {
+        if (markup === null) {
+            decl.value = decl.value.trim();
+        }
+        return remember(decl, markup, composeMarkupDecl);
+    });
+}
+
+function parseMarkupDecl(keyword, body) {
+    // parse ELEMENT, ATTLIST, ENTITY or NOTATION declaration body into object
+    const fallback = { type: 'text', value: '<!' + keyword + body + '>' };
+    let matches = null;
+
+    switch (keyword) {
+        case 'ELEMENT': {
+            matches = body.match(/^\s*([^\s]+)\s+([^]*?)\s*$/);
+            return matches ? { type: 'ELEMENT', name: matches[1], content: matches[2] } : fallback;
+        }
+        case 'ATTLIST': {
+            matches = body.match(/^\s*([^\s]+)/);
+            if (!matches) {
+                return fallback;
+            }
+            const decl = { type: 'ATTLIST', element: matches[1], attributes: [] };
+            let pos = re_attdef.lastIndex = matches[0].length;
+            while ((matches = re_attdef.exec(body))) {
+                pos = re_attdef.lastIndex;
+                const def = matches[3];
+                const value = def.match(/("[^"]*"|'[^']*')$/);
+                decl.attributes.push({
+                    name: matches[1],
+                    type: matches[2],
+                    default: def.startsWith('#') ? def.split(/\s/)[0] : null,
+                    value: value ? unquote(value[1]) : null
+                });
+            }
+            return body.substring(pos).trim() ? fallback : decl;
+        }
+        case 'ENTITY': {
+            matches = body.match(re_entity_decl);
+            if (!matches) {
+                return fallback;
+            }
+            const decl = { type: 'ENTITY', name: matches[2], parameter: !!matches[1] };
+            if (matches[3] !== undefined) {
+                decl.value = unquote(matches[3]);
+            } else {
+                decl.publicId = unquote(matches[4]);
+                decl.systemId = unquote(matches[5] || matches[6]);
+                if (matches[7]) {
+                    decl.notation = matches[7];
+                }
+            }
+            return decl;
+        }
+        case 'NOTATION': {
+            matches = body.match(re_notation_decl);
+            if (!matches) {
+                return fallback;
+            }
+            return { type: 'NOTATION', name: matches[1], publicId: unquote(matches[2]), systemId: unquote(matches[3] || matches[4]) };
+        }
+    }
+    return fallback;
+}
+
+function composeMarkupDecl(decl) {
+    // compose internal subset declaration
+    return composeRemembered(decl, () => {
+        switch (decl.type) {
+            case 'ELEMENT':
+                return '<!ELEMENT ' + decl.name + ' ' + decl.content + '>';
+
+            case 'ATTLIST':
+                return '<!ATTLIST ' + decl.element + decl.attributes.map(attrib => {
+                    let def = attrib.default || '';
+                    if (attrib.value != null) {
+                        def += (def ? ' ' : '') + quote(attrib.value);
+                    }
+                    return ' ' + attrib.name + ' ' + attrib.type + ' ' + def;
+                }).join('') + '>';
+
+            case 'ENTITY': {
+                let xml = '<!ENTITY ' + (decl.parameter ? '% ' : '') + decl.name + ' ';
+                if (decl.value !== undefined) {
+                    return xml + quote(decl.value) + '>';
+                }
+                xml += (decl.publicId != null) ? 'PUBLIC ' + quote(decl.publicId) + ' ' + quote(decl.systemId || '') : 'SYSTEM ' + quote(decl.systemId || '');
+                return xml + (decl.notation ? ' NDATA ' + decl.notation : '') + '>';
+            }
+
+            case 'NOTATION':
+                if (decl.publicId != null) {
+                    return '<!NOTATION ' + decl.name + ' PUBLIC ' + quote(decl.publicId) + (decl.systemId != null ? ' ' + quote(decl.systemId) : '') + '>';
+                }
+                return '<!NOTATION ' + decl.name + ' SYSTEM ' + quote(decl.systemId || '') + '>';
+
+            case 'comment':
+                return '<!--' + decl.value + '-->';
+
+            case 'pi':
+                return '<?' + decl.target + (decl.data ? ' ' + decl.data : '') + '?>';
+
+            case 'reference':
+                return '%' + decl.name + ';';
+        }
+        return decl.value || '';
+    });
+}
+
+function parsePseudoAttribs(text) {
+    // parse name="value" pairs, or return null if text has anything else
+    if (!text.trim() || !re_pseudo_attribs.test(text)) {
+        return text.trim() ? null : {};
+    }
+    const attribs = {};
+    let matches = null;
+    re_pseudo_attrib.lastIndex = 0;
+    while ((matches = re_pseudo_attrib.exec(text))) {
+        attribs[matches[1]] = (matches[2] !== undefined) ? matches[2] : matches[3];
+    }
+    return attribs;
+}
+
+function composePseudoAttribs(attribs) {
+    // compose name="value" pairs
+    return Object.keys(attribs).map(key => key + '=' + quote(String(attribs[key]))).join(' ');
+}
+
+function quote(value) {
+    // wrap value in double quotes, or single quotes if it contains a double quote
+    return value.includes('"') ? "'" + value + "'" : '"' + value + '"';
+}
+
+function unquote(value) {
+    // strip quotes from literal, or null if missing
+    return (value === undefined || value === null) ? null : value.substring(1, value.length - 1);
+}
+
+function remember(obj, markup, compose) {
+    // record original markup (if any) and composed form, so unchanged objects keep their formatting
+    const composed = compose(obj);
+    Object.defineProperty(obj, 'raw', {
+        value: { markup: (markup !== null) ? markup : composed, composed },
+        writable: true,
+        configurable: true
+    });
+    return obj;
+}
+
+function composeRemembered(obj, compose) {
+    // compose object, using its original markup if it has not changed
+    const raw = obj.raw;
+    if (raw) {
+        obj.raw = null;
+        const composed = compose();
+        obj.raw = raw;
+        return (composed === raw.composed) ? raw.markup : composed;
+    }
+    return compose();
+}
+
+module.exports = {
+    parseDeclaration,
+    composeDeclaration,
+    parsePI,
+    composePI,
+    parseDoctype,
+    composeDoctype,
+    parseSubset
+};
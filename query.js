@@ -0,0 +1,495 @@
+/*
+	Path Queries
+	Evaluates a subset of XPath over the simplified trees produced by XML.parse(),
+	including single-vs-array collapse and string-compressed leaves.  Results are
+	in document order.  Attribute steps read the _Attribs hash where there is one,
+	or else the flattened attributes (string values) of the element.
+
+	Supported:
+		Order/Items/Item        child steps (relative to the tree)
+		/Order/Items            absolute path (needs documentNodeName unless root is preserved)
+		//Item                  descendant search
+		Items/*                 wildcard
+		Item[2], Item[last()]   positional predicates (1-based)
+		Item[@sku='x']          attribute tests
+		Item[Price > 10]        comparisons: = != < <= > >= (numeric when both sides are numbers)
+		Item[@sku and Price]    existence tests, combined with 'and' / 'or'
+		Item/@sku, Item/text()  attribute and text values
+
+	Released under the MIT License
+*/
+
+const { isaHash } = require('./xml.js');
+
+const path_cache = new Map();
+const max_cached_paths = 256;
+const re_predicate_token = /\s*(?:('[^']*'|"[^"]*")|(!=|<=|>=|=|<|>)|(-?\d+(?:\.\d+)?)(?![\w.(])|([^\s=!<>'"]+))/y;
+
+function query(tree, path, opts = {}) {
+    // find all nodes in tree matching path, returns array
+    // nodes are hashes or strings (compressed leaves, attribute values and text)
+    const context = {
+        attribsKey: opts.attribsKey || '_Attribs',
+        dataKey: opts.dataKey || '_Data',
+        namespacesKey: opts.namespacesKey || '_Namespaces',
+        preserveAttributes: !!opts.preserveAttributes
+    };
+    const compiled = compilePath(path);
+
+    let nodes = [tree];
+    if (compiled.absolute && opts.documentNodeName) {
+        // document node was omitted from the tree, so put it back for matching
+        nodes = [{ [opts.documentNodeName]: tree }];
+    }
+    return evaluate(nodes, compiled.steps, context);
+}
+
+function selectOne(tree, path, opts) {
+    // find first node matching path, or null
+    const nodes = query(tree, path, opts);
+    return nodes.length ? nodes[0] : null;
+}
+
+function selectValue(tree, path, opts) {
+    // find text value of first node matching path, or undefined
+    const nodes = query(tree, path, opts);
+    if (!nodes.length) {
+        return undefined;
+    }
+    return getNodeValue(nodes[0], { dataKey: opts?.dataKey || '_Data' });
+}
+
+function compilePath(path) {
+    // parse path into steps, caching the result
+    let compiled = path_cache.get(path);
+    if (compiled) {
+        return compiled;
+    }
+
+    const segments = splitOutside(path, '/');
+    const steps = [];
+    const absolute = segments.length > 1 && segments[0] === '';
+    let descendant = false;
+
+    for (let idx = absolute ? 1 : 0; idx < segments.length; idx += 1) {
+        const segment = segments[idx].trim();
+        if (!segment) {
+            if (descendant || idx === segments.length - 1) {
+                throw new Error("Invalid path: " + path);
+            }
+            descendant = true;
+            continue;
+        }
+        steps.push(compileStep(segment, descendant, path));
+        descendant = false;
+    }
+    if (!steps.length) {
+        throw new Error("Invalid path: " + path);
+    }
+
+    compiled = { absolute, steps };
+    if (path_cache.size >= max_cached_paths) {
+        path_cache.delete(path_cache.keys().next().value);
+    }
+    path_cache.set(path, compiled);
+    return compiled;
+}
+
+function compileStep(segment, descendant, path) {
+    // parse single step, e.g. Item[@sku='x'][1]
+    const bracket = segment.indexOf('[');
+    const test = (bracket > -1 ? segment.substring(0, bracket) : segment).trim();
+    const predicates = [];
+
+    if (!test.match(/^(\*|\.|text\(\)|@\*|@?[\w\-:.]+)$/)) {
+        throw new Error("Invalid path: " + path);
+    }
+
+    if (bracket > -1) {
+        for (const expr of splitPredicates(segment.substring(bracket), path)) {
+            predicates.push(compilePredicate(expr, path));
+        }
+    }
+
+    return { test, descendant, predicates };
+}
+
+function compilePredicate(expr, path) {
+    // parse predicate expression into position test or or/and list of terms
+    const tokens = [];
+    let matches = null;
+
+    expr = expr.trim();
+    re_predicate_token.lastIndex = 0;
+    while (re_predicate_token.lastIndex < expr.length && (matches = re_predicate_token.exec(expr))) {
+        if (matches[1] !== undefined) {
+            tokens.push({ literal: matches[1].slice(1, -1) });
+        } else if (matches[2] !== undefined) {
+            tokens.push({ op: matches[2] });
+        } else if (matches[3] !== undefined) {
+            tokens.push({ literal: Number(matches[3]), number: true });
+        } else {
+            tokens.push({ word: matches[4] });
+        }
+    }
+    if (re_predicate_token.lastIndex < expr.length || !tokens.length) {
+        throw new Error("Invalid path predicate: " + path);
+    }
+
+    if (tokens.length === 1 && tokens[0].number) {
+        return { position: tokens[0].literal };
+    }
+    if (tokens.length === 1 && tokens[0].word === 'last()') {
+        return { last: true };
+    }
+
+    // split into or-groups of and-terms
+    const groups = [[]];
+    let term = [];
+    const finishTerm = () => {
+        groups[groups.length - 1].push(compileTerm(term, path));
+        term = [];
+    };
+    for (const token of tokens) {
+        if (token.word === 'and' || token.word === 'or') {
+            finishTerm();
+            if (token.word === 'or') {
+                groups.push([]);
+            }
+        } else {
+            term.push(token);
+        }
+    }
+    finishTerm();
+
+    return { groups };
+}
+
+function compileTerm(tokens, path) {
+    // compile single predicate term: path, or path op literal
+    const [left, op, right] = tokens;
+    if (!left || !left.word || tokens.length === 2 || tokens.length > 3) {
+        throw new Error("Invalid path predicate: " + path);
+    }
+    if (op && (!op.op || right.literal === undefined)) {
+        throw new Error("Invalid path predicate: " + path);
+    }
+
+    return {
+        path: compilePath(left.word),
+        op: op ? op.op : null,
+        value: right ? right.literal : null,
+        number: right ? !!right.number : false
+    };
+}
+
+function splitOutside(text, delim) {
+    // split text on delimiter, ignoring delimiters inside brackets or quotes
+    const parts = [];
+    let depth = 0;
+    let quote = '';
+    let start = 0;
+
+    for (let idx = 0, len = text.length; idx < len; idx += 1) {
+        const ch = text.charAt(idx);
+        if (quote) {
+            if (ch === quote) {
+                quote = '';
+            }
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '[') {
+            depth += 1;
+        } else if (ch === ']') {
+            depth -= 1;
+        } else if (ch === delim && depth === 0) {
+            parts.push(text.substring(start, idx));
+            start = idx + 1;
+        }
+    }
+    parts.push(text.substring(start));
+    return parts;
+}
+
+function splitPredicates(text, path) {
+    // split "[a][b]" into predicate expressions, allowing nested brackets and quotes
+    const exprs = [];
+    let depth = 0;
+    let quote = '';
+    let start = 0;
+
+    for (let idx = 0, len = text.length; idx < len; idx += 1) {
+        const ch = text.charAt(idx);
+        if (quote) {
+            if (ch === quote) {
+                quote = '';
+            }
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+        } else if (ch === '[') {
+            if (depth === 0) {
+                start = idx + 1;
+            }
+            depth += 1;
+        } else if (ch === ']') {
+            depth -= 1;
+            if (depth === 0) {
+                exprs.push(text.substring(start, idx));
+            }
+        } else if (depth === 0 && ch.match(/\S/)) {
+            throw new Error("Invalid path predicate: " + path);
+        }
+    }
+    if (depth || quote) {
+        throw new Error("Invalid path predicate: " + path);
+    }
+    return exprs;
+}
+
+function evaluate(nodes, steps, context) {
+    // apply each step to current node set, returns matching nodes in document order
+    // each item is { value, owner, slot }: the hash holding the value, and its place in there
+    const roots = nodes.map((value, idx) => ({ value, owner: null, slot: idx }));
+    let items = roots;
+    let nested = false;
+
+    for (const step of steps) {
+        let results = [];
+        if (step.descendant) {
+            // items are in document order, so skip any inside a subtree already searched
+            const visited = new Set();
+            for (const item of items) {
+                if (!visited.has(item.owner) && !visited.has(item.value)) {
+                    collectDescendants(item, step, context, visited, results);
+                }
+            }
+            nested = true;
+        } else {
+            for (const item of items) {
+                results.push(...applyStep(item, step, context, getChildren(item, context)));
+            }
+            if (nested && items.length > 1) {
+                // items may contain one another, so put results back in document order
+                results = sortItems(results, roots, context);
+            }
+        }
+        items = results;
+    }
+    return items.map(item => item.value);
+}
+
+function applyStep(item, step, context, children) {
+    // apply node test and predicates to item, returns matching items
+    let matches = applyTest(item, step, context, children);
+    for (const predicate of step.predicates) {
+        matches = matches.filter((match, idx) => matchPredicate(predicate, match.value, idx + 1, matches.length, context));
+    }
+    return matches;
+}
+
+function collectDescendants(item, step, context, visited, results) {
+    // apply step to item and every node below it, adding matches to results in document order
+    // text and attributes precede the children of their element, and matched children are added as they are reached
+    const stack = [{ item, matched: false }];
+
+    while (stack.length) {
+        const { item: current, matched } = stack.pop();
+        if (matched) {
+            results.push(current);
+        }
+        if (isaHash(current.value)) {
+            visited.add(current.value);
+        }
+
+        const children = getChildren(current, context);
+        const selected = new Set();
+        for (const match of applyStep(current, step, context, children)) {
+            if (match.owner === current.value && match.key !== undefined) {
+                selected.add(match);
+            } else {
+                results.push(match);
+            }
+        }
+        for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+            stack.push({ item: children[idx], matched: selected.has(children[idx]) });
+        }
+    }
+}
+
+function applyTest(item, step, context, children) {
+    // get matching children, attributes or text of node
+    const node = item.value;
+    const test = step.test;
+    if (test === '.') {
+        return [item];
+    }
+    if (test === 'text()') {
+        if (typeof node === 'string') {
+            return [item];
+        }
+        if (isaHash(node) && node[context.dataKey] !== undefined) {
+            return [{ value: node[context.dataKey], owner: node, slot: '#' }];
+        }
+        return [];
+    }
+    if (test.charAt(0) === '@') {
+        const name = test.substring(1);
+        const attribs = getAttributes(node, context);
+        const results = [];
+        for (const key in attribs) {
+            if (name === '*' || key === name) {
+                results.push({ value: attribs[key], owner: node, slot: '@' + key });
+            }
+        }
+        return results;
+    }
+    return children.filter(child => test === '*' || child.key === test);
+}
+
+function getAttributes(node, context) {
+    // get attributes of node: its attribsKey hash, or else its flattened (non-object) values
+    // flattened attributes cannot be told apart from text-only child elements, so those match too
+    if (!isaHash(node)) {
+        return null;
+    }
+    if (isaHash(node[context.attribsKey])) {
+        return node[context.attribsKey];
+    }
+    if (context.preserveAttributes) {
+        return null;
+    }
+    const attribs = {};
+    for (const key in node) {
+        if (!isSpecialKey(key, context) && node[key] !== null && typeof node[key] !== 'object') {
+            attribs[key] = node[key];
+        }
+    }
+    return attribs;
+}
+
+function getChildren(item, context) {
+    // get child elements of node, with their names
+    const node = item.value;
+    const children = [];
+    if (!isaHash(node)) {
+        return children;
+    }
+    for (const key in node) {
+        if (!isSpecialKey(key, context)) {
+            const values = Array.isArray(node[key]) ? node[key] : [node[key]];
+            for (let idx = 0; idx < values.length; idx += 1) {
+                children.push({ key, value: values[idx], owner: node, slot: key + '\n' + idx });
+            }
+        }
+    }
+    return children;
+}
+
+function sortItems(items, roots, context) {
+    // put items into document order, dropping duplicates, by walking the tree from the roots
+    // the walk stops once every item has been placed
+    const slots = new Map();
+    for (const item of items) {
+        if (!slots.has(item.owner)) {
+            slots.set(item.owner, new Map());
+        }
+        slots.get(item.owner).set(item.slot, item);
+    }
+    const total = [...slots.values()].reduce((sum, map) => sum + map.size, 0);
+    const results = [];
+    const take = (owner, slot) => {
+        const item = slots.has(owner) && slots.get(owner).get(slot);
+        if (item) {
+            results.push(item);
+        }
+    };
+    const stack = roots.slice().reverse();
+
+    while (stack.length && results.length < total) {
+        const current = stack.pop();
+        take(current.owner, current.slot);
+        const node = current.value;
+        if (!isaHash(node)) {
+            continue;
+        }
+        if (slots.has(node)) {
+            take(node, '#');
+            for (const key in getAttributes(node, context)) {
+                take(node, '@' + key);
+            }
+        }
+        const children = getChildren(current, context);
+        for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+            stack.push(children[idx]);
+        }
+    }
+    return results;
+}
+
+function isSpecialKey(key, context) {
+    // determine if key holds attributes, text or namespaces rather than child elements
+    return key === context.attribsKey || key === context.dataKey || key === context.namespacesKey;
+}
+
+function matchPredicate(predicate, item, position, size, context) {
+    // determine if item satisfies predicate
+    if (predicate.position !== undefined) {
+        return position === predicate.position;
+    }
+    if (predicate.last) {
+        return position === size;
+    }
+    return predicate.groups.some(terms => terms.every(term => matchTerm(term, item, context)));
+}
+
+function matchTerm(term, item, context) {
+    // evaluate predicate term against item (any matching value satisfies it)
+    const values = evaluate([item], term.path.steps, context);
+    if (!term.op) {
+        return values.length > 0;
+    }
+    return values.some(value => compareValues(getNodeValue(value, context), term.op, term.value, term.number));
+}
+
+function compareValues(left, op, right, number) {
+    // compare node value to literal, numerically if literal is a number or op is relational
+    if (number || (op !== '=' && op !== '!=')) {
+        if (!left.trim()) {
+            return false;
+        }
+        left = Number(left);
+        right = Number(right);
+        if (isNaN(left) || isNaN(right)) {
+            return false;
+        }
+    }
+    switch (op) {
+        case '=': return left === right;
+        case '!=': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+    }
+    return false;
+}
+
+function getNodeValue(node, context) {
+    // get text value of node (string leaf, attribute value or element _Data)
+    if (node == null) {
+        return '';
+    }
+    if (isaHash(node)) {
+        return node[context.dataKey] !== undefined ? String(node[context.dataKey]) : '';
+    }
+    if (Array.isArray(node)) {
+        return '';
+    }
+    return String(node);
+}
+
+module.exports = {
+    query,
+    selectOne,
+    selectValue
+};
@@ -0,0 +1,575 @@
+/*
+	External Resources
+	Expands XInclude elements and references to external entities before a document
+	is parsed.  Every resource is loaded through a resolver hook.  The default resolver
+	reads local files under a root directory, so nothing is fetched over the network
+	unless you supply a resolver which does so.
+
+	Usage:
+		var doc = XML.parseFileSync( "config/main.xml", { xinclude: true } );
+		var doc = XML.parse( text, { xinclude: true, externalEntities: true, baseURI: "/app/config/main.xml" } );
+
+		// custom resolver, e.g. for preloaded or remote resources
+		var doc = XML.parse( text, {
+			xinclude: true,
+			resolver: function(uri, info) { return cache[uri] || null; }
+		} );
+
+	Released under the MIT License
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { Scanner } = require('./scanner.js');
+const { parseDoctype, parseSubset } = require('./prolog.js');
+const { SAXParser } = require('./sax.js');
+const { attachNodeBuilder, composeNodes } = require('./fidelity.js');
+const { error_codes, fatal_codes, XMLParseError, getLineIndex, locate } = require('./errors.js');
+const { limit_defaults, hasOwn } = require('./limits.js');
+const { decodeXML, stripBOM } = require('./encoding.js');
+
+const xinclude_ns = 'http://www.w3.org/2001/XInclude';
+
+// URI schemes have at least two characters, so Windows drive letters are paths
+const re_scheme = /^[a-z][a-z0-9+.\-]+:/i;
+const re_entity_ref = /&([A-Za-z_][\w.\-:]*);/g;
+const re_quoted_value = /(["'])([^]*?)\1/g;
+const re_text_decl = /^<\?xml\s[^]*?\?>/;
+const re_xpointer_part = /\s*([\w.\-:]+)\(((?:[^()^]|\^[()^])*)\)/y;
+const re_xpointer_escape = /\^([()^])/g;
+const re_shorthand = /^[A-Za-z_][\w.\-]*$/;
+const re_child_step = /^[1-9]\d*$/;
+
+function expandResources(text, parser) {
+    // expand external entities and XInclude elements in document text, per parser options
+    // resource errors are logged on the parser, and thrown unless in recover mode
+    const uri = parser.baseURI || null;
+    const ctx = {
+        parser,
+        uri,
+        resolver: parser.resolver || fileResolver(parser.resourceRoot || getDefaultRoot(uri)),
+        stack: [],
+        count: 0,
+        expanded: 0
+    };
+    return expandDocument(text, uri, ctx);
+}
+
+function getDefaultRoot(uri) {
+    // get directory of base document (or current directory), which limits the default resolver
+    if (!uri) {
+        return process.cwd();
+    }
+    if (uri.startsWith('file:')) {
+        return path.dirname(fileURLToPath(uri));
+    }
+    return re_scheme.test(uri) ? process.cwd() : path.dirname(path.resolve(uri));
+}
+
+function fileResolver(root) {
+    // create resolver which reads local files inside root directory, and refuses anything else
+    const rootPath = path.resolve(root);
+    let realRoot = null;
+
+    return (uri) => {
+        let file = uri;
+        if (uri.startsWith('file:')) {
+            file = fileURLToPath(uri);
+        } else if (re_scheme.test(uri)) {
+            throw new Error("Only local files can be loaded (network access is disabled unless you supply a resolver)");
+        }
+
+        if (!realRoot) {
+            realRoot = fs.realpathSync(rootPath);
+        }
+        try {
+            file = fs.realpathSync(file);
+        } catch (err) {
+            // missing files outside the root are refused too, so their existence is not revealed
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+            file = path.resolve(file);
+            if (!isInside(rootPath, file) && !isInside(realRoot, file)) {
+                throw new Error("File is outside of resource root: " + rootPath);
+            }
+            return null;
+        }
+
+        // symlinks are followed before checking, so they cannot escape the root either
+        if (!isInside(realRoot, file)) {
+            throw new Error("File is outside of resource root: " + rootPath);
+        }
+        return fs.readFileSync(file);
+    };
+}
+
+function isInside(dir, file) {
+    // determine if file path is inside directory
+    const relative = path.relative(dir, file);
+    return !(relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative));
+}
+
+function resolveURI(href, base) {
+    // resolve href relative to URI or file path of base document
+    if (re_scheme.test(href)) {
+        return href;
+    }
+    if (base && re_scheme.test(base)) {
+        return new URL(href, base).href;
+    }
+    return base ? path.resolve(path.dirname(base), href) : path.resolve(href);
+}
+
+function expandDocument(text, uri, ctx) {
+    // expand entities, then includes, in document text loaded from uri
+    ctx.stack.push(uri);
+    try {
+        const parser = ctx.parser;
+        if (parser.externalEntities && !parser.rejectDoctype) {
+            text = expandEntities({ text, uri, lineIndex: null }, ctx);
+        }
+        if (parser.xinclude && text.includes(xinclude_ns)) {
+            text = expandIncludes({ text, uri, lineIndex: null }, ctx);
+        }
+    } finally {
+        ctx.stack.pop();
+    }
+    return text;
+}
+
+function loadResource(uri, info, ctx) {
+    // load resource text through resolver
+    // returns { uri, text } or { uri, code, key } if it cannot be loaded
+    const max = ctx.parser.maxResources;
+    ctx.count += 1;
+    if (ctx.count > max) {
+        return { uri, code: error_codes.LIMIT_RESOURCES, key: "Too many external resources (limit is " + max + ")" };
+    }
+
+    let content = null;
+    try {
+        content = ctx.resolver(uri, info);
+        if (content instanceof Uint8Array) {
+            content = (info.type === 'text') ? new TextDecoder(info.encoding || 'utf-8').decode(content) : decodeXML(content).text;
+        }
+    } catch (err) {
+        return { uri, code: error_codes.RESOURCE_FAILED, key: "Cannot load " + uri + ": " + err.message };
+    }
+    if (content === null || content === undefined) {
+        return { uri, code: error_codes.RESOURCE_NOT_FOUND, key: "Resource not found: " + uri };
+    }
+    return { uri, text: stripBOM(String(content)) };
+}
+
+function throwResourceError(ctx, code, key, text, source, location) {
+    // log error at location in source document, naming the resource if it was included
+    // throws XMLParseError, unless in recover mode
+    const parser = ctx.parser;
+    if (source.uri && source.uri !== ctx.uri) {
+        key += " (in " + source.uri + ")";
+    }
+    const entry = Object.assign({ type: 'Parse', code, key, text }, location);
+    parser.errors.push(entry);
+    if (parser.recover && !fatal_codes.has(code)) {
+        return;
+    }
+    parser.failed = true;
+    throw new XMLParseError(entry, parser.getError(entry));
+}
+
+function getSourceLocation(source, pos) {
+    // get line, column and byte offset of character position in source text
+    if (!source.lineIndex) {
+        source.lineIndex = getLineIndex(source.text);
+    }
+    return locate(source.text, pos, source.lineIndex);
+}
+
+function expandEntities(source, ctx) {
+    // replace references to external entities, and to entities declared in an external DTD
+    const text = source.text;
+    const scanner = new Scanner(text);
+    let token = null;
+    while ((token = scanner.next()) && token.type !== 'doctype') {
+        if (token.type === 'tag') {
+            // reached document element without a DOCTYPE
+            return text;
+        }
+    }
+    if (!token || token.unclosed) {
+        return text;
+    }
+
+    const entities = getExternalEntities(token, source, ctx);
+    if (!Object.keys(entities).length) {
+        return text;
+    }
+    const state = { entities, ctx, source, stack: [], pos: 0 };
+    return text.substring(0, token.end) + expandReferences(text.substring(token.end), token.end, state);
+}
+
+function getExternalEntities(token, source, ctx) {
+    // get hash of entities the parser would not expand by itself: { name: {uri} or {value} }
+    // internal subset declarations take precedence, as the first declaration of an entity wins
+    const parser = ctx.parser;
+    const doctype = parseDoctype(token.tag);
+    const entities = Object.create(null);
+    const declared = new Set();
+    const isGeneralEntity = decl => decl.type === 'ENTITY' && !decl.parameter && !decl.notation &&
+        !declared.has(decl.name) && !(parser.entities && hasOwn(parser.entities, decl.name));
+
+    for (const decl of doctype.declarations || []) {
+        if (isGeneralEntity(decl)) {
+            declared.add(decl.name);
+            if (decl.value === undefined) {
+                entities[decl.name] = { uri: resolveURI(decl.systemId, source.uri) };
+            }
+        }
+    }
+
+    if (doctype.systemId !== null) {
+        const uri = resolveURI(doctype.systemId, source.uri);
+        const dtd = loadResource(uri, { href: doctype.systemId, base: source.uri, type: 'dtd' }, ctx);
+        if (dtd.code) {
+            throwResourceError(ctx, dtd.code, dtd.key, '<' + token.tag + '>', source, getSourceLocation(source, token.start));
+            return entities;
+        }
+        for (const decl of parseSubset(dtd.text)) {
+            if (isGeneralEntity(decl)) {
+                declared.add(decl.name);
+                entities[decl.name] = (decl.value === undefined) ? { uri: resolveURI(decl.systemId, uri) } : { value: decl.value };
+            }
+        }
+    }
+    return entities;
+}
+
+function expandReferences(fragment, offset, state) {
+    // replace entity references in text and attribute values of fragment
+    // offset is the fragment's position in the source document (null inside replacement text)
+    const scanner = new Scanner(fragment);
+    const parts = [];
+    let token = null;
+    let pos = 0;
+
+    while ((token = scanner.next())) {
+        parts.push(replaceReferences(token.text, offset === null ? null : offset + token.index, false, state));
+        const markup = fragment.substring(token.start, token.end);
+        if (token.type === 'tag' && markup.indexOf('&') > -1) {
+            parts.push(markup.replace(re_quoted_value, (match, quote, value, index) => {
+                return quote + replaceReferences(value, offset === null ? null : offset + token.start + index, true, state) + quote;
+            }));
+        } else {
+            parts.push(markup);
+        }
+        pos = token.end;
+    }
+    parts.push(replaceReferences(fragment.substring(pos), offset === null ? null : offset + pos, false, state));
+    return parts.join('');
+}
+
+function replaceReferences(text, offset, inAttribute, state) {
+    // replace references to known entities in text run or attribute value
+    if (text.indexOf('&') === -1) {
+        return text;
+    }
+    return text.replace(re_entity_ref, (match, name, index) => {
+        const entity = state.entities[name];
+        if (!entity || (inAttribute && entity.uri)) {
+            // attribute values cannot refer to external entities
+            return match;
+        }
+        if (offset !== null) {
+            state.pos = offset + index;
+        }
+        const replacement = getReplacement(name, state);
+        if (!addExpansion(replacement, match, state)) {
+            return match;
+        }
+        return inAttribute ? replacement.replace(/</g, '&lt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;') : replacement;
+    });
+}
+
+function addExpansion(replacement, ref, state) {
+    // count replacement text towards the document's total, returns false once that passes the limit
+    // each entity is expanded once and cached, so this is what bounds many references to a large one
+    const { ctx, source } = state;
+    const max = ctx.parser.maxEntityExpansion;
+    ctx.expanded += replacement.length;
+    if (ctx.expanded > max) {
+        throwResourceError(ctx, error_codes.LIMIT_ENTITY, "Entities expand beyond maximum total length of " + max, ref, source, getSourceLocation(source, state.pos));
+        return false;
+    }
+    return true;
+}
+
+function getReplacement(name, state) {
+    // get fully expanded replacement text of entity, loading it if external
+    const entity = state.entities[name];
+    const { ctx, source } = state;
+    const ref = '&' + name + ';';
+    if (entity.text !== undefined) {
+        return entity.text;
+    }
+    if (state.stack.includes(name)) {
+        throwResourceError(ctx, error_codes.RESOURCE_LOOP, "Entity refers to itself: " + name, ref, source, getSourceLocation(source, state.pos));
+        return ref;
+    }
+
+    let text = entity.value;
+    if (entity.uri) {
+        const resource = loadResource(entity.uri, { href: entity.uri, base: source.uri, type: 'entity' }, ctx);
+        if (resource.code) {
+            throwResourceError(ctx, resource.code, resource.key, ref, source, getSourceLocation(source, state.pos));
+            entity.text = ref;
+            return ref;
+        }
+        text = resource.text.replace(re_text_decl, '');
+    }
+
+    text = expandReferences(text, null, Object.assign({}, state, { stack: state.stack.concat(name) }));
+    if (text.length > ctx.parser.maxEntityLength) {
+        const key = "Entity " + name + " exceeds maximum length of " + ctx.parser.maxEntityLength + " characters";
+        throwResourceError(ctx, error_codes.LIMIT_ENTITY, key, ref, source, getSourceLocation(source, state.pos));
+    }
+    entity.text = text;
+    return text;
+}
+
+function expandIncludes(source, ctx) {
+    // replace XInclude elements with the content they refer to, or their fallback
+    // unchanged markup is kept as is, so only the includes themselves are rewritten
+    const tags = new WeakMap();
+    const doc = parseResource(source, ctx, tags);
+    const scope = { '': null };
+    return expandChildren(doc, scope, source.uri, { source, ctx, tags }) ? composeNodes(doc, {}) : source.text;
+}
+
+function parseResource(source, ctx, tags) {
+    // parse text into document node, optionally recording each start tag and its location
+    // errors in included documents are logged on the parser with the resource named
+    const parser = ctx.parser;
+    const opts = { htmlEntities: parser.htmlEntities, entities: parser.entities, recover: parser.recover };
+    for (const key in limit_defaults) {
+        opts[key] = parser[key];
+    }
+
+    const sax = new SAXParser(opts);
+    const doc = attachNodeBuilder(sax);
+    if (tags) {
+        sax.on('opentag', node => tags.set(node.attributes, { tag: '<' + node.raw + '>', location: sax.getLocation() }));
+    }
+
+    const nested = source.uri !== ctx.uri;
+    try {
+        sax.end(source.text);
+    } catch (err) {
+        if (!(err instanceof XMLParseError)) {
+            throw err;
+        }
+        const entry = Object.assign({}, sax.errors[sax.errors.length - 1]);
+        if (nested) {
+            entry.key += " (in " + source.uri + ")";
+        }
+        parser.errors.push(entry);
+        parser.failed = true;
+        throw new XMLParseError(entry, parser.getError(entry));
+    }
+
+    if (nested) {
+        for (const error of sax.errors) {
+            parser.errors.push(Object.assign({}, error, { key: error.key + " (in " + source.uri + ")" }));
+        }
+    }
+    return doc;
+}
+
+function expandChildren(node, scope, base, state) {
+    // expand includes among descendants of node, returning true if any were found
+    const children = node.children;
+    let changed = false;
+
+    for (let idx = 0; idx < children.length; idx += 1) {
+        const child = children[idx];
+        if (child.type !== 'element') {
+            continue;
+        }
+        const childScope = getScope(child, scope);
+        const childBase = hasOwn(child.attributes, 'xml:base') ? resolveURI(child.attributes['xml:base'], base) : base;
+
+        if (isXIncludeElement(child, childScope, 'include')) {
+            const nodes = getIncludeNodes(child, childScope, childBase, state);
+            children.splice(idx, 1, ...nodes);
+            idx += nodes.length - 1;
+            changed = true;
+        } else if (expandChildren(child, childScope, childBase, state)) {
+            changed = true;
+        }
+    }
+    return changed;
+}
+
+function getScope(elem, scope) {
+    // get namespace prefix mapping in effect for element
+    let result = scope;
+    for (const key in elem.attributes) {
+        if (key === 'xmlns' || key.startsWith('xmlns:')) {
+            if (result === scope) {
+                result = Object.assign({}, scope);
+            }
+            result[key === 'xmlns' ? '' : key.substring(6)] = elem.attributes[key];
+        }
+    }
+    return result;
+}
+
+function isXIncludeElement(elem, scope, localName) {
+    // determine if element has the given local name in the XInclude namespace
+    const colon = elem.name.indexOf(':');
+    const prefix = (colon > -1) ? elem.name.substring(0, colon) : '';
+    const name = (colon > -1) ? elem.name.substring(colon + 1) : elem.name;
+    return name === localName && hasOwn(scope, prefix) && scope[prefix] === xinclude_ns;
+}
+
+function getIncludeNodes(elem, scope, base, state) {
+    // get nodes which replace include element: the included content, or else its fallback
+    const { ctx, source } = state;
+    const attribs = elem.attributes;
+    const where = state.tags.get(attribs);
+    const href = hasOwn(attribs, 'href') ? attribs.href : '';
+    const parse = hasOwn(attribs, 'parse') ? attribs.parse : 'xml';
+    const xpointer = hasOwn(attribs, 'xpointer') ? attribs.xpointer : '';
+
+    let problem = '';
+    if (parse !== 'xml' && parse !== 'text') {
+        problem = "Invalid XInclude parse attribute: " + parse;
+    } else if (!href) {
+        problem = "XInclude element has no href (same-document includes are not supported)";
+    } else if (href.includes('#')) {
+        problem = "XInclude href cannot have a fragment identifier (use xpointer instead)";
+    } else if (parse === 'text' && xpointer) {
+        problem = "XInclude xpointer cannot be used with parse=\"text\"";
+    }
+    if (problem) {
+        throwResourceError(ctx, error_codes.MALFORMED_INCLUDE, problem, where.tag, source, where.location);
+        return [];
+    }
+
+    const uri = resolveURI(href, base);
+    const info = { href, base, type: parse, encoding: hasOwn(attribs, 'encoding') ? attribs.encoding : null };
+    const result = (parse === 'text') ? includeText(uri, info, ctx) : includeXML(uri, info, xpointer, ctx);
+    if (!result.code) {
+        return result.nodes;
+    }
+
+    // loops and limits are errors in the document, so a fallback does not apply to them
+    const fallback = elem.children.find(child => child.type === 'element' && isXIncludeElement(child, getScope(child, scope), 'fallback'));
+    if (fallback && result.code !== error_codes.RESOURCE_LOOP && result.code !== error_codes.LIMIT_RESOURCES) {
+        expandChildren(fallback, getScope(fallback, scope), base, state);
+        return fallback.children;
+    }
+    throwResourceError(ctx, result.code, result.key, where.tag, source, where.location);
+    return [];
+}
+
+function includeText(uri, info, ctx) {
+    // load resource as a single text node
+    const resource = loadResource(uri, info, ctx);
+    return resource.code ? resource : { nodes: [{ type: 'text', value: resource.text }] };
+}
+
+function includeXML(uri, info, xpointer, ctx) {
+    // load and expand XML resource, returning its top-level nodes or the element selected by xpointer
+    if (ctx.stack.includes(uri)) {
+        return { uri, code: error_codes.RESOURCE_LOOP, key: "Resource includes itself: " + uri };
+    }
+    const resource = loadResource(uri, info, ctx);
+    if (resource.code) {
+        return resource;
+    }
+
+    const text = expandDocument(resource.text, uri, ctx);
+    const doc = parseResource({ text, uri, lineIndex: null }, ctx, null);
+    let nodes = null;
+    if (xpointer) {
+        const elem = selectXPointer(doc, xpointer);
+        if (!elem) {
+            return { uri, code: error_codes.RESOURCE_NOT_FOUND, key: "No element matches xpointer " + xpointer + " in " + uri };
+        }
+        nodes = [elem];
+    } else {
+        // the included document's prolog and surrounding whitespace are left behind
+        nodes = doc.children.filter(node => node.type === 'element' || node.type === 'comment' || (node.type === 'pi' && node.name !== 'xml'));
+    }
+    nodes.forEach(stripRawMarkup);
+    return { nodes };
+}
+
+function stripRawMarkup(node) {
+    // drop remembered source formatting, as entity references may not be declared in the including document
+    node.raw = null;
+    if (node.children) {
+        node.children.forEach(stripRawMarkup);
+    }
+}
+
+function selectXPointer(doc, pointer) {
+    // find element selected by shorthand ID, or by element() scheme parts (first match wins)
+    // other schemes, such as xmlns() and xpointer(), are not supported and never match
+    if (re_shorthand.test(pointer)) {
+        return findElementById(doc, pointer);
+    }
+
+    let matches = null;
+    re_xpointer_part.lastIndex = 0;
+    while (re_xpointer_part.lastIndex < pointer.length && (matches = re_xpointer_part.exec(pointer))) {
+        if (matches[1] === 'element') {
+            const elem = selectElementScheme(doc, matches[2].replace(re_xpointer_escape, '$1'));
+            if (elem) {
+                return elem;
+            }
+        }
+    }
+    return null;
+}
+
+function selectElementScheme(doc, value) {
+    // follow element() child sequence, e.g. "/1/2" or "intro/3", starting at document or ID
+    const steps = value.trim().split('/');
+    let elem = steps[0] ? findElementById(doc, steps[0]) : doc;
+
+    for (let idx = 1; idx < steps.length && elem; idx += 1) {
+        if (!re_child_step.test(steps[idx])) {
+            return null;
+        }
+        elem = elem.children.filter(child => child.type === 'element')[parseInt(steps[idx], 10) - 1];
+    }
+    return (elem && elem !== doc) ? elem : null;
+}
+
+function findElementById(doc, id) {
+    // find first element whose xml:id or id attribute matches, in document order
+    const stack = doc.children.slice().reverse();
+    while (stack.length) {
+        const node = stack.pop();
+        if (node.type !== 'element') {
+            continue;
+        }
+        const attribs = node.attributes;
+        if ((hasOwn(attribs, 'xml:id') && attribs['xml:id'] === id) || (hasOwn(attribs, 'id') && attribs.id === id)) {
+            return node;
+        }
+        for (let idx = node.children.length - 1; idx >= 0; idx -= 1) {
+            stack.push(node.children[idx]);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    expandResources,
+    fileResolver,
+    resolveURI
+};
@@ -0,0 +1,765 @@
+/*
+	Streaming (SAX-style) XML Parser
+	Accepts the document in chunks and emits events as each token completes.
+	Uses the same tag, attribute and entity rules as the XML class.
+
+	Usage:
+		var XML = require('pixl-xml');
+		var parser = new XML.SAXParser({ record: 'Item' });
+
+		parser.on('record', function(item, name) {
+			console.log( item );
+		});
+
+		await parser.parseStream( fs.createReadStream('export.xml') );
+
+	Released under the MIT License
+*/
+
+const { XML, decodeEntities, trim } = require('./xml.js');
+const { NamespaceResolver } = require('./namespaces.js');
+const { error_codes, fatal_codes, XMLParseError, utf8Length } = require('./errors.js');
+const { limit_defaults, hasOwn, setKey } = require('./limits.js');
+const { detectEncoding, canDetectEncoding, createDecoder, stripBOM } = require('./encoding.js');
+
+class SAXParser {
+    constructor(opts) {
+        // class constructor for streaming parser
+        // pass in options hash (same names as the XML class, plus `record`)
+        Object.assign(this, opts);
+
+        this.listeners = {};
+        this.errors = [];
+        this.stack = [];
+        this.buffer = '';
+        this.pos = 0;
+        this.held = [];
+        this.heldLength = 0;
+        this.scanUntil = '';
+        this.scanPos = 0;
+        this.scanDepth = 0;
+        this.scanQuote = '';
+        this.scanBrackets = false;
+        this.scanTail = '';
+        this.offset = 0;
+        this.line = 1;
+        this.column = 1;
+        this.byteOffset = 0;
+        this.size = 0;
+        this.nodeCount = 0;
+        this.entityExpansion = 0;
+        this.locations = [];
+        this.ended = false;
+        this.failed = false;
+        this.foundRoot = false;
+        this.decoder = null;
+        this.headBytes = null;
+        this.builders = [];
+
+        if (this.lowerCase) {
+            this.attribsKey = this.attribsKey.toLowerCase();
+            this.dataKey = this.dataKey.toLowerCase();
+        }
+        this.setupEntities();
+        this.nsResolver = this.namespaces ? new NamespaceResolver(this) : null;
+
+        // record mode: build each matching element into a standalone tree
+        this.recordNames = null;
+        if (this.record) {
+            const names = Array.isArray(this.record) ? this.record : [this.record];
+            this.recordNames = new Set(names.map(name => this.lowerCase ? name.toLowerCase() : name));
+        }
+    }
+
+    on(event, callback) {
+        // register event listener
+        if (!this.listeners[event]) {
+            this.listeners[event] = [];
+        }
+        this.listeners[event].push(callback);
+        return this;
+    }
+
+    off(event, callback) {
+        // remove event listener
+        const list = this.listeners[event];
+        if (list) {
+            const idx = list.indexOf(callback);
+            if (idx > -1) {
+                list.splice(idx, 1);
+            }
+        }
+        return this;
+    }
+
+    emit(event, ...args) {
+        // fire event, return true if anyone was listening
+        const list = this.listeners[event];
+        if (!list || !list.length) {
+            return false;
+        }
+        for (const callback of list.slice()) {
+            callback.apply(this, args);
+        }
+        return true;
+    }
+
+    write(chunk) {
+        // feed next chunk of text (or bytes) into the parser
+        if (this.failed) {
+            return this;
+        }
+        if (this.ended) {
+            this.throwParseError(error_codes.WRITE_AFTER_END, "Write after end", '');
+            return this;
+        }
+        if (chunk != null) {
+            this.size += (typeof chunk === 'string') ? utf8Length(chunk) : chunk.length;
+            if (this.size > this.maxSize) {
+                this.throwParseError(error_codes.LIMIT_SIZE, "Document exceeds maximum size of " + this.maxSize + " bytes", '');
+                return this;
+            }
+            const text = this.decodeChunk(chunk);
+            if (!this.holdText(text)) {
+                this.appendText(text);
+                this.process();
+            }
+        }
+        return this;
+    }
+
+    end(chunk) {
+        // feed final chunk (optional) and finish parsing
+        if (chunk != null) {
+            this.write(chunk);
+        }
+        if (this.failed || this.ended) {
+            return this;
+        }
+        this.appendText((this.decoder || this.headBytes) ? this.decodeChunk(new Uint8Array(0), true) : '');
+
+        this.ended = true;
+        this.process();
+        if (this.failed) {
+            return this;
+        }
+
+        while (this.stack.length) {
+            // in recover mode, unclosed elements are closed automatically
+            const name = this.stack[this.stack.length - 1];
+            this.throwParseError(error_codes.UNCLOSED_ELEMENT, "Missing closing tag (expected </" + name + ">)", name, this.locations[this.locations.length - 1]);
+            if (this.failed) {
+                return this;
+            }
+            this.closeElement(name);
+        }
+
+        this.emit('end');
+        return this;
+    }
+
+    async parseStream(source) {
+        // parse entire async iterable (e.g. Node Readable), string or buffer
+        if (typeof source === 'string' || source instanceof Uint8Array) {
+            return this.end(source);
+        }
+        for await (const chunk of source) {
+            this.write(chunk);
+        }
+        return this.end();
+    }
+
+    async* records(source) {
+        // async generator yielding each completed record from source
+        const queue = [];
+        const onRecord = (record, name) => queue.push({ record, name });
+        this.on('record', onRecord);
+
+        try {
+            if (typeof source === 'string' || source instanceof Uint8Array) {
+                source = [source];
+            }
+            for await (const chunk of source) {
+                this.write(chunk);
+                while (queue.length) {
+                    yield queue.shift();
+                }
+            }
+            this.end();
+            while (queue.length) {
+                yield queue.shift();
+            }
+        } finally {
+            this.off('record', onRecord);
+        }
+    }
+
+    decodeChunk(chunk, final) {
+        // convert bytes to text, keeping multi-byte sequences split across chunks intact
+        // pass `final` to flush any bytes still held back
+        if (typeof chunk === 'string') {
+            return (!this.buffer && !this.byteOffset) ? stripBOM(chunk) : chunk;
+        }
+        if (!this.decoder) {
+            if (this.headBytes) {
+                const bytes = new Uint8Array(this.headBytes.length + chunk.length);
+                bytes.set(this.headBytes);
+                bytes.set(chunk, this.headBytes.length);
+                chunk = bytes;
+            }
+            if (!this.encoding) {
+                // detect from BOM or XML declaration, holding back bytes until enough are in
+                if (!final && !canDetectEncoding(chunk)) {
+                    this.headBytes = chunk;
+                    return '';
+                }
+                this.encoding = detectEncoding(chunk).encoding;
+            }
+            this.headBytes = null;
+            this.decoder = createDecoder(this.encoding);
+        }
+        return this.decoder.decode(chunk, { stream: !final });
+    }
+
+    holdText(text) {
+        // set text aside if it cannot finish the open token or text run, returns true if held
+        // the buffer is then only rebuilt once per token, rather than once per chunk
+        const until = this.scanUntil;
+        if (!until) {
+            return false;
+        }
+        const offset = this.buffer.length + this.heldLength;
+
+        if (until === '<') {
+            if (text.includes('<') || (offset + text.length - this.pos > this.maxTextLength)) {
+                return false;
+            }
+            this.scanPos = offset + text.length;
+        } else if (until === '>') {
+            const state = { depth: this.scanDepth, quote: this.scanQuote };
+            if (scanDelimited(text, 0, state, this.scanBrackets) > -1) {
+                return false;
+            }
+            this.scanPos = offset + text.length;
+            this.scanDepth = state.depth;
+            this.scanQuote = state.quote;
+        } else {
+            const tail = this.scanTail + text;
+            if (tail.includes(until)) {
+                return false;
+            }
+            this.scanTail = tail.slice(1 - until.length);
+            this.scanPos = offset + text.length - this.scanTail.length;
+        }
+
+        this.held.push(text);
+        this.heldLength += text.length;
+        return true;
+    }
+
+    appendText(text) {
+        // add decoded text to buffer, after any text held back while a token was open
+        if (this.held.length) {
+            text = this.held.join('') + text;
+            this.held = [];
+            this.heldLength = 0;
+        }
+        this.buffer += text;
+    }
+
+    process() {
+        // consume all complete tokens currently in the buffer
+        const buffer = this.buffer;
+
+        while (!this.failed && this.pos < buffer.length) {
+            // open text run resumes its search for '<' where the previous chunk ended
+            const start = (buffer.charAt(this.pos) === '<') ? this.pos : buffer.indexOf('<', Math.max(this.pos, this.scanPos));
+
+            if (start === -1) {
+                // trailing text may continue in the next chunk
+                if (buffer.length - this.pos > this.maxTextLength) {
+                    this.throwParseError(error_codes.LIMIT_TEXT_LENGTH, "Text exceeds maximum length of " + this.maxTextLength, this.stack[this.stack.length - 1] || '');
+                    break;
+                }
+                this.scanUntil = '<';
+                this.scanPos = buffer.length;
+                if (this.ended) {
+                    this.onText(buffer.substring(this.pos));
+                    this.advance(buffer.length);
+                }
+                break;
+            }
+            if (start > this.pos) {
+                this.onText(buffer.substring(this.pos, start));
+                this.advance(start);
+            }
+
+            const end = this.findTokenEnd(start);
+            if (end === -2) {
+                // recover mode: skip malformed tag
+                this.advance(this.resumeAt);
+                continue;
+            }
+            if (end === -1) {
+                if (this.ended && !this.failed) {
+                    this.throwUnclosedToken(start);
+                }
+                break;
+            }
+
+            const tag = buffer.substring(start + 1, end);
+            this.onTag(tag);
+            this.advance(end + 1);
+        }
+
+        // discard consumed text
+        if (this.pos) {
+            this.offset += this.pos;
+            this.buffer = this.buffer.substring(this.pos);
+            this.scanPos = Math.max(0, this.scanPos - this.pos);
+            this.pos = 0;
+        }
+    }
+
+    advance(end) {
+        // move parse position forward, counting lines, columns and bytes
+        const buffer = this.buffer;
+        for (let idx = this.pos; idx < end; idx += 1) {
+            const code = buffer.charCodeAt(idx);
+            if (code === 10) {
+                this.line += 1;
+                this.column = 1;
+            } else if (code < 0xDC00 || code > 0xDFFF) {
+                this.column += 1;
+            }
+        }
+        this.byteOffset += utf8Length(buffer, this.pos, end);
+        this.pos = end;
+
+        // next token starts a fresh scan
+        this.scanUntil = '';
+        this.scanPos = 0;
+        this.scanDepth = 0;
+        this.scanQuote = '';
+    }
+
+    getLocation() {
+        // get line, column and byte offset of current parse position
+        return { line: this.line, column: this.column, offset: this.byteOffset };
+    }
+
+    findTokenEnd(start) {
+        // locate closing '>' of token starting at `start`, or -1 if not yet buffered
+        const buffer = this.buffer;
+        const head = buffer.substring(start, start + 9);
+
+        if (head.startsWith('<!--')) {
+            return this.findTerminator(start + 4, '-->');
+        }
+        if (head.startsWith('<![CDATA[')) {
+            return this.findTerminator(start + 9, ']]>');
+        }
+        if (head.startsWith('<?')) {
+            return this.findTerminator(start + 2, '?>');
+        }
+        if (head.startsWith('<!DOCTYPE')) {
+            return this.findDelimitedEnd(start, true);
+        }
+        if ((head.length < 9) && !this.ended && ('<![CDATA['.startsWith(head) || '<!DOCTYPE'.startsWith(head) || '<!--'.startsWith(head))) {
+            // not enough text yet to know what kind of tag this is
+            return -1;
+        }
+        return this.findDelimitedEnd(start, false);
+    }
+
+    findTerminator(from, terminator) {
+        // find last char of terminator, resuming from where the previous chunk left off
+        const buffer = this.buffer;
+        const end = buffer.indexOf(terminator, Math.max(from, this.scanPos));
+        if (end === -1) {
+            // back up so a terminator split across chunks is still found
+            this.scanUntil = terminator;
+            this.scanPos = Math.max(from, buffer.length - terminator.length + 1);
+            this.scanTail = buffer.substring(this.scanPos);
+            return -1;
+        }
+        return end + terminator.length - 1;
+    }
+
+    findDelimitedEnd(start, brackets) {
+        // find '>' outside of quoted values (and [...] internal subset for DTDs)
+        // quote and bracket state is kept between chunks, so each char is only scanned once
+        const buffer = this.buffer;
+        const state = { depth: this.scanDepth, quote: this.scanQuote };
+        const idx = scanDelimited(buffer, Math.max(start + 1, this.scanPos), state, brackets);
+
+        if (idx === -1) {
+            this.scanUntil = '>';
+            this.scanBrackets = brackets;
+            this.scanPos = buffer.length;
+            this.scanDepth = state.depth;
+            this.scanQuote = state.quote;
+            return -1;
+        }
+        if (buffer.charAt(idx) === '>') {
+            return idx;
+        }
+
+        // a new tag started before this one closed
+        this.throwParseError(error_codes.MALFORMED_TAG, "Malformed tag", buffer.substring(start + 1, idx));
+        if (this.failed) {
+            return -1;
+        }
+        this.resumeAt = idx;
+        return -2;
+    }
+
+    throwUnclosedToken(start) {
+        // report token that never closed before end of document
+        const tag = this.buffer.substring(start + 1);
+        if (tag.match(this.patCommentTag)) {
+            this.throwParseError(error_codes.UNCLOSED_COMMENT, "Unclosed comment tag", tag);
+        } else if (tag.match(this.patCDATATag)) {
+            this.throwParseError(error_codes.UNCLOSED_CDATA, "Unclosed CDATA tag", tag);
+        } else if (tag.match(this.patDTDTag)) {
+            this.throwParseError(error_codes.UNCLOSED_DTD, "Unclosed DTD tag", tag);
+        } else {
+            this.throwParseError(error_codes.MALFORMED_TAG, "Malformed tag", tag);
+        }
+    }
+
+    onText(raw) {
+        // handle raw text between tags
+        const text = decodeEntities(raw, this.entityMap, this);
+        this.checkEntityExpansion(this.stack[this.stack.length - 1] || '');
+        if (this.failed) {
+            return;
+        }
+        if (text.length > this.maxTextLength) {
+            return this.throwParseError(error_codes.LIMIT_TEXT_LENGTH, "Text exceeds maximum length of " + this.maxTextLength, this.stack[this.stack.length - 1] || '');
+        }
+        this.emit('text', text, raw);
+        this.buildText(text, false);
+    }
+
+    onTag(tag) {
+        // handle complete tag (sans angle brackets)
+        if (tag.match(this.patSpecialTag)) {
+            if (tag.match(this.patPITag)) {
+                const matches = tag.match(this.patPINode);
+                if (!matches) {
+                    return this.throwParseError(error_codes.MALFORMED_PI, "Malformed processor instruction", tag);
+                }
+                this.emit('processinginstruction', {
+                    name: matches[1],
+                    body: matches[2].replace(/\s*\?$/, ''),
+                    raw: tag
+                });
+            } else if (tag.match(this.patCommentTag)) {
+                this.emit('comment', tag.replace(/^\s*!--/, '').replace(/--$/, ''));
+            } else if (tag.match(this.patDTDTag)) {
+                if (this.rejectDoctype) {
+                    return this.throwParseError(error_codes.DOCTYPE_NOT_ALLOWED, "DOCTYPE is not allowed", tag);
+                }
+                if (!tag.match(this.patDoctypeName)) {
+                    return this.throwParseError(error_codes.MALFORMED_DTD, "Malformed DTD tag", tag);
+                }
+                this.parseDTDEntities(tag);
+                if (this.failed) {
+                    return;
+                }
+                this.emit('doctype', tag);
+            } else if (tag.match(this.patCDATATag)) {
+                const matches = tag.match(this.patCDATANode);
+                if (!matches) {
+                    return this.throwParseError(error_codes.MALFORMED_CDATA, "Malformed CDATA tag", tag);
+                }
+                if (matches[1].length > this.maxTextLength) {
+                    return this.throwParseError(error_codes.LIMIT_TEXT_LENGTH, "Text exceeds maximum length of " + this.maxTextLength, this.stack[this.stack.length - 1] || '');
+                }
+                this.emit('cdata', matches[1]);
+                this.buildText(matches[1], true);
+            } else {
+                return this.throwParseError(error_codes.MALFORMED_SPECIAL_TAG, "Malformed special tag", tag);
+            }
+            return;
+        }
+
+        // standard tag, so parse name and attributes (if any)
+        let matches = tag.match(this.patStandardTag);
+        if (!matches) {
+            return this.throwParseError(error_codes.MALFORMED_TAG, "Malformed tag", tag);
+        }
+
+        const closing = matches[1];
+        const attribsRaw = matches[3];
+        let nodeName = this.lowerCase ? matches[2].toLowerCase() : matches[2];
+
+        if (closing) {
+            if (this.nsResolver) {
+                nodeName = this.resolveNodeName(matches[2], false);
+            }
+            const name = this.stack[this.stack.length - 1];
+            if (nodeName !== name) {
+                this.throwParseError(error_codes.MISMATCHED_TAG, "Mismatched closing tag (expected </" + (name || '') + ">)", tag);
+                if (this.failed || !this.stack.includes(nodeName)) {
+                    // recover mode skips stray closing tags
+                    return;
+                }
+                // recover mode: auto-close inner elements up to the matching one
+                while (this.stack[this.stack.length - 1] !== nodeName) {
+                    this.closeElement(this.stack[this.stack.length - 1]);
+                }
+            }
+            this.closeElement(nodeName, tag);
+            return;
+        }
+
+        if (this.stack.length >= this.maxDepth) {
+            return this.throwParseError(error_codes.LIMIT_DEPTH, "Maximum nesting depth of " + this.maxDepth + " exceeded", tag);
+        }
+        if (++this.nodeCount > this.maxNodes) {
+            return this.throwParseError(error_codes.LIMIT_NODES, "Maximum number of elements (" + this.maxNodes + ") exceeded", tag);
+        }
+        if (!this.stack.length) {
+            if (this.foundRoot) {
+                // in recover mode the extra element is still reported through events
+                this.throwParseError(error_codes.DUPLICATE_ROOT, 'Only one top-level node is allowed in document', tag);
+                if (this.failed) {
+                    return;
+                }
+            }
+            this.foundRoot = true;
+        }
+
+        const selfClosing = !!attribsRaw.match(this.patSelfClosing);
+        const rawAttribs = this.parseAttribs(attribsRaw, tag);
+        if (this.failed) {
+            return;
+        }
+        const attributes = {};
+        const node = { name: nodeName, attributes, selfClosing, raw: tag };
+
+        if (this.nsResolver) {
+            // namespaces mode: element and attribute names are mapped to output prefixes
+            this.nsResolver.push(rawAttribs);
+            Object.assign(node, this.getNamespaceInfo(matches[2], false));
+            node.name = nodeName = this.resolveNodeName(matches[2], false);
+            node.attributeNamespaces = {};
+        }
+        for (const key in rawAttribs) {
+            const name = this.resolveNodeName(key, true);
+            setKey(attributes, name, rawAttribs[key]);
+            if (this.nsResolver) {
+                node.attributeNamespaces[name] = this.getNamespaceInfo(key, true);
+            }
+        }
+        if (this.failed) {
+            return;
+        }
+
+        this.stack.push(nodeName);
+        this.locations.push(this.getLocation());
+        this.emit('opentag', node);
+        this.buildOpen(nodeName, attributes);
+
+        if (selfClosing) {
+            this.closeElement(nodeName);
+        }
+    }
+
+    getNamespaceInfo(qname, isAttrib) {
+        // get namespace URI, local name and output prefix for name in current scope
+        const info = this.nsResolver.resolve(qname, isAttrib);
+        return info ? { uri: info.uri, local: info.local, prefix: info.prefix } : {};
+    }
+
+    closeElement(name, raw) {
+        // pop element off stack and notify listeners
+        this.stack.pop();
+        this.locations.pop();
+        if (this.nsResolver) {
+            this.nsResolver.pop();
+        }
+        this.emit('closetag', name, raw);
+        this.buildClose(name);
+    }
+
+    buildOpen(name, attributes) {
+        // start new node in record builder, if inside (or starting) a record
+        if (!this.builders.length && !(this.recordNames && this.recordNames.has(name))) {
+            return;
+        }
+
+        let leaf = {};
+        let attribs = leaf;
+        if (this.preserveAttributes) {
+            leaf[this.attribsKey] = {};
+            attribs = leaf[this.attribsKey];
+        }
+        for (const key in attributes) {
+            setKey(attribs, key, attributes[key]);
+        }
+        if (this.preserveAttributes && !Object.keys(attribs).length) {
+            delete leaf[this.attribsKey];
+        }
+
+        this.builders.push({ name, leaf });
+    }
+
+    buildText(text, cdata) {
+        // append text to current record node, joining multiple runs with a space
+        if (!this.builders.length) {
+            return;
+        }
+        if (!cdata && !text.match(/\S/)) {
+            return;
+        }
+        if (cdata) {
+            text = decodeEntities(text, this.entityMap, this);
+            this.checkEntityExpansion(this.stack[this.stack.length - 1] || '');
+            if (this.failed) {
+                return;
+            }
+        }
+
+        const leaf = this.builders[this.builders.length - 1].leaf;
+        if (leaf[this.dataKey] !== undefined) {
+            leaf[this.dataKey] += ' ';
+        } else {
+            leaf[this.dataKey] = '';
+        }
+        leaf[this.dataKey] += !this.preserveWhitespace ? trim(text) : text;
+    }
+
+    buildClose(name) {
+        // finish current record node, attach to parent or emit as record
+        if (!this.builders.length) {
+            return;
+        }
+
+        let { leaf } = this.builders.pop();
+
+        // compress into simple node if text only
+        if (leaf[this.dataKey] !== undefined && Object.keys(leaf).length === 1) {
+            leaf = leaf[this.dataKey];
+        }
+
+        if (!this.builders.length) {
+            this.emit('record', leaf, name);
+            return;
+        }
+
+        const branch = this.builders[this.builders.length - 1].leaf;
+        if (hasOwn(branch, name)) {
+            if (Array.isArray(branch[name])) {
+                branch[name].push(leaf);
+            } else {
+                branch[name] = [branch[name], leaf];
+            }
+        } else if (this.forceArrays) {
+            setKey(branch, name, [leaf]);
+        } else {
+            setKey(branch, name, leaf);
+        }
+    }
+
+    throwParseError(code, key, tag, location = this.getLocation()) {
+        // log error at location (defaults to current position), emit or throw it
+        // in recover mode, parsing continues after emitting (never throws)
+        const entry = Object.assign({ type: 'Parse', code, key, text: '<' + tag + '>' }, location);
+        this.errors.push(entry);
+        const fatal = !this.recover || fatal_codes.has(code);
+        if (fatal) {
+            this.failed = true;
+        }
+
+        const err = new XMLParseError(entry, this.getError(entry));
+        if (!this.emit('error', err) && fatal) {
+            throw err;
+        }
+    }
+}
+
+function scanDelimited(text, idx, state, brackets) {
+    // advance quote and bracket state through text from idx
+    // returns index of closing '>' (or of a stray '<' outside DTDs), or -1 if text ends first
+    while (idx < text.length) {
+        if (state.quote) {
+            const close = text.indexOf(state.quote, idx);
+            if (close === -1) {
+                return -1;
+            }
+            state.quote = '';
+            idx = close + 1;
+            continue;
+        }
+
+        const ch = text.charAt(idx);
+        if (ch === '"' || ch === "'") {
+            state.quote = ch;
+        } else if (brackets && ch === '[') {
+            state.depth += 1;
+        } else if (brackets && ch === ']') {
+            state.depth -= 1;
+        } else if ((ch === '>' && state.depth <= 0) || (ch === '<' && !brackets)) {
+            return idx;
+        }
+        idx += 1;
+    }
+    return -1;
+}
+
+Object.assign(SAXParser.prototype, {
+    preserveAttributes: XML.prototype.preserveAttributes,
+    preserveWhitespace: XML.prototype.preserveWhitespace,
+    lowerCase: XML.prototype.lowerCase,
+    forceArrays: XML.prototype.forceArrays,
+    namespaces: XML.prototype.namespaces,
+    namespacePrefixes: XML.prototype.namespacePrefixes,
+    htmlEntities: XML.prototype.htmlEntities,
+    entities: XML.prototype.entities,
+    recover: XML.prototype.recover,
+    ...limit_defaults,
+    record: null,
+    encoding: XML.prototype.encoding,
+
+    patSpecialTag: XML.prototype.patSpecialTag,
+    patPITag: XML.prototype.patPITag,
+    patCommentTag: XML.prototype.patCommentTag,
+    patDTDTag: XML.prototype.patDTDTag,
+    patCDATATag: XML.prototype.patCDATATag,
+    patStandardTag: XML.prototype.patStandardTag,
+    patSelfClosing: XML.prototype.patSelfClosing,
+    patAttrib: XML.prototype.patAttrib,
+    patPINode: XML.prototype.patPINode,
+    patCDATANode: XML.prototype.patCDATANode,
+    patDoctypeName: /^\s*!DOCTYPE\s+[\w\-:.]+/,
+    patDTDComment: XML.prototype.patDTDComment,
+    patEntityDecl: XML.prototype.patEntityDecl,
+
+    attribsKey: XML.prototype.attribsKey,
+    dataKey: XML.prototype.dataKey,
+
+    setupEntities: XML.prototype.setupEntities,
+    parseDTDEntities: XML.prototype.parseDTDEntities,
+    checkEntityExpansion: XML.prototype.checkEntityExpansion,
+    parseAttribs: XML.prototype.parseAttribs,
+    resolveNodeName: XML.prototype.resolveNodeName,
+    getNamespaces: XML.prototype.getNamespaces,
+
+    error: XML.prototype.error,
+    getError: XML.prototype.getError,
+    getLastError: XML.prototype.getLastError
+});
+
+function records(source, name, opts = {}) {
+    // iterate over each completed `name` element in source, as simplified trees
+    opts.record = name;
+    return new SAXParser(opts).records(source);
+}
+
+module.exports = {
+    SAXParser,
+    records
+};
@@ -0,0 +1,202 @@
+/*
+	Tag Scanner
+	Splits XML text into tags and the text between them, in a single pass.
+	Each kind of tag is read to its own terminator: comments to "-->", CDATA
+	sections to "]]>", processing instructions to "?>", DOCTYPEs to the ">" after
+	their internal subset, and elements to the first ">" outside of a quoted value.
+	All position state is kept on the scanner instance.
+
+	Usage:
+		var scanner = new Scanner( text, { html: false } );
+		var token;
+		while (token = scanner.next()) {
+			// token.text is the raw text before the tag, token.tag the tag sans angle brackets
+		}
+		// scanner.tail holds the text after the last tag, as { text, index }
+
+	Released under the MIT License
+*/
+
+const LT = 60; // <
+const GT = 62; // >
+const DOUBLE_QUOTE = 34;
+const SINGLE_QUOTE = 39;
+const QUESTION = 63; // ?
+const BANG = 33; // !
+const DASH = 45; // -
+const OPEN_BRACKET = 91; // [
+const CLOSE_BRACKET = 93; // ]
+
+const re_cdata_open = /!\s*\[\s*CDATA/y;
+const re_doctype_open = /!DOCTYPE/y;
+const re_html_doctype_open = /!doctype/iy;
+
+class Scanner {
+    constructor(text, opts = {}) {
+        // class constructor for scanner over text, with html flag for lenient attribute values
+        this.text = text;
+        this.html = !!opts.html;
+        this.pos = 0;
+        this.tail = null;
+    }
+
+    next() {
+        // scan next tag plus preceding text, or null at end of document
+        // returns { type, text, index, start, end, tag, nested, unclosed }, where type is
+        // 'tag' (start or end tag), 'pi', 'comment', 'cdata', 'doctype' or 'special' (any other <!...>)
+        const text = this.text;
+        const index = this.pos;
+        const start = text.indexOf('<', index);
+        if (start === -1) {
+            // text after the last tag is only content if elements were left open
+            this.pos = text.length;
+            this.tail = { text: text.substring(index), index };
+            return null;
+        }
+
+        // tags may have whitespace after the "<"
+        let first = start + 1;
+        while (first < text.length && isSpace(text.charCodeAt(first))) {
+            first += 1;
+        }
+
+        const token = { type: 'tag', text: text.substring(index, start), index, start, end: 0, tag: '', nested: false, unclosed: false };
+        const code = text.charCodeAt(first);
+        let end = -1;
+
+        if (code === QUESTION) {
+            token.type = 'pi';
+            end = text.indexOf('?>', first + 1);
+            end = (end === -1) ? text.indexOf('>', first + 1) : end + 1;
+        } else if (code === BANG && text.charCodeAt(first + 1) === DASH && text.charCodeAt(first + 2) === DASH) {
+            // comment ends at first "-->", which may overlap its opening "!--"
+            token.type = 'comment';
+            end = this.findTerminator('-->', first + 1, token);
+        } else if (code === BANG && matchAt(re_cdata_open, text, first)) {
+            token.type = 'cdata';
+            end = this.findTerminator(']]>', first + 1, token);
+        } else if (code === BANG && (matchAt(re_doctype_open, text, first) || (this.html && matchAt(re_html_doctype_open, text, first)))) {
+            token.type = 'doctype';
+            end = this.findDoctypeEnd(first + 1, token);
+        } else if (code === BANG) {
+            token.type = 'special';
+            end = text.indexOf('>', first + 1);
+        } else {
+            end = this.findTagEnd(first, token);
+        }
+
+        if (end === -1) {
+            // tag never closes, so the document ends at it (in HTML it is text)
+            this.pos = text.length;
+            this.tail = { text: text.substring(index, this.html ? text.length : start), index };
+            return null;
+        }
+        token.tag = text.substring(start + 1, end);
+        token.end = (token.unclosed || token.nested) ? end : end + 1;
+        this.pos = token.end;
+        return token;
+    }
+
+    findTerminator(terminator, from, token) {
+        // find end of comment or CDATA, returning position of its ">" (or end of text if unclosed)
+        const end = this.text.indexOf(terminator, from);
+        if (end === -1) {
+            token.unclosed = true;
+            return this.text.length;
+        }
+        return end + terminator.length - 1;
+    }
+
+    findTagEnd(from, token) {
+        // find ">" which closes a start or end tag, skipping quoted values
+        // a "<" outside of quotes means a new tag started before this one closed
+        // an unbalanced quote is ordinary text
+        const text = this.text;
+        const len = text.length;
+        let idx = from;
+
+        while (idx < len) {
+            const code = text.charCodeAt(idx);
+            if (code === GT) {
+                return idx;
+            }
+            if (code === LT) {
+                token.nested = true;
+                return idx;
+            }
+            if (code === DOUBLE_QUOTE || code === SINGLE_QUOTE) {
+                const close = this.findQuoteEnd(code, idx + 1);
+                if (close !== -1) {
+                    idx = close;
+                }
+            }
+            idx += 1;
+        }
+        return -1;
+    }
+
+    findQuoteEnd(quote, from) {
+        // find closing quote of attribute value, or -1 if there is none
+        // in XML a "<" may not appear in values, so it ends the search (HTML allows it)
+        const text = this.text;
+        const len = text.length;
+
+        for (let idx = from; idx < len; idx += 1) {
+            const code = text.charCodeAt(idx);
+            if (code === quote) {
+                return idx;
+            }
+            if (code === LT && !this.html) {
+                return -1;
+            }
+        }
+        return -1;
+    }
+
+    findDoctypeEnd(from, token) {
+        // find ">" which closes DOCTYPE, skipping its [...] internal subset, quoted literals and comments
+        const text = this.text;
+        const len = text.length;
+        let depth = 0;
+
+        for (let idx = from; idx < len; idx += 1) {
+            const code = text.charCodeAt(idx);
+            if (code === DOUBLE_QUOTE || code === SINGLE_QUOTE) {
+                const close = text.indexOf(String.fromCharCode(code), idx + 1);
+                if (close === -1) {
+                    break;
+                }
+                idx = close;
+            } else if (code === LT && text.startsWith('<!--', idx)) {
+                const close = text.indexOf('-->', idx + 4);
+                if (close === -1) {
+                    break;
+                }
+                idx = close + 2;
+            } else if (code === OPEN_BRACKET) {
+                depth += 1;
+            } else if (code === CLOSE_BRACKET) {
+                depth -= 1;
+            } else if (code === GT && depth <= 0) {
+                return idx;
+            }
+        }
+        token.unclosed = true;
+        return len;
+    }
+}
+
+function matchAt(pattern, text, pos) {
+    // test sticky pattern at position in text
+    pattern.lastIndex = pos;
+    return pattern.test(text);
+}
+
+function isSpace(code) {
+    // determine if character code is XML whitespace
+    return code === 32 || code === 10 || code === 9 || code === 13;
+}
+
+module.exports = {
+    Scanner
+};
@@ -0,0 +1,242 @@
+/*
+	Schema-Driven Type Coercion
+	A lightweight schema maps element and attribute paths to target types,
+	array shape, default values and renamed keys.  Applied by the XML parser
+	while building the tree, and reversed by stringify() when composing.
+
+	Usage:
+		var doc = XML.parse( text, {
+			schema: {
+				"Order/Items/Item": { array: true },
+				"Order/Items/Item/Price": "number",
+				"Order/Items/Item/@qty": { type: "integer", default: 1 },
+				"Order/Created": { type: "date", rename: "created" },
+				"//Enabled": "boolean"
+			}
+		} );
+
+	Paths start at the document node.  A '*' step matches any one element,
+	and a leading '//' matches at any depth.  Attributes use '@name' as the last step.
+
+	Released under the MIT License
+*/
+
+const re_boolean_true = /^(true|yes|on|1)$/i;
+const re_boolean_false = /^(false|no|off|0)$/i;
+const re_integer = /^[-+]?\d+$/;
+const schema_cache = new WeakMap();
+
+const coercers = {
+    string: (value) => value,
+    number: (value) => {
+        const num = Number(value);
+        return (value.trim() && !isNaN(num)) ? num : undefined;
+    },
+    integer: (value) => re_integer.test(value.trim()) ? parseInt(value, 10) : undefined,
+    boolean: (value) => {
+        value = value.trim();
+        if (re_boolean_true.test(value)) {
+            return true;
+        }
+        if (re_boolean_false.test(value)) {
+            return false;
+        }
+        return undefined;
+    },
+    date: (value) => {
+        const date = new Date(value.trim());
+        return isNaN(date.getTime()) ? undefined : date;
+    },
+    json: (value) => {
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            return undefined;
+        }
+    }
+};
+
+class Schema {
+    constructor(def) {
+        // class constructor for compiled schema
+        // pass in hash of paths to rules (or type names)
+        this.wildcards = [];
+        this.anyDepth = [];
+        this.rules = [];
+
+        for (const path in def) {
+            let rule = def[path];
+            if (typeof rule === 'string') {
+                rule = { type: rule };
+            }
+            rule = Object.assign({ path }, rule);
+
+            if (rule.type && !coercers[rule.type]) {
+                throw new Error("Unknown schema type for " + path + ": " + rule.type);
+            }
+
+            rule.steps = path.replace(/^\/\//, '').split('/');
+            const last = rule.steps[rule.steps.length - 1];
+            rule.attribute = last.charAt(0) === '@';
+            rule.name = rule.attribute ? last.substring(1) : last;
+            rule.anyDepth = path.startsWith('//');
+            rule.order = this.rules.length;
+
+            // exact paths win over wildcards, which are tried in order
+            rule.rank = 0;
+            if (rule.anyDepth || rule.steps.includes('*')) {
+                rule.rank = this.wildcards.push(rule);
+            }
+            if (rule.anyDepth) {
+                this.anyDepth.push(rule);
+            }
+            this.rules.push(rule);
+        }
+    }
+
+    start() {
+        // get match state above the document element, where no steps have matched yet
+        return this.rules.map(rule => [rule, 0]);
+    }
+
+    step(state, name) {
+        // get match state of child element, or attribute ('@name'), from state of its parent
+        // a state pairs each rule which may still match with its count of matched steps,
+        // so paths are never joined, and each step costs the same at any depth
+        const next = [];
+        for (const [rule, count] of state) {
+            const step = rule.steps[count];
+            if (step === name || (step === '*' && name.charAt(0) !== '@')) {
+                next.push([rule, count + 1]);
+            }
+        }
+        for (const rule of this.anyDepth) {
+            // '//' rules may start matching below any element
+            next.push([rule, 0]);
+        }
+        return next;
+    }
+
+    match(state) {
+        // find rule for element or attribute with match state
+        let found = null;
+        for (const [rule, count] of state) {
+            if (count === rule.steps.length && (!found || rule.rank < found.rank)) {
+                found = rule;
+            }
+        }
+        return found;
+    }
+
+    getParentRules(state) {
+        // get rules for children and attributes of element with match state, in definition order
+        return state.filter(([rule, count]) => count === rule.steps.length - 1).map(([rule]) => rule).sort((a, b) => a.order - b.order);
+    }
+
+    getDefaults(state) {
+        // get rules with default values for children and attributes of element with match state
+        return this.getParentRules(state).filter(rule => (rule.default !== undefined) && (rule.name !== '*'));
+    }
+
+    findRenamed(state, key, isAttrib) {
+        // find rule which renamed child or attribute of element with match state to key
+        return this.getParentRules(state).find(rule => (rule.rename === key) && (rule.attribute === !!isAttrib)) || null;
+    }
+
+    coerce(value, rule) {
+        // convert string value to rule type, returns undefined if invalid
+        if (!rule.type || typeof value !== 'string') {
+            return value;
+        }
+        return coercers[rule.type](value);
+    }
+
+    reverse(value, rule) {
+        // convert typed value back to string for composing
+        if (value == null || typeof value === 'string') {
+            return value;
+        }
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? '' : value.toISOString();
+        }
+        if (rule && rule.type === 'json') {
+            return JSON.stringify(value);
+        }
+        return (typeof value === 'object') ? value : String(value);
+    }
+
+    reverseTree(node, name, keys) {
+        // copy typed tree back into strings and original names, for composing
+        // pending nodes are kept on a stack (no recursion), so deep trees cannot overflow
+        const result = {};
+        const stack = [{ node, state: this.step(this.start(), name), target: result, key: 'value' }];
+        while (stack.length) {
+            const item = stack.pop();
+            item.target[item.key] = this.reverseNode(item.node, item.state, keys, stack);
+        }
+        return result.value;
+    }
+
+    reverseNode(node, state, keys, stack) {
+        // copy single node, pushing its child elements onto the stack to be filled in
+        if (Array.isArray(node)) {
+            const copy = new Array(node.length);
+            for (let idx = node.length - 1; idx >= 0; idx -= 1) {
+                stack.push({ node: node[idx], state, target: copy, key: idx });
+            }
+            return copy;
+        }
+
+        const rule = this.match(state);
+        if (node == null || typeof node !== 'object' || node instanceof Date || (rule && rule.type === 'json')) {
+            return this.reverse(node, rule);
+        }
+
+        const copy = {};
+        const children = [];
+        for (const key in node) {
+            const value = node[key];
+            if (key === keys.attribsKey && value && typeof value === 'object') {
+                copy[key] = {};
+                for (const attrib in value) {
+                    const renamed = this.findRenamed(state, attrib, true);
+                    const name = renamed ? renamed.name : attrib;
+                    copy[key][name] = this.reverse(value[attrib], renamed || this.match(this.step(state, '@' + name)));
+                }
+            } else if (key === keys.dataKey) {
+                copy[key] = this.reverse(value, rule);
+            } else if (key === keys.namespacesKey) {
+                copy[key] = value;
+            } else {
+                // hold the key's place, so the copy keeps the original key order
+                const renamed = this.findRenamed(state, key, false);
+                const name = renamed ? renamed.name : key;
+                copy[name] = null;
+                children.push({ node: value, state: this.step(state, name), target: copy, key: name });
+            }
+        }
+        for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+            stack.push(children[idx]);
+        }
+        return copy;
+    }
+}
+
+function compileSchema(def) {
+    // get compiled schema for definition hash, caching by object
+    if (def instanceof Schema) {
+        return def;
+    }
+    let schema = schema_cache.get(def);
+    if (!schema) {
+        // inferred schemas convert themselves into rules
+        schema = new Schema((typeof def.toSchema === 'function') ? def.toSchema() : def);
+        schema_cache.set(def, schema);
+    }
+    return schema;
+}
+
+module.exports = {
+    Schema,
+    compileSchema
+};
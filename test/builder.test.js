@@ -0,0 +1,95 @@
+/*
+	Builder Tests
+	Chained document building, name checks, namespaces and streaming output.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const XML = require('../xml.js');
+
+function addItems(builder, from, to) {
+    // add items with titles to builder, numbered from..to-1
+    for (let idx = from; idx < to; idx++) {
+        builder.ele('Item', { id: idx }).ele('Title', null, 'T' + idx).up().up();
+    }
+}
+
+test('builds the README example', () => {
+    const xml = XML.builder('Feed', { version: 2 })
+        .ele('Item', { id: 1 }).txt('First & best').up()
+        .ele('Item', { id: 2 })
+        .ele('Title', null, 'Second').up()
+        .cdata('if (a < b) {}')
+        .up()
+        .comment(' more to come ')
+        .end();
+    assert.equal(xml, '<?xml version="1.0"?>\n<Feed version="2">\n\t<Item id="1">First &amp; best</Item>\n\t<Item id="2"><Title>Second</Title><![CDATA[if (a < b) {}]]></Item>\n\t<!-- more to come -->\n</Feed>');
+});
+
+test('adds attributes, CDATA, PIs and raw markup', () => {
+    const xml = XML.builder('r', { a: null, b: undefined, c: 'x' })
+        .att({ d: 1 })
+        .att('e', '"')
+        .cdata('a]]>b')
+        .pi('t', 'd')
+        .raw('<z/>')
+        .end({ declaration: false, indentString: '', eol: '' });
+    assert.equal(xml, '<r c="x" d="1" e="&quot;"><![CDATA[a]]]]><![CDATA[>b]]><?t d?><z/></r>');
+    const elem = XML.builder('r').ele('a', { k: 'v' }, 't').toElement();
+    assert.ok(elem instanceof XML.Element);
+    assert.equal(elem.toString(), '<r><a k="v">t</a></r>');
+});
+
+test('rejects invalid names and content', () => {
+    assert.throws(() => XML.builder('r').ele('1bad'), /Invalid element name: 1bad/);
+    assert.throws(() => XML.builder('r').att('a b', 1), /Invalid attribute name: a b/);
+    assert.throws(() => XML.builder('r').comment('a--b'), /Comment cannot contain "--"/);
+    assert.throws(() => XML.builder('r').up(), /Cannot move up from the document element/);
+});
+
+test('checks namespace prefixes', () => {
+    assert.throws(() => XML.builder('r').ele('m:x'), /Undeclared namespace prefix: m:x/);
+    const xml = XML.builder('feed', { xmlns: 'http://www.w3.org/2005/Atom', 'xmlns:media': 'http://search.yahoo.com/mrss/' })
+        .ele('media:thumbnail', { url: 'thumb.jpg' }).up()
+        .end();
+    assert.equal(xml, '<?xml version="1.0"?>\n<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">\n\t<media:thumbnail url="thumb.jpg"/>\n</feed>');
+});
+
+test('streams output, waiting for the stream to drain', async () => {
+    const chunks = [];
+    const stream = new Writable({
+        highWaterMark: 16,
+        write: (chunk, encoding, callback) => {
+            chunks.push(chunk.toString());
+            setImmediate(callback);
+        }
+    });
+    const builder = XML.builder('Feed', null, { stream, indentString: '  ' });
+    for (let idx = 0; idx < 50; idx++) {
+        addItems(builder, idx, idx + 1);
+        await builder.drain();
+        assert.equal(stream.writableNeedDrain, false);
+    }
+    await builder.end();
+
+    const expected = XML.builder('Feed', null, { indentString: '  ' });
+    addItems(expected, 0, 50);
+    assert.equal(chunks.join(''), expected.end());
+    assert.ok(chunks.length > 50);
+});
+
+test('reports stream errors', async () => {
+    const stream = new Writable({ write: (chunk, encoding, callback) => callback(new Error('disk full')) });
+    const builder = XML.builder('F', null, { stream });
+    builder.ele('A').up();
+    await assert.rejects(builder.drain(), /disk full/);
+    assert.throws(() => builder.ele('B'), /disk full/);
+    await assert.rejects(builder.end(), /disk full/);
+
+    const open = XML.builder('F', null, { stream: new Writable({ write: (chunk, encoding, callback) => callback() }) });
+    open.ele('A').txt('x');
+    assert.throws(() => open.att('k', 'v'), /Cannot add attribute after element content was written: k/);
+});
@@ -0,0 +1,68 @@
+/*
+	Canonical XML Tests
+	C14N and Exclusive C14N output, comments, namespaces and digests.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const XML = require('../xml.js');
+
+test('canonicalizes formatting differences away', () => {
+    const a = XML.canonicalize('<?xml version="1.0"?><doc  b="2" a="1"/>');
+    const b = XML.canonicalize("<doc a='1' b='2'></doc>");
+    assert.equal(a, '<doc a="1" b="2"></doc>');
+    assert.equal(b, a);
+});
+
+test('follows the C14N rules for text, entities and CDATA', () => {
+    const text = '<!DOCTYPE doc [<!ENTITY ent "value">]>\r\n<doc attr="&lt;&quot;&#9;&#10;x"><![CDATA[a < b & c]]>&ent;&#x20AC;<!-- c --><?pi  data?><e/></doc>\n';
+    assert.equal(XML.canonicalize(text), '<doc attr="&lt;&quot;&#x9;&#xA;x">a &lt; b &amp; cvalue€<?pi data?><e></e></doc>');
+    assert.equal(XML.canonicalize(text, { comments: true }), '<doc attr="&lt;&quot;&#x9;&#xA;x">a &lt; b &amp; cvalue€<!-- c --><?pi data?><e></e></doc>');
+});
+
+test('removes redundant namespace declarations, and sorts attributes', () => {
+    const text = '<a xmlns="urn:a" xmlns:x="urn:x"><b xmlns="urn:a" xmlns:x="urn:x" x:z="1" y="2" x:a="3" b="4"/></a>';
+    assert.equal(XML.canonicalize(text), '<a xmlns="urn:a" xmlns:x="urn:x"><b b="4" y="2" x:a="3" x:z="1"></b></a>');
+});
+
+test('sorts attributes by namespace URI in code point order', () => {
+    const text = '<a xmlns:p="urn:\u{1F600}" xmlns:q="urn:\uFF21" p:x="1" q:x="2"/>';
+    assert.equal(XML.canonicalize(text), '<a xmlns:p="urn:\u{1F600}" xmlns:q="urn:\uFF21" q:x="2" p:x="1"></a>');
+});
+
+test('sorts namespace declarations by prefix in code point order', () => {
+    const node = {
+        type: 'element',
+        name: 'a',
+        attributes: { 'xmlns:\u{10000}': 'urn:b', 'xmlns:\uFFFF': 'urn:a' },
+        children: []
+    };
+    assert.equal(XML.canonicalize(node), '<a xmlns:\uFFFF="urn:a" xmlns:\u{10000}="urn:b"></a>');
+});
+
+test('canonicalizes very deep documents', () => {
+    const depth = 30000;
+    const text = '<a xmlns="urn:a">' + '<b>'.repeat(depth) + 'x' + '</b>'.repeat(depth) + '</a>';
+    assert.equal(XML.canonicalize(text), text);
+    assert.equal(XML.canonicalize(text, { exclusive: true }), text);
+});
+
+test('keeps only the namespaces used in exclusive mode', () => {
+    const nodes = XML.parse('<root xmlns:x="urn:x" xmlns:y="urn:y" xmlns:z="urn:z"><x:item y:attr="1"><child/></x:item></root>', { fullFidelity: true });
+    const item = nodes.children[0].children[0];
+    const namespaces = { x: 'urn:x', y: 'urn:y', z: 'urn:z' };
+    assert.equal(XML.canonicalize(item, { exclusive: true, namespaces }), '<x:item xmlns:x="urn:x" xmlns:y="urn:y" y:attr="1"><child></child></x:item>');
+    assert.equal(XML.canonicalize(item, { exclusive: true, namespaces, inclusivePrefixes: ['z'] }), '<x:item xmlns:x="urn:x" xmlns:y="urn:y" xmlns:z="urn:z" y:attr="1"><child></child></x:item>');
+    assert.equal(XML.canonicalize(item, { namespaces }), '<x:item xmlns:x="urn:x" xmlns:y="urn:y" xmlns:z="urn:z" y:attr="1"><child></child></x:item>');
+    assert.equal(XML.canonicalize(item, { method: 'http://www.w3.org/2001/10/xml-exc-c14n#', namespaces }), XML.canonicalize(item, { exclusive: true, namespaces }));
+});
+
+test('hashes the canonical form', () => {
+    const text = '<doc b="2" a="1"/>';
+    const expected = crypto.createHash('sha1').update('<doc a="1" b="2"></doc>').digest('base64');
+    assert.equal(XML.digest(text, { algorithm: 'sha1', encoding: 'base64' }), expected);
+    assert.equal(XML.digest(text), crypto.createHash('sha256').update('<doc a="1" b="2"></doc>').digest('hex'));
+});
@@ -0,0 +1,116 @@
+/*
+	Command-Line Tool Tests
+	Runs each pixl-xml command on files and stdin, checking output and exit codes.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const cli = path.join(__dirname, '..', 'cli.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixl-xml-cli-'));
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function run(args, input) {
+    // run command line tool, returns { status, stdout, stderr }
+    const result = spawnSync(process.execPath, [cli].concat(args), { input: input || '', encoding: 'utf8', cwd: dir });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function write(name, content) {
+    // write file in the temp directory, returning its path
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+const order = write('order.xml', '<Order><Items><Item sku="x"><Price>10</Price></Item><Item sku="y"><Price>25</Price></Item></Items></Order>');
+
+test('converts XML to JSON and back', () => {
+    const json = run(['convert', '--preserve-attributes', order]);
+    assert.equal(json.status, 0);
+    const tree = JSON.parse(json.stdout);
+    assert.deepEqual(tree.Items.Item[1], { _Attribs: { sku: 'y' }, Price: '25' });
+
+    const xml = run(['convert', '--root', 'Order', '--minify', '--no-declaration'], json.stdout);
+    assert.equal(xml.status, 0);
+    assert.equal(xml.stdout.trim(), '<Order><Items><Item sku="x"><Price>10</Price></Item><Item sku="y"><Price>25</Price></Item></Items></Order>');
+});
+
+test('refuses JSON to XML without a document element, rather than dropping keys', () => {
+    const two = write('two.xml', '<Doc><A>1</A><B>2</B></Doc>');
+    const result = run(['convert'], run(['convert', two]).stdout);
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /JSON input must have the document element as its only key, or pass --root/);
+    const attribs = write('attribs.xml', '<Doc id="1"><A>1</A></Doc>');
+    assert.equal(run(['convert', '--preserve-attributes'], run(['convert', '--preserve-attributes', attribs]).stdout).status, 2);
+    assert.equal(run(['convert'], '{"_Attribs": {"a": "1"}}').status, 2);
+
+    const kept = run(['convert', '--preserve-document-node', '--preserve-attributes', order]).stdout;
+    const xml = run(['convert', '--minify', '--no-declaration', '--preserve-attributes'], kept);
+    assert.equal(xml.status, 0);
+    assert.equal(xml.stdout.trim(), '<Order><Items><Item sku="x"><Price>10</Price></Item><Item sku="y"><Price>25</Price></Item></Items></Order>');
+});
+
+test('formats XML, keeping comments and order', () => {
+    const result = run(['format', '--indent', '2'], '<a><!-- c --><z/><b>text</b></a>');
+    assert.equal(result.status, 0);
+    assert.equal(result.stdout, '<a>\n  <!-- c -->\n  <z/>\n  <b>text</b>\n</a>\n');
+    assert.equal(run(['format', '--minify'], '<a>\n  <b>1</b>\n</a>').stdout.trim(), '<a><b>1</b></a>');
+});
+
+test('queries documents', () => {
+    assert.equal(run(['query', 'Items/Item/Price', order]).stdout, '10\n25\n');
+    assert.equal(run(['query', '--preserve-attributes', '--json', '/Order/Items/Item/@sku', order]).stdout, '[\n\t"x",\n\t"y"\n]\n');
+    assert.equal(run(['query', 'Items/Nothing', order]).status, 1);
+    assert.equal(run(['query', "Items/Item[@sku='y']/Price", order]).stdout, '25\n');
+});
+
+test('validates documents, with or without a schema', () => {
+    const bad = write('bad.xml', '<a><b></a>');
+    const result = run(['validate', order, bad]);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /bad\.xml: Parse Error MISMATCHED_TAG: Mismatched closing tag \(expected <\/b>\) on line 1, column 7: <\/a>/);
+
+    const xsd = write('order.xsd', '<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema"><xs:element name="Order"><xs:complexType><xs:sequence><xs:element name="Items"/></xs:sequence></xs:complexType></xs:element></xs:schema>');
+    assert.equal(run(['validate', '--quiet', '--schema', xsd, order]).status, 0);
+    assert.equal(run(['validate', '--schema', xsd], '<Order><Other/></Order>').status, 1);
+});
+
+test('infers types from samples', () => {
+    const result = run(['infer', '--preserve-attributes', order]);
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /export interface Order \{/);
+    assert.match(result.stdout, /Price: number;/);
+    assert.match(run(['infer', '--to', 'xsd', order]).stdout, /<xs:schema/);
+});
+
+test('rejects --html where documents are read in full fidelity mode', () => {
+    for (const args of [['format'], ['infer'], ['validate', '--schema', 'order.xsd'], ['convert', '--convention', 'parker']]) {
+        const result = run(args.concat(['--html', order]));
+        assert.equal(result.status, 2, args.join(' '));
+        assert.match(result.stderr, /--html/);
+    }
+    assert.equal(run(['convert', '--namespaces', '--convention', 'badgerfish', order]).status, 2);
+    assert.equal(run(['query', '--html', '//p'], '<html><p>One<p>Two</html>').stdout, 'One\nTwo\n');
+});
+
+test('reports usage errors and unreadable files', () => {
+    assert.equal(run([]).status, 2);
+    assert.equal(run(['bogus']).status, 2);
+    assert.equal(run(['query']).status, 2);
+    assert.equal(run(['convert', path.join(dir, 'missing.xml')]).status, 2);
+    assert.equal(run(['--help']).status, 0);
+});
+
+test('writes output to a file', () => {
+    const out = path.join(dir, 'out.json');
+    assert.equal(run(['convert', '--output', out, order]).status, 0);
+    assert.deepEqual(JSON.parse(fs.readFileSync(out, 'utf8')).Items.Item[0], { sku: 'x', Price: '10' });
+});
@@ -0,0 +1,78 @@
+/*
+	Composing Tests
+	XML.stringify() options, mixed content, parser options and Parser.compose().
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const compact = { indentString: '', eol: '' };
+
+test('composes sorted, indented XML by default', () => {
+    const xml = XML.stringify({ Simple: 'Hello', Node: { _Attribs: { Key: 'Value' }, _Data: 'Content' } }, 'Document');
+    assert.equal(xml, '<?xml version="1.0"?>\n<Document>\n\t<Node Key="Value">Content</Node>\n\t<Simple>Hello</Simple>\n</Document>\n');
+});
+
+test('keeps text with child elements, zero and empty values', () => {
+    const xml = XML.stringify({ P: { _Data: 'Text', B: 'bold' }, Count: 0, Note: '', Flag: false }, 'Doc', Object.assign({ declaration: false }, compact));
+    assert.equal(xml, '<Doc><Count>0</Count><Flag>false</Flag><Note/><P>Text<B>bold</B></P></Doc>');
+});
+
+test('applies the composing options', () => {
+    const tree = { Script: 'a < b', Empty: {}, Item: { _Attribs: { q: "it's" } } };
+    const xml = XML.stringify(tree, 'Doc', Object.assign({
+        declaration: { version: '1.0', encoding: 'UTF-8', standalone: true },
+        selfClosing: false,
+        quote: "'",
+        cdata: ['Script'],
+        sort: false
+    }, compact));
+    assert.equal(xml, '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Doc><Script><![CDATA[a < b]]></Script><Empty></Empty><Item q=\'it&apos;s\'></Item></Doc>');
+});
+
+test('honors custom keys and escaping options', () => {
+    const tree = { '@': { id: 'é' }, '#': 'x\u0001y', Sub: 'ñ' };
+    const xml = XML.stringify(tree, 'Doc', Object.assign({ attribsKey: '@', dataKey: '#', declaration: false, escapeNonASCII: true, escapeControl: true }, compact));
+    assert.equal(xml, '<Doc id="&#xE9;">x&#x1;y<Sub>&#xF1;</Sub></Doc>');
+});
+
+test('supports the original positional arguments', () => {
+    assert.equal(XML.stringify({ B: '1', A: '2' }, 'Doc', 0, '', '', false), '<?xml version="1.0"?><Doc><B>1</B><A>2</A></Doc>');
+    assert.equal(XML.stringify({ Doc: { A: '1' } }, compact), '<?xml version="1.0"?><Doc><A>1</A></Doc>');
+});
+
+test('composes with the keys the parser used', () => {
+    const parser = new XML.Parser('<?xml version="1.0" encoding="UTF-8"?><Doc><Item ID="1">x</Item></Doc>', { preserveAttributes: true, lowerCase: true });
+    assert.deepEqual(parser.getTree(), { item: { _attribs: { id: '1' }, _data: 'x' } });
+    parser.getTree().item._data = 'y';
+    assert.equal(parser.compose(compact), '<?xml version="1.0" encoding="UTF-8"?><doc><item id="1">y</item></doc>');
+    assert.equal(parser.compose('', ''), parser.compose(compact));
+    assert.equal(parser.compose(Object.assign({ declaration: false }, compact)), '<doc><item id="1">y</item></doc>');
+});
+
+test('escapes non-ASCII output from the parser properties', () => {
+    const parser = new XML.Parser('<Doc><A>Café</A></Doc>');
+    parser.escapeNonASCII = true;
+    assert.match(parser.compose(), /<A>Caf&#xE9;<\/A>/);
+});
+
+test('encodes entities', () => {
+    assert.equal(XML.encodeEntities('<Hello>&<There>'), '&lt;Hello&gt;&amp;&lt;There&gt;');
+    assert.equal(XML.encodeEntities('Café', { escapeNonASCII: true }), 'Caf&#xE9;');
+    assert.equal(XML.encodeAttribEntities('<Hello>"&"<There>'), '&lt;Hello&gt;&quot;&amp;&quot;&lt;There&gt;');
+});
+
+test('provides the utility functions', () => {
+    assert.deepEqual(XML.alwaysArray('a'), ['a']);
+    assert.deepEqual(XML.alwaysArray(['a']), ['a']);
+    assert.deepEqual(XML.hashKeysToArray({ foo: 'bar', baz: 1 }).sort(), ['baz', 'foo']);
+    assert.equal(XML.isaHash({}), true);
+    assert.equal(XML.isaHash([]), false);
+    assert.equal(XML.isaArray([]), true);
+    assert.equal(XML.numKeys({ a: 1, b: 2 }), 2);
+    assert.equal(XML.firstKey({ a: 1 }), 'a');
+    assert.equal(XML.trim('  x  '), 'x');
+});
@@ -0,0 +1,88 @@
+/*
+	Convention Tests
+	BadgerFish, Parker, JsonML and GData mappings, round trips and custom conventions.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const text = '<?xml version="1.0" encoding="UTF-8"?><Items xmlns:x="urn:x"><Item id="1">Apple</Item><Item id="2">7</Item><x:Flag>true</x:Flag><Empty/></Items>';
+
+test('maps documents with BadgerFish', () => {
+    const doc = XML.parse(text, { convention: 'badgerfish' });
+    assert.deepEqual(doc, {
+        Items: {
+            '@xmlns': { x: 'urn:x' },
+            Item: [{ '@id': '1', $: 'Apple' }, { '@id': '2', $: '7' }],
+            'x:Flag': { $: 'true' },
+            Empty: {}
+        }
+    });
+});
+
+test('maps documents with Parker', () => {
+    assert.deepEqual(XML.parse(text, { convention: 'parker' }), { Item: ['Apple', 7], 'x:Flag': true, Empty: null });
+});
+
+test('maps documents with JsonML', () => {
+    const doc = XML.parse('<p class="a">Hello <b>world</b></p>', { convention: 'jsonml' });
+    assert.deepEqual(doc, ['p', { class: 'a' }, 'Hello ', ['b', 'world']]);
+});
+
+test('maps documents with GData', () => {
+    const doc = XML.parse(text, { convention: 'gdata' });
+    assert.equal(doc.version, '1.0');
+    assert.equal(doc.encoding, 'UTF-8');
+    assert.deepEqual(doc.Items.Item, [{ id: '1', $t: 'Apple' }, { id: '2', $t: '7' }]);
+    assert.deepEqual(doc.Items.x$Flag, { $t: 'true' });
+});
+
+test('round-trips each convention', () => {
+    for (const convention of ['badgerfish', 'jsonml', 'gdata']) {
+        const doc = XML.parse(text, { convention });
+        const xml = XML.stringify(doc, { convention });
+        assert.deepEqual(XML.parse(xml, { convention }), doc, convention);
+    }
+    const parker = XML.parse(text, { convention: 'parker' });
+    const xml = XML.stringify(parker, 'Items', { convention: 'parker', indentString: '', eol: '', declaration: false });
+    assert.equal(xml, '<Items><Item>Apple</Item><Item>7</Item><x:Flag>true</x:Flag><Empty/></Items>');
+});
+
+test('parses and composes very deep documents in each convention', () => {
+    const depth = 30000;
+    const xml = '<a>'.repeat(depth) + 'v' + '</a>'.repeat(depth);
+    const opts = { indentString: '', eol: '', declaration: false };
+
+    for (const convention of ['badgerfish', 'parker', 'jsonml', 'gdata']) {
+        const doc = XML.parse(xml, { convention });
+        const name = (convention === 'parker') ? 'a' : null;
+        assert.equal(XML.stringify(doc, name, Object.assign({ convention }, opts)), xml, convention);
+    }
+});
+
+test('keeps the document element name with the Parser class', () => {
+    const parser = new XML.Parser('<Root><A>1</A></Root>', { convention: 'parker' });
+    assert.deepEqual(parser.getTree(), { A: 1 });
+    assert.match(parser.compose({ indentString: '', eol: '' }), /<Root><A>1<\/A><\/Root>$/);
+});
+
+test('registers custom conventions', () => {
+    XML.registerConvention('names', {
+        parse: (doc) => {
+            const root = doc.children.find(node => node.type === 'element');
+            return root.children.filter(node => node.type === 'element').map(node => node.name);
+        },
+        compose: (value, name) => ({
+            type: 'element',
+            name: name || 'List',
+            attributes: {},
+            children: value.map(item => ({ type: 'element', name: item, attributes: {}, children: [], selfClosing: true }))
+        })
+    });
+    assert.deepEqual(XML.parse('<List><Apple/><Pear/></List>', { convention: 'names' }), ['Apple', 'Pear']);
+    assert.match(XML.stringify(['Apple', 'Pear'], { convention: 'names', indentString: '', eol: '' }), /<List><Apple\/><Pear\/><\/List>$/);
+    assert.throws(() => XML.parse('<a/>', { convention: 'unknown' }));
+});
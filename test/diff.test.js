@@ -0,0 +1,82 @@
+/*
+	Diff and Patch Tests
+	Changes between documents, XML Patch output, and applying changes.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const before = '<Config><Server port="80">alpha</Server><Debug>1</Debug></Config>';
+const after = '<Config><Server port="8080">alpha</Server><Server port="81">beta</Server></Config>';
+
+test('reports changes to elements, attributes and text', () => {
+    assert.deepEqual(XML.diff(before, after), [
+        { op: 'replace', path: '/Config/Server[1]/@port', value: '8080', oldValue: '80' },
+        { op: 'add', path: '/Config/Server[2]', value: { _Attribs: { port: '81' }, _Data: 'beta' } },
+        { op: 'remove', path: '/Config/Debug', oldValue: '1' }
+    ]);
+    assert.deepEqual(XML.diff('<L>hi<I/></L>', '<L>ho<I/></L>'), [{ op: 'replace', path: '/L/text()', value: 'ho', oldValue: 'hi' }]);
+    assert.deepEqual(XML.diff(before, before), []);
+});
+
+test('matches up unchanged siblings', () => {
+    const changes = XML.diff('<L><I>a</I><I>b</I><I>c</I></L>', '<L><I>a</I><I>x</I><I>b</I><I>c</I></L>');
+    assert.deepEqual(changes, [{ op: 'add', path: '/L/I[2]', value: 'x' }]);
+});
+
+test('composes an XML Patch document', () => {
+    const xml = XML.diff(before, after, { format: 'rfc5261' });
+    assert.equal(xml, '<?xml version="1.0"?>\n<diff>\n' +
+        '\t<replace sel="/Config/Server[1]/@port">8080</replace>\n' +
+        '\t<add sel="/Config/Server[1]" pos="after"><Server port="81">beta</Server></add>\n' +
+        '\t<remove sel="/Config/Debug"/>\n' +
+        '</diff>\n');
+});
+
+test('patches a copy of the tree', () => {
+    const changes = XML.diff(before, after);
+    const tree = XML.parse(before, { preserveAttributes: true, preserveDocumentNode: true });
+    const copy = JSON.parse(JSON.stringify(tree));
+    assert.deepEqual(XML.patch(tree, changes), XML.parse(after, { preserveAttributes: true, preserveDocumentNode: true }));
+    assert.deepEqual(tree, copy);
+    assert.deepEqual(XML.patch(before, changes), XML.patch(tree, changes));
+});
+
+test('diffs trees parsed without the document node', () => {
+    const a = XML.parse('<L><I>a</I></L>');
+    const b = XML.parse('<L><I>a</I><I>b</I></L>');
+    assert.deepEqual(XML.diff(a, b), [{ op: 'add', path: '/I[2]', value: 'b' }]);
+    const changes = XML.diff(a, b, { documentNodeName: 'L' });
+    assert.deepEqual(changes, [{ op: 'add', path: '/L/I[2]', value: 'b' }]);
+    assert.deepEqual(XML.patch(a, changes, { documentNodeName: 'L' }), b);
+});
+
+test('rejects changes which do not apply', () => {
+    assert.throws(() => XML.patch('<a/>', [{ op: 'remove', path: '/a/b' }]), /Patch path not found: \/a\/b/);
+    assert.throws(() => XML.patch('<a/>', [{ op: 'bogus', path: '/a' }]), /Unknown patch operation: bogus/);
+});
+
+test('diffs and patches very deep documents', () => {
+    const depth = 30000;
+    const chain = (inner) => '<a>'.repeat(depth) + inner + '</a>'.repeat(depth);
+    const a = chain('<b x="1">old</b>');
+    const b = chain('<b x="2">new</b><c/>');
+    const prefix = '/a'.repeat(depth);
+
+    const changes = XML.diff(a, b);
+    assert.deepEqual(changes, [
+        { op: 'replace', path: prefix + '/b/@x', value: '2', oldValue: '1' },
+        { op: 'replace', path: prefix + '/b/text()', value: 'new', oldValue: 'old' },
+        { op: 'add', path: prefix + '/c', value: {} }
+    ]);
+    assert.equal(XML.stringify(XML.patch(a, changes), { indentString: '', eol: '', declaration: false }), b);
+
+    // repeated siblings are aligned by comparing their whole subtrees
+    const pair = '<r>' + chain('') + chain('x') + '</r>';
+    assert.deepEqual(XML.diff(pair, pair.replace('x', 'y')), [
+        { op: 'replace', path: '/r/a[2]' + '/a'.repeat(depth - 1) + '/text()', value: 'y', oldValue: 'x' }
+    ]);
+});
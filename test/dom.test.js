@@ -0,0 +1,91 @@
+/*
+	DOM Tests
+	Element navigation, selectors, mutation and serialization.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const text = '<Order><Items><Item sku="a1" class="x big">A</Item><Item sku="b2" id="obsolete">B</Item></Items><!-- c --></Order>';
+
+test('edits a document in place', () => {
+    const root = XML.parse(text, { dom: true });
+    const item = root.querySelector("Items > Item[sku='a1']");
+    item.setAttribute('qty', 2);
+    item.append(new XML.Element('Note', { lang: 'en' }, ['Gift wrap']));
+    root.querySelector('#obsolete').remove();
+
+    assert.equal(root.toString(), '<Order><Items><Item sku="a1" class="x big" qty="2">A<Note lang="en">Gift wrap</Note></Item></Items><!-- c --></Order>');
+    assert.equal(root.toString({ indentString: '  ', eol: '\n' }), '<Order>\n  <Items>\n    <Item sku="a1" class="x big" qty="2">A<Note lang="en">Gift wrap</Note></Item>\n  </Items>\n  <!-- c -->\n</Order>');
+    assert.deepEqual(root.toObject({ preserveAttributes: true }), {
+        Items: { Item: { _Attribs: { sku: 'a1', class: 'x big', qty: '2' }, _Data: 'A', Note: { _Attribs: { lang: 'en' }, _Data: 'Gift wrap' } } }
+    });
+});
+
+test('navigates elements and attributes', () => {
+    const root = XML.parse(text, { dom: true });
+    const item = root.getElementsByTagName('Item')[0];
+    assert.equal(item.parent.name, 'Items');
+    assert.equal(item.getAttribute('sku'), 'a1');
+    assert.equal(item.getAttribute('missing'), null);
+    assert.equal(item.hasAttribute('class'), true);
+    item.removeAttribute('class');
+    assert.equal(item.hasAttribute('class'), false);
+    assert.equal(item.nextSibling.getAttribute('sku'), 'b2');
+    assert.equal(item.previousSibling, null);
+    assert.equal(root.textContent, 'AB');
+    assert.deepEqual(root.children.map(node => node.type), ['element', 'comment']);
+    assert.deepEqual(root.elements.map(node => node.name), ['Items']);
+    assert.deepEqual(root.getElementsByTagName('*').map(node => node.name), ['Items', 'Item', 'Item']);
+});
+
+test('matches selectors', () => {
+    const root = XML.parse('<a xmlns:s="urn:s"><b title="foo bar" href="http://x.org/p.png"/><c class="x big"/><s:Body/></a>', { dom: true });
+    for (const selector of ['[title~=bar]', '[href^=http]', '[href$=".png"]', '[href*="x.org"]', '[title]', 'a b', 'a > b', 'z, b']) {
+        assert.equal(root.querySelector(selector), root.elements[0], selector);
+    }
+    assert.equal(root.querySelector('.big').name, 'c');
+    assert.equal(root.querySelector('s:Body').name, 's:Body');
+    assert.equal(root.querySelector('b > c'), null);
+    assert.deepEqual(root.querySelectorAll('c, b').map(node => node.name), ['b', 'c']);
+});
+
+test('moves nodes and replaces elements', () => {
+    const x = new XML.Element('x');
+    const y = new XML.Element('y');
+    x.append('a', y);
+    x.prepend(y);
+    assert.equal(x.toString(), '<x><y/>a</x>');
+    assert.equal(y.nextSibling.value, 'a');
+    assert.throws(() => y.append(x), /Cannot add element inside itself/);
+
+    x.textContent = 'z';
+    assert.equal(x.toString(), '<x>z</x>');
+    assert.equal(y.parent, null);
+});
+
+test('composes the edited document with its prolog', () => {
+    const parser = new XML.Parser('<?xml version="1.0"?>\n<!DOCTYPE Order>\n<Order><A>1</A></Order>', { dom: true });
+    parser.getTree().querySelector('A').replaceWith(new XML.Element('B', {}, ['2']), 'text');
+    assert.equal(parser.compose(), '<?xml version="1.0"?>\n<!DOCTYPE Order>\n<Order><B>2</B>text</Order>');
+    assert.equal(XML.stringify(parser.getTree(), { indentString: '', eol: '' }), '<?xml version="1.0"?><Order><B>2</B>text</Order>');
+});
+
+test('keeps whitespace only when asked', () => {
+    assert.equal(XML.parse('<a>\n  <b/>\n</a>', { dom: true }).children.length, 1);
+    assert.equal(XML.parse('<a>\n  <b/>\n</a>', { dom: true, preserveWhitespace: true }).children.length, 3);
+});
+
+test('handles deeply nested elements', () => {
+    let elem = new XML.Element('d', {}, ['x']);
+    for (let idx = 0; idx < 100000; idx++) {
+        elem = new XML.Element('d', {}, [elem]);
+    }
+    assert.equal(elem.textContent, 'x');
+    assert.equal(elem.getElementsByTagName('d').length, 100000);
+    assert.equal(elem.toString().length, 100001 * 7 + 1);
+    assert.equal(typeof elem.toObject(), 'object');
+});
@@ -0,0 +1,112 @@
+/*
+	Encoding Tests
+	Buffers, byte order marks, declared encodings, and reading and writing files.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XML = require('../xml.js');
+
+const text = '<?xml version="1.0"?><Doc><Name>Café ☃</Name></Doc>';
+
+function utf16be(str) {
+    // encode string as UTF-16BE bytes
+    const bytes = Buffer.from(str, 'utf16le');
+    for (let idx = 0; idx < bytes.length; idx += 2) {
+        const low = bytes[idx];
+        bytes[idx] = bytes[idx + 1];
+        bytes[idx + 1] = low;
+    }
+    return bytes;
+}
+
+test('detects the encoding from the byte order mark', () => {
+    const cases = {
+        'utf-8': Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(text)]),
+        'utf-16le': Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]),
+        'utf-16be': Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be(text)])
+    };
+    for (const encoding in cases) {
+        const parser = new XML.Parser(cases[encoding]);
+        assert.equal(parser.getTree().Name, 'Café ☃', encoding);
+        assert.equal(parser.encoding, encoding);
+    }
+});
+
+test('detects the encoding from the XML declaration', () => {
+    const bytes = Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><Doc><Name>Caf\xE9</Name></Doc>', 'latin1');
+    const parser = new XML.Parser(bytes);
+    assert.equal(parser.getTree().Name, 'Café');
+    assert.equal(parser.encoding, 'iso-8859-1');
+    assert.equal(XML.parse(new Uint8Array(bytes)).Name, 'Café');
+});
+
+test('detects the encoding of a stream written one byte at a time', () => {
+    const cases = {
+        'utf-8': Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from(text)]),
+        'utf-16le': Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]),
+        'utf-16be': Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be(text)]),
+        'iso-8859-1': Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><Doc><Name>Caf\xE9 &#x2603;</Name></Doc>', 'latin1')
+    };
+    for (const encoding in cases) {
+        const bytes = cases[encoding];
+        const parser = new XML.SAXParser({ record: 'Name' });
+        const records = [];
+        parser.on('record', (record) => records.push(record));
+        for (let idx = 0; idx < bytes.length; idx++) {
+            parser.write(bytes.subarray(idx, idx + 1));
+        }
+        parser.end();
+        assert.deepEqual(records, ['Café ☃'], encoding);
+        assert.equal(parser.encoding, encoding);
+    }
+
+    // documents shorter than the detection window are decoded at the end
+    const parser = new XML.SAXParser({ record: 'a' });
+    const records = [];
+    parser.on('record', (record) => records.push(record));
+    parser.write(Buffer.from('<a/'));
+    parser.end(Buffer.from('>'));
+    assert.deepEqual(records, [{}]);
+});
+
+test('accepts an encoding option, and strips a BOM from strings', () => {
+    const bytes = Buffer.from('<Doc><Name>Caf\xE9</Name></Doc>', 'latin1');
+    assert.equal(XML.parse(bytes, { encoding: 'latin1' }).Name, 'Café');
+    assert.equal(XML.parse('\uFEFF<Doc><A>1</A></Doc>').A, '1');
+});
+
+test('reads and writes files in each encoding', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixl-xml-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const tree = { Name: 'Café ☃', Count: 0 };
+
+    for (const encoding of ['utf-8', 'utf-16', 'utf-16be', 'iso-8859-1']) {
+        const file = path.join(dir, encoding + '.xml');
+        XML.writeFileSync(file, tree, 'Doc', { encoding });
+        assert.deepEqual(XML.parseFileSync(file), { Name: 'Café ☃', Count: '0' }, encoding);
+        const bytes = fs.readFileSync(file);
+        assert.equal(bytes[0] === 0xFF || bytes[0] === 0xFE, encoding.startsWith('utf-16'), encoding + ' BOM');
+    }
+    assert.match(fs.readFileSync(path.join(dir, 'iso-8859-1.xml'), 'latin1'), /encoding="ISO-8859-1"[\s\S]*Caf\xE9 &#x2603;/);
+
+    const file = path.join(dir, 'async.xml');
+    await XML.writeFile(file, tree, 'Doc');
+    assert.deepEqual(await XML.parseFile(file, { preserveDocumentNode: true }), { Doc: { Count: '0', Name: 'Café ☃' } });
+});
+
+test('writes a parser with its own declaration', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixl-xml-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'out.xml');
+    const parser = new XML.Parser('<?xml version="1.0" standalone="yes"?><Doc><A>é</A></Doc>');
+    XML.writeFileSync(file, parser, { encoding: 'utf-16le' });
+    const written = fs.readFileSync(file);
+    assert.deepEqual([...written.subarray(0, 2)], [0xFF, 0xFE]);
+    assert.match(written.toString('utf16le'), /^\uFEFF<\?xml version="1.0" encoding="UTF-16" standalone="yes"\?>/);
+});
@@ -0,0 +1,52 @@
+/*
+	Entity Tests
+	Character references, DTD entities, HTML named entities and custom entities.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+test('decodes decimal and hexadecimal character references', () => {
+    const doc = XML.parse('<Doc><A>&#169; &#xA9; &#x1F600;</A><B c="&#60;&#x3E;"/></Doc>');
+    assert.equal(doc.A, '© © 😀');
+    assert.equal(doc.B.c, '<>');
+});
+
+test('leaves invalid character references and unknown entities as they are', () => {
+    const doc = XML.parse('<Doc><A>&#xZZ; &#1114112; &bogus;</A></Doc>');
+    assert.equal(doc.A, '&#xZZ; &#1114112; &bogus;');
+});
+
+test('expands entities declared in an inline DTD', () => {
+    const doc = XML.parse('<?xml version="1.0"?>\n<!DOCTYPE Doc [\n\t<!ENTITY company "Acme &amp; Co">\n\t<!ENTITY full "&company; Ltd">\n]>\n<Doc><Owner>&full;</Owner><Note by="&company;"/></Doc>');
+    assert.equal(doc.Owner, 'Acme & Co Ltd');
+    assert.equal(doc.Note.by, 'Acme & Co');
+});
+
+test('decodes HTML named entities only when asked', () => {
+    const text = '<Doc><Legal>&copy; 2016 Acme&nbsp;Co</Legal></Doc>';
+    assert.equal(XML.parse(text).Legal, '&copy; 2016 Acme&nbsp;Co');
+    assert.equal(XML.parse(text, { htmlEntities: true }).Legal, '© 2016 Acme\u00A0Co');
+});
+
+test('custom entities take precedence over HTML and DTD entities', () => {
+    const text = '<!DOCTYPE Doc [<!ENTITY product "From DTD">]><Doc><Name>&product; &copy;</Name></Doc>';
+    const doc = XML.parse(text, { htmlEntities: true, entities: { product: 'Widget Pro', copy: '(c)' } });
+    assert.equal(doc.Name, 'Widget Pro (c)');
+});
+
+test('decodeEntities() accepts extra entities', () => {
+    assert.equal(XML.decodeEntities('&lt;Hello&gt;&quot;&amp;&quot;&apos;'), '<Hello>"&"\'');
+    assert.equal(XML.decodeEntities('&me; &#65;', { me: 'you' }), 'you A');
+});
+
+test('the streaming parser decodes the same entities', () => {
+    const parser = new XML.SAXParser({ htmlEntities: true });
+    const texts = [];
+    parser.on('text', text => texts.push(text));
+    parser.end('<!DOCTYPE Doc [<!ENTITY x "ex">]><Doc>&x; &nbsp; &#65;</Doc>');
+    assert.deepEqual(texts, ['ex \u00A0 A']);
+});
@@ -0,0 +1,97 @@
+/*
+	Error Tests
+	Error codes and positions, the line index, and recover mode.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+const { getLineIndex, locate, utf8Length } = require('../errors.js');
+
+function catchError(text, opts) {
+    // parse text, returning the error thrown
+    try {
+        XML.parse(text, opts);
+    } catch (err) {
+        return err;
+    }
+    assert.fail('Expected a parse error');
+}
+
+test('throws XMLParseError with code, key, text and position', () => {
+    const err = catchError('<Doc>\n  <B>é</B><Item>x</Items>\n</Doc>');
+    assert.ok(err instanceof XML.XMLParseError);
+    assert.equal(err.code, XML.errorCodes.MISMATCHED_TAG);
+    assert.equal(err.key, 'Mismatched closing tag (expected </Item>)');
+    assert.equal(err.text, '</Items>');
+    assert.equal(err.line, 2);
+    assert.equal(err.column, 18);
+    assert.equal(err.offset, 24);
+});
+
+test('uses a stable code for each kind of problem', () => {
+    const cases = {
+        MALFORMED_TAG: '<Doc><A <B/></A></Doc>',
+        MALFORMED_SPECIAL_TAG: '<Doc><!BOGUS></Doc>',
+        UNCLOSED_COMMENT: '<Doc><!-- never',
+        UNCLOSED_CDATA: '<Doc><![CDATA[ never',
+        UNCLOSED_ELEMENT: '<Doc><A>',
+        MISMATCHED_TAG: '<Doc></A>',
+        DUPLICATE_ROOT: '<Doc/><Doc/>'
+    };
+    for (const code in cases) {
+        assert.equal(catchError(cases[code]).code, code, cases[code]);
+    }
+});
+
+test('reports unclosed elements at their opening tag', () => {
+    const err = catchError('<Doc>\n<A>\n<B></B>');
+    assert.equal(err.code, 'UNCLOSED_ELEMENT');
+    assert.equal(err.line, 2);
+    assert.equal(err.column, 1);
+});
+
+test('locates positions on long lines and after astral characters', () => {
+    const line = ('abc é ☃ 😀 ').repeat(400);
+    const text = line + '\n' + line + '\r\n' + '😀'.repeat(3000) + '\nend';
+    const index = getLineIndex(text);
+    for (let pos = 0; pos <= text.length; pos += 97) {
+        if (pos > 0 && text.charCodeAt(pos) >= 0xDC00 && text.charCodeAt(pos) <= 0xDFFF) {
+            continue;
+        }
+        const before = text.substring(0, pos);
+        const lines = before.split('\n');
+        const expected = {
+            line: lines.length,
+            column: Array.from(lines[lines.length - 1]).length + 1,
+            offset: Buffer.byteLength(before)
+        };
+        assert.deepEqual(locate(text, pos, index), expected, 'position ' + pos);
+    }
+});
+
+test('counts UTF-8 bytes in ranges split inside surrogate pairs', () => {
+    const text = 'a😀b';
+    assert.equal(utf8Length(text), 6);
+    assert.equal(utf8Length(text, 0, 2) + utf8Length(text, 2), 6);
+});
+
+test('collects every problem in recover mode', () => {
+    const parser = new XML.Parser('<Doc><A><B>x</A><C>y</Doc>', { recover: true });
+    assert.deepEqual(parser.getTree(), { A: { B: 'x' }, C: 'y' });
+    assert.equal(parser.errors.length, 2);
+    assert.deepEqual(Object.keys(parser.errors[0]).sort(), ['code', 'column', 'key', 'line', 'offset', 'text', 'type']);
+    assert.equal(parser.getError(parser.errors[0]), 'Parse Error MISMATCHED_TAG: Mismatched closing tag (expected </B>) on line 1, column 13: </A>');
+    assert.match(parser.getLastError(), /^Parse Error MISMATCHED_TAG: .* column 21: <\/Doc>$/);
+});
+
+test('repairs documents as described', () => {
+    const parse = text => new XML.Parser(text, { recover: true }).getTree();
+    assert.deepEqual(parse('<Doc><A>1</A></Z><B>2</B></Doc>'), { A: '1', B: '2' });
+    assert.deepEqual(parse('<Doc><A>1</A><B b="></B><C>3</C></Doc>').C, '3');
+    assert.deepEqual(parse('<Doc><A><B>1'), { A: { B: '1' } });
+    assert.deepEqual(parse('<Doc><A>1</A></Doc><Other/>'), { A: '1' });
+    assert.deepEqual(parse('<Doc><A>1</A><!-- never'), { A: '1' });
+});
@@ -0,0 +1,120 @@
+/*
+	Full Fidelity Tests
+	Ordered node lists, byte-for-byte round trips and composing edited nodes.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XML = require('../xml.js');
+
+function strip(node) {
+    // copy node without the raw formatting details, for comparing structure
+    return JSON.parse(JSON.stringify(node, (key, value) => (key === 'raw') ? undefined : value));
+}
+
+test('produces an ordered list of nodes', () => {
+    const doc = XML.parse('<p class="intro">Hello <b>world</b> again<!-- note --></p>', { fullFidelity: true });
+    assert.deepEqual(strip(doc), {
+        type: 'document',
+        children: [
+            {
+                type: 'element',
+                name: 'p',
+                attributes: { class: 'intro' },
+                selfClosing: false,
+                children: [
+                    { type: 'text', value: 'Hello ' },
+                    { type: 'element', name: 'b', attributes: {}, selfClosing: false, children: [{ type: 'text', value: 'world' }] },
+                    { type: 'text', value: ' again' },
+                    { type: 'comment', value: ' note ' }
+                ]
+            }
+        ]
+    });
+});
+
+test('round-trips untouched documents byte for byte', () => {
+    const samples = [
+        '<?xml version="1.0"  encoding=\'UTF-8\' ?>\r\n<!DOCTYPE a [ <!ENTITY e "x"> ]>\n<a  b = \'1\'   c="&amp;&e;&#65;" >\n\t<![CDATA[ <raw> ]]><?pi  body ?><x/><y ></y>&lt;\n</a>\n<!-- trailing -->\n',
+        '<root><Empty /><t>  spaced  </t><m>one<i>two</i>three</m></root>'
+    ];
+    const fixtures = path.join(__dirname, 'fixtures');
+    for (const file of fs.readdirSync(fixtures).filter(name => name.endsWith('.xml'))) {
+        samples.push(fs.readFileSync(path.join(fixtures, file), 'utf8'));
+    }
+    for (const text of samples) {
+        const doc = XML.parse(text, { fullFidelity: true });
+        assert.equal(XML.stringify(doc, { fullFidelity: true }), text);
+    }
+});
+
+test('composes edited values in a standard format, keeping the rest', () => {
+    const doc = XML.parse('<p class=\'intro\'  id="x">Hello <b>world</b> again<!-- note --></p>', { fullFidelity: true });
+    const p = doc.children[0];
+    p.attributes.class = 'summary';
+    p.children.push({ type: 'element', name: 'i', attributes: { n: '1 & 2' }, children: [] });
+    assert.equal(XML.stringify(doc, { fullFidelity: true }), '<p class="summary"  id="x">Hello <b>world</b> again<!-- note --><i n="1 &amp; 2"></i></p>');
+});
+
+test('splits edited CDATA, and rejects edited comments which would be malformed', () => {
+    const doc = XML.parse('<a><![CDATA[x]]><!-- c --><!-- lenient -- kept --></a>', { fullFidelity: true });
+    const [cdata, comment] = doc.children[0].children;
+    cdata.value = 'a]]>b';
+    assert.equal(XML.stringify(doc, { fullFidelity: true }), '<a><![CDATA[a]]]]><![CDATA[>b]]><!-- c --><!-- lenient -- kept --></a>');
+    const sections = XML.parse(XML.stringify(doc, { fullFidelity: true }), { fullFidelity: true }).children[0].children.slice(0, 2);
+    assert.equal(sections.map(node => node.value).join(''), 'a]]>b');
+
+    for (const value of ['x -- y', 'x-']) {
+        comment.value = value;
+        assert.throws(() => XML.stringify(doc, { fullFidelity: true }), /Comment cannot contain "--" or end with "-"/);
+    }
+    assert.throws(() => XML.stringify({ type: 'comment', value: '--' }, { fullFidelity: true }), /Comment cannot contain/);
+});
+
+test('keeps a byte order mark', (t) => {
+    const text = '\uFEFF<?xml version="1.0" encoding="UTF-8"?>\n<a>\u00E9</a>\n';
+    const bytes = Buffer.from(text);
+    const doc = XML.parse(bytes, { fullFidelity: true });
+    assert.equal(doc.bom, true);
+    assert.equal(XML.stringify(doc, { fullFidelity: true }), text);
+    assert.equal(XML.stringify(XML.parse(text, { fullFidelity: true }), { fullFidelity: true }), text);
+    assert.equal(XML.parseNodes(bytes).bom, true);
+    assert.equal(XML.parse('<a/>', { fullFidelity: true }).bom, undefined);
+
+    // written once, whether the encoding needs one or not
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixl-xml-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'out.xml');
+    XML.writeFileSync(file, doc, { fullFidelity: true });
+    assert.deepEqual(fs.readFileSync(file), bytes);
+    XML.writeFileSync(file, doc, { fullFidelity: true, encoding: 'utf-16le' });
+    assert.equal(fs.readFileSync(file).toString('utf16le'), text.replace('UTF-8', 'UTF-16'));
+    XML.writeFileSync(file, doc, { fullFidelity: true, bom: false });
+    assert.deepEqual(fs.readFileSync(file), bytes.subarray(3));
+});
+
+test('works with the Parser class', () => {
+    const text = '<?xml version="1.0"?>\n<a>\n\t<b>1</b>\n</a>';
+    const parser = new XML.Parser(text, { fullFidelity: true });
+    const tree = parser.getTree();
+    assert.equal(tree.type, 'document');
+    tree.children.find(node => node.type === 'element').children[1].children[0].value = '2';
+    assert.equal(parser.compose(), '<?xml version="1.0"?>\n<a>\n\t<b>2</b>\n</a>');
+});
+
+test('applies lowerCase, and repairs documents in recover mode', () => {
+    const doc = XML.parse('<A><B>x</A>', { fullFidelity: true, lowerCase: true, recover: true });
+    assert.equal(doc.children[0].name, 'a');
+    assert.equal(doc.children[0].children[0].name, 'b');
+    assert.equal(XML.stringify(doc, { fullFidelity: true }), '<a><b>x</b></a>');
+});
+
+test('rejects the html and namespaces options', () => {
+    assert.throws(() => XML.parse('<a/>', { fullFidelity: true, html: true }), /html option is not supported with fullFidelity/);
+    assert.throws(() => XML.parse('<a/>', { fullFidelity: true, namespaces: true }), /namespaces option is not supported with fullFidelity/);
+});
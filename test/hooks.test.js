@@ -0,0 +1,68 @@
+/*
+	Reviver and Replacer Tests
+	Hooks called for each element while parsing and composing.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const text = '<Config><User id="7"><Password>x</Password><Created>2020-01-01T00:00:00.000Z</Created></User><N>1</N><N>2</N></Config>';
+
+test('revives each element, innermost first', () => {
+    const calls = [];
+    const doc = XML.parse(text, {
+        reviver: (name, value, info) => {
+            calls.push([name, info.path, info.attributes, info.parent && Object.keys(info.parent)]);
+            if (name == 'Password') return undefined;
+            if (name == 'Created') return new Date(value);
+            if (name == 'N') return Number(value);
+            return value;
+        }
+    });
+    assert.deepEqual(doc, { User: { id: '7', Created: new Date('2020-01-01T00:00:00.000Z') }, N: [1, 2] });
+    assert.deepEqual(calls, [
+        ['Password', 'Config/User/Password', {}, ['id']],
+        ['Created', 'Config/User/Created', {}, ['id']],
+        ['User', 'Config/User', { id: '7' }, []],
+        ['N', 'Config/N', {}, ['User']],
+        ['N', 'Config/N', {}, ['User', 'N']],
+        ['Config', 'Config', {}, null]
+    ]);
+});
+
+test('replaces each element, outermost first', () => {
+    const calls = [];
+    const doc = { User: { id: '7', Created: new Date('2020-01-01T00:00:00.000Z') }, N: [1, 2] };
+    const xml = XML.stringify(doc, 'Config', {
+        declaration: false,
+        indentString: '',
+        eol: '',
+        replacer: (name, value, info) => {
+            calls.push(info.path);
+            if (value instanceof Date) return value.toISOString();
+            if (name == 'N' && value === 2) return undefined;
+            return value;
+        }
+    });
+    assert.equal(xml, '<Config><N>1</N><User><Created>2020-01-01T00:00:00.000Z</Created><id>7</id></User></Config>');
+    assert.deepEqual(calls, ['Config', 'Config/N', 'Config/N', 'Config/User', 'Config/User/Created', 'Config/User/id']);
+});
+
+test('passes the attributes of composed elements', () => {
+    let seen = null;
+    const xml = XML.stringify({ A: { _Attribs: { k: 'v' }, _Data: 't' } }, 'R', {
+        declaration: false,
+        indentString: '',
+        eol: '',
+        replacer: (name, value, info) => {
+            if (name == 'A') seen = info;
+            return value;
+        }
+    });
+    assert.equal(xml, '<R><A k="v">t</A></R>');
+    assert.deepEqual(seen.attributes, { k: 'v' });
+    assert.equal(seen.path, 'R/A');
+});
@@ -0,0 +1,59 @@
+/*
+	HTML Mode Tests
+	Parsing HTML pages and XML which is not quite well-formed.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const html = { html: true };
+
+test('parses the README example', () => {
+    const doc = XML.parse('<html><body><p>One<br>Two<p>Three<ul><li>A<li>B</ul></body></html>', html);
+    assert.deepEqual(doc, {
+        body: {
+            p: [{ _Data: 'One Two', br: {} }, 'Three'],
+            ul: { li: ['A', 'B'] }
+        }
+    });
+    assert.throws(() => XML.parse('<p>One<br>Two</p>'), { code: 'MISMATCHED_TAG' });
+});
+
+test('accepts unquoted and boolean attributes, and void elements', () => {
+    const doc = XML.parse('<div><td width=50><input disabled><img src=a.png></td></div>', { html: true, preserveAttributes: true });
+    assert.deepEqual(doc, { td: { _Attribs: { width: '50' }, input: { _Attribs: { disabled: '' } }, img: { _Attribs: { src: 'a.png' } } } });
+    const quoted = XML.parse('<div><a onclick="return a<b">x</a></div>', { html: true, preserveAttributes: true });
+    assert.deepEqual(quoted, { a: { _Attribs: { onclick: 'return a<b' }, _Data: 'x' } });
+});
+
+test('implies end tags', () => {
+    assert.deepEqual(XML.parse('<table><tr><td>1<td>2<tr><td>3</table>', html), { tr: [{ td: ['1', '2'] }, { td: '3' }] });
+    assert.deepEqual(XML.parse('<form><select><option>a<option>b</select><dl><dt>t<dd>d</dl></form>', html), { select: { option: ['a', 'b'] }, dl: { dt: 't', dd: 'd' } });
+    assert.deepEqual(XML.parse('<div><p>a<div>b</div></div>', html), { p: 'a', div: 'b' });
+});
+
+test('matches closing tags loosely, and closes elements left open', () => {
+    assert.deepEqual(XML.parse('<DIV><span>x</div>', html), { span: 'x' });
+    assert.equal(XML.parse('<div>a</span>b</div>', html), 'a b');
+    assert.deepEqual(XML.parse('<div><p>x</p>tail', html), { p: 'x', _Data: 'tail' });
+    assert.deepEqual(XML.parse('<div><p>x<!-- never closed', html), { p: 'x' });
+});
+
+test('keeps script and style content as raw text', () => {
+    const doc = XML.parse('<html><script>if (a < b && c) x();</script><style>a>b{}</style></html>', html);
+    assert.deepEqual(doc, { script: 'if (a < b && c) x();', style: 'a>b{}' });
+});
+
+test('decodes HTML entities, and keeps a stray < as text', () => {
+    assert.equal(XML.parse('<!DOCTYPE html><p>a&nbsp;b &copy; 1 < 2</p>', html), 'a\u00A0b © 1 < 2');
+});
+
+test('applies lowerCase, and rejects other modes', () => {
+    assert.deepEqual(XML.parse('<Div Class="a">x</Div>', { html: true, lowerCase: true, preserveAttributes: true }), { _attribs: { class: 'a' }, _data: 'x' });
+    assert.throws(() => XML.parse('<a/>', { html: true, fullFidelity: true }), /The html option is not supported with fullFidelity/);
+    assert.throws(() => XML.parse('<a/>', { html: true, dom: true }), /The html option is not supported with dom/);
+    assert.throws(() => XML.parse('<a/>', { html: true, convention: 'parker' }), /The html option is not supported with convention/);
+});
@@ -0,0 +1,76 @@
+/*
+	Schema Inference Tests
+	Inferring types and cardinality from samples, and each output format.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const sample1 = '<Feed><Item sku="a1" qty="3"><Price>1.5</Price></Item><Item sku="b2"><Price>2</Price></Item></Feed>';
+const sample2 = '<Feed><Item sku="c3"><Price>4</Price><Zip>01234</Zip><On>true</On><When>2024-01-02</When></Item></Feed>';
+
+test('writes TypeScript interfaces', () => {
+    assert.equal(XML.inferSchema([sample1]).toTypeScript(), 'export interface Feed {\n\tItem: Item[];\n}\n\nexport interface Item {\n\tsku: string;\n\tqty?: number;\n\tPrice: number;\n}\n');
+    const ts = XML.inferSchema([sample1, sample2], { preserveAttributes: true }).toTypeScript({ typeName: 'MyFeed' });
+    assert.match(ts, /^export interface MyFeed \{/);
+    assert.match(ts, /_Attribs: \{ sku: string; qty\?: number \};\n\tPrice: number;\n\tZip\?: string;\n\tOn\?: boolean;\n\tWhen\?: Date;/);
+});
+
+test('follows the parsing options', () => {
+    const ts = XML.inferSchema([sample1], { forceArrays: true, lowerCase: true, preserveDocumentNode: true }).toTypeScript();
+    assert.match(ts, /export interface FeedDocument \{\n\tfeed: Feed;\n\}/);
+    assert.match(ts, /price: number\[\];/);
+});
+
+test('writes an XSD which validates the samples', () => {
+    const xsd = XML.inferSchema([sample1, sample2]).toXSD();
+    assert.match(xsd, /<xs:element name="Item" maxOccurs="unbounded">/);
+    assert.match(xsd, /<xs:element name="When" type="xs:date" minOccurs="0"\/>/);
+    assert.match(xsd, /<xs:attribute name="sku" type="xs:string" use="required"\/>/);
+    const schema = XML.loadSchema(xsd);
+    assert.deepEqual(XML.validate(sample1, schema), []);
+    assert.deepEqual(XML.validate(sample2, schema), []);
+    assert.notDeepEqual(XML.validate('<Feed><Item sku="x"><Price>cheap</Price></Item></Feed>', schema), []);
+});
+
+test('writes a JSON Schema', () => {
+    const json = XML.inferSchema([sample1, sample2], { preserveAttributes: true }).toJSONSchema();
+    assert.equal(json.title, 'Feed');
+    assert.deepEqual(json.required, ['Item']);
+    const item = json.properties.Item.items;
+    assert.deepEqual(item.required, ['_Attribs', 'Price']);
+    assert.deepEqual(item.properties._Attribs.properties.qty, { type: 'integer' });
+    assert.deepEqual(item.properties.When, { type: 'string', format: 'date' });
+});
+
+test('types values when used as the schema option', () => {
+    const inferred = XML.inferSchema([sample1, sample2]);
+    assert.deepEqual(inferred.toSchema(), { 'Feed/Item': { array: true }, 'Feed/Item/@qty': 'integer', 'Feed/Item/Price': 'number', 'Feed/Item/On': 'boolean', 'Feed/Item/When': 'date' });
+    const doc = XML.parse(sample2, { schema: inferred });
+    assert.deepEqual(doc, { Item: [{ sku: 'c3', Price: 4, Zip: '01234', On: true, When: new Date('2024-01-02') }] });
+});
+
+test('rejects samples with different document elements', () => {
+    assert.throws(() => XML.inferSchema(['<A/>', '<B/>']), /Samples have different document elements: A, B/);
+});
+
+test('infers from very deep samples', () => {
+    const depth = 30000;
+    const inferred = XML.inferSchema('<a n="x">'.repeat(depth) + '<v>2</v>' + '</a>'.repeat(depth));
+    assert.deepEqual(inferred.toSchema(), { [new Array(depth).fill('a').join('/') + '/v']: 'integer' });
+    assert.equal(inferred.toXSD({ indentString: '' }).split('<xs:element name="a">').length - 1, depth);
+
+    let json = inferred.toJSONSchema();
+    for (let idx = 1; idx < depth; idx++) {
+        json = json.properties.a;
+    }
+    assert.deepEqual(json.properties.v, { type: 'integer' });
+
+    // interfaces are listed parents first, but the deepest claims the plain name
+    const ts = inferred.toTypeScript();
+    assert.match(ts, /^export interface A30000 \{\n\tn: string;\n\ta: A29999;\n\}\n/);
+    assert.match(ts, /\nexport interface A \{\n\tn: string;\n\tv: number;\n\}\n$/);
+});
@@ -0,0 +1,97 @@
+/*
+	Limit Tests
+	Size, depth, node, attribute, text and entity limits in every parsing mode.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+// parse text in each mode which accepts the limit options
+const modes = {
+    tree: (text, opts) => XML.parse(text, opts),
+    fullFidelity: (text, opts) => XML.parse(text, Object.assign({ fullFidelity: true }, opts)),
+    dom: (text, opts) => XML.parse(text, Object.assign({ dom: true }, opts)),
+    convention: (text, opts) => XML.parse(text, Object.assign({ convention: 'badgerfish' }, opts)),
+    stream: (text, opts) => new XML.SAXParser(opts).end(text)
+};
+
+function laughs(levels, width) {
+    // build "billion laughs" document, where each entity references the one before it width times
+    let dtd = '<!ENTITY l0 "lollollollol">';
+    for (let idx = 1; idx <= levels; idx++) {
+        dtd += '<!ENTITY l' + idx + ' "' + ('&l' + (idx - 1) + ';').repeat(width) + '">';
+    }
+    return '<!DOCTYPE Doc [' + dtd + ']><Doc>&l' + levels + ';</Doc>';
+}
+
+const cases = [
+    ['LIMIT_SIZE', '<Doc>' + 'x'.repeat(100) + '</Doc>', { maxSize: 50 }],
+    ['LIMIT_DEPTH', '<a><b><c><d/></c></b></a>', { maxDepth: 2 }],
+    ['LIMIT_NODES', '<a><b/><b/><b/></a>', { maxNodes: 3 }],
+    ['LIMIT_ATTRIBUTES', '<a x="1" y="2" z="3"/>', { maxAttributes: 2 }],
+    ['LIMIT_TEXT_LENGTH', '<a>' + 'x'.repeat(20) + '</a>', { maxTextLength: 10 }],
+    ['LIMIT_TEXT_LENGTH', '<a b="' + 'x'.repeat(20) + '"/>', { maxTextLength: 10 }],
+    ['LIMIT_ENTITY', '<!DOCTYPE a [<!ENTITY e "' + 'x'.repeat(20) + '">]><a>&e;</a>', { maxEntityLength: 10 }],
+    ['LIMIT_ENTITY', '<a>' + '&e;'.repeat(10) + '</a>', { entities: { e: 'x'.repeat(10) }, maxEntityExpansion: 50 }],
+    ['DOCTYPE_NOT_ALLOWED', '<!DOCTYPE a><a/>', { rejectDoctype: true }]
+];
+
+for (const mode in modes) {
+    test('enforces limits in ' + mode + ' mode', () => {
+        for (const [code, text, opts] of cases) {
+            assert.throws(() => modes[mode](text, Object.assign({}, opts)), { code }, code + ': ' + text.substring(0, 40));
+            // limits are fatal, even when recovering
+            assert.throws(() => modes[mode](text, Object.assign({ recover: true }, opts)), { code }, code + ' (recover)');
+        }
+    });
+
+    test('stops billion laughs in ' + mode + ' mode with the default limits', () => {
+        assert.throws(() => modes[mode](laughs(9, 10), {}), { code: 'LIMIT_ENTITY' });
+        assert.throws(() => modes[mode](laughs(4, 10), { maxEntityLength: Infinity, maxEntityExpansion: 1000 }), { code: 'LIMIT_ENTITY' });
+    });
+}
+
+test('allows documents within the limits', () => {
+    const text = '<!DOCTYPE a [<!ENTITY e "xy">]><a x="1"><b>&e;&e;</b><b/></a>';
+    const opts = { maxSize: 100, maxDepth: 2, maxNodes: 3, maxAttributes: 1, maxTextLength: 4, maxEntityExpansion: 4 };
+    for (const mode in modes) {
+        assert.doesNotThrow(() => modes[mode](text, Object.assign({}, opts)), mode);
+    }
+});
+
+test('counts the total size of a stream as it is written', () => {
+    const parser = new XML.SAXParser({ maxSize: 20 });
+    parser.write('<Doc>0123456789');
+    assert.throws(() => parser.write('0123456789</Doc>'), { code: 'LIMIT_SIZE' });
+});
+
+test('stores special names as plain properties', () => {
+    const doc = XML.parse('<Doc __proto__="x" constructor="y"><__proto__><polluted>1</polluted></__proto__></Doc>');
+    assert.equal(Object.getPrototypeOf(doc), Object.prototype);
+    assert.ok(Object.prototype.hasOwnProperty.call(doc, '__proto__'));
+    assert.equal(doc.constructor, 'y');
+    assert.equal({}.polluted, undefined);
+});
+
+test('parses and composes very deep documents without recursion', () => {
+    const depth = 100000;
+    const text = '<a>'.repeat(depth) + 'x' + '</a>'.repeat(depth);
+    const tree = XML.parse(text, { preserveDocumentNode: true });
+    assert.equal(XML.stringify(tree, { indentString: '', eol: '', declaration: false }), text);
+    let doc = tree;
+    let levels = 0;
+    while (typeof doc === 'object') {
+        doc = doc.a;
+        levels += 1;
+    }
+    assert.equal(levels, depth);
+
+    const nodes = XML.parse(text, { fullFidelity: true });
+    assert.equal(XML.stringify(nodes, { fullFidelity: true }), text);
+    const root = XML.parse(text, { dom: true });
+    assert.equal(root.toString(), text);
+    assert.equal(root.textContent, 'x');
+});
@@ -0,0 +1,56 @@
+/*
+	Location Tests
+	Source positions recorded for elements, attributes and text.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const text = '<Config>\n  <Server port="80" host="h">\n    <Alias>a</Alias>\n    <Alias>é</Alias>\n    <Name>x</Name>\n  </Server>\n</Config>';
+
+function pos(line, column, offset) {
+    // shorthand for a position object
+    return { line, column, offset };
+}
+
+test('locates elements, attributes and text', () => {
+    const doc = XML.parse(text, { locations: true });
+    assert.deepEqual(XML.locate(doc, doc.Server), { start: pos(2, 3, 11), end: pos(6, 12, 112) });
+    assert.deepEqual(XML.locate(doc.Server, 'port'), { start: pos(2, 11, 19), end: pos(2, 20, 28) });
+    assert.deepEqual(XML.locate(doc.Server, 'Name'), {
+        start: pos(5, 5, 86),
+        end: pos(5, 19, 100),
+        text: { start: pos(5, 11, 92), end: pos(5, 12, 93) }
+    });
+});
+
+test('locates repeated elements, counting offsets in bytes', () => {
+    const doc = XML.parse(text, { locations: true });
+    const second = {
+        start: pos(4, 5, 64),
+        end: pos(4, 21, 81),
+        text: { start: pos(4, 12, 71), end: pos(4, 13, 73) }
+    };
+    assert.deepEqual(XML.locate(doc.Server, 'Alias', 1), second);
+    assert.deepEqual(XML.locate(doc.Server.Alias, 1), second);
+    const all = XML.locate(doc.Server, 'Alias');
+    assert.equal(all.length, 2);
+    assert.deepEqual(all[0].start, pos(3, 5, 43));
+    assert.deepEqual(all[1], second);
+});
+
+test('locates attributes in the attribute object', () => {
+    const doc = XML.parse(text, { locations: true, preserveAttributes: true });
+    assert.deepEqual(XML.locate(doc.Server._Attribs, 'port'), { start: pos(2, 11, 19), end: pos(2, 20, 28) });
+});
+
+test('leaves the tree unchanged', () => {
+    const doc = XML.parse(text, { locations: true });
+    assert.deepEqual(doc, XML.parse(text));
+    assert.equal(XML.stringify(doc, 'Config'), XML.stringify(XML.parse(text), 'Config'));
+    assert.equal(XML.locate(XML.parse(text), 'Server'), null);
+    assert.equal(XML.locate({}, 'x'), null);
+});
@@ -0,0 +1,83 @@
+/*
+	Merge Tests
+	Layered documents, merge directives, keys, interpolation and provenance.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const XML = require('../xml.js');
+
+const dir = path.join(__dirname, 'fixtures', 'merge');
+const files = [path.join(dir, 'base.xml'), path.join(dir, 'production.xml')];
+const opts = () => ({ keys: ['Server[@id]'], env: { DB_USER: 'app' } });
+const expected = {
+    Database: { host: 'db.internal', port: '5432', User: 'app' },
+    Servers: {
+        Server: [
+            { id: 'web1', port: '80' },
+            { id: 'web2', port: '8080' },
+            { id: 'web3', port: '80' }
+        ]
+    },
+    Logging: { level: 'warn' }
+};
+
+test('merges the README example', async () => {
+    assert.deepEqual(XML.mergeFilesSync(files, opts()), expected);
+    assert.deepEqual(await XML.mergeFiles(files, opts()), expected);
+    assert.throws(() => XML.mergeFilesSync(files, { keys: ['Server[@id]'], env: {} }), /Undefined variable: DB_USER \(in .*production\.xml\) on line 3, column 9/);
+});
+
+test('skips missing overrides only when asked', () => {
+    const missing = [files[0], path.join(dir, 'missing.xml')];
+    assert.equal(XML.mergeFilesSync(missing, { ignoreMissing: true }).Database.User, 'dev');
+    assert.throws(() => XML.mergeFilesSync(missing), { code: 'ENOENT' });
+});
+
+test('applies merge directives and keys', () => {
+    const base = '<C><F>a</F><F>b</F><S id="1" x="1"/><S id="2"/></C>';
+    const overlay = '<C><F>B</F><F merge="append">c</F><S merge-key="id" id="2" y="2"/><S id="1" merge="remove" merge-key="id"/></C>';
+    assert.deepEqual(XML.merge(base, overlay), { F: ['B', 'b', 'c'], S: { id: '2', y: '2' } });
+    assert.deepEqual(XML.merge('<C><A>1</A></C>', '<C merge="replace"><B>2</B></C>'), { B: '2' });
+    assert.deepEqual(XML.merge('<C><A>1</A></C>', '<C><A>2</A></C>', { preserveAttributes: true, preserveDocumentNode: true, forceArrays: true }), { C: { A: ['2'] } });
+});
+
+test('interpolates variables', () => {
+    assert.deepEqual(XML.merge('<C v="${X:-def}">$${lit} ${Y}</C>', '<C/>', { env: { Y: 'y' } }), { v: 'def', _Data: '${lit} y' });
+    assert.deepEqual(XML.merge('<C v="${X}"/>', '<C/>'), { v: '${X}' });
+});
+
+test('records the layer of each value', () => {
+    const config = XML.mergeFilesSync(files, opts());
+    const user = XML.locate(config.Database, 'User');
+    assert.equal(user.layer, 1);
+    assert.equal(user.name, files[1]);
+    assert.deepEqual(user.start, { line: 3, column: 3, offset: 42 });
+    const port = XML.locate(config.Database, 'port');
+    assert.equal(port.layer, 0);
+    assert.deepEqual(port.start, { line: 2, column: 2, offset: 10 });
+});
+
+test('parses each layer with the limits and options', () => {
+    assert.throws(() => XML.merge('<C/>', '<C><A>1</A><B></C>', { names: ['base', 'over'] }), /Mismatched closing tag \(expected <\/B>\) \(in over\)/);
+    assert.throws(() => XML.merge('<C/>', '<!DOCTYPE C><C/>', { rejectDoctype: true }), { code: 'DOCTYPE_NOT_ALLOWED' });
+    assert.throws(() => XML.merge('<C/>', '<C><A/><A/><A/></C>', { maxNodes: 2 }), { code: 'LIMIT_NODES' });
+    assert.deepEqual(XML.merge('<C/>', '<C><A>1</B></C>', { recover: true }), { A: '1' });
+});
+
+test('merges very deep documents', () => {
+    const depth = 30000;
+    const chain = (inner) => '<a>'.repeat(depth) + inner + '</a>'.repeat(depth);
+    const base = chain('<S id="x"><v>1</v></S><S id="y"><v>1</v></S>');
+    const config = XML.merge(base, chain('<S id="y"><v>2</v></S>'), { keys: ['a/S[@id]'], preserveAttributes: true });
+
+    let elem = config;
+    for (let idx = 1; idx < depth; idx++) {
+        elem = elem.a;
+    }
+    assert.deepEqual(elem.S, [{ _Attribs: { id: 'x' }, v: '1' }, { _Attribs: { id: 'y' }, v: '2' }]);
+    assert.equal(XML.locate(elem.S[1], 'v').layer, 1);
+});
@@ -0,0 +1,93 @@
+/*
+	Namespace Tests
+	Prefix resolution, fixed prefixes, clashes and composing _Namespaces.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const soap = '<?xml version="1.0"?>' +
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<s:Body><m:Price xmlns:m="urn:stock">34.5</m:Price></s:Body>' +
+    '</s:Envelope>';
+
+test('maps namespaces to fixed prefixes', () => {
+    const doc = XML.parse(soap, {
+        namespaces: true,
+        namespacePrefixes: {
+            'http://schemas.xmlsoap.org/soap/envelope/': 'soap',
+            'urn:stock': ''
+        }
+    });
+    assert.deepEqual(doc, {
+        'soap:Body': { Price: '34.5' },
+        _Namespaces: { soap: 'http://schemas.xmlsoap.org/soap/envelope/' }
+    });
+});
+
+test('gives each namespace one prefix, renaming clashes', () => {
+    const doc = XML.parse('<a:Doc xmlns:a="urn:one"><a:X xmlns:a="urn:two">1</a:X><b:Y xmlns:b="urn:one">2</b:Y></a:Doc>', { namespaces: true });
+    assert.equal(doc._Namespaces.a, 'urn:one');
+    assert.equal(doc['a:Y'], '2');
+    const other = Object.keys(doc._Namespaces).find(prefix => doc._Namespaces[prefix] === 'urn:two');
+    assert.match(other, /^ns\d+$/);
+    assert.equal(doc[other + ':X'], '1');
+});
+
+test('resolves default namespaces, but not for attributes', () => {
+    const text = '<Doc xmlns="urn:d" xmlns:x="urn:x" x:id="1" plain="2"><Item/></Doc>';
+    const parser = new XML.Parser(text, { namespaces: true, preserveAttributes: true, preserveDocumentNode: true });
+    const namespaces = parser.getTree().Doc._Namespaces;
+    assert.deepEqual(namespaces, { '': 'urn:d', x: 'urn:x' });
+    assert.deepEqual(parser.resolveName('Item'), { uri: 'urn:d', local: 'Item', prefix: '' });
+    assert.deepEqual(XML.resolveName('x:id', namespaces, true), { uri: 'urn:x', local: 'id', prefix: 'x' });
+    assert.equal(XML.resolveName('plain', namespaces, true).uri, null);
+});
+
+test('restores outer declarations when an element closes', () => {
+    const doc = XML.parse('<a:Doc xmlns:a="urn:one"><a:X xmlns:a="urn:two" xmlns="urn:d"><Z/></a:X><a:Y>2</a:Y><W/></a:Doc>', { namespaces: true });
+    assert.equal(doc['a:Y'], '2');
+    assert.deepEqual(doc.W, {});
+    assert.throws(() => XML.parse('<Doc><X xmlns:u="urn:u"><u:A/></X><u:B/></Doc>', { namespaces: true }), { code: 'UNDECLARED_PREFIX' });
+});
+
+test('resolves prefixes in very deep documents in linear time', () => {
+    const depth = 30000;
+    const text = '<p:a xmlns:p="urn:p">' + '<p:a q:x="1" xmlns:q="urn:q">'.repeat(depth) + '<b/>' + '</p:a>'.repeat(depth) + '</p:a>';
+
+    // looking prefixes up through every enclosing scope takes half a minute here
+    const started = Date.now();
+    const doc = XML.parse(text, { namespaces: true, preserveAttributes: true });
+    assert.ok(Date.now() - started < 5000);
+
+    let elem = doc;
+    for (let idx = 0; idx < depth; idx++) {
+        elem = elem['p:a'];
+    }
+    assert.deepEqual(elem, { _Attribs: { 'q:x': '1' }, b: {} });
+});
+
+test('rejects undeclared prefixes', () => {
+    assert.throws(() => XML.parse('<Doc><u:Item/></Doc>', { namespaces: true }), { code: 'UNDECLARED_PREFIX' });
+    assert.deepEqual(XML.parse('<Doc><u:Item>1</u:Item></Doc>'), { 'u:Item': '1' });
+});
+
+test('composes _Namespaces as xmlns declarations', () => {
+    const doc = XML.parse(soap, { namespaces: true });
+    const xml = XML.stringify(doc, 's:Envelope', { indentString: '', eol: '', declaration: false });
+    assert.equal(xml, '<s:Envelope xmlns:m="urn:stock" xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body><m:Price>34.5</m:Price></s:Body></s:Envelope>');
+    assert.deepEqual(XML.parse(xml, { namespaces: true }), doc);
+});
+
+test('adds namespace details to streaming events', () => {
+    const parser = new XML.SAXParser({ namespaces: true });
+    const nodes = [];
+    parser.on('opentag', node => nodes.push(node));
+    parser.end(soap);
+    assert.equal(nodes[2].uri, 'urn:stock');
+    assert.equal(nodes[2].local, 'Price');
+    assert.equal(nodes[0].local, 'Envelope');
+});
@@ -0,0 +1,89 @@
+/*
+	Prolog Tests
+	The XML declaration, processing instructions and DOCTYPE as objects.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const compact = { indentString: '', eol: '' };
+const subset = '<!DOCTYPE Doc PUBLIC "-//X//DTD Doc//EN" "doc.dtd" [\n' +
+    '  <!ELEMENT Doc (A)>\n' +
+    '  <!ATTLIST Doc id ID #REQUIRED lang CDATA "en">\n' +
+    '  <!ENTITY e "v">\n' +
+    '  <!ENTITY % p SYSTEM "p.ent">\n' +
+    '  <!NOTATION n SYSTEM "viewer">\n' +
+    '  <!-- c -->\n' +
+    '  <?pi x?>\n' +
+    '  %p;\n' +
+    ']>';
+const prolog = '<?xml version=\'1.0\'  encoding="UTF-8"?>\n<?xml-stylesheet type="text/xsl"  href="a.xsl"?>\n<?app do  it?>\n' + subset + '\n';
+const text = prolog + '<Doc><A>&e;</A></Doc>';
+
+test('parses the prolog into objects', () => {
+    const parser = new XML.Parser(text);
+    assert.deepEqual(parser.declaration, { version: '1.0', encoding: 'UTF-8' });
+    assert.deepEqual(parser.processingInstructions, [
+        { target: 'xml-stylesheet', data: 'type="text/xsl"  href="a.xsl"', attributes: { type: 'text/xsl', href: 'a.xsl' } },
+        { target: 'app', data: 'do  it', attributes: null }
+    ]);
+    assert.deepEqual(parser.doctype, {
+        name: 'Doc',
+        publicId: '-//X//DTD Doc//EN',
+        systemId: 'doc.dtd',
+        declarations: [
+            { type: 'ELEMENT', name: 'Doc', content: '(A)' },
+            { type: 'ATTLIST', element: 'Doc', attributes: [{ name: 'id', type: 'ID', default: '#REQUIRED', value: null }, { name: 'lang', type: 'CDATA', default: null, value: 'en' }] },
+            { type: 'ENTITY', name: 'e', parameter: false, value: 'v' },
+            { type: 'ENTITY', name: 'p', parameter: true, publicId: null, systemId: 'p.ent' },
+            { type: 'NOTATION', name: 'n', publicId: null, systemId: 'viewer' },
+            { type: 'comment', value: ' c ' },
+            { type: 'pi', target: 'pi', data: 'x' },
+            { type: 'reference', name: 'p' }
+        ]
+    });
+    assert.equal(new XML.Parser('<a/>').declaration, null);
+});
+
+test('writes unchanged objects back as they were', () => {
+    const parser = new XML.Parser(text);
+    assert.equal(parser.compose(compact), (prolog + '<Doc><A>v</A></Doc>').replace(/\n(?=<)/g, ''));
+});
+
+test('composes edited objects', () => {
+    const parser = new XML.Parser(text);
+    parser.declaration.standalone = true;
+    parser.processingInstructions[0].attributes.href = 'b.xsl';
+    parser.processingInstructions[1].data = 'do more';
+    assert.equal(parser.compose(compact), '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><?xml-stylesheet type="text/xsl" href="b.xsl"?><?app do more?>' + subset + '<Doc><A>v</A></Doc>');
+
+    parser.declaration = null;
+    parser.doctype = { name: 'Doc', systemId: '/d.dtd' };
+    assert.equal(parser.compose(compact), '<?xml-stylesheet type="text/xsl" href="b.xsl"?><?app do more?><!DOCTYPE Doc SYSTEM "/d.dtd"><Doc><A>v</A></Doc>');
+});
+
+test('copies a prolog onto another tree', () => {
+    const xml = XML.stringify({ A: '1' }, 'Doc', Object.assign({
+        declaration: { version: '1.0', standalone: false },
+        processingInstructions: [{ target: 't', data: 'd' }],
+        doctype: { name: 'Doc', publicId: 'P', systemId: 'S', declarations: [{ type: 'ELEMENT', name: 'Doc', content: '(A)' }] }
+    }, compact));
+    assert.equal(xml, '<?xml version="1.0" standalone="no"?><?t d?><!DOCTYPE Doc PUBLIC "P" "S" [\n<!ELEMENT Doc (A)>\n]><Doc><A>1</A></Doc>');
+});
+
+test('keeps the raw node lists', () => {
+    const parser = new XML.Parser(text);
+    assert.deepEqual(parser.piNodeList, ['?xml version=\'1.0\'  encoding="UTF-8"?', '?xml-stylesheet type="text/xsl"  href="a.xsl"?', '?app do  it?']);
+    assert.deepEqual(parser.dtdNodeList, [subset.slice(1, -1)]);
+
+    parser.piNodeList.push('?ignored?');
+    assert.equal(parser.piNodeList.length, 3);
+    parser.piNodeList = ['?xml version="1.0" encoding="UTF-8"?'];
+    parser.dtdNodeList = ['!DOCTYPE MyAppConfig SYSTEM "/dtds/AppConfig.dtd"'];
+    assert.deepEqual(parser.declaration, { version: '1.0', encoding: 'UTF-8' });
+    assert.deepEqual(parser.processingInstructions, []);
+    assert.deepEqual(parser.doctype, { name: 'MyAppConfig', publicId: null, systemId: '/dtds/AppConfig.dtd', declarations: null });
+});
@@ -0,0 +1,90 @@
+/*
+	Path Query Tests
+	Steps, predicates, document order and the Parser select methods.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const order = '<?xml version="1.0"?><Order>' +
+    '<Items>' +
+    '<Item sku="x"><Price>10</Price></Item>' +
+    '<Item sku="y"><Price>25</Price></Item>' +
+    '<Item sku="z"><Price>3</Price><Note>cheap</Note></Item>' +
+    '</Items>' +
+    '<Note>overall</Note>' +
+    '</Order>';
+
+const opts = { preserveAttributes: true };
+const doc = XML.parse(order, { preserveAttributes: true });
+
+test('selects child elements, flattening arrays', () => {
+    assert.deepEqual(XML.query(doc, 'Items/Item/Price'), ['10', '25', '3']);
+    assert.deepEqual(XML.query(doc, 'Items/*').length, 3);
+    assert.deepEqual(XML.query(doc, 'Missing/Item'), []);
+    assert.equal(XML.query(doc, '.')[0], doc);
+});
+
+test('selects by position and predicate', () => {
+    assert.deepEqual(XML.query(doc, 'Items/Item[2]/Price'), ['25']);
+    assert.deepEqual(XML.query(doc, 'Items/Item[last()]/Price'), ['3']);
+    assert.deepEqual(XML.query(doc, "Items/Item[@sku='y']/Price", opts), ['25']);
+    assert.deepEqual(XML.query(doc, 'Items/Item[Price > 5]/@sku', opts), ['x', 'y']);
+    assert.deepEqual(XML.query(doc, "Items/Item[@sku='x' or Price < 5]/@sku", opts), ['x', 'z']);
+    assert.deepEqual(XML.query(doc, 'Items/Item[Note]/@sku', opts), ['z']);
+    assert.deepEqual(XML.query(doc, 'Items/Item/@*', opts), ['x', 'y', 'z']);
+});
+
+test('returns descendants in document order, without duplicates', () => {
+    assert.deepEqual(XML.query(doc, '//Note'), ['cheap', 'overall']);
+    assert.deepEqual(XML.query(doc, '//Price'), ['10', '25', '3']);
+    const nested = XML.parse('<a><b><b><c>1</c></b><c>2</c></b><c>3</c></a>');
+    assert.deepEqual(XML.query(nested, '//b//c'), ['1', '2']);
+    assert.deepEqual(XML.query(nested, '//c'), ['1', '2', '3']);
+    assert.deepEqual(XML.query(nested, '//b/c'), ['1', '2']);
+});
+
+test('tests attributes in flattened trees', () => {
+    const flat = XML.parse(order);
+    assert.deepEqual(XML.query(flat, "Items/Item[@sku='x']/Price"), ['10']);
+    assert.deepEqual(XML.query(flat, 'Items/Item/@sku'), ['x', 'y', 'z']);
+    assert.deepEqual(new XML.Parser(order).select("//Item[@sku='y']"), [{ sku: 'y', Price: '25' }]);
+    // text-only child elements look the same as flattened attributes
+    assert.deepEqual(XML.query(flat, 'Items/Item[3]/@*'), ['z', '3', 'cheap']);
+});
+
+test('tests attributes in trees parsed with preserveAttributes', () => {
+    assert.deepEqual(XML.query(doc, "Items/Item[@sku='y']/Price"), ['25']);
+    assert.deepEqual(XML.query(doc, '//@sku'), ['x', 'y', 'z']);
+    assert.deepEqual(XML.query(doc, 'Items/Item[3]/@*'), ['z']);
+    assert.deepEqual(XML.query(doc, 'Note/@*', opts), []);
+});
+
+test('searches very deep trees', () => {
+    const deep = XML.parse('<a>'.repeat(100000) + 'x' + '</a>'.repeat(100000));
+    assert.equal(XML.query(deep, '//a').length, 99999);
+    assert.equal(XML.query(deep, '//a/a').length, 99998);
+});
+
+test('reads text() and element values', () => {
+    const tree = XML.parse('<Doc><P id="1">Hello</P></Doc>', { preserveAttributes: true });
+    assert.deepEqual(XML.query(tree, 'P/text()', opts), ['Hello']);
+    assert.equal(XML.selectValue(tree, 'P', opts), 'Hello');
+    assert.equal(XML.selectValue(tree, 'Q', opts), undefined);
+    assert.equal(XML.selectOne(tree, 'Q', opts), null);
+    assert.deepEqual(XML.selectOne(tree, 'P', opts), { _Attribs: { id: '1' }, _Data: 'Hello' });
+});
+
+test('the Parser methods accept absolute paths', () => {
+    const parser = new XML.Parser(order, { preserveAttributes: true });
+    assert.deepEqual(parser.select('/Order/Items/Item/@sku'), ['x', 'y', 'z']);
+    assert.equal(parser.selectValue("/Order/Items/Item[@sku='z']/Note"), 'cheap');
+    assert.equal(parser.selectOne('Note'), 'overall');
+});
+
+test('throws on invalid paths', () => {
+    assert.throws(() => XML.query(doc, 'Items/Item[', opts));
+});
@@ -0,0 +1,68 @@
+/*
+	Regression Tests
+	Parses each fixture document with several option sets, and compares the trees
+	against those produced by the original parser (stored next to each document).
+
+	Usage:
+		node --test test/
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const XML = require('../xml.js');
+
+const fixtures_dir = path.join(__dirname, 'fixtures');
+
+// option sets used to generate the expected trees (keys match the fixture files)
+const option_sets = {
+    default: {},
+    preserveAttributes: { preserveAttributes: true },
+    lowerCase: { lowerCase: true },
+    preserveDocumentNode: { preserveDocumentNode: true },
+    preserveWhitespace: { preserveWhitespace: true },
+    forceArrays: { forceArrays: true },
+    combined: { preserveAttributes: true, lowerCase: true, preserveDocumentNode: true, forceArrays: true }
+};
+
+const files = fs.readdirSync(fixtures_dir).filter(file => file.endsWith('.xml')).sort();
+
+for (const file of files) {
+    const text = fs.readFileSync(path.join(fixtures_dir, file), 'utf8');
+    const expected = JSON.parse(fs.readFileSync(path.join(fixtures_dir, file.replace(/\.xml$/, '.json')), 'utf8'));
+
+    for (const name in option_sets) {
+        test(file + ' parses as before with ' + name + ' options', () => {
+            const doc = XML.parse(text, Object.assign({}, option_sets[name]));
+            assert.deepEqual(JSON.parse(JSON.stringify(doc)), expected[name]);
+        });
+    }
+
+    test(file + ' parses the same from a Buffer and with the Parser class', () => {
+        const bytes = fs.readFileSync(path.join(fixtures_dir, file));
+        assert.deepEqual(JSON.parse(JSON.stringify(XML.parse(bytes))), expected.default);
+        const parser = new XML.Parser(text, { preserveAttributes: true });
+        assert.deepEqual(JSON.parse(JSON.stringify(parser.getTree())), expected.preserveAttributes);
+    });
+
+    test(file + ' survives a compose and parse round trip', () => {
+        const doc = XML.parse(text, { preserveAttributes: true, preserveDocumentNode: true });
+        const again = XML.parse(XML.stringify(doc), { preserveAttributes: true, preserveDocumentNode: true });
+        assert.deepEqual(again, doc);
+    });
+
+    test(file + ' builds the same records with the streaming parser', () => {
+        const root = Object.keys(expected.preserveDocumentNode)[0];
+        const records = [];
+        const parser = new XML.SAXParser({ record: root, preserveAttributes: true });
+        parser.on('record', (record, name) => records.push({ name, record }));
+        parser.write(text);
+        parser.end();
+        assert.equal(records.length, 1);
+        assert.equal(records[0].name, root);
+        assert.deepEqual(JSON.parse(JSON.stringify(records[0].record)), expected.preserveAttributes);
+    });
+}
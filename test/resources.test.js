@@ -0,0 +1,80 @@
+/*
+	External Resource Tests
+	XInclude, external entities, resolvers and the resource root.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const XML = require('../xml.js');
+
+const dir = path.join(__dirname, 'fixtures', 'include');
+const base = path.join(dir, 'main.xml');
+const xi = 'xmlns:xi="http://www.w3.org/2001/XInclude"';
+
+function include(attrs, opts) {
+    // parse document with one xi:include element
+    return XML.parse('<R ' + xi + '><xi:include ' + attrs + '/></R>', Object.assign({ xinclude: true, baseURI: base }, opts));
+}
+
+test('includes documents, text and fallbacks', () => {
+    const doc = XML.parseFileSync(path.join(dir, 'config.xml'), { xinclude: true, preserveAttributes: true });
+    assert.deepEqual(doc, {
+        _Attribs: { 'xmlns:xi': 'http://www.w3.org/2001/XInclude' },
+        Database: { _Attribs: { host: 'db' }, User: 'dev' },
+        Group: { _Attribs: { id: 'production' }, Host: ['p1', 'p2'] },
+        Notice: 'Hello & goodbye',
+        Local: {}
+    });
+    assert.deepEqual(include('href="parts/servers.xml" xpointer="element(/1/2)"').Group, { id: 'production', Host: ['p1', 'p2'] });
+    assert.throws(() => include('href="parts/servers.xml" xpointer="nope"'), { code: 'RESOURCE_NOT_FOUND' });
+});
+
+test('reports malformed and looping includes', () => {
+    assert.throws(() => XML.parseFileSync(path.join(dir, 'loop.xml'), { xinclude: true }), { code: 'RESOURCE_LOOP' });
+    assert.throws(() => include(''), { code: 'MALFORMED_INCLUDE' });
+    assert.throws(() => include('href="missing.xml"'), { code: 'RESOURCE_NOT_FOUND' });
+    assert.deepEqual(include('href="missing.xml"', { recover: true }), { 'xmlns:xi': 'http://www.w3.org/2001/XInclude' });
+});
+
+test('loads external DTDs and entities', () => {
+    const file = path.join(dir, 'book.xml');
+    assert.deepEqual(XML.parseFileSync(file, { externalEntities: true }), { Chapter: 'One', _Data: 'external' });
+    assert.equal(XML.parseFileSync(file), '&ch1;&ext;');
+});
+
+test('refuses files outside the resource root and URLs', () => {
+    for (const href of ['../../../package.json', '../missing.xml', '/etc/passwd']) {
+        assert.throws(() => include('href="' + href + '" parse="text"'), (err) => {
+            assert.equal(err.code, 'RESOURCE_FAILED');
+            assert.match(err.message, /File is outside of resource root/);
+            return true;
+        }, href);
+    }
+    assert.throws(() => include('href="http://example.com/x"'), /Only local files can be loaded/);
+    assert.match(include('href="../../../package.json" parse="text"', { resourceRoot: path.join(__dirname, '..') })._Data, /"name": "@adremsoft\/pixl-xml"/);
+});
+
+test('loads resources through a custom resolver', () => {
+    const calls = [];
+    const doc = include('href="a.xml"', {
+        baseURI: 'https://c.example.com/main.xml',
+        resolver: (uri, info) => {
+            calls.push([uri, info]);
+            return (uri == 'https://c.example.com/a.xml') ? Buffer.from('<A>1</A>') : null;
+        }
+    });
+    assert.equal(doc.A, '1');
+    assert.deepEqual(calls, [['https://c.example.com/a.xml', { href: 'a.xml', base: 'https://c.example.com/main.xml', type: 'xml', encoding: null }]]);
+    assert.equal(typeof XML.fileResolver(dir), 'function');
+});
+
+test('limits resources and entity expansion', () => {
+    const twice = '<R ' + xi + '><xi:include href="a.xml"/><xi:include href="a.xml"/></R>';
+    assert.throws(() => XML.parse(twice, { xinclude: true, maxResources: 1, resolver: () => '<A/>' }), { code: 'LIMIT_RESOURCES' });
+    const entities = '<!DOCTYPE R [<!ENTITY e SYSTEM "e.xml">]><R>&e;&e;&e;</R>';
+    assert.throws(() => XML.parse(entities, { externalEntities: true, maxEntityExpansion: 25, resolver: () => 'x'.repeat(10) }), { code: 'LIMIT_ENTITY' });
+    assert.equal(XML.parse(entities, { externalEntities: true, maxEntityExpansion: 30, resolver: () => 'x'.repeat(10) }), 'x'.repeat(30));
+});
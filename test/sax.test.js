@@ -0,0 +1,137 @@
+/*
+	Streaming Parser Tests
+	Events, chunked input, record mode and stream parsing for XML.SAXParser.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const XML = require('../xml.js');
+
+function collect(parser) {
+    // record every event emitted by parser as [name, ...args]
+    const events = [];
+    for (const name of ['opentag', 'closetag', 'text', 'cdata', 'comment', 'processinginstruction', 'doctype']) {
+        parser.on(name, (...args) => events.push([name, args[0]]));
+    }
+    return events;
+}
+
+test('emits events in document order', () => {
+    const parser = new XML.SAXParser();
+    const events = collect(parser);
+    parser.write('<?xml version="1.0"?><!DOCTYPE Doc><Doc a="1"><!-- c --><B/>x &amp; y<![CDATA[<raw>]]></Doc>');
+    parser.end();
+
+    assert.deepEqual(events.map(event => event[0]), [
+        'processinginstruction', 'doctype', 'opentag', 'comment', 'opentag', 'closetag', 'text', 'cdata', 'closetag'
+    ]);
+    const open = events[2][1];
+    assert.equal(open.name, 'Doc');
+    assert.deepEqual(open.attributes, { a: '1' });
+    assert.equal(open.selfClosing, false);
+    assert.equal(events[4][1].selfClosing, true);
+    assert.equal(events[6][1], 'x & y');
+    assert.equal(events[7][1], '<raw>');
+    assert.equal(events[3][1], ' c ');
+});
+
+test('gives the same events however the input is split', () => {
+    const text = '<Doc><Item id="1">Hello &amp; welcome</Item><!-- note --><![CDATA[a]]b]]></Doc>';
+    const whole = new XML.SAXParser();
+    const expected = collect(whole);
+    whole.end(text);
+
+    const split = new XML.SAXParser();
+    const events = collect(split);
+    for (const char of text) {
+        split.write(char);
+    }
+    split.end();
+    assert.deepEqual(events, expected);
+});
+
+test('reads large CDATA, comments and text split into small chunks in linear time', () => {
+    const size = 8000000;
+    const text = '<Doc><![CDATA[' + 'x'.repeat(size) + ']]><!--' + '-'.repeat(size) + ' -->' + 'y'.repeat(size) + '</Doc>';
+    const parser = new XML.SAXParser();
+    const events = collect(parser);
+
+    // rescanning the open token on every write takes minutes here, rather than well under a second
+    const started = Date.now();
+    for (let idx = 0; idx < text.length; idx += 4096) {
+        parser.write(text.substring(idx, idx + 4096));
+    }
+    parser.end();
+    assert.ok(Date.now() - started < 5000);
+
+    assert.deepEqual(events.map(event => [event[0], event[1].length]), [
+        ['opentag', undefined], ['cdata', size], ['comment', size + 1], ['text', size], ['closetag', 3]
+    ]);
+});
+
+test('decodes multi-byte characters split across Buffer chunks', () => {
+    const bytes = Buffer.from('<Doc>café ☃</Doc>');
+    const parser = new XML.SAXParser();
+    const events = collect(parser);
+    for (let idx = 0; idx < bytes.length; idx++) {
+        parser.write(bytes.subarray(idx, idx + 1));
+    }
+    parser.end();
+    assert.deepEqual(events.find(event => event[0] === 'text'), ['text', 'café ☃']);
+});
+
+test('builds records in the same shape as XML.parse()', () => {
+    const text = '<Catalog><Item id="1"><Price>10</Price></Item><Skip/><Item id="2"><Price>20</Price><Tag>a</Tag><Tag>b</Tag></Item></Catalog>';
+    const parser = new XML.SAXParser({ record: 'Item', preserveAttributes: true });
+    const records = [];
+    parser.on('record', (record, name) => records.push([name, record]));
+    parser.end(text);
+
+    const tree = XML.parse(text, { preserveAttributes: true });
+    assert.deepEqual(records, [['Item', tree.Item[0]], ['Item', tree.Item[1]]]);
+});
+
+test('reports errors to the error listener, or throws without one', () => {
+    const parser = new XML.SAXParser();
+    const errors = [];
+    parser.on('error', err => errors.push(err));
+    parser.end('<Doc><A></B></Doc>');
+    assert.equal(errors[0].code, XML.errorCodes.MISMATCHED_TAG);
+    assert.ok(errors[0] instanceof XML.XMLParseError);
+
+    assert.throws(() => new XML.SAXParser().end('<Doc><A></B></Doc>'), { code: 'MISMATCHED_TAG' });
+});
+
+test('keeps going after errors in recover mode', () => {
+    const parser = new XML.SAXParser({ recover: true });
+    const closed = [];
+    parser.on('error', () => {});
+    parser.on('closetag', name => closed.push(name));
+    parser.end('<Doc><A><B>x</A><C>y</Doc>');
+    assert.equal(parser.errors.length, 2);
+    assert.deepEqual(closed, ['B', 'A', 'C', 'Doc']);
+});
+
+test('parses a readable stream', async () => {
+    const parser = new XML.SAXParser();
+    const names = [];
+    parser.on('opentag', node => names.push(node.name));
+    await parser.parseStream(Readable.from(['<Doc><A/>', '<B>text</B></Doc>']));
+    assert.deepEqual(names, ['Doc', 'A', 'B']);
+});
+
+test('rejects the stream promise on a parse error', async () => {
+    const parser = new XML.SAXParser();
+    await assert.rejects(parser.parseStream(Readable.from(['<Doc><A>', '</B></Doc>'])), { code: 'MISMATCHED_TAG' });
+});
+
+test('iterates records with XML.records()', async () => {
+    const names = [];
+    for await (const { record, name } of XML.records('<List><Item>1</Item><Item>2</Item></List>', 'Item')) {
+        names.push(name + '=' + record);
+    }
+    assert.deepEqual(names, ['Item=1', 'Item=2']);
+});
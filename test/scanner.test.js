@@ -0,0 +1,48 @@
+/*
+	Scanner Tests
+	Splitting tags, quoted values, long comments and CDATA, and per-instance state.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+const { Scanner } = require('../scanner.js');
+
+test('splits text into tags', () => {
+    const scanner = new Scanner('x<a b=">">t<!-- c --><![CDATA[d]]><?p q?></a>tail');
+    const tokens = [];
+    let token;
+    while ((token = scanner.next())) {
+        tokens.push([token.type, token.text, token.tag]);
+    }
+    assert.deepEqual(tokens, [
+        ['tag', 'x', 'a b=">"'],
+        ['comment', 't', '!-- c --'],
+        ['cdata', '', '![CDATA[d]]'],
+        ['pi', '', '?p q?'],
+        ['tag', '', '/a']
+    ]);
+    assert.deepEqual(scanner.tail, { text: 'tail', index: 45 });
+});
+
+test('keeps ">" inside quoted attribute values', () => {
+    assert.deepEqual(XML.parse('<a title="x>y" alt=\'>\'><c/></a>', { preserveAttributes: true }), { _Attribs: { title: 'x>y', alt: '>' }, c: {} });
+});
+
+test('reads large comments and CDATA sections in linear time', { timeout: 20000 }, () => {
+    const text = '<a><![CDATA[' + 'x'.repeat(5000000) + ']]><!--' + '-'.repeat(2000000) + ' --></a>';
+    assert.equal(XML.parse(text).length, 5000000);
+});
+
+test('keeps state on each instance', () => {
+    const a = new Scanner('<a><b/></a>');
+    const b = new Scanner('<x><y/></x>');
+    assert.deepEqual([a.next().tag, b.next().tag, a.next().tag, b.next().tag], ['a', 'x', 'b/', 'y/']);
+
+    const doc = XML.parse('<a><b>1</b><c>2</c></a>', {
+        reviver: (name, value) => (name == 'b') ? XML.parse('<x><y>' + value + '</y></x>') : value
+    });
+    assert.deepEqual(doc, { b: { y: '1' }, c: '2' });
+});
@@ -0,0 +1,91 @@
+/*
+	Schema Option Tests
+	Type coercion, array shape, defaults and renames, and reversing them when composing.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const schema = {
+    'Order/Items/Item': { array: true },
+    'Order/Items/Item/Price': 'number',
+    'Order/Items/Item/@qty': { type: 'integer', default: 1 },
+    'Order/Created': { type: 'date', rename: 'created' },
+    'Order/Currency': { default: 'USD' },
+    'Order/Meta': 'json',
+    '//Enabled': 'boolean'
+};
+
+const text = '<Order>' +
+    '<Items><Item sku="a" qty="2"><Price>1.5</Price></Item></Items>' +
+    '<Created>2024-01-02T03:04:05Z</Created>' +
+    '<Meta>{"a":[1,2]}</Meta>' +
+    '<Options><Enabled>yes</Enabled><Deep><Enabled>off</Enabled></Deep></Options>' +
+    '</Order>';
+
+test('converts values, arrays, defaults and renamed keys', () => {
+    const doc = XML.parse(text, { schema });
+    assert.deepEqual(doc.Items.Item, [{ sku: 'a', qty: 2, Price: 1.5 }]);
+    assert.ok(doc.created instanceof Date);
+    assert.equal(doc.created.toISOString(), '2024-01-02T03:04:05.000Z');
+    assert.equal(doc.Created, undefined);
+    assert.equal(doc.Currency, 'USD');
+    assert.deepEqual(doc.Meta, { a: [1, 2] });
+    assert.equal(doc.Options.Enabled, true);
+    assert.equal(doc.Options.Deep.Enabled, false);
+});
+
+test('fills attribute defaults, and respects preserveAttributes', () => {
+    const doc = XML.parse('<Order><Items><Item sku="a"/></Items></Order>', { schema, preserveAttributes: true });
+    assert.deepEqual(doc.Items.Item, [{ _Attribs: { sku: 'a', qty: 1 } }]);
+});
+
+test('logs values which cannot be converted, and keeps them as strings', () => {
+    const parser = new XML.Parser('<Order>\n<Items><Item><Price>cheap</Price></Item></Items></Order>', { schema });
+    assert.equal(parser.getTree().Items.Item[0].Price, 'cheap');
+    assert.equal(parser.errors.length, 1);
+    assert.equal(parser.errors[0].type, 'Schema');
+    assert.equal(parser.errors[0].line, 2);
+});
+
+test('exempts elements from forceArrays', () => {
+    const doc = XML.parse('<Doc><One>1</One><Many>2</Many></Doc>', { forceArrays: true, schema: { 'Doc/One': { array: false } } });
+    assert.deepEqual(doc, { One: '1', Many: ['2'] });
+});
+
+test('matches wildcard steps to elements only', () => {
+    const doc = XML.parse('<Doc id="7"><A>1</A><B><C>2</C></B></Doc>', { schema: { 'Doc/*': 'integer', '//C': 'integer' } });
+    assert.deepEqual(doc, { id: '7', A: 1, B: { C: 2 } });
+});
+
+test('parses and composes very deep documents in linear time', () => {
+    const depth = 30000;
+    const schema = { '//a/@n': 'integer', '//a/@m': { default: 'x' }, '//v': { type: 'integer', rename: 'value' } };
+    const text = '<a n="1">'.repeat(depth) + '<v>2</v>' + '</a>'.repeat(depth);
+
+    // matching rules against the whole path of each element takes over half a minute here
+    const started = Date.now();
+    const doc = XML.parse(text, { schema, preserveAttributes: true });
+    assert.ok(Date.now() - started < 5000);
+
+    let elem = doc;
+    for (let idx = 1; idx < depth; idx++) {
+        elem = elem.a;
+    }
+    assert.deepEqual(elem, { _Attribs: { n: 1, m: 'x' }, value: 2 });
+
+    const xml = XML.stringify(doc, 'a', { schema, indentString: '', eol: '', declaration: false });
+    assert.equal(xml, text.replace(/<a n="1">/g, '<a m="x" n="1">'));
+});
+
+test('reverses conversions when composing', () => {
+    const doc = XML.parse(text, { schema, preserveAttributes: true });
+    const xml = XML.stringify(doc, 'Order', { schema, indentString: '', eol: '', declaration: false });
+    assert.equal(xml, '<Order><Created>2024-01-02T03:04:05.000Z</Created><Currency>USD</Currency><Items><Item qty="2" sku="a"><Price>1.5</Price></Item></Items><Meta>{"a":[1,2]}</Meta><Options><Deep><Enabled>false</Enabled></Deep><Enabled>true</Enabled></Options></Order>');
+
+    const parser = new XML.Parser(text, { schema });
+    assert.match(parser.compose({ indentString: '', eol: '' }), /<Created>2024-01-02T03:04:05.000Z<\/Created>/);
+});
@@ -0,0 +1,135 @@
+/*
+	XSD Validation Tests
+	Content models, attributes, simple types and facets, and large documents.
+
+	Released under the MIT License
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XML = require('../xml.js');
+
+const order_xsd = `<?xml version="1.0"?>
+<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+	<xs:element name="Order">
+		<xs:complexType>
+			<xs:sequence>
+				<xs:element name="Item" type="ItemType" maxOccurs="unbounded"/>
+				<xs:element name="Note" type="xs:string" minOccurs="0"/>
+			</xs:sequence>
+			<xs:attribute name="id" type="xs:positiveInteger" use="required"/>
+		</xs:complexType>
+	</xs:element>
+	<xs:complexType name="ItemType">
+		<xs:sequence>
+			<xs:element name="Price" type="Money"/>
+			<xs:choice minOccurs="0">
+				<xs:element name="Color" type="ColorType"/>
+				<xs:element name="Size" type="xs:int"/>
+			</xs:choice>
+		</xs:sequence>
+		<xs:attribute name="sku" type="SkuType" use="required"/>
+		<xs:attribute name="qty" type="xs:int" default="1"/>
+	</xs:complexType>
+	<xs:simpleType name="Money">
+		<xs:restriction base="xs:decimal">
+			<xs:minInclusive value="0"/>
+			<xs:fractionDigits value="2"/>
+		</xs:restriction>
+	</xs:simpleType>
+	<xs:simpleType name="ColorType">
+		<xs:restriction base="xs:string">
+			<xs:enumeration value="red"/>
+			<xs:enumeration value="blue"/>
+		</xs:restriction>
+	</xs:simpleType>
+	<xs:simpleType name="SkuType">
+		<xs:restriction base="xs:string">
+			<xs:pattern value="[a-z]\\d+"/>
+		</xs:restriction>
+	</xs:simpleType>
+</xs:schema>`;
+
+const schema = XML.loadSchema(order_xsd);
+
+test('accepts a valid document', () => {
+    assert.deepEqual(schema.validate('<Order id="7"><Item sku="a1"><Price>1.50</Price><Color>red</Color></Item><Item sku="b2" qty="3"><Price>2</Price></Item><Note>thanks</Note></Order>'), []);
+});
+
+test('reports every violation with its line', () => {
+    const errors = schema.validate('<Order>\n<Item><Price>-1</Price></Item>\n<Item sku="Z"><Price>1.234</Price><Color>green</Color></Item>\n<Item sku="c3"><Color>red</Color></Item>\n</Order>');
+    assert.ok(errors.length >= 6);
+    for (const err of errors) {
+        assert.equal(err.type, 'Validation');
+        assert.equal(typeof err.key, 'string');
+        assert.ok(err.line >= 1);
+    }
+    const lines = errors.map(err => err.line);
+    assert.ok(lines.includes(1) && lines.includes(2) && lines.includes(3) && lines.includes(4));
+    assert.ok(errors.some(err => /sku/.test(err.key) && err.line === 2));
+    assert.ok(errors.some(err => /Price/.test(err.key) && err.line === 4));
+});
+
+test('returns parse errors for documents which are not well-formed', () => {
+    const errors = schema.validate('<Order id="1"><Item></Order>');
+    assert.equal(errors[0].type, 'Parse');
+    assert.equal(errors[0].code, 'MISMATCHED_TAG');
+});
+
+test('validates in one step, and accepts schema nodes', () => {
+    const doc = '<Order id="1"><Item sku="a1"><Price>1</Price><Size>x</Size></Item></Order>';
+    assert.equal(XML.validate(doc, order_xsd).length, 1);
+    const nodes = XML.parse(order_xsd, { fullFidelity: true });
+    assert.equal(XML.loadSchema(nodes).validate(doc).length, 1);
+});
+
+test('supports all, mixed content, lists, unions and extension', () => {
+    const xsd = `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+		<xs:element name="Doc">
+			<xs:complexType>
+				<xs:all>
+					<xs:element name="Para" type="ParaType"/>
+					<xs:element name="Nums" type="NumList"/>
+					<xs:element name="When" type="DateOrNone"/>
+					<xs:element name="Price" type="PriceType"/>
+				</xs:all>
+			</xs:complexType>
+		</xs:element>
+		<xs:complexType name="ParaType" mixed="true">
+			<xs:sequence><xs:element name="b" type="xs:string" minOccurs="0" maxOccurs="unbounded"/></xs:sequence>
+		</xs:complexType>
+		<xs:simpleType name="NumList"><xs:list itemType="xs:int"/></xs:simpleType>
+		<xs:simpleType name="DateOrNone">
+			<xs:union memberTypes="xs:date">
+				<xs:simpleType><xs:restriction base="xs:string"><xs:enumeration value="none"/></xs:restriction></xs:simpleType>
+			</xs:union>
+		</xs:simpleType>
+		<xs:complexType name="PriceType">
+			<xs:simpleContent>
+				<xs:extension base="xs:decimal"><xs:attribute name="currency" type="xs:string"/></xs:extension>
+			</xs:simpleContent>
+		</xs:complexType>
+	</xs:schema>`;
+    const loaded = XML.loadSchema(xsd);
+    assert.deepEqual(loaded.validate('<Doc><Price currency="EUR">2.5</Price><When>none</When><Nums>1 2 3</Nums><Para>Some <b>bold</b> text</Para></Doc>'), []);
+    assert.equal(loaded.validate('<Doc><Price>x</Price><When>tomorrow</When><Nums>1 two</Nums><Para/></Doc>').length, 3);
+});
+
+test('validates long lists of repeated elements', () => {
+    const items = [];
+    for (let idx = 0; idx < 20000; idx++) {
+        items.push('<Item sku="a' + idx + '"><Price>1</Price></Item>');
+    }
+    assert.deepEqual(schema.validate('<Order id="1">' + items.join('') + '</Order>'), []);
+    assert.equal(schema.validate('<Order id="1">' + items.join('') + '<Bad/></Order>').length, 1);
+
+    const loose = XML.loadSchema(`<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema">
+		<xs:element name="List"><xs:complexType>
+			<xs:sequence minOccurs="0" maxOccurs="unbounded">
+				<xs:element name="A" minOccurs="0" maxOccurs="unbounded"/>
+				<xs:element name="B" minOccurs="0"/>
+			</xs:sequence>
+		</xs:complexType></xs:element>
+	</xs:schema>`);
+    assert.deepEqual(loose.validate('<List>' + '<A/><A/><B/>'.repeat(5000) + '</List>'), []);
+});
@@ -26,211 +26,713 @@
 	This version is more universal converted in 2022
 */
 
-const xml_header = '<?xml version="1.0"?>';
+const { htmlEntities } = require('./entities.js');
+const { NamespaceResolver, resolveName } = require('./namespaces.js');
+const { compileSchema } = require('./schema.js');
+const { isVoidElement, isRawTextElement, impliesEndTag } = require('./html.js');
+const { Scanner } = require('./scanner.js');
+const { error_codes, fatal_codes, XMLParseError, getLineIndex, locate, utf8Length } = require('./errors.js');
+const { limit_defaults, hasOwn, setKey } = require('./limits.js');
+const { decodeXML, hasBOM, stripBOM, encodeXML, setDeclarationEncoding } = require('./encoding.js');
+const { parseDeclaration, composeDeclaration, parsePI, composePI, parseDoctype, composeDoctype } = require('./prolog.js');
+
+const re_xml_decl = /^\?xml\s/;
 const re_valid_tag_name = /^\w[\w\-:.]*$/;
+const re_entity = /&(#[xX][0-9a-fA-F]+|#\d+|[A-Za-z_][\w.\-:]*);/g;
+const re_non_ascii = /[\u0080-\u{10FFFF}]/gu;
+const re_control_chars = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g;
+const xml_entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const compose_defaults = {
+    attribsKey: '_Attribs',
+    dataKey: '_Data',
+    namespacesKey: '_Namespaces',
+    declaration: true,
+    indentString: "\t",
+    eol: '\n',
+    sort: true,
+    selfClosing: true,
+    quote: '"',
+    cdata: null,
+    convention: null,
+    rootName: null,
+    escapeNonASCII: false,
+    escapeControl: false,
+    schema: null,
+    replacer: null,
+    processingInstructions: null,
+    doctype: null
+};
 
 class XML {
     constructor(args = '', opts) {
         // class constructor for XML parser class
-        // pass in args hash or text to parse
-        if (typeof args !== "string") {
+        // pass in args hash or text (or Buffer / Uint8Array) to parse
+        if (typeof args === "string" || args instanceof Uint8Array) {
+            this.text = args;
+        } else {
             this.text = '';
             Object.assign(this, args);
-        } else {
-            this.text = args;
         }
         // options may be 2nd argument as well
         Object.assign(this, opts);
 
+        // decode bytes using encoding option, BOM or XML declaration
+        const bom = hasBOM(this.text);
+        if (this.text instanceof Uint8Array) {
+            const { text, encoding } = decodeXML(this.text, this.encoding);
+            this.text = text;
+            this.encoding = encoding;
+        } else {
+            this.text = stripBOM(this.text);
+        }
+
         this.tree = {};
         this.errors = [];
-        this.piNodeList = [];
-        this.dtdNodeList = [];
+        this.failed = false;
+        this.declaration = null;
+        this.processingInstructions = [];
+        this.doctype = null;
         this.documentNodeName = '';
 
         if (this.lowerCase) {
             this.attribsKey = this.attribsKey.toLowerCase();
             this.dataKey = this.dataKey.toLowerCase();
+            this.namespacesKey = this.namespacesKey.toLowerCase();
+        }
+        this.setupEntities();
+        this.nsResolver = this.namespaces ? new NamespaceResolver(this) : null;
+        this.schemaRules = this.schema ? compileSchema(this.schema) : null;
+        this.nodePath = [];
+        this.atEnd = false;
+        this.foundRoot = false;
+        this.tagStart = 0;
+        this.nodeCount = 0;
+        this.entityExpansion = 0;
+        this.lineIndex = null;
+
+        // splice in XInclude and external entity content first, so positions refer to the expanded text
+        if ((this.xinclude || this.externalEntities) && !this.html && this.text) {
+            this.text = expandResources(this.text, this);
         }
+        // a LocationSource may be passed in as the locations option, to map positions elsewhere (see merge.js)
+        this.locationSource = (this.locations instanceof LocationSource) ? this.locations : (this.locations ? new LocationSource(this.text) : null);
+        this.scanner = new Scanner(this.text, { html: this.html });
 
-        this.patTag.lastIndex = 0;
         if (this.text) {
-            this.parse();
+            if (this.fullFidelity || this.convention || this.dom) {
+                this.parseNodes();
+            } else {
+                this.parse();
+            }
+        }
+        if (bom && this.fullFidelity && this.tree.type === 'document') {
+            // keep the byte order mark, so the document composes back byte-for-byte
+            this.tree.bom = true;
         }
     }
 
-    parse(branch, name) {
-        // parse text into XML tree, recurse for nested nodes
-        if (!branch) {
-            branch = this.tree;
-        }
-        if (!name) {
-            name = null;
-        }
-        let foundClosing = false;
+    parse() {
+        // parse text into XML tree, using an explicit stack of open elements (no recursion)
+        const stack = [{ leaf: this.tree, name: null, path: '', rules: this.schemaRules ? this.schemaRules.start() : null }];
+        let token = null;
         let matches = null;
 
-        // match each tag, plus preceding text
-        while (matches = this.patTag.exec(this.text)) {
-            let [, before, tag] = matches;
+        if (this.maxSize < Infinity && this.text.length * 3 > this.maxSize && utf8Length(this.text) > this.maxSize) {
+            this.throwParseError(error_codes.LIMIT_SIZE, "Document exceeds maximum size of " + this.maxSize + " bytes", '', 0);
+        }
+
+        // scan each tag, plus preceding text
+        while (token = this.nextTag()) {
+            let tag = token.tag;
+            let branch = stack[stack.length - 1].leaf;
+            const name = stack[stack.length - 1].name;
+            this.tagStart = token.start;
 
             // text leading up to tag = content of parent node
-            if (before.match(/\S/)) {
-                if (branch[this.dataKey] !== undefined) {
-                    branch[this.dataKey] += ' ';
-                } else {
-                    branch[this.dataKey] = '';
-                }
-                branch[this.dataKey] += !this.preserveWhitespace ? trim(decodeEntities(before)) : decodeEntities(before);
+            if (token.text.match(/\S/)) {
+                this.appendText(branch, token.text, name, token.index);
             }
 
             // parse based on tag type
-            if (tag.match(this.patSpecialTag)) {
+            if (token.type !== 'tag') {
                 // special tag
-                if (tag.match(this.patPITag)) {
+                if (token.type === 'pi') {
                     tag = this.parsePINode(tag);
-                } else if (tag.match(this.patCommentTag)) {
-                    tag = this.parseCommentNode(tag);
-                } else if (tag.match(this.patDTDTag)) {
-                    tag = this.parseDTDNode(tag);
-                } else if (tag.match(this.patCDATATag)) {
-                    tag = this.parseCDATANode(tag);
-                    if (branch[this.dataKey] !== undefined) {
-                        branch[this.dataKey] += ' ';
-                    } else {
-                        branch[this.dataKey] = '';
+                } else if (token.type === 'comment') {
+                    tag = this.parseCommentNode(tag, token.unclosed);
+                } else if (token.type === 'doctype') {
+                    tag = this.parseDTDNode(tag, token.unclosed);
+                } else if (token.type === 'cdata') {
+                    tag = this.parseCDATANode(tag, token.unclosed);
+                    if (tag != null) {
+                        this.appendText(branch, tag, name, this.tagStart, token.end);
                     }
-                    branch[this.dataKey] += !this.preserveWhitespace ? trim(decodeEntities(tag)) : decodeEntities(tag);
                 } // cdata
                 else {
-                    this.throwParseError("Malformed special tag", tag);
-                    break;
+                    this.throwParseError(error_codes.MALFORMED_SPECIAL_TAG, "Malformed special tag", tag);
+                    tag = null;
                 } // error
                 if (tag == null) {
-                    break;
+                    // in recover mode the bad tag is skipped
+                    if (this.failed) {
+                        break;
+                    }
+                    continue;
                 }
             } // special tag
             else {
                 // Tag is standard, so parse name and attributes (if any)
+                // (scanning resumes at the "<" of a nested tag)
+                if (token.nested && this.html) {
+                    // tag soup: a stray "<" is text
+                    this.appendText(branch, '<' + tag, name, this.tagStart);
+                    continue;
+                }
+                if (token.nested) {
+                    // a new tag started before this one closed
+                    this.throwParseError(error_codes.MALFORMED_TAG, "Malformed tag", tag);
+                    if (this.failed) {
+                        break;
+                    }
+                    continue;
+                }
+
                 matches = tag.match(this.patStandardTag);
+                if (!matches && this.html) {
+                    this.appendText(branch, '<' + tag + '>', name, this.tagStart);
+                    continue;
+                }
                 if (!matches) {
-                    this.throwParseError("Malformed tag", tag);
-                    break;
+                    this.throwParseError(error_codes.MALFORMED_TAG, "Malformed tag", tag);
+                    if (this.failed) {
+                        break;
+                    }
+                    continue;
                 }
 
                 const closing = matches[1];
-                const nodeName = this.lowerCase ? matches[2].toLowerCase() : matches[2];
                 const attribsRaw = matches[3];
+                let nodeName = this.lowerCase ? matches[2].toLowerCase() : matches[2];
 
                 // If this is a closing tag, make sure it matches its opening tag
                 if (closing) {
+                    if (this.nsResolver) {
+                        nodeName = this.resolveNodeName(matches[2], false);
+                    }
                     if (nodeName === (name || '')) {
-                        foundClosing = true;
-                        break;
-                    } else {
-                        this.throwParseError("Mismatched closing tag (expected </" + name + ">)", tag);
+                        this.closeElement(stack.pop());
+                        continue;
+                    }
+                    if (this.html) {
+                        this.closeHTMLElement(stack, nodeName);
+                        continue;
+                    }
+
+                    this.throwParseError(error_codes.MISMATCHED_TAG, "Mismatched closing tag (expected </" + name + ">)", tag);
+                    if (this.failed) {
                         break;
                     }
+                    if (this.nodePath.lastIndexOf(nodeName) > -1) {
+                        // recover mode: closes an outer element, so auto-close inner ones first
+                        while (stack[stack.length - 1].name !== nodeName) {
+                            this.closeElement(stack.pop());
+                        }
+                        this.closeElement(stack.pop());
+                    }
+                    continue;
                 } // closing tag
-                else {
-                    // Not a closing tag, so parse attributes into hash.  If tag
-                    // is self-closing, no recursive parsing is needed.
-                    const selfClosing = !!attribsRaw.match(this.patSelfClosing);
-                    let leaf = {};
-                    let attribs = leaf;
-
-                    // preserve attributes means they go into a sub-hash named "_Attribs"
-                    // the XML composer honors this for restoring the tree back into XML
-                    if (this.preserveAttributes) {
-                        leaf[this.attribsKey] = {};
-                        attribs = leaf[this.attribsKey];
+
+                if (this.html) {
+                    // start tags such as <li> and <td> end open elements of the same kind
+                    while (stack.length > 1 && impliesEndTag(stack[stack.length - 1].name, nodeName)) {
+                        this.closeElement(stack.pop());
                     }
+                    branch = stack[stack.length - 1].leaf;
+                }
 
-                    // parse attributes
-                    this.patAttrib.lastIndex = 0;
-                    while (matches = this.patAttrib.exec(attribsRaw)) {
-                        const key = this.lowerCase ? matches[1].toLowerCase() : matches[1];
-                        attribs[key] = decodeEntities(matches[3]);
-                    } // foreach attrib
+                // Not a closing tag, so parse attributes into hash.  If tag
+                // is self-closing (or void in HTML), no nested parsing is needed.
+                const selfClosing = !!attribsRaw.match(this.patSelfClosing) || (this.html && isVoidElement(nodeName));
+                const elem = { leaf: {}, name: null, branch, start: this.tagStart, discard: false, attributes: null, text: null, path: null, rules: null };
+                let attribs = elem.leaf;
 
-                    // if no attribs found, but we created the _Attribs subhash, clean it up now
-                    if (this.preserveAttributes && !numKeys(attribs)) {
-                        delete leaf[this.attribsKey];
+                if (stack.length > this.maxDepth) {
+                    this.throwParseError(error_codes.LIMIT_DEPTH, "Maximum nesting depth of " + this.maxDepth + " exceeded", tag);
+                }
+                if (++this.nodeCount > this.maxNodes) {
+                    this.throwParseError(error_codes.LIMIT_NODES, "Maximum number of elements (" + this.maxNodes + ") exceeded", tag);
+                }
+                if (branch === this.tree && this.foundRoot) {
+                    this.throwParseError(error_codes.DUPLICATE_ROOT, 'Only one top-level node is allowed in document', tag);
+                    if (this.failed) {
+                        break;
                     }
+                    // recover mode: parse the extra element, then throw it away
+                    elem.discard = true;
+                }
 
-                    // Recurse for nested nodes
-                    if (!selfClosing) {
-                        this.parse(leaf, nodeName);
-                        if (this.error()) {
-                            break;
-                        }
-                    }
+                // preserve attributes means they go into a sub-hash named "_Attribs"
+                // the XML composer honors this for restoring the tree back into XML
+                if (this.preserveAttributes) {
+                    elem.leaf[this.attribsKey] = {};
+                    attribs = elem.leaf[this.attribsKey];
+                }
 
-                    // Compress into simple node if text only
-                    const num_leaf_keys = numKeys(leaf);
-                    if (leaf[this.dataKey] !== undefined && num_leaf_keys === 1) {
-                        leaf = leaf[this.dataKey];
-                    }
+                // parse attributes, consuming any xmlns declarations first
+                const positions = this.locationSource ? {} : null;
+                const rawAttribs = this.parseAttribs(attribsRaw, tag, positions);
+                if (this.nsResolver) {
+                    this.nsResolver.push(rawAttribs);
+                    nodeName = this.resolveNodeName(matches[2], false);
+                }
+                elem.name = nodeName;
+                this.nodePath.push(nodeName);
 
-                    // Add leaf to parent branch
-                    if (branch[nodeName] !== undefined) {
-                        if (Array.isArray(branch[nodeName])) {
-                            branch[nodeName].push(leaf);
-                        } else {
-                            branch[nodeName] = [branch[nodeName], leaf];
-                        }
-                    } else if (this.forceArrays && (branch !== this.tree)) {
-                        branch[nodeName] = [leaf];
+                // paths grow one step per element from the parent's, rather than being joined for each one
+                const parent = stack[stack.length - 1];
+                if (this.schemaRules) {
+                    elem.rules = this.schemaRules.step(parent.rules, nodeName);
+                }
+                if (this.reviver) {
+                    // reviver gets the attributes as strings, however they are stored in the tree
+                    elem.path = parent.path ? parent.path + '/' + nodeName : nodeName;
+                    elem.attributes = {};
+                }
+                for (const key in rawAttribs) {
+                    const attribName = this.resolveNodeName(key, true);
+                    if (elem.attributes) {
+                        setKey(elem.attributes, attribName, rawAttribs[key]);
+                    }
+                    if (positions) {
+                        // attribute text starts after the tag name
+                        const start = this.tagStart + 1 + tag.length - attribsRaw.length;
+                        recordKey(attribs, attribName, { start: start + positions[key][0], end: start + positions[key][1] }, this.locationSource);
+                    }
+                    if (this.schemaRules) {
+                        this.applyAttribSchema(attribs, attribName, rawAttribs[key], elem.rules);
                     } else {
-                        branch[nodeName] = leaf;
+                        setKey(attribs, attribName, rawAttribs[key]);
                     }
+                } // foreach attrib
 
-                    if (this.error() || (branch === this.tree)) {
-                        break;
-                    }
-                } // not closing
+                // if no attribs found, but we created the _Attribs subhash, clean it up now
+                if (this.preserveAttributes && !numKeys(attribs)) {
+                    delete elem.leaf[this.attribsKey];
+                }
+
+                if (selfClosing) {
+                    this.closeElement(elem);
+                } else if (this.html && isRawTextElement(nodeName)) {
+                    this.parseRawText(elem);
+                    this.closeElement(elem);
+                } else {
+                    stack.push(elem);
+                }
             } // standard tag
-        } // main reg exp
+        } // each tag
 
-        // Make sure we found the closing tag
-        if (name && !foundClosing) {
-            this.throwParseError("Missing closing tag (expected </" + name + ">)", name);
+        // Text after the last tag belongs to the innermost element left open (in recover and HTML modes)
+        const tail = this.scanner.tail;
+        if (stack.length > 1 && !this.failed && (this.recover || this.html) && tail && tail.text.match(/\S/)) {
+            this.appendText(stack[stack.length - 1].leaf, tail.text, stack[stack.length - 1].name, tail.index);
         }
 
-        // If we are the master node, finish parsing and set up our doc node
-        if (branch === this.tree) {
-            if (this.tree[this.dataKey] !== undefined) {
-                delete this.tree[this.dataKey];
+        // Make sure we found all closing tags (in recover and HTML modes they are closed automatically)
+        while (stack.length > 1 && !this.failed) {
+            const elem = stack[stack.length - 1];
+            if (!this.html) {
+                this.throwParseError(error_codes.UNCLOSED_ELEMENT, "Missing closing tag (expected </" + elem.name + ">)", elem.name, elem.start);
             }
+            this.closeElement(stack.pop());
+        }
+
+        // Finish parsing and set up our doc node
+        if (this.tree[this.dataKey] !== undefined) {
+            delete this.tree[this.dataKey];
+        }
+
+        this.documentNodeName = firstKey(this.tree);
+        if (this.documentNodeName && this.nsResolver && numKeys(this.nsResolver.namespaces)) {
+            // record prefix-to-URI table on document node, for composing declarations
+            let doc = this.tree[this.documentNodeName];
+            if (!isaHash(doc)) {
+                doc = setKey(this.tree, this.documentNodeName, { [this.dataKey]: doc });
+            }
+            doc[this.namespacesKey] = this.nsResolver.namespaces;
+        }
+        if (this.documentNodeName && !this.preserveDocumentNode) {
+            this.tree = this.tree[this.documentNodeName];
+        }
+    }
+
+    appendText(branch, text, name, start, end, raw = false) {
+        // add text or CDATA content to node, joining multiple runs with a space
+        // start and end are character positions of the text (or CDATA tag), for locations mode
+        // raw text (HTML script and style) is not decoded
+        if (this.locationSource) {
+            this.recordText(branch, text, start, end);
+        }
+        if (!raw) {
+            text = decodeEntities(text, this.entityMap, this);
+            this.checkEntityExpansion(name || '');
+        }
+        if (text.length > this.maxTextLength) {
+            this.throwParseError(error_codes.LIMIT_TEXT_LENGTH, "Text exceeds maximum length of " + this.maxTextLength, name || '');
+        }
+
+        if (branch[this.dataKey] !== undefined) {
+            branch[this.dataKey] += ' ';
+        } else {
+            branch[this.dataKey] = '';
+        }
+        branch[this.dataKey] += !this.preserveWhitespace ? trim(text) : text;
+    }
+
+    closeHTMLElement(stack, name) {
+        // close element for HTML end tag (ignoring case), and any still open inside it
+        // end tags matching no open element are ignored
+        const lower = name.toLowerCase();
+        let idx = stack.length - 1;
+        while (idx > 0 && stack[idx].name.toLowerCase() !== lower) {
+            idx -= 1;
+        }
+        while (idx > 0 && stack.length > idx) {
+            this.closeElement(stack.pop());
+        }
+    }
+
+    parseRawText(elem) {
+        // read HTML raw text element content (e.g. script) up to its end tag
+        const start = this.scanner.pos;
+        const lower = elem.name.toLowerCase();
+        let matches = null;
 
-            if (numKeys(this.tree) > 1) {
-                this.throwParseError('Only one top-level node is allowed in document', firstKey(this.tree));
+        this.patRawTextEnd.lastIndex = start;
+        while ((matches = this.patRawTextEnd.exec(this.text)) && matches[1].toLowerCase() !== lower) {
+            // skip end tags for other elements, e.g. inside script strings
+        }
+        const end = matches ? matches.index : this.text.length;
+        const text = this.text.substring(start, end);
+        if (text.match(/\S/)) {
+            this.appendText(elem.leaf, text, elem.name, start, undefined, true);
+        }
+
+        if (matches) {
+            this.scanner.pos = this.patRawTextEnd.lastIndex;
+        } else {
+            this.scanner.pos = this.text.length;
+            this.atEnd = true;
+        }
+    }
+
+    recordText(branch, text, start, end) {
+        // record location of element text, from the first run to the last (whitespace excluded)
+        if (end === undefined) {
+            end = start + text.trimEnd().length;
+            start += text.length - text.trimStart().length;
+        }
+        const range = getKeyRange(branch, this.dataKey);
+        recordKey(branch, this.dataKey, { start: range ? range.start : start, end }, this.locationSource);
+    }
+
+    closeElement(elem) {
+        // finish element once its closing tag is found, and add it to its parent
+        let leaf = elem.leaf;
+        const branch = elem.branch;
+        const text_range = this.locationSource ? getKeyRange(leaf, this.dataKey) : null;
+
+        if (this.nsResolver) {
+            this.nsResolver.pop();
+        }
+        if (this.schemaRules) {
+            this.applyDefaults(leaf, elem.rules);
+        }
+
+        // Compress into simple node if text only
+        const num_leaf_keys = numKeys(leaf);
+        if (leaf[this.dataKey] !== undefined && num_leaf_keys === 1) {
+            leaf = leaf[this.dataKey];
+        }
+
+        // Apply schema type, array and key rules
+        let key = elem.name;
+        let rule = null;
+        if (this.schemaRules) {
+            rule = this.schemaRules.match(elem.rules);
+            if (rule) {
+                leaf = this.applySchema(leaf, rule);
+                key = rule.rename || elem.name;
+            }
+        }
+        this.nodePath.pop();
+
+        // Add leaf to parent branch
+        if (elem.discard) {
+            return;
+        }
+        if (branch === this.tree) {
+            // keep scanning after the root element, for trailing nodes and duplicate roots
+            this.foundRoot = true;
+        }
+        if (this.reviver) {
+            // hook may replace value, or return undefined to drop element
+            leaf = this.reviver(key, leaf, { attributes: elem.attributes, path: elem.path, parent: (branch === this.tree) ? null : branch });
+            if (leaf === undefined) {
                 return;
             }
+        }
+        if (hasOwn(branch, key)) {
+            if (Array.isArray(branch[key])) {
+                branch[key].push(leaf);
+            } else {
+                branch[key] = [branch[key], leaf];
+            }
+        } else if (rule && rule.array !== undefined && (branch !== this.tree)) {
+            setKey(branch, key, rule.array ? [leaf] : leaf);
+        } else if (this.forceArrays && (branch !== this.tree)) {
+            setKey(branch, key, [leaf]);
+        } else {
+            setKey(branch, key, leaf);
+        }
+
+        if (this.locationSource) {
+            this.recordElement(elem, branch, key, leaf, text_range);
+        }
+    }
+
+    recordElement(elem, branch, key, leaf, text_range) {
+        // record location of element on its value, and under its key in the parent (or its index in the array)
+        const end = this.scanner.pos;
+        const range = { start: elem.start, end };
+        if (text_range && typeof leaf !== 'object') {
+            // text-only element compressed to a value, so keep the text location with the element
+            range.text = text_range;
+        }
+        recordNode(leaf, range, this.locationSource);
 
-            this.documentNodeName = firstKey(this.tree);
-            if (this.documentNodeName && !this.preserveDocumentNode) {
-                this.tree = this.tree[this.documentNodeName];
+        const value = branch[key];
+        if (!Array.isArray(value) || value === leaf) {
+            recordKey(branch, key, range, this.locationSource);
+            return;
+        }
+        if (value.length > 1 && !getKeyRange(value, 0)) {
+            // array was just created from the previous sibling, so move its location over
+            recordKey(value, 0, getKeyRange(branch, key), this.locationSource);
+        }
+        recordKey(value, value.length - 1, range, this.locationSource);
+    }
+
+    nextTag() {
+        // scan next tag plus preceding text, or null at end of document (see scanner.js)
+        if (this.atEnd) {
+            return null;
+        }
+        const token = this.scanner.next();
+        if (!token) {
+            this.atEnd = true;
+        }
+        return token;
+    }
+
+    parseNodes() {
+        // parse text into ordered document node (full fidelity mode, or for a mapping convention or DOM)
+        if (this.html || this.namespaces) {
+            throw new Error("The " + (this.html ? 'html' : 'namespaces') + " option is not supported with " + (this.fullFidelity ? 'fullFidelity' : (this.dom ? 'dom' : 'convention')));
+        }
+        const parser = new SAXParser(getNodeOptions(this));
+        const doc = attachNodeBuilder(parser);
+
+        parser.on('processinginstruction', (pi) => this.addPI(pi.raw));
+        parser.on('doctype', (raw) => this.addDoctype(raw));
+        parser.on('opentag', (node) => {
+            if (!this.documentNodeName) {
+                this.documentNodeName = node.name;
             }
+        });
+
+        try {
+            parser.end(this.text);
+        } finally {
+            this.errors.push(...parser.errors);
+        }
+        if (this.dom) {
+            this.tree = buildDocument(doc, this);
+        } else {
+            this.tree = this.convention ? parseConvention(doc, this) : doc;
+        }
+    }
+
+    parseAttribs(attribsRaw, tag, positions) {
+        // parse raw attribute text into hash of names to decoded values, enforcing limits
+        // pass positions hash to receive [start, end] of each attribute within the text
+        const attribs = {};
+        const pattern = this.html ? this.patHTMLAttrib : this.patAttrib;
+        let matches = null;
+        let count = 0;
+
+        pattern.lastIndex = 0;
+        while (matches = pattern.exec(attribsRaw)) {
+            if (++count > this.maxAttributes) {
+                this.throwParseError(error_codes.LIMIT_ATTRIBUTES, "Maximum number of attributes (" + this.maxAttributes + ") exceeded", tag);
+            }
+            // HTML values may be unquoted, or missing for boolean attributes
+            const value = decodeEntities(this.html ? getHTMLAttribValue(matches) : matches[3], this.entityMap, this);
+            this.checkEntityExpansion(tag);
+            if (value.length > this.maxTextLength) {
+                this.throwParseError(error_codes.LIMIT_TEXT_LENGTH, "Attribute value exceeds maximum length of " + this.maxTextLength, tag);
+            }
+            setKey(attribs, matches[1], value);
+            if (positions) {
+                positions[matches[1]] = [matches.index, pattern.lastIndex];
+            }
+        }
+        return attribs;
+    }
+
+    resolveNodeName(qname, isAttrib) {
+        // apply namespace mapping and lower-casing to element or attribute name
+        let name = qname;
+        if (this.nsResolver) {
+            const info = this.nsResolver.resolve(qname, isAttrib);
+            if (!info) {
+                this.throwParseError(error_codes.UNDECLARED_PREFIX, "Undeclared namespace prefix", qname);
+                return qname;
+            }
+            name = info.name;
+        }
+        return this.lowerCase ? name.toLowerCase() : name;
+    }
+
+    getNamespaces() {
+        // get prefix-to-URI table of all namespaces used in document (namespaces mode)
+        return this.nsResolver ? this.nsResolver.namespaces : {};
+    }
+
+    resolveName(qname, isAttrib) {
+        // get namespace URI, local name and prefix of element or attribute name in tree
+        return resolveName(qname, this.getNamespaces(), isAttrib);
+    }
+
+    getQueryOpts() {
+        // get options for path queries matching how this tree was parsed
+        return {
+            attribsKey: this.attribsKey,
+            dataKey: this.dataKey,
+            namespacesKey: this.namespacesKey,
+            preserveAttributes: this.preserveAttributes,
+            documentNodeName: this.preserveDocumentNode ? null : this.documentNodeName
+        };
+    }
+
+    select(path) {
+        // find all nodes in tree matching path (XPath subset)
+        return query(this.tree, path, this.getQueryOpts());
+    }
+
+    selectOne(path) {
+        // find first node in tree matching path, or null
+        return selectOne(this.tree, path, this.getQueryOpts());
+    }
+
+    selectValue(path) {
+        // get text value of first node in tree matching path
+        return selectValue(this.tree, path, this.getQueryOpts());
+    }
+
+    applySchema(leaf, rule) {
+        // coerce element value to rule type, logging an error if it is invalid
+        const isText = (typeof leaf === 'string');
+        const value = isText ? leaf : leaf[this.dataKey];
+
+        if (value === undefined) {
+            if (rule.default !== undefined && !numKeys(leaf)) {
+                return rule.default;
+            }
+            return leaf;
+        }
+
+        const result = this.schemaRules.coerce(value, rule);
+        if (result === undefined) {
+            this.logSchemaError(rule, value);
+            return leaf;
         }
+        if (isText) {
+            return result;
+        }
+        leaf[this.dataKey] = result;
+        return leaf;
     }
 
-    throwParseError(key, tag) {
-        // log error and locate current line number in source XML document
-        const parsedSource = this.text.substring(0, this.patTag.lastIndex);
-        const eolMatch = parsedSource.match(/\n/g);
-        let line = (eolMatch ? eolMatch.length : 0) + 1;
-        line -= tag.match(/\n/) ? tag.match(/\n/g).length : 0;
+    applyAttribSchema(attribs, name, value, state) {
+        // coerce attribute value and apply renamed key, using match state of current node
+        const rule = this.schemaRules.match(this.schemaRules.step(state, '@' + name));
+        if (!rule) {
+            setKey(attribs, name, value);
+            return;
+        }
+
+        const result = this.schemaRules.coerce(value, rule);
+        if (result === undefined) {
+            this.logSchemaError(rule, value);
+        }
+        setKey(attribs, rule.rename || name, (result === undefined) ? value : result);
+    }
 
+    applyDefaults(leaf, state) {
+        // add default values for missing children and attributes of current node
+        const rules = this.schemaRules.getDefaults(state);
+        for (const rule of rules) {
+            const key = rule.rename || rule.name;
+            if (!rule.attribute) {
+                if (leaf[key] === undefined) {
+                    leaf[key] = rule.array ? [rule.default] : rule.default;
+                }
+                continue;
+            }
+            if (this.preserveAttributes) {
+                if (!leaf[this.attribsKey]) {
+                    leaf[this.attribsKey] = {};
+                }
+                if (leaf[this.attribsKey][key] === undefined) {
+                    leaf[this.attribsKey][key] = rule.default;
+                }
+            } else if (leaf[key] === undefined) {
+                leaf[key] = rule.default;
+            }
+        }
+    }
+
+    logSchemaError(rule, value) {
+        // log coercion failure (does not stop parsing)
         this.errors.push({
-            type: 'Parse',
-            key,
-            text: '<' + tag + '>',
-            line
+            type: 'Schema',
+            key: 'Invalid ' + rule.type + ' value',
+            text: this.nodePath.join('/') + (rule.attribute ? '/@' + rule.name : '') + ': "' + value + '"',
+            line: this.getLocation(this.tagStart).line
         });
+    }
+
+    getLocation(pos) {
+        // locate line, column and byte offset of position in source XML document
+        if (!this.lineIndex) {
+            this.lineIndex = getLineIndex(this.text);
+        }
+        return locate(this.text, pos, this.lineIndex);
+    }
+
+    throwParseError(code, key, tag, pos = this.tagStart) {
+        // log error at position (defaults to start of current tag)
+        // throws XMLParseError, unless in recover mode
+        const entry = Object.assign({ type: 'Parse', code, key, text: '<' + tag + '>' }, this.getLocation(pos));
+        this.errors.push(entry);
+        if (this.recover && !fatal_codes.has(code)) {
+            return;
+        }
 
         // Throw actual error (must wrap parse in try/catch)
-        throw new Error(this.getLastError());
+        this.failed = true;
+        throw new XMLParseError(entry, this.getError(entry));
     }
 
     error() {
@@ -252,6 +754,9 @@ class XML {
         text += ': ' + error.key;
         if (error.line) {
             text += ' on line ' + error.line;
+            if (error.column) {
+                text += ', column ' + error.column;
+            }
         }
         if (error.text) {
             text += ': ' + error.text;
@@ -270,90 +775,164 @@ class XML {
     parsePINode(tag) {
         // Parse Processor Instruction Node, e.g. <?xml version="1.0"?>
         if (!tag.match(this.patPINode)) {
-            this.throwParseError("Malformed processor instruction", tag);
+            this.throwParseError(error_codes.MALFORMED_PI, "Malformed processor instruction", tag);
             return null;
         }
 
-        this.piNodeList.push(tag);
+        this.addPI(tag);
         return tag;
     }
 
-    parseCommentNode(tag) {
-        // Parse Comment Node, e.g. <!-- hello -->
-        this.patNextClose.lastIndex = this.patTag.lastIndex;
+    addPI(tag) {
+        // record processor instruction as object, the first <?xml ...?> being the XML declaration
+        if (re_xml_decl.test(tag) && !this.declaration) {
+            this.declaration = parseDeclaration(tag);
+        } else {
+            this.processingInstructions.push(parsePI(tag));
+        }
+    }
 
-        while (!tag.match(this.patEndComment)) {
-            const matches = this.patNextClose.exec(this.text);
-            if (matches) {
-                tag += '>' + matches[1];
-            } else {
-                this.throwParseError("Unclosed comment tag", tag);
-                return null;
+    addDoctype(tag) {
+        // record DOCTYPE as object (only one is allowed per document)
+        if (!this.doctype) {
+            this.doctype = parseDoctype(tag);
+        }
+    }
+
+    get piNodeList() {
+        // raw processor instruction tags (without angle brackets), as composed from current objects
+        const list = this.declaration ? [composeDeclaration(this.declaration)] : [];
+        for (const pi of this.processingInstructions) {
+            list.push(composePI(pi));
+        }
+        return list.map(tag => tag.substring(1, tag.length - 1));
+    }
+
+    set piNodeList(list) {
+        // replace XML declaration and processor instructions from raw tags
+        this.declaration = null;
+        this.processingInstructions = [];
+        list.forEach(tag => this.addPI(tag));
+    }
+
+    get dtdNodeList() {
+        // raw DOCTYPE tag (without angle brackets) in array, as composed from current object
+        if (!this.doctype) {
+            return [];
+        }
+        const tag = composeDoctype(this.doctype);
+        return [tag.substring(1, tag.length - 1)];
+    }
+
+    set dtdNodeList(list) {
+        // replace DOCTYPE from raw tag
+        this.doctype = null;
+        list.forEach(tag => this.addDoctype(tag));
+    }
+
+    parseCommentNode(tag, unclosed) {
+        // Parse Comment Node, e.g. <!-- hello -->
+        if (unclosed) {
+            // in HTML it runs to the end of the document
+            if (!this.html) {
+                this.throwParseError(error_codes.UNCLOSED_COMMENT, "Unclosed comment tag", tag);
             }
+            return null;
         }
-        this.patTag.lastIndex = this.patNextClose.lastIndex;
         return tag;
     }
 
-    parseDTDNode(tag) {
+    parseDTDNode(tag, unclosed) {
         // Parse Document Type Descriptor Node, e.g. <!DOCTYPE ... >
-        if (tag.match(this.patExternalDTDNode)) {
-            // tag is external, and thus self-closing
-            this.dtdNodeList.push(tag);
-        } else if (tag.match(this.patInlineDTDNode)) {
-            // Tag is inline, so check for nested nodes.
-            this.patNextClose.lastIndex = this.patTag.lastIndex;
-
-            while (!tag.match(this.patEndDTD)) {
-                const matches = this.patNextClose.exec(this.text)
-                if (matches) {
-                    tag += '>' + matches[1];
-                } else {
-                    this.throwParseError("Unclosed DTD tag", tag);
-                    return null;
-                }
-            }
-
-            this.patTag.lastIndex = this.patNextClose.lastIndex;
-
-            // Make sure complete tag is well-formed, and push onto DTD stack.
-            if (tag.match(this.patDTDNode)) {
-                this.dtdNodeList.push(tag);
-            } else {
-                this.throwParseError("Malformed DTD tag", tag);
-                return null;
+        if (this.rejectDoctype) {
+            this.throwParseError(error_codes.DOCTYPE_NOT_ALLOWED, "DOCTYPE is not allowed", tag);
+        }
+        if (unclosed) {
+            if (!this.html) {
+                this.throwParseError(error_codes.UNCLOSED_DTD, "Unclosed DTD tag", tag);
             }
+            return null;
+        }
+        if (this.html && !tag.match(this.patInlineDTDNode)) {
+            // HTML doctypes, e.g. <!DOCTYPE html>, are kept as they are
+            this.addDoctype(tag);
+            return tag;
+        }
+        if (tag.match(this.patExternalDTDNode) && !tag.match(this.patInlineDTDNode)) {
+            // tag is external, and thus self-closing
+            this.addDoctype(tag);
+        } else if (tag.match(this.patDTDNode)) {
+            // tag is inline, so add its entity declarations
+            this.addDoctype(tag);
+            this.parseDTDEntities(tag);
         } else {
-            this.throwParseError("Malformed DTD tag", tag);
+            this.throwParseError(error_codes.MALFORMED_DTD, "Malformed DTD tag", tag);
             return null;
         }
         return tag;
     }
 
-    parseCDATANode(tag) {
+    parseCDATANode(tag, unclosed) {
         // Parse CDATA Node, e.g. <![CDATA[Brooks & Shields]]>
-        this.patNextClose.lastIndex = this.patTag.lastIndex;
-
-        while (!tag.match(this.patEndCDATA)) {
-            const matches = this.patNextClose.exec(this.text);
-            if (matches) {
-                tag += '>' + matches[1];
-            } else {
-                this.throwParseError("Unclosed CDATA tag", tag);
-                return null;
+        if (unclosed) {
+            if (!this.html) {
+                this.throwParseError(error_codes.UNCLOSED_CDATA, "Unclosed CDATA tag", tag);
             }
+            return null;
         }
-
-        this.patTag.lastIndex = this.patNextClose.lastIndex;
         const matches = tag.match(this.patCDATANode);
         if (matches) {
             return matches[1];
         } else {
-            this.throwParseError("Malformed CDATA tag", tag);
+            this.throwParseError(error_codes.MALFORMED_CDATA, "Malformed CDATA tag", tag);
             return null;
         }
     }
 
+    setupEntities() {
+        // build map of named entities to decode, beyond the five predefined ones
+        // HTML mode always knows the HTML named entities
+        const html = this.htmlEntities || this.html;
+        this.entityMap = null;
+        if (html || this.entities) {
+            this.entityMap = Object.assign(Object.create(null), html ? htmlEntities : null, this.entities);
+        }
+    }
+
+    parseDTDEntities(tag) {
+        // add internal <!ENTITY name "value"> declarations from DTD to entity map
+        // parameter and external entities are skipped, custom entities take precedence
+        const subset = tag.replace(this.patDTDComment, '');
+        let matches = null;
+
+        this.patEntityDecl.lastIndex = 0;
+        while (matches = this.patEntityDecl.exec(subset)) {
+            const name = matches[1];
+            const value = matches[2] !== undefined ? matches[2] : matches[3];
+            if (this.entities && hasOwn(this.entities, name)) {
+                continue;
+            }
+            if (!this.entityMap) {
+                this.entityMap = Object.create(null);
+            }
+            const expanded = decodeEntities(value, this.entityMap, this);
+            this.checkEntityExpansion(tag);
+            if (expanded.length > this.maxEntityLength) {
+                this.throwParseError(error_codes.LIMIT_ENTITY, "Entity &" + name + "; expands beyond maximum length of " + this.maxEntityLength, tag);
+                return;
+            }
+            this.entityMap[name] = expanded;
+        }
+    }
+
+    checkEntityExpansion(tag) {
+        // stop parsing once entities have expanded into more text than allowed in total
+        // (each expansion is small enough on its own, but many references can still add up)
+        if (this.entityExpansion > this.maxEntityExpansion) {
+            this.throwParseError(error_codes.LIMIT_ENTITY, "Entities expand beyond maximum total length of " + this.maxEntityExpansion, tag);
+        }
+    }
+
     getTree() {
         // get reference to parsed XML tree
         return this.tree;
@@ -361,31 +940,44 @@ class XML {
 
     compose(indentString, eol = '\n') {
         // compose tree back into XML
-        let tree = this.tree;
-        if (this.preserveDocumentNode) {
-            tree = tree[this.documentNodeName];
+        // pass in options hash (see stringify), or indent string and EOL as separate arguments
+        const opts = isaHash(indentString) ? indentString : { indentString, eol };
+
+        // prolog comes from parsed objects: a document with PIs but no XML declaration keeps it that way
+        const prolog = {
+            declaration: this.declaration || !this.processingInstructions.length,
+            processingInstructions: this.processingInstructions,
+            doctype: this.doctype
+        };
+        if (this.convention) {
+            return stringify(this.tree, null, Object.assign({
+                convention: this.convention,
+                rootName: this.documentNodeName,
+                escapeNonASCII: this.escapeNonASCII,
+                escapeControl: this.escapeControl
+            }, prolog, getDefinedOptions(opts)));
         }
-
-        const raw = stringify(tree, this.documentNodeName, 0, indentString, eol);
-        const body = raw.replace(/^\s*<\?.+?\?>\s*/, '');
-        const xml = [];
-
-        if (this.piNodeList.length > 0) {
-            for (let idx = 0, len = this.piNodeList.length; idx < len; idx += 1) {
-                xml.push('<' + this.piNodeList[idx] + '>');
-            }
-        } else {
-            xml.push(xml_header);
+        if (this.fullFidelity) {
+            return composeNodes(this.tree, Object.assign({
+                escapeNonASCII: this.escapeNonASCII,
+                escapeControl: this.escapeControl
+            }, opts));
         }
 
-        if (this.dtdNodeList.length > 0) {
-            for (let idx = 0, len = this.dtdNodeList.length; idx < len; idx += 1) {
-                xml.push('<' + this.dtdNodeList[idx] + '>');
-            }
+        let tree = this.tree;
+        if (this.preserveDocumentNode && !this.dom) {
+            tree = tree[this.documentNodeName];
         }
 
-        xml.push(body);
-        return xml.join(eol);
+        // keys default to those used for parsing (which may be lower-cased)
+        return stringify(tree, this.documentNodeName, Object.assign({
+            attribsKey: this.attribsKey,
+            dataKey: this.dataKey,
+            namespacesKey: this.namespacesKey,
+            escapeNonASCII: this.escapeNonASCII,
+            escapeControl: this.escapeControl,
+            schema: this.schema
+        }, prolog, getDefinedOptions(opts)));
     };
 }
 
@@ -395,9 +987,55 @@ class XML {
 
 function parse(text, opts = {}) {
     // turn text into XML tree quickly
+    // throws XMLParseError on failure (in recover mode, returns best-effort tree)
     opts.text = text;
     const parser = new XML(opts);
-    return parser.error() ? parser.getLastError() : parser.getTree();
+    return parser.getTree();
+}
+
+function parseFileSync(file, opts) {
+    // load and parse XML file, detecting its encoding
+    const fs = require('fs');
+    return parse(fs.readFileSync(file), getFileOptions(file, opts));
+}
+
+async function parseFile(file, opts) {
+    // load and parse XML file asynchronously, returns promise resolving to tree
+    const fs = require('fs');
+    return parse(await fs.promises.readFile(file), getFileOptions(file, opts));
+}
+
+function getFileOptions(file, opts) {
+    // copy parse options, adding file path as base URI for resolving includes
+    const path = require('path');
+    return Object.assign({ baseURI: path.resolve(file) }, opts);
+}
+
+function composeFile(tree, name, opts) {
+    // compose tree (or XML parser object) into bytes for writing, with matching declaration
+    if (isaHash(name)) {
+        opts = name;
+        name = null;
+    }
+    opts = Object.assign({ encoding: 'utf-8' }, opts);
+
+    const xml = (tree instanceof XML) ? tree.compose(opts) : stringify(tree, name, opts);
+
+    // UTF-16 documents must begin with a BOM, and full fidelity documents keep theirs
+    const bom = (opts.bom !== undefined) ? opts.bom : (hasBOM(xml) || /^utf-?16/i.test(opts.encoding));
+    return encodeXML(setDeclarationEncoding(stripBOM(xml), opts.encoding), opts.encoding, bom);
+}
+
+function writeFileSync(file, tree, name, opts) {
+    // compose tree and write to file in requested encoding (default UTF-8)
+    const fs = require('fs');
+    fs.writeFileSync(file, composeFile(tree, name, opts));
+}
+
+async function writeFile(file, tree, name, opts) {
+    // compose tree and write to file asynchronously, returns promise
+    const fs = require('fs');
+    await fs.promises.writeFile(file, composeFile(tree, name, opts));
 }
 
 function trim(text) {
@@ -405,7 +1043,7 @@ function trim(text) {
     return text?.trim() ?? '';
 }
 
-function encodeEntities(text) {
+function encodeEntities(text, opts) {
     // Simple entitize exports.for = function for composing XML
     if (text == null) {
         return '';
@@ -415,12 +1053,13 @@ function encodeEntities(text) {
             .replace(/&/g, "&amp;") // MUST BE FIRST
             .replace(/</g, "&lt;")
             .replace(/>/g, "&gt;");
+        text = encodeCharRefs(text, opts);
     }
 
     return text;
 }
 
-function encodeAttribEntities(text) {
+function encodeAttribEntities(text, opts) {
     // Simple entitize exports.for = function for composing XML attributes
     if (text == null) {
         return '';
@@ -433,108 +1072,291 @@ function encodeAttribEntities(text) {
             .replace(/>/g, "&gt;")
             .replace(/"/g, "&quot;")
             .replace(/'/g, "&apos;");
+        text = encodeCharRefs(text, opts);
     }
 
     return text;
 }
 
-function decodeEntities(text) {
-    // Decode XML entities into raw ASCII
+function encodeCharRefs(text, opts) {
+    // optionally escape non-ASCII and/or control characters as numeric references
+    if (opts?.escapeNonASCII) {
+        text = text.replace(re_non_ascii, charRef);
+    }
+    if (opts?.escapeControl) {
+        text = text.replace(re_control_chars, charRef);
+    }
+    return text;
+}
+
+function charRef(chr) {
+    // convert single character to hex character reference
+    return '&#x' + chr.codePointAt(0).toString(16).toUpperCase() + ';';
+}
+
+function decodeEntities(text, entities, budget) {
+    // Decode XML entities and character references into raw text
+    // optional entities hash maps additional names to replacement text
+    // optional budget (a parser) adds the length of each one to its entityExpansion count,
+    // and stops expanding them once that passes its maxEntityExpansion
     if (text == null) {
         return '';
     }
 
-    if (text?.replace && text.match(/&/)) {
-        text = text
-            .replace(/&lt;/g, "<")
-            .replace(/&gt;/g, ">")
-            .replace(/&quot;/g, '"')
-            .replace(/&apos;/g, "'")
-            .replace(/&amp;/g, "&"); // MUST BE LAST
+    if (text?.replace && text.indexOf('&') > -1) {
+        text = text.replace(re_entity, (match, ref) => {
+            const value = decodeEntity(ref, entities);
+            if (value === undefined) {
+                return match;
+            }
+            if (budget && entities && hasOwn(entities, ref) && !hasOwn(xml_entities, ref)) {
+                budget.entityExpansion += value.length;
+                if (budget.entityExpansion > budget.maxEntityExpansion) {
+                    return match;
+                }
+            }
+            return value;
+        });
     }
 
     return text;
 }
 
-function stringify(node, name, indent, indentString = "\t", eol = '\n', sort = true) {
+function decodeEntity(ref, entities) {
+    // decode single entity reference (sans & and ;), return undefined if unknown
+    if (ref.charAt(0) === '#') {
+        const code = (ref.charAt(1) === 'x' || ref.charAt(1) === 'X') ? parseInt(ref.substring(2), 16) : parseInt(ref.substring(1), 10);
+        if (code > 0 && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF)) {
+            return String.fromCodePoint(code);
+        }
+        return undefined;
+    }
+    if (hasOwn(xml_entities, ref)) {
+        return xml_entities[ref];
+    }
+    if (entities && hasOwn(entities, ref)) {
+        return entities[ref];
+    }
+    return undefined;
+}
+
+function stringify(node, name, indent, indentString, eol, sort, opts) {
     // Compose node into XML including attributes
-    let xml = "";
+    // call as stringify(node, name, options) or stringify(node, options), or with the
+    // original positional arguments: (node, name, indent, indentString, eol, sort, options)
+    if (isaHash(name)) {
+        opts = name;
+        name = null;
+        indent = 0;
+    } else if (isaHash(indent)) {
+        opts = indent;
+        indent = 0;
+    } else {
+        opts = Object.assign({}, opts);
+        if (indentString !== undefined) {
+            opts.indentString = indentString;
+        }
+        if (eol !== undefined) {
+            opts.eol = eol;
+        }
+        if (sort !== undefined) {
+            opts.sort = sort;
+        }
+    }
+    opts = getComposeOptions(opts);
 
-    // If this is the root node, set the indent to 0
-    // and set up the XML header (PI node)
+    if (opts.convention) {
+        // alternative mapping, composed via full fidelity nodes
+        const body = composeConvention(node, name, opts);
+        const prolog = re_xml_decl.test(body.substring(1)) ? '' : composeProlog(opts);
+        return prolog ? prolog + opts.eol + body : body;
+    }
+    if (opts.fullFidelity) {
+        return composeNodes(node, opts);
+    }
+    if (node instanceof Element) {
+        // DOM element composes itself, in document order
+        const prolog = (indent || node.parent) ? '' : composeProlog(opts);
+        const body = node.toString(opts);
+        return prolog ? prolog + opts.eol + body : body;
+    }
+
+    // If this is the root node, set up the XML header (PI node)
+    let xml = "";
     if (!indent) {
         indent = 0;
-        xml = xml_header + eol;
+        const prolog = composeProlog(opts);
+        if (prolog) {
+            xml = prolog + opts.eol;
+        }
 
         if (!name) {
             // no name provided, assume content is wrapped in it
             name = firstKey(node);
             node = node[name];
         }
+
+        if (opts.schema) {
+            // convert typed values and renamed keys back, then compose as usual
+            node = compileSchema(opts.schema).reverseTree(node, name, opts);
+        }
+        if (opts.replacer) {
+            node = replaceNode(node, name, name, null, opts);
+            if (node === undefined) {
+                return xml;
+            }
+        }
     }
 
-    // Set up the indent text
-    const indent_text = String.prototype.padStart(indent * indentString.length, indentString);
+    return xml + stringifyNode(node, name, indent, opts);
+}
 
-    if (node && typeof node === 'object') {
+function getComposeOptions(opts) {
+    // fill in defaults for composing options (already normalized options pass through)
+    if (opts.normalized) {
+        return opts;
+    }
+    opts = Object.assign({}, compose_defaults, getDefinedOptions(opts), { normalized: true });
+    if (opts.quote !== "'") {
+        opts.quote = '"';
+    }
+    if (Array.isArray(opts.cdata)) {
+        opts.cdata = new Set(opts.cdata);
+    }
+    return opts;
+}
+
+function getDefinedOptions(opts) {
+    // copy options, skipping those set to undefined (so defaults apply)
+    const given = {};
+    for (const key in opts) {
+        if (opts[key] !== undefined) {
+            given[key] = opts[key];
+        }
+    }
+    return given;
+}
+
+function composeProlog(opts) {
+    // build XML declaration, processing instructions and DOCTYPE for top of document
+    const prolog = [composeDeclaration(opts.declaration)];
+    if (opts.processingInstructions) {
+        opts.processingInstructions.forEach(pi => prolog.push(composePI(pi)));
+    }
+    if (opts.doctype) {
+        prolog.push(composeDoctype(opts.doctype));
+    }
+    return prolog.filter(Boolean).join(opts.eol);
+}
+
+function stringifyNode(node, name, indent, opts, path = name) {
+    // compose single node (hash, array of nodes or simple value) with its children
+    // pending nodes and end tags are kept on a stack (no recursion), so deep trees cannot overflow
+    const parts = [];
+    const stack = [{ node, name, indent, path }];
+    while (stack.length) {
+        const item = stack.pop();
+        parts.push((typeof item === 'string') ? item : stringifyElement(item, stack, opts));
+    }
+    return parts.join('');
+}
+
+function stringifyElement(item, stack, opts) {
+    // compose element up to its children, pushing its end tag and children onto the stack
+    const { node, name, indent, path } = item;
+    const { attribsKey, dataKey, namespacesKey, indentString, eol, sort, quote } = opts;
+    const indent_text = indentString.repeat(indent);
+    let xml = "";
+
+    if (node && typeof node === 'object' && !(node instanceof Date)) {
         // node is object -- now see if it is an array or hash
-        if (!Array.isArray(node)) { // what about zero-length array?
-            // node is hash
-            xml += indent_text + "<" + name;
-
-            let num_keys = numKeys(node);
-            let has_attribs = 0;
-
-            if (node["_Attribs"] != null) {
-                has_attribs = 1;
-                const sorted_keys = sort ? hashKeysToArray(node["_Attribs"]).sort() : hashKeysToArray(node["_Attribs"]);
-                for (let idx = 0, len = sorted_keys.length; idx < len; idx += 1) {
-                    const key = sorted_keys[idx];
-                    xml += " " + key + '="' + encodeAttribEntities(node["_Attribs"][key]) + '"';
-                }
-            } // has attribs
+        if (Array.isArray(node)) {
+            for (let idx = node.length - 1; idx >= 0; idx -= 1) {
+                // node in array has same name and indent
+                stack.push({ node: node[idx], name, indent, path });
+            }
+            return xml;
+        }
 
-            if (num_keys > has_attribs) {
-                // has child elements
-                xml += ">";
+        // node is hash
+        xml += indent_text + "<" + name;
 
-                if (node["_Data"]) {
-                    // simple text child node
-                    xml += encodeEntities(node["_Data"]) + "</" + name + ">" + eol;
-                } // just text
-                else {
-                    xml += eol;
-
-                    const sorted_keys = sort ? hashKeysToArray(node).sort() : hashKeysToArray(node);
-                    for (let idx = 0, len = sorted_keys.length; idx < len; idx += 1) {
-                        const key = sorted_keys[idx];
-                        if (key !== "_Attribs" && key.match(re_valid_tag_name)) {
-                            // recurse for node, with incremented indent value
-                            xml += stringify(node[key], key, indent + 1, indentString, eol, sort);
-                        } // not _Attribs key
-                    } // foreach key
-
-                    xml += indent_text + "</" + name + ">" + eol;
-                } // real children
-            } else {
-                // no child elements, so self-close
-                xml += "/>" + eol;
+        if (node[namespacesKey] != null) {
+            const keys = sort ? hashKeysToArray(node[namespacesKey]).sort() : hashKeysToArray(node[namespacesKey]);
+            for (const prefix of keys) {
+                xml += " " + (prefix ? "xmlns:" + prefix : "xmlns") + '=' + quote + encodeAttribEntities(node[namespacesKey][prefix], opts) + quote;
+            }
+        } // has namespace declarations
+
+        if (node[attribsKey] != null) {
+            const keys = sort ? hashKeysToArray(node[attribsKey]).sort() : hashKeysToArray(node[attribsKey]);
+            for (const key of keys) {
+                xml += " " + key + '=' + quote + encodeAttribEntities(node[attribsKey][key], opts) + quote;
             }
-        } // standard node
-        else {
-            // node is array
-            for (let idx = 0; idx < node.length; idx += 1) {
-                // recurse for node in array with same indent
-                xml += stringify(node[idx], name, indent, indentString, eol, sort);
+        } // has attribs
+
+        const hasData = node[dataKey] != null;
+        const keys = sort ? hashKeysToArray(node).sort() : hashKeysToArray(node);
+        let children = keys.filter(key => key !== attribsKey && key !== namespacesKey && key !== dataKey && key.match(re_valid_tag_name));
+        let values = children.map(key => node[key]);
+        if (opts.replacer) {
+            // apply hook first, so an element whose children are all dropped self-closes
+            values = children.map(key => replaceNode(node[key], key, path + '/' + key, node, opts));
+            children = children.filter((key, idx) => values[idx] !== undefined);
+            values = values.filter(value => value !== undefined);
+        }
+
+        if (!children.length) {
+            if (!hasData) {
+                // no content, so self-close (or write explicit end tag)
+                return xml + (opts.selfClosing ? "/>" : "></" + name + ">") + eol;
             }
-        } // array of nodes
+            // simple text child node
+            return xml + ">" + composeText(node[dataKey], name, opts) + "</" + name + ">" + eol;
+        }
+
+        // has child elements, plus leading text for mixed content
+        xml += ">";
+        if (hasData) {
+            xml += composeText(node[dataKey], name, opts);
+        }
+        xml += eol;
+
+        // end tag goes first, so it comes off the stack after the children (which have incremented indent)
+        stack.push(indent_text + "</" + name + ">" + eol);
+        for (let idx = children.length - 1; idx >= 0; idx -= 1) {
+            stack.push({ node: values[idx], name: children[idx], indent: indent + 1, path: path + '/' + children[idx] });
+        }
+        return xml;
     } // complex node
-    else {
-        // node is simple string
-        xml += indent_text + "<" + name + ">" + encodeEntities(node) + "</" + name + ">" + eol;
-    } // simple text node
 
-    return xml;
+    // node is simple value
+    if (node == null || node === '') {
+        return indent_text + "<" + name + (opts.selfClosing ? "/>" : "></" + name + ">") + eol;
+    }
+    return indent_text + "<" + name + ">" + composeText(node, name, opts) + "</" + name + ">" + eol;
+}
+
+function replaceNode(node, name, path, parent, opts) {
+    // pass element value through replacer hook (once per array item), undefined drops it
+    const replace = (value) => opts.replacer(name, value, {
+        attributes: isaHash(value) ? value[opts.attribsKey] || {} : {},
+        path,
+        parent
+    });
+    if (Array.isArray(node)) {
+        const values = node.map(replace).filter(value => value !== undefined);
+        return values.length ? values : undefined;
+    }
+    return replace(node);
+}
+
+function composeText(value, name, opts) {
+    // encode element text, or wrap in CDATA section if requested for this element
+    if (opts.cdata === true || (opts.cdata && opts.cdata.has(name))) {
+        return '<![CDATA[' + String(value).replace(/]]>/g, ']]]]><![CDATA[>') + ']]>';
+    }
+    return encodeEntities(String(value), opts);
 }
 
 function alwaysArray(obj, key) {
@@ -554,6 +1376,7 @@ function hashKeysToArray(hash) {
     return Object.keys(hash);
 }
 
+
 function isaArray(arg) {
     // determine if arg is an array or is array-like
     return Array.isArray(arg);
@@ -579,8 +1402,28 @@ Object.assign(XML.prototype, {
     preserveWhitespace: false,
     lowerCase: false,
     forceArrays: false,
+    fullFidelity: false,
+    schema: null,
+    namespaces: false,
+    namespacePrefixes: null,
+    htmlEntities: false,
+    entities: null,
+    escapeNonASCII: false,
+    escapeControl: false,
+    recover: false,
+    encoding: null,
+    convention: null,
+    dom: false,
+    reviver: null,
+    locations: false,
+    html: false,
+    xinclude: false,
+    externalEntities: false,
+    resolver: null,
+    baseURI: null,
+    resourceRoot: null,
+    ...limit_defaults,
 
-    patTag: /([^<]*?)<([^>]+)>/g,
     patSpecialTag: /^\s*([!?])/,
     patPITag: /^\s*\?/,
     patCommentTag: /^\s*!--/,
@@ -589,20 +1432,31 @@ Object.assign(XML.prototype, {
     patStandardTag: /^\s*(\/?)([\w\-:.]+)\s*([\s\S]*)$/,
     patSelfClosing: /\/\s*$/,
     patAttrib: new RegExp("([\\w\\-\:\.]+)\\s*=\\s*([\"\'])([^\\2]*?)\\2", "g"),
-    patPINode: /^\s*\?\s*([\w\-:]+)\s*(.*)$/,
-    patEndComment: /--$/,
-    patNextClose: /([^>]*?)>/g,
+    patPINode: /^\s*\?\s*([\w\-:]+)\s*([^]*)$/,
     patExternalDTDNode: new RegExp("^\\s*\!DOCTYPE\\s+([\\w\\-\:]+)\\s+(SYSTEM|PUBLIC)\\s+\"([^\"]+)\""),
-    patInlineDTDNode: /^\s*!DOCTYPE\s+([\w\-:]+)\s+\[/,
-    patEndDTD: /]$/,
-    patDTDNode: /^\s*!DOCTYPE\s+([\w\-:]+)\s+\[(.*)]/,
-    patEndCDATA: /]]$/,
+    patInlineDTDNode: /^\s*!DOCTYPE\s+([\w\-:]+)(?:\s+(?:SYSTEM|PUBLIC)(?:\s+(?:"[^"]*"|'[^']*'))+)?\s*\[/,
+    patDTDNode: /^\s*!DOCTYPE\s+([\w\-:]+)(?:\s+(?:SYSTEM|PUBLIC)(?:\s+(?:"[^"]*"|'[^']*'))+)?\s*\[([^]*)]/,
+    patDTDComment: /<!--[^]*?-->/g,
+    patEntityDecl: /<!ENTITY\s+([\w.\-:]+)\s+(?:"([^"]*)"|'([^']*)')\s*>/g,
     patCDATANode: /^\s*!\s*\[\s*CDATA\s*\[([^]*)]]/,
+    patHTMLAttrib: /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g,
+    patRawTextEnd: /<\/([\w\-:.]+)\s*>/g,
 
     attribsKey: '_Attribs',
     dataKey: '_Data',
+    namespacesKey: '_Namespaces',
 })
 
+function getHTMLAttribValue(matches) {
+    // get HTML attribute value from double, single or unquoted match (empty for boolean attributes)
+    for (let idx = 2; idx <= 4; idx += 1) {
+        if (matches[idx] !== undefined) {
+            return matches[idx];
+        }
+    }
+    return '';
+}
+
 function numKeys(hash) {
     // count the number of keys in a hash
     let count = 0;
@@ -616,6 +1470,10 @@ module.exports = {
     XML,
     Parser : XML,
     parse,
+    parseFile,
+    parseFileSync,
+    writeFile,
+    writeFileSync,
     trim,
     encodeEntities,
     encodeAttribEntities,
@@ -626,5 +1484,52 @@ module.exports = {
     isaArray,
     isaHash,
     firstKey,
-    numKeys
-}
+    numKeys,
+    resolveName,
+    XMLParseError,
+    errorCodes: error_codes
+};
+
+// Feature modules build on the core above, so attach them last
+const { SAXParser, records } = require('./sax.js');
+const { attachNodeBuilder, parseNodes, getNodeOptions, composeNodes } = require('./fidelity.js');
+const { query, selectOne, selectValue } = require('./query.js');
+const { XSDSchema, loadSchema, validate } = require('./xsd.js');
+const { registerConvention, parseConvention, composeConvention } = require('./conventions.js');
+const { canonicalize, digest } = require('./c14n.js');
+const { diff, patch } = require('./diff.js');
+const { Node, Element, buildDocument } = require('./dom.js');
+const { inferSchema } = require('./infer.js');
+const { LocationSource, recordNode, recordKey, getKeyRange, locate: locateNode } = require('./locations.js');
+const { expandResources, fileResolver } = require('./resources.js');
+const { merge, mergeFiles, mergeFilesSync } = require('./merge.js');
+const { Builder, builder } = require('./builder.js');
+
+Object.assign(module.exports, {
+    SAXParser,
+    records,
+    parseNodes,
+    composeNodes,
+    query,
+    selectOne,
+    selectValue,
+    XSDSchema,
+    loadSchema,
+    validate,
+    registerConvention,
+    canonicalize,
+    digest,
+    diff,
+    patch,
+    Node,
+    Element,
+    inferSchema,
+    locate: locateNode,
+    fileResolver,
+    merge,
+    mergeFiles,
+    mergeFilesSync,
+    Builder,
+    builder
+});
+
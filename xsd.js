@@ -0,0 +1,955 @@
+/*
+	XML Schema (XSD) Subset Validator
+	Loads a schema document (parsed with this library in full fidelity mode)
+	and validates instance documents against it.  Violations are returned in
+	the same shape as XML.errors: { type, key, text, line }.
+
+	Supported:
+		global and local elements, element refs, named and anonymous types
+		minOccurs / maxOccurs, sequence, choice, all, any, group refs
+		attributes (use, fixed, default), attributeGroup refs, anyAttribute
+		complexContent and simpleContent (extension and restriction), mixed
+		simple types: built-in types, restriction facets (enumeration, pattern,
+		min/max inclusive/exclusive, length, minLength, maxLength), list, union
+
+	Names are matched by local name; target namespaces are not enforced.
+
+	Usage:
+		var schema = XML.loadSchema( fs.readFileSync('order.xsd', 'utf8') );
+		var errors = schema.validate( xml_string );
+
+	Released under the MIT License
+*/
+
+const { SAXParser } = require('./sax.js');
+const { parseNodes } = require('./fidelity.js');
+const { hasOwn } = require('./limits.js');
+
+const XSD_NS = 'http://www.w3.org/2001/XMLSchema';
+const XSI_NS = 'http://www.w3.org/2001/XMLSchema-instance';
+// matching budget, which grows with the number of children so long lists stay valid
+const max_match_steps = 100000;
+const match_steps_per_child = 20;
+
+const re_decimal = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+const re_integer = /^[+-]?\d+$/;
+const re_float = /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/;
+const re_timezone = '(Z|[+-]\\d{2}:\\d{2})?';
+const re_name = /^[A-Za-z_:][\w.\-:]*$/;
+const re_ncname = /^[A-Za-z_][\w.\-]*$/;
+
+const builtin_types = {
+    anyType: {},
+    anySimpleType: {},
+    string: { whitespace: 'preserve' },
+    normalizedString: { whitespace: 'replace' },
+    token: {},
+    language: { test: /^[a-zA-Z]{1,8}(-[a-zA-Z0-9]{1,8})*$/ },
+    Name: { test: re_name },
+    NCName: { test: re_ncname },
+    ID: { test: re_ncname },
+    IDREF: { test: re_ncname },
+    IDREFS: { test: /^[A-Za-z_][\w.\-]*(\s+[A-Za-z_][\w.\-]*)*$/ },
+    ENTITY: { test: re_ncname },
+    NMTOKEN: { test: /^[\w.\-:]+$/ },
+    NMTOKENS: { test: /^[\w.\-:]+(\s+[\w.\-:]+)*$/ },
+    QName: { test: /^([A-Za-z_][\w.\-]*:)?[A-Za-z_][\w.\-]*$/ },
+    anyURI: {},
+    boolean: { test: /^(true|false|1|0)$/ },
+    decimal: { test: re_decimal, numeric: true },
+    float: { test: re_float, numeric: true },
+    double: { test: re_float, numeric: true },
+    integer: { test: re_integer, numeric: true },
+    nonPositiveInteger: { test: re_integer, numeric: true, max: '0' },
+    negativeInteger: { test: re_integer, numeric: true, max: '-1' },
+    nonNegativeInteger: { test: re_integer, numeric: true, min: '0' },
+    positiveInteger: { test: re_integer, numeric: true, min: '1' },
+    long: { test: re_integer, numeric: true, min: '-9223372036854775808', max: '9223372036854775807' },
+    int: { test: re_integer, numeric: true, min: '-2147483648', max: '2147483647' },
+    short: { test: re_integer, numeric: true, min: '-32768', max: '32767' },
+    byte: { test: re_integer, numeric: true, min: '-128', max: '127' },
+    unsignedLong: { test: re_integer, numeric: true, min: '0', max: '18446744073709551615' },
+    unsignedInt: { test: re_integer, numeric: true, min: '0', max: '4294967295' },
+    unsignedShort: { test: re_integer, numeric: true, min: '0', max: '65535' },
+    unsignedByte: { test: re_integer, numeric: true, min: '0', max: '255' },
+    date: { test: new RegExp('^-?\\d{4,}-\\d{2}-\\d{2}' + re_timezone + '$'), temporal: true },
+    dateTime: { test: new RegExp('^-?\\d{4,}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?' + re_timezone + '$'), temporal: true },
+    time: { test: new RegExp('^\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?' + re_timezone + '$') },
+    gYear: { test: new RegExp('^-?\\d{4,}' + re_timezone + '$') },
+    gYearMonth: { test: new RegExp('^-?\\d{4,}-\\d{2}' + re_timezone + '$') },
+    gMonth: { test: new RegExp('^--\\d{2}' + re_timezone + '$') },
+    gMonthDay: { test: new RegExp('^--\\d{2}-\\d{2}' + re_timezone + '$') },
+    gDay: { test: new RegExp('^---\\d{2}' + re_timezone + '$') },
+    duration: { test: /^-?P(?=\d|T\d)(\d+Y)?(\d+M)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/ },
+    base64Binary: { test: /^[A-Za-z0-9+/\s]*={0,2}$/ },
+    hexBinary: { test: /^([0-9a-fA-F]{2})*$/ }
+};
+
+const any_type = { kind: 'complex', any: true };
+
+class XSDSchema {
+    constructor(source) {
+        // class constructor for compiled schema
+        // pass in XSD text, or document node from XML.parse(text, { fullFidelity: true })
+        const doc = (typeof source === 'string') ? parseNodes(source) : source;
+        const root = elementChildren(doc)[0];
+        if (!root || localName(root.name) !== 'schema') {
+            throw new Error("Not an XML Schema document (expected <xs:schema>)");
+        }
+
+        this.xsdPrefixes = new Set();
+        for (const key in root.attributes) {
+            if (root.attributes[key] === XSD_NS) {
+                this.xsdPrefixes.add(key === 'xmlns' ? '' : key.replace(/^xmlns:/, ''));
+            }
+        }
+
+        this.elements = Object.create(null);
+        this.complexTypes = Object.create(null);
+        this.simpleTypes = Object.create(null);
+        this.groups = Object.create(null);
+        this.attributeGroups = Object.create(null);
+        this.attributes = Object.create(null);
+        this.compiled = new Map();
+
+        for (const node of elementChildren(root)) {
+            const name = node.attributes.name;
+            switch (localName(node.name)) {
+                case 'element': this.elements[name] = node; break;
+                case 'complexType': this.complexTypes[name] = node; break;
+                case 'simpleType': this.simpleTypes[name] = node; break;
+                case 'group': this.groups[name] = node; break;
+                case 'attributeGroup': this.attributeGroups[name] = node; break;
+                case 'attribute': this.attributes[name] = node; break;
+            }
+        }
+    }
+
+    validate(source) {
+        // validate document text (or full fidelity document node), returns array of errors
+        const errors = [];
+        const root = (typeof source === 'string') ? buildInstance(source, errors) : buildInstanceFromNodes(source);
+
+        if (errors.length) {
+            // document is not well-formed, so report parse errors only
+            return errors;
+        }
+        if (!root) {
+            errors.push(makeError("Document has no root element", '', 0));
+            return errors;
+        }
+
+        const node = this.elements[root.name];
+        if (!node) {
+            errors.push(makeError("No declaration for root element", root.qname, root.line));
+            return errors;
+        }
+
+        this.validateElement(root, this.compileElement(node, node), errors);
+        return errors;
+    }
+
+    // Schema compilation
+
+    compileElement(node, site) {
+        // compile element declaration (following ref), occurrence taken from site
+        let decl = this.compiled.get(node);
+        if (!decl) {
+            const ref = node.attributes.ref;
+            if (ref) {
+                const target = this.elements[localName(ref)];
+                if (!target) {
+                    throw new Error("Unknown element reference in schema: " + ref);
+                }
+                return this.compileElement(target, site);
+            }
+
+            decl = {
+                name: node.attributes.name,
+                node,
+                fixed: node.attributes.fixed,
+                nillable: node.attributes.nillable === 'true',
+                type: null
+            };
+            this.compiled.set(node, decl);
+        }
+        return Object.assign({}, decl, getOccurs(site));
+    }
+
+    getElementType(decl) {
+        // resolve (and cache) type of element declaration
+        if (decl.type) {
+            return decl.type;
+        }
+        const cached = this.compiled.get(decl.node);
+        if (cached.type) {
+            return (decl.type = cached.type);
+        }
+
+        let type = any_type;
+        if (decl.node.attributes.type) {
+            type = this.resolveType(decl.node.attributes.type);
+        } else {
+            const inline = findChild(decl.node, 'complexType') || findChild(decl.node, 'simpleType');
+            if (inline) {
+                type = this.compileType(inline);
+            }
+        }
+        cached.type = decl.type = type;
+        return type;
+    }
+
+    resolveType(qname) {
+        // resolve type name to built-in or named schema type
+        const idx = qname.indexOf(':');
+        const prefix = idx > -1 ? qname.substring(0, idx) : '';
+        const local = idx > -1 ? qname.substring(idx + 1) : qname;
+
+        const isBuiltin = this.xsdPrefixes.has(prefix) && hasOwn(builtin_types, local);
+        if (!isBuiltin && this.complexTypes[local]) {
+            return this.compileType(this.complexTypes[local]);
+        }
+        if (!isBuiltin && this.simpleTypes[local]) {
+            return this.compileType(this.simpleTypes[local]);
+        }
+        if (hasOwn(builtin_types, local)) {
+            return local === 'anyType' ? any_type : { kind: 'simple', builtin: local, facets: {} };
+        }
+        throw new Error("Unknown type in schema: " + qname);
+    }
+
+    compileType(node) {
+        // compile complexType or simpleType node (cached, so recursive types work)
+        let type = this.compiled.get(node);
+        if (type) {
+            return type;
+        }
+        if (localName(node.name) === 'simpleType') {
+            type = { kind: 'simple' };
+            this.compiled.set(node, type);
+            return Object.assign(type, this.compileSimpleType(node));
+        }
+
+        type = { kind: 'complex', model: null, attributes: Object.create(null), anyAttribute: false, mixed: node.attributes.mixed === 'true', simple: null };
+        this.compiled.set(node, type);
+
+        for (const child of elementChildren(node)) {
+            const kind = localName(child.name);
+            if (kind === 'complexContent') {
+                if (child.attributes.mixed === 'true') {
+                    type.mixed = true;
+                }
+                this.compileDerivation(type, findChild(child, 'extension') || findChild(child, 'restriction'));
+            } else if (kind === 'simpleContent') {
+                this.compileSimpleContent(type, findChild(child, 'extension') || findChild(child, 'restriction'));
+            } else {
+                this.compileTypeChild(type, child);
+            }
+        }
+        return type;
+    }
+
+    compileTypeChild(type, child) {
+        // add particle or attribute declaration to complex type
+        const kind = localName(child.name);
+        if (kind === 'sequence' || kind === 'choice' || kind === 'all' || kind === 'group') {
+            type.model = this.compileParticle(child);
+        } else if (kind === 'attribute' || kind === 'attributeGroup' || kind === 'anyAttribute') {
+            this.compileAttribute(type, child);
+        }
+    }
+
+    compileDerivation(type, node) {
+        // complexContent extension (base content followed by ours) or restriction
+        const base = this.resolveType(node.attributes.base);
+        if (base.kind === 'complex' && !base.any) {
+            Object.assign(type.attributes, base.attributes);
+            type.anyAttribute = type.anyAttribute || base.anyAttribute;
+            if (localName(node.name) === 'extension') {
+                type.model = base.model;
+                type.mixed = type.mixed || base.mixed;
+            }
+        }
+
+        const baseModel = type.model;
+        type.model = null;
+        for (const child of elementChildren(node)) {
+            this.compileTypeChild(type, child);
+        }
+        if (baseModel && type.model) {
+            type.model = { kind: 'sequence', min: 1, max: 1, items: [baseModel, type.model] };
+        } else if (baseModel) {
+            type.model = baseModel;
+        }
+    }
+
+    compileSimpleContent(type, node) {
+        // simpleContent: text of a simple type plus attributes
+        const base = this.resolveType(node.attributes.base);
+        if (base.kind === 'complex') {
+            Object.assign(type.attributes, base.attributes);
+            type.simple = base.simple;
+        } else {
+            type.simple = base;
+        }
+        if (localName(node.name) === 'restriction') {
+            const facets = this.compileFacets(node);
+            if (Object.keys(facets).length) {
+                type.simple = { kind: 'simple', base: type.simple, facets };
+            }
+        }
+        for (const child of elementChildren(node)) {
+            this.compileTypeChild(type, child);
+        }
+    }
+
+    compileParticle(node) {
+        // compile content model particle
+        const kind = localName(node.name);
+        const occurs = getOccurs(node);
+
+        if (kind === 'element') {
+            const decl = this.compileElement(node, node);
+            return Object.assign({ kind, name: decl.name, decl }, occurs);
+        }
+        if (kind === 'any') {
+            return Object.assign({ kind }, occurs);
+        }
+        if (kind === 'group') {
+            const group = this.groups[localName(node.attributes.ref || '')];
+            if (!group) {
+                throw new Error("Unknown group reference in schema: " + node.attributes.ref);
+            }
+            const inner = elementChildren(group).find(child => ['sequence', 'choice', 'all'].includes(localName(child.name)));
+            return Object.assign({}, this.compileParticle(inner), occurs);
+        }
+
+        const items = [];
+        for (const child of elementChildren(node)) {
+            if (['element', 'any', 'group', 'sequence', 'choice'].includes(localName(child.name))) {
+                items.push(this.compileParticle(child));
+            }
+        }
+        return Object.assign({ kind, items }, occurs);
+    }
+
+    compileAttribute(type, node) {
+        // add attribute declaration (or group of them) to complex type
+        const kind = localName(node.name);
+        if (kind === 'anyAttribute') {
+            type.anyAttribute = true;
+            return;
+        }
+        if (kind === 'attributeGroup') {
+            const group = this.attributeGroups[localName(node.attributes.ref || '')];
+            if (!group) {
+                throw new Error("Unknown attributeGroup reference in schema: " + node.attributes.ref);
+            }
+            for (const child of elementChildren(group)) {
+                this.compileAttribute(type, child);
+            }
+            return;
+        }
+
+        let decl = node;
+        if (node.attributes.ref) {
+            decl = this.attributes[localName(node.attributes.ref)];
+            if (!decl) {
+                // e.g. xml:lang, allow any value
+                type.attributes[localName(node.attributes.ref)] = { type: null, use: node.attributes.use || 'optional' };
+                return;
+            }
+        }
+
+        const inline = findChild(decl, 'simpleType');
+        const name = decl.attributes.name;
+        type.attributes[name] = {
+            type: inline ? this.compileType(inline) : (decl.attributes.type ? this.resolveType(decl.attributes.type) : null),
+            use: node.attributes.use || decl.attributes.use || 'optional',
+            fixed: node.attributes.fixed !== undefined ? node.attributes.fixed : decl.attributes.fixed
+        };
+    }
+
+    compileSimpleType(node) {
+        // compile simpleType node: restriction, list or union
+        const restriction = findChild(node, 'restriction');
+        if (restriction) {
+            const inline = findChild(restriction, 'simpleType');
+            const base = inline ? this.compileType(inline) : this.resolveType(restriction.attributes.base);
+            return { base, facets: this.compileFacets(restriction) };
+        }
+
+        const list = findChild(node, 'list');
+        if (list) {
+            const inline = findChild(list, 'simpleType');
+            return { list: inline ? this.compileType(inline) : this.resolveType(list.attributes.itemType), facets: {} };
+        }
+
+        const union = findChild(node, 'union');
+        if (union) {
+            const members = (union.attributes.memberTypes || '').split(/\s+/).filter(Boolean).map(name => this.resolveType(name));
+            for (const child of elementChildren(union)) {
+                if (localName(child.name) === 'simpleType') {
+                    members.push(this.compileType(child));
+                }
+            }
+            return { union: members, facets: {} };
+        }
+
+        return { builtin: 'string', facets: {} };
+    }
+
+    compileFacets(node) {
+        // collect restriction facets
+        const facets = {};
+        for (const child of elementChildren(node)) {
+            const kind = localName(child.name);
+            const value = child.attributes.value;
+            if (kind === 'enumeration') {
+                (facets.enumeration = facets.enumeration || []).push(value);
+            } else if (kind === 'pattern') {
+                try {
+                    (facets.pattern = facets.pattern || []).push(new RegExp('^(?:' + value + ')$', 'u'));
+                } catch (err) {
+                    throw new Error("Unsupported pattern in schema: " + value);
+                }
+            } else if (['minInclusive', 'maxInclusive', 'minExclusive', 'maxExclusive', 'length', 'minLength', 'maxLength', 'totalDigits', 'fractionDigits'].includes(kind)) {
+                facets[kind] = value;
+            }
+        }
+        return facets;
+    }
+
+    // Instance validation
+
+    validateElement(elem, decl, errors) {
+        // validate instance element against its declaration, recursing into children
+        const type = this.getElementType(decl);
+
+        if (decl.nillable && elem.nil) {
+            if (elem.children.length || elem.text.trim()) {
+                errors.push(makeError("Nil element must be empty", elem.qname, elem.line));
+            }
+            return;
+        }
+        if (decl.fixed !== undefined && elem.text !== decl.fixed) {
+            errors.push(makeError('Element value must be "' + decl.fixed + '"', elem.qname, elem.line));
+        }
+        if (type.any) {
+            return;
+        }
+
+        if (type.kind === 'simple') {
+            this.checkAttributes(elem, { attributes: Object.create(null), anyAttribute: false }, errors);
+            if (elem.children.length) {
+                errors.push(makeError("Child elements are not allowed", elem.qname, elem.children[0].line));
+            }
+            this.checkValue(elem.text, type, elem, errors, '');
+            return;
+        }
+
+        this.checkAttributes(elem, type, errors);
+
+        if (type.simple) {
+            if (elem.children.length) {
+                errors.push(makeError("Child elements are not allowed", elem.qname, elem.children[0].line));
+            }
+            this.checkValue(elem.text, type.simple, elem, errors, '');
+            return;
+        }
+
+        if (!type.mixed && elem.text.trim()) {
+            errors.push(makeError("Text content is not allowed", elem.qname, elem.line));
+        }
+
+        if (!type.model) {
+            if (elem.children.length) {
+                errors.push(makeError("Unexpected element", elem.children[0].qname, elem.children[0].line));
+            }
+            return;
+        }
+
+        this.checkContentModel(elem, type.model, errors);
+
+        // validate children even if content model failed, to report as much as possible
+        const decls = collectDecls(type.model, Object.create(null));
+        for (const child of elem.children) {
+            if (decls[child.name]) {
+                this.validateElement(child, decls[child.name], errors);
+            }
+        }
+    }
+
+    checkAttributes(elem, type, errors) {
+        // check required, unexpected and typed attributes
+        for (const name in type.attributes) {
+            const attrib = type.attributes[name];
+            const value = elem.attributes[name];
+            if (value === undefined) {
+                if (attrib.use === 'required') {
+                    errors.push(makeError('Missing required attribute "' + name + '"', elem.qname, elem.line));
+                }
+                continue;
+            }
+            if (attrib.use === 'prohibited') {
+                errors.push(makeError('Attribute "' + name + '" is not allowed', elem.qname, elem.line));
+                continue;
+            }
+            if (attrib.fixed !== undefined && value !== attrib.fixed) {
+                errors.push(makeError('Attribute "' + name + '" must be "' + attrib.fixed + '"', elem.qname, elem.line));
+            }
+            if (attrib.type) {
+                this.checkValue(value, attrib.type, elem, errors, ' in attribute "' + name + '"');
+            }
+        }
+
+        if (!type.anyAttribute) {
+            for (const name in elem.attributes) {
+                if (!type.attributes[name]) {
+                    errors.push(makeError('Unexpected attribute "' + name + '"', elem.qname, elem.line));
+                }
+            }
+        }
+    }
+
+    checkContentModel(elem, model, errors) {
+        // match child element sequence against content model, logging first problem
+        // returns true if children are valid
+        const items = elem.children;
+        const state = { furthest: -1, expected: new Set(), steps: 0, limit: max_match_steps + items.length * match_steps_per_child };
+
+        for (const end of matchParticle(model, items, 0, state)) {
+            if (end === items.length) {
+                return true;
+            }
+            expect(state, end, null);
+        }
+
+        if (state.steps > state.limit) {
+            errors.push(makeError("Content model too complex to validate", elem.qname, elem.line));
+        } else if (state.furthest < items.length) {
+            const child = items[Math.max(state.furthest, 0)];
+            errors.push(makeError("Unexpected element" + formatExpected(state.expected), child.qname, child.line));
+        } else {
+            errors.push(makeError("Missing required element" + formatExpected(state.expected), elem.qname, elem.line));
+        }
+        return false;
+    }
+
+    checkValue(value, type, elem, errors, where) {
+        // validate simple value of element text or attribute, logging error on failure
+        const problem = checkSimpleValue(value, type);
+        if (problem) {
+            errors.push(makeError(problem + where, elem.qname, elem.line));
+        }
+    }
+}
+
+//
+// Content model matching (backtracking, yields every possible end position)
+//
+
+function* matchParticle(particle, items, pos, state) {
+    // match particle with its occurrence range
+    if (particle.kind === 'element' || particle.kind === 'any') {
+        yield* repeatSimple(particle, items, pos, state);
+    } else {
+        yield* repeatParticle(particle, items, pos, state);
+    }
+}
+
+function* repeatSimple(particle, items, pos, state) {
+    // match run of single elements by counting them, then fall back one at a time
+    if (++state.steps > state.limit) {
+        return;
+    }
+    let end = pos;
+    while (end - pos < particle.max && end < items.length && (particle.kind === 'any' || items[end].name === particle.name)) {
+        end += 1;
+    }
+    if (end - pos < particle.max) {
+        expect(state, end, (particle.kind === 'any') ? 'any element' : '<' + particle.name + '>');
+    }
+    for (; end - pos >= particle.min; end -= 1) {
+        yield end;
+    }
+}
+
+function* repeatParticle(particle, items, pos, state) {
+    // greedily match one more occurrence, then fall back to stopping there
+    // occurrences are kept on a stack rather than recursing, so long lists cannot overflow
+    const stack = [];
+    const enter = (start, count) => {
+        stack.push({ pos: start, count, ends: (count < particle.max) ? matchOnce(particle, items, start, state) : null });
+        return ++state.steps <= state.limit;
+    };
+    if (!enter(pos, 0)) {
+        return;
+    }
+
+    while (stack.length) {
+        const frame = stack[stack.length - 1];
+        const next = frame.ends ? frame.ends.next() : { done: true };
+        if (next.done) {
+            stack.pop();
+            if (frame.count >= particle.min) {
+                yield frame.pos;
+            }
+        } else if (next.value > frame.pos) {
+            if (!enter(next.value, frame.count + 1)) {
+                return;
+            }
+        } else if (frame.count < particle.min) {
+            // empty match satisfies all remaining required occurrences
+            if (!enter(next.value, particle.min)) {
+                return;
+            }
+        }
+    }
+}
+
+function* matchOnce(particle, items, pos, state) {
+    // match single occurrence of particle
+    switch (particle.kind) {
+        case 'element':
+            if (pos < items.length && items[pos].name === particle.name) {
+                yield pos + 1;
+            } else {
+                expect(state, pos, '<' + particle.name + '>');
+            }
+            break;
+
+        case 'any':
+            if (pos < items.length) {
+                yield pos + 1;
+            } else {
+                expect(state, pos, 'any element');
+            }
+            break;
+
+        case 'sequence':
+            yield* matchSequence(particle.items, 0, items, pos, state);
+            break;
+
+        case 'choice':
+            for (const item of particle.items) {
+                yield* matchParticle(item, items, pos, state);
+            }
+            break;
+
+        case 'all':
+            yield* matchAll(particle.items, new Set(), items, pos, state);
+            break;
+    }
+}
+
+function* matchSequence(particles, idx, items, pos, state) {
+    // match each particle of sequence in order
+    if (idx === particles.length) {
+        yield pos;
+        return;
+    }
+    for (const end of matchParticle(particles[idx], items, pos, state)) {
+        yield* matchSequence(particles, idx + 1, items, end, state);
+    }
+}
+
+function* matchAll(particles, used, items, pos, state) {
+    // match each particle of 'all' group at most once, in any order
+    if (++state.steps > state.limit) {
+        return;
+    }
+    for (const particle of particles) {
+        if (!used.has(particle)) {
+            for (const end of matchOnce(particle, items, pos, state)) {
+                if (end > pos) {
+                    used.add(particle);
+                    yield* matchAll(particles, used, items, end, state);
+                    used.delete(particle);
+                }
+            }
+        }
+    }
+    if (particles.every(particle => used.has(particle) || particle.min === 0)) {
+        yield pos;
+    } else {
+        for (const particle of particles) {
+            if (!used.has(particle) && particle.min > 0) {
+                expect(state, pos, '<' + particle.name + '>');
+            }
+        }
+    }
+}
+
+function expect(state, pos, what) {
+    // remember what was expected at the furthest position reached
+    if (pos > state.furthest) {
+        state.furthest = pos;
+        state.expected = new Set();
+    }
+    if (pos === state.furthest && what) {
+        state.expected.add(what);
+    }
+}
+
+function formatExpected(expected) {
+    // format list of expected elements for error message
+    return expected.size ? ' (expected ' + Array.from(expected).join(' or ') + ')' : '';
+}
+
+function collectDecls(particle, decls) {
+    // map child element names to their declarations within content model
+    if (particle.kind === 'element') {
+        decls[particle.name] = particle.decl;
+    } else if (particle.items) {
+        particle.items.forEach(item => collectDecls(item, decls));
+    }
+    return decls;
+}
+
+//
+// Simple type checking
+//
+
+function checkSimpleValue(value, type) {
+    // check value against simple type, returns problem description or null
+    if (!type || type.any) {
+        return null;
+    }
+
+    if (type.builtin) {
+        const builtin = builtin_types[type.builtin];
+        const normal = normalizeWhitespace(value, builtin.whitespace);
+        if (builtin.test && !builtin.test.test(normal)) {
+            return 'Invalid ' + type.builtin + ' value "' + value + '"';
+        }
+        if ((builtin.min !== undefined && BigInt(normal) < BigInt(builtin.min)) || (builtin.max !== undefined && BigInt(normal) > BigInt(builtin.max))) {
+            return 'Value "' + value + '" is out of range for ' + type.builtin;
+        }
+        return checkFacets(normal, type.facets, builtin);
+    }
+
+    if (type.list) {
+        const items = normalizeWhitespace(value).split(' ').filter(Boolean);
+        for (const item of items) {
+            const problem = checkSimpleValue(item, type.list);
+            if (problem) {
+                return problem;
+            }
+        }
+        return checkFacets(items, type.facets, {});
+    }
+
+    if (type.union) {
+        if (!type.union.some(member => !checkSimpleValue(value, member))) {
+            return 'Value "' + value + '" does not match any member type';
+        }
+        return checkFacets(normalizeWhitespace(value), type.facets, {});
+    }
+
+    const problem = checkSimpleValue(value, type.base);
+    if (problem) {
+        return problem;
+    }
+    return checkFacets(normalizeWhitespace(value, getBuiltin(type).whitespace), type.facets, getBuiltin(type));
+}
+
+function checkFacets(value, facets, builtin) {
+    // check restriction facets, value is a string (or array of list items)
+    if (facets.enumeration && !facets.enumeration.includes(Array.isArray(value) ? value.join(' ') : value)) {
+        return 'Value "' + value + '" is not one of: ' + facets.enumeration.join(', ');
+    }
+    if (facets.pattern && !Array.isArray(value) && !facets.pattern.some(pattern => pattern.test(value))) {
+        return 'Value "' + value + '" does not match pattern';
+    }
+
+    const length = Array.isArray(value) ? value.length : Array.from(value).length;
+    if (facets.length !== undefined && length !== Number(facets.length)) {
+        return 'Value "' + value + '" must have length ' + facets.length;
+    }
+    if (facets.minLength !== undefined && length < Number(facets.minLength)) {
+        return 'Value "' + value + '" is shorter than ' + facets.minLength;
+    }
+    if (facets.maxLength !== undefined && length > Number(facets.maxLength)) {
+        return 'Value "' + value + '" is longer than ' + facets.maxLength;
+    }
+
+    if (builtin.numeric || builtin.temporal) {
+        const compare = (a, b) => builtin.numeric ? Number(a) - Number(b) : Date.parse(a) - Date.parse(b);
+        if (facets.minInclusive !== undefined && compare(value, facets.minInclusive) < 0) {
+            return 'Value "' + value + '" is less than ' + facets.minInclusive;
+        }
+        if (facets.maxInclusive !== undefined && compare(value, facets.maxInclusive) > 0) {
+            return 'Value "' + value + '" is greater than ' + facets.maxInclusive;
+        }
+        if (facets.minExclusive !== undefined && compare(value, facets.minExclusive) <= 0) {
+            return 'Value "' + value + '" must be greater than ' + facets.minExclusive;
+        }
+        if (facets.maxExclusive !== undefined && compare(value, facets.maxExclusive) >= 0) {
+            return 'Value "' + value + '" must be less than ' + facets.maxExclusive;
+        }
+    }
+    if (builtin.numeric && facets.totalDigits !== undefined && value.replace(/^[+-]/, '').replace('.', '').replace(/^0+/, '').length > Number(facets.totalDigits)) {
+        return 'Value "' + value + '" has more than ' + facets.totalDigits + ' digits';
+    }
+    if (builtin.numeric && facets.fractionDigits !== undefined && (value.split('.')[1] || '').length > Number(facets.fractionDigits)) {
+        return 'Value "' + value + '" has more than ' + facets.fractionDigits + ' fraction digits';
+    }
+    return null;
+}
+
+function getBuiltin(type) {
+    // find built-in type at root of restriction chain
+    while (type && !type.builtin) {
+        type = type.base;
+    }
+    return type ? builtin_types[type.builtin] : {};
+}
+
+function normalizeWhitespace(value, mode = 'collapse') {
+    // apply XSD whitespace facet
+    if (mode === 'preserve') {
+        return value;
+    }
+    value = value.replace(/[\t\n\r]/g, ' ');
+    return mode === 'replace' ? value : value.replace(/ +/g, ' ').trim();
+}
+
+//
+// Instance and schema document helpers
+//
+
+function buildInstance(text, errors) {
+    // parse document into lightweight element tree with line numbers
+    // parse errors are added to errors array
+    const parser = new SAXParser();
+    const stack = [];
+    let root = null;
+
+    parser.on('opentag', (node) => {
+        const elem = createInstanceElement(node.name, node.attributes, parser.line);
+        if (stack.length) {
+            stack[stack.length - 1].children.push(elem);
+        } else {
+            root = elem;
+        }
+        stack.push(elem);
+    });
+    parser.on('closetag', () => stack.pop());
+    parser.on('text', (text) => {
+        if (stack.length) {
+            stack[stack.length - 1].text += text;
+        }
+    });
+    parser.on('cdata', (text) => {
+        if (stack.length) {
+            stack[stack.length - 1].text += text;
+        }
+    });
+
+    try {
+        parser.end(text);
+    } catch (err) {
+        errors.push(...parser.errors);
+        return null;
+    }
+    return root;
+}
+
+function buildInstanceFromNodes(doc) {
+    // convert full fidelity document node into lightweight element tree
+    const convert = (node) => {
+        const elem = createInstanceElement(node.name, node.attributes, 0);
+        for (const child of node.children) {
+            if (child.type === 'element') {
+                elem.children.push(convert(child));
+            } else if (child.type === 'text' || child.type === 'cdata') {
+                elem.text += child.value;
+            }
+        }
+        return elem;
+    };
+    const root = elementChildren(doc)[0];
+    return root ? convert(root) : null;
+}
+
+function createInstanceElement(qname, rawAttribs, line) {
+    // create instance element, dropping namespace declarations and xsi:* attributes
+    const elem = { qname, name: localName(qname), attributes: Object.create(null), children: [], text: '', line, nil: false };
+    const xsiPrefixes = new Set();
+
+    for (const key in rawAttribs) {
+        if (rawAttribs[key] === XSI_NS && key.startsWith('xmlns:')) {
+            xsiPrefixes.add(key.substring(6));
+        }
+    }
+    for (const key in rawAttribs) {
+        const prefix = key.indexOf(':') > -1 ? key.substring(0, key.indexOf(':')) : '';
+        if (key === 'xmlns' || prefix === 'xmlns' || prefix === 'xml') {
+            continue;
+        }
+        if (prefix === 'xsi' || xsiPrefixes.has(prefix)) {
+            if (localName(key) === 'nil') {
+                elem.nil = rawAttribs[key] === 'true';
+            }
+            continue;
+        }
+        elem.attributes[localName(key)] = rawAttribs[key];
+    }
+    return elem;
+}
+
+function elementChildren(node) {
+    // get element children of full fidelity node, skipping annotations
+    return (node.children || []).filter(child => child.type === 'element' && localName(child.name) !== 'annotation');
+}
+
+function findChild(node, name) {
+    // find first child element with local name
+    return elementChildren(node).find(child => localName(child.name) === name) || null;
+}
+
+function localName(qname) {
+    // strip namespace prefix
+    const idx = qname.indexOf(':');
+    return idx > -1 ? qname.substring(idx + 1) : qname;
+}
+
+function getOccurs(node) {
+    // get minOccurs / maxOccurs of particle node
+    const min = node.attributes.minOccurs;
+    const max = node.attributes.maxOccurs;
+    return {
+        min: min !== undefined ? parseInt(min, 10) : 1,
+        max: max === 'unbounded' ? Infinity : (max !== undefined ? parseInt(max, 10) : 1)
+    };
+}
+
+function makeError(key, name, line) {
+    // create error entry in XML.errors format
+    return {
+        type: 'Validation',
+        key,
+        text: name ? '<' + name + '>' : '',
+        line
+    };
+}
+
+function loadSchema(source) {
+    // compile XSD text or document node into reusable schema object
+    return new XSDSchema(source);
+}
+
+function validate(text, schema) {
+    // validate document text against schema (text, document node or loaded schema)
+    if (!(schema instanceof XSDSchema)) {
+        schema = loadSchema(schema);
+    }
+    return schema.validate(text);
+}
+
+module.exports = {
+    XSDSchema,
+    loadSchema,
+    validate
+};